@@ -1,22 +1,35 @@
+-- pesquisa sem acentos (/search)
+CREATE EXTENSION IF NOT EXISTS unaccent;
+
+-- calendar_token_version entra nos links do calendário .ics; incrementá-la
+-- revoga os links já partilhados
 CREATE TABLE daycare (
     id SERIAL PRIMARY KEY,
     name VARCHAR(150) NOT NULL,
     address VARCHAR(255),
     phone VARCHAR(20),
-    email VARCHAR(150)
+    email VARCHAR(150),
+    calendar_token_version INT NOT NULL DEFAULT 1
 );
 
+-- capacity e idades (em meses) a NULL = sem limite
 CREATE TABLE classroom (
     id SERIAL PRIMARY KEY,
     name VARCHAR(100) NOT NULL,
-    daycare_id INT REFERENCES daycare(id) ON DELETE CASCADE
+    daycare_id INT REFERENCES daycare(id) ON DELETE CASCADE,
+    capacity INT CHECK (capacity > 0),
+    min_age_months INT CHECK (min_age_months >= 0),
+    max_age_months INT CHECK (max_age_months >= 0)
 );
 
+-- daycare_id: daycare que criou o pai; enquanto não tiver crianças ligadas
+-- só esse daycare (e o super_admin) o vê
 CREATE TABLE parent (
     id SERIAL PRIMARY KEY,
     name VARCHAR(100) NOT NULL,
     phone VARCHAR(20),
-    email VARCHAR(150)
+    email VARCHAR(150),
+    daycare_id INT REFERENCES daycare(id) ON DELETE SET NULL
 );
 
 CREATE TABLE child (
@@ -27,12 +40,572 @@ CREATE TABLE child (
     daycare_id INT REFERENCES daycare(id) ON DELETE CASCADE
 );
 
+-- ligação pai/criança (responsável), com a relação e as preferências de contacto
 CREATE TABLE enrollment (
     id SERIAL PRIMARY KEY,
     child_id INT REFERENCES child(id) ON DELETE CASCADE,
+    parent_id INT REFERENCES parent(id) ON DELETE CASCADE,
+    relation VARCHAR(20) NOT NULL DEFAULT 'legal_guardian'
+        CHECK (relation IN ('mother', 'father', 'legal_guardian', 'foster')),
+    is_primary_contact BOOLEAN NOT NULL DEFAULT FALSE,
+    has_legal_custody BOOLEAN NOT NULL DEFAULT TRUE,
+    notify_email BOOLEAN NOT NULL DEFAULT TRUE,
+    notify_sms BOOLEAN NOT NULL DEFAULT FALSE
+);
+
+-- no máximo um contacto principal por criança
+CREATE UNIQUE INDEX enrollment_primary_contact_idx
+    ON enrollment (child_id) WHERE is_primary_contact;
+
+CREATE TABLE app_user (
+    id SERIAL PRIMARY KEY,
+    email VARCHAR(150) NOT NULL UNIQUE,
+    password_hash VARCHAR(100) NOT NULL,
+    role VARCHAR(20) NOT NULL CHECK (role IN ('super_admin', 'admin', 'director', 'teacher', 'parent')),
+    daycare_id INT REFERENCES daycare(id) ON DELETE CASCADE,
     parent_id INT REFERENCES parent(id) ON DELETE CASCADE
 );
 
+CREATE TABLE attendance (
+    id SERIAL PRIMARY KEY,
+    child_id INT NOT NULL REFERENCES child(id) ON DELETE CASCADE,
+    check_in_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    check_in_by INT REFERENCES app_user(id) ON DELETE SET NULL,
+    drop_off_by VARCHAR(100) NOT NULL,
+    check_out_at TIMESTAMPTZ,
+    check_out_by INT REFERENCES app_user(id) ON DELETE SET NULL,
+    pick_up_by VARCHAR(100),
+    -- sala da criança no check-in (a sala pode mudar depois)
+    classroom_id INT REFERENCES classroom(id) ON DELETE SET NULL
+);
+
+-- só pode existir um check-in em aberto por criança
+CREATE UNIQUE INDEX attendance_open_child_idx
+    ON attendance (child_id) WHERE check_out_at IS NULL;
+
+-- pessoas extra autorizadas a ir buscar a criança (avós, tios, ...)
+CREATE TABLE authorized_pickup (
+    id SERIAL PRIMARY KEY,
+    child_id INT NOT NULL REFERENCES child(id) ON DELETE CASCADE,
+    name VARCHAR(100) NOT NULL,
+    relation VARCHAR(50) NOT NULL,
+    phone VARCHAR(20),
+    id_reference VARCHAR(50)
+);
+
+-- pessoas proibidas de ir buscar a criança (um pai do enrollment ou outra pessoa)
+CREATE TABLE custody_restriction (
+    id SERIAL PRIMARY KEY,
+    child_id INT NOT NULL REFERENCES child(id) ON DELETE CASCADE,
+    parent_id INT REFERENCES parent(id) ON DELETE CASCADE,
+    name VARCHAR(100),
+    reason VARCHAR(255) NOT NULL,
+    CHECK (parent_id IS NOT NULL OR name IS NOT NULL)
+);
+
+-- todas as tentativas de check-out, aceites ou recusadas
+CREATE TABLE pickup_audit (
+    id SERIAL PRIMARY KEY,
+    child_id INT NOT NULL REFERENCES child(id) ON DELETE CASCADE,
+    attendance_id INT REFERENCES attendance(id) ON DELETE SET NULL,
+    attempted_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    staff_user_id INT REFERENCES app_user(id) ON DELETE SET NULL,
+    pick_up_by VARCHAR(100),
+    parent_id INT REFERENCES parent(id) ON DELETE SET NULL,
+    authorized_pickup_id INT REFERENCES authorized_pickup(id) ON DELETE SET NULL,
+    allowed BOOLEAN NOT NULL,
+    reason VARCHAR(255)
+);
+
+-- staff em serviço numa sala (entrada/saída)
+CREATE TABLE staff_duty (
+    id SERIAL PRIMARY KEY,
+    user_id INT NOT NULL REFERENCES app_user(id) ON DELETE CASCADE,
+    classroom_id INT NOT NULL REFERENCES classroom(id) ON DELETE CASCADE,
+    started_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    ended_at TIMESTAMPTZ
+);
+
+CREATE UNIQUE INDEX staff_duty_open_user_idx
+    ON staff_duty (user_id) WHERE ended_at IS NULL;
+
+-- rácios legais criança/adulto por faixa etária (meses, max exclusivo);
+-- daycare_id NULL = regras por omissão para daycares sem regras próprias
+CREATE TABLE ratio_rule (
+    id SERIAL PRIMARY KEY,
+    daycare_id INT REFERENCES daycare(id) ON DELETE CASCADE,
+    min_age_months INT NOT NULL CHECK (min_age_months >= 0),
+    max_age_months INT,
+    children_per_staff INT NOT NULL CHECK (children_per_staff > 0)
+);
+
+-- funcionários do daycare; user_id liga a ficha à conta de login (opcional)
+CREATE TABLE staff (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    role VARCHAR(50) NOT NULL,
+    phone VARCHAR(20),
+    email VARCHAR(100),
+    daycare_id INT NOT NULL REFERENCES daycare(id) ON DELETE CASCADE,
+    user_id INT UNIQUE REFERENCES app_user(id) ON DELETE SET NULL
+);
+
+CREATE TABLE staff_certification (
+    id SERIAL PRIMARY KEY,
+    staff_id INT NOT NULL REFERENCES staff(id) ON DELETE CASCADE,
+    name VARCHAR(100) NOT NULL,
+    issued_on DATE,
+    expires_on DATE NOT NULL
+);
+
+CREATE TABLE staff_assignment (
+    id SERIAL PRIMARY KEY,
+    staff_id INT NOT NULL REFERENCES staff(id) ON DELETE CASCADE,
+    classroom_id INT NOT NULL REFERENCES classroom(id) ON DELETE CASCADE,
+    UNIQUE (staff_id, classroom_id)
+);
+
+-- turnos planeados por dia; classroom_id NULL = turno sem sala fixa
+CREATE TABLE staff_shift (
+    id SERIAL PRIMARY KEY,
+    staff_id INT NOT NULL REFERENCES staff(id) ON DELETE CASCADE,
+    classroom_id INT REFERENCES classroom(id) ON DELETE SET NULL,
+    shift_date DATE NOT NULL,
+    start_time TIME NOT NULL,
+    end_time TIME NOT NULL,
+    CHECK (end_time > start_time)
+);
+
+-- inscrição de uma criança numa sala (a tabela enrollment é a ligação pai/criança)
+CREATE TABLE child_enrollment (
+    id SERIAL PRIMARY KEY,
+    child_id INT NOT NULL REFERENCES child(id) ON DELETE CASCADE,
+    daycare_id INT NOT NULL REFERENCES daycare(id) ON DELETE CASCADE,
+    classroom_id INT NOT NULL REFERENCES classroom(id) ON DELETE CASCADE,
+    status VARCHAR(20) NOT NULL DEFAULT 'applied'
+        CHECK (status IN ('applied', 'waitlisted', 'active', 'withdrawn', 'graduated')),
+    applied_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    offered_at TIMESTAMPTZ,
+    start_date DATE,
+    end_date DATE
+);
+
+-- só uma inscrição em curso por criança
+CREATE UNIQUE INDEX child_enrollment_open_child_idx
+    ON child_enrollment (child_id) WHERE status IN ('applied', 'waitlisted', 'active');
+
+CREATE TABLE child_medical (
+    child_id INT PRIMARY KEY REFERENCES child(id) ON DELETE CASCADE,
+    doctor_name VARCHAR(100),
+    doctor_phone VARCHAR(20),
+    notes TEXT
+);
+
+CREATE TABLE child_allergy (
+    id SERIAL PRIMARY KEY,
+    child_id INT NOT NULL REFERENCES child(id) ON DELETE CASCADE,
+    allergen VARCHAR(100) NOT NULL,
+    severity VARCHAR(20) NOT NULL CHECK (severity IN ('mild', 'moderate', 'severe')),
+    reaction VARCHAR(255)
+);
+
+CREATE TABLE child_dietary_restriction (
+    id SERIAL PRIMARY KEY,
+    child_id INT NOT NULL REFERENCES child(id) ON DELETE CASCADE,
+    description VARCHAR(255) NOT NULL
+);
+
+-- schedule_times: horas das tomas no formato HH:MM
+CREATE TABLE child_medication (
+    id SERIAL PRIMARY KEY,
+    child_id INT NOT NULL REFERENCES child(id) ON DELETE CASCADE,
+    name VARCHAR(100) NOT NULL,
+    dosage VARCHAR(100) NOT NULL,
+    schedule_times TEXT[] NOT NULL,
+    start_date DATE NOT NULL,
+    end_date DATE,
+    instructions VARCHAR(255)
+);
+
+-- contactos de emergência além dos pais; priority define a ordem em que se liga
+-- reachable = FALSE quando o contacto deixou de atender (sem o apagar)
+CREATE TABLE emergency_contact (
+    id SERIAL PRIMARY KEY,
+    child_id INT NOT NULL REFERENCES child(id) ON DELETE CASCADE,
+    name VARCHAR(100) NOT NULL,
+    phone VARCHAR(20) NOT NULL,
+    relation VARCHAR(50),
+    availability_notes VARCHAR(255),
+    reachable BOOLEAN NOT NULL DEFAULT TRUE,
+    priority INT NOT NULL
+);
+
+-- relatórios de incidentes/acidentes: submitted → reviewed (diretor) → acknowledged (responsável)
+CREATE TABLE incident_report (
+    id SERIAL PRIMARY KEY,
+    child_id INT NOT NULL REFERENCES child(id) ON DELETE CASCADE,
+    daycare_id INT NOT NULL REFERENCES daycare(id) ON DELETE CASCADE,
+    classroom_id INT REFERENCES classroom(id) ON DELETE SET NULL,
+    staff_id INT REFERENCES staff(id) ON DELETE SET NULL,
+    category VARCHAR(20) NOT NULL CHECK (category IN ('injury', 'illness', 'behaviour', 'other')),
+    occurred_at TIMESTAMPTZ NOT NULL,
+    location VARCHAR(100) NOT NULL,
+    description TEXT NOT NULL,
+    injury_type VARCHAR(100),
+    first_aid_given TEXT,
+    witnesses TEXT,
+    status VARCHAR(20) NOT NULL DEFAULT 'submitted'
+        CHECK (status IN ('submitted', 'reviewed', 'acknowledged')),
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    reviewed_by INT REFERENCES app_user(id) ON DELETE SET NULL,
+    reviewed_at TIMESTAMPTZ,
+    review_notes TEXT,
+    acknowledged_by INT REFERENCES parent(id) ON DELETE SET NULL,
+    acknowledged_at TIMESTAMPTZ
+);
+
+-- registo diário: refeições, sestas, fraldas/bacio, humor e atividades.
+-- entry_time é a hora do registo (início da sesta); end_time só nas sestas
+CREATE TABLE daily_log_entry (
+    id SERIAL PRIMARY KEY,
+    child_id INT NOT NULL REFERENCES child(id) ON DELETE CASCADE,
+    log_date DATE NOT NULL,
+    entry_type VARCHAR(20) NOT NULL
+        CHECK (entry_type IN ('meal', 'nap', 'diaper', 'toilet', 'mood', 'activity')),
+    entry_time TIME NOT NULL,
+    end_time TIME,
+    meal VARCHAR(20) CHECK (meal IN ('breakfast', 'morning_snack', 'lunch', 'afternoon_snack')),
+    amount_eaten VARCHAR(10) CHECK (amount_eaten IN ('none', 'some', 'half', 'most', 'all')),
+    elimination VARCHAR(10) CHECK (elimination IN ('wet', 'dirty', 'dry')),
+    mood VARCHAR(20) CHECK (mood IN ('happy', 'calm', 'tired', 'sad', 'upset', 'unwell')),
+    notes TEXT,
+    recorded_by INT REFERENCES app_user(id) ON DELETE SET NULL,
+    recorded_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX daily_log_entry_child_date_idx ON daily_log_entry (child_id, log_date);
+
+-- nota do educador para o relatório do dia (uma por criança e dia)
+CREATE TABLE daily_note (
+    child_id INT NOT NULL REFERENCES child(id) ON DELETE CASCADE,
+    note_date DATE NOT NULL,
+    note TEXT NOT NULL,
+    written_by INT REFERENCES app_user(id) ON DELETE SET NULL,
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    PRIMARY KEY (child_id, note_date)
+);
+
+-- relatórios do dia gerados no fecho, em HTML e PDF; só voltam a ser gerados
+-- pelo fecho ou a pedido do staff
+CREATE TABLE daily_report (
+    id SERIAL PRIMARY KEY,
+    child_id INT NOT NULL REFERENCES child(id) ON DELETE CASCADE,
+    report_date DATE NOT NULL,
+    html TEXT NOT NULL,
+    pdf BYTEA NOT NULL,
+    generated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    UNIQUE (child_id, report_date)
+);
+
+-- horário semanal do daycare (weekday 0 = domingo … 6 = sábado);
+-- um dia da semana sem linha é um dia em que o daycare está fechado
+CREATE TABLE opening_hours (
+    daycare_id INT NOT NULL REFERENCES daycare(id) ON DELETE CASCADE,
+    weekday INT NOT NULL CHECK (weekday BETWEEN 0 AND 6),
+    opens_at TIME NOT NULL,
+    closes_at TIME NOT NULL,
+    PRIMARY KEY (daycare_id, weekday),
+    CHECK (closes_at > opens_at)
+);
+
+-- feriados, encerramentos e eventos (datas inclusivas); classroom_id NULL =
+-- todo o daycare. Feriados e encerramentos fecham o dia inteiro; só os
+-- eventos podem ter hora de início e fim
+CREATE TABLE calendar_event (
+    id SERIAL PRIMARY KEY,
+    daycare_id INT NOT NULL REFERENCES daycare(id) ON DELETE CASCADE,
+    classroom_id INT REFERENCES classroom(id) ON DELETE CASCADE,
+    event_type VARCHAR(20) NOT NULL CHECK (event_type IN ('holiday', 'closure', 'event')),
+    title VARCHAR(150) NOT NULL,
+    description TEXT,
+    start_date DATE NOT NULL,
+    end_date DATE NOT NULL,
+    start_time TIME,
+    end_time TIME,
+    created_by INT REFERENCES app_user(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    CHECK (end_date >= start_date)
+);
+
+CREATE INDEX calendar_event_daycare_dates_idx
+    ON calendar_event (daycare_id, start_date, end_date);
+
+-- ausência avisada por um responsável (datas inclusivas); enrollment_id é a
+-- ligação responsável/criança usada para a comunicar
+CREATE TABLE absence_notice (
+    id SERIAL PRIMARY KEY,
+    child_id INT NOT NULL REFERENCES child(id) ON DELETE CASCADE,
+    enrollment_id INT REFERENCES enrollment(id) ON DELETE SET NULL,
+    reason VARCHAR(20) NOT NULL CHECK (reason IN ('sick', 'vacation', 'other')),
+    start_date DATE NOT NULL,
+    end_date DATE NOT NULL,
+    symptoms TEXT,
+    notes TEXT,
+    reported_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    CHECK (end_date >= start_date)
+);
+
+CREATE INDEX absence_notice_child_dates_idx
+    ON absence_notice (child_id, start_date, end_date);
+
+-- calendário de vacinação: dose n de cada vacina, devida aos due_age_months
+-- meses de idade; daycare_id NULL = calendário por omissão para daycares sem
+-- calendário próprio
+CREATE TABLE vaccine_schedule (
+    id SERIAL PRIMARY KEY,
+    daycare_id INT REFERENCES daycare(id) ON DELETE CASCADE,
+    vaccine VARCHAR(50) NOT NULL,
+    dose_number INT NOT NULL CHECK (dose_number > 0),
+    due_age_months INT NOT NULL CHECK (due_age_months >= 0)
+);
+
+-- dias de tolerância depois da data devida antes de uma dose contar como em
+-- atraso (sem linha = valor por omissão da API)
+CREATE TABLE immunization_policy (
+    daycare_id INT PRIMARY KEY REFERENCES daycare(id) ON DELETE CASCADE,
+    grace_days INT NOT NULL CHECK (grace_days >= 0)
+);
+
+-- doses administradas, com a referência do comprovativo (boletim, declaração)
+CREATE TABLE immunization_record (
+    id SERIAL PRIMARY KEY,
+    child_id INT NOT NULL REFERENCES child(id) ON DELETE CASCADE,
+    vaccine VARCHAR(50) NOT NULL,
+    dose_number INT NOT NULL CHECK (dose_number > 0),
+    administered_on DATE NOT NULL,
+    document_reference VARCHAR(255),
+    recorded_by INT REFERENCES app_user(id) ON DELETE SET NULL,
+    recorded_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    UNIQUE (child_id, vaccine, dose_number)
+);
+
+-- isenções de vacinação; vaccine NULL = todas as vacinas, valid_until NULL = sem fim
+CREATE TABLE immunization_exemption (
+    id SERIAL PRIMARY KEY,
+    child_id INT NOT NULL REFERENCES child(id) ON DELETE CASCADE,
+    vaccine VARCHAR(50),
+    exemption_type VARCHAR(20) NOT NULL
+        CHECK (exemption_type IN ('medical', 'religious', 'personal')),
+    notes TEXT,
+    document_reference VARCHAR(255),
+    valid_until DATE,
+    recorded_by INT REFERENCES app_user(id) ON DELETE SET NULL,
+    recorded_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- conversas entre o staff e os responsáveis de uma criança (conversation) e
+-- avisos para os responsáveis de todas as crianças de uma sala (announcement)
+CREATE TABLE message_thread (
+    id SERIAL PRIMARY KEY,
+    daycare_id INT NOT NULL REFERENCES daycare(id) ON DELETE CASCADE,
+    kind VARCHAR(20) NOT NULL CHECK (kind IN ('conversation', 'announcement')),
+    child_id INT REFERENCES child(id) ON DELETE CASCADE,
+    classroom_id INT REFERENCES classroom(id) ON DELETE CASCADE,
+    subject VARCHAR(200) NOT NULL,
+    created_by INT REFERENCES app_user(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    CHECK (
+        (kind = 'conversation' AND child_id IS NOT NULL AND classroom_id IS NULL)
+        OR (kind = 'announcement' AND classroom_id IS NOT NULL AND child_id IS NULL)
+    )
+);
+
+CREATE TABLE message (
+    id SERIAL PRIMARY KEY,
+    thread_id INT NOT NULL REFERENCES message_thread(id) ON DELETE CASCADE,
+    sender_id INT REFERENCES app_user(id) ON DELETE SET NULL,
+    body TEXT NOT NULL,
+    sent_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- só os metadados; o ficheiro fica guardado fora da base de dados (url)
+CREATE TABLE message_attachment (
+    id SERIAL PRIMARY KEY,
+    message_id INT NOT NULL REFERENCES message(id) ON DELETE CASCADE,
+    file_name VARCHAR(255) NOT NULL,
+    content_type VARCHAR(100),
+    size_bytes INT CHECK (size_bytes >= 0),
+    url VARCHAR(500) NOT NULL
+);
+
+-- destinatários de cada mensagem, fixados no envio; read_at NULL = por ler
+CREATE TABLE message_recipient (
+    message_id INT NOT NULL REFERENCES message(id) ON DELETE CASCADE,
+    user_id INT NOT NULL REFERENCES app_user(id) ON DELETE CASCADE,
+    read_at TIMESTAMPTZ,
+    PRIMARY KEY (message_id, user_id)
+);
+
+CREATE INDEX message_recipient_unread_idx
+    ON message_recipient (user_id) WHERE read_at IS NULL;
+
+-- canais escolhidos por um pai para cada tipo de notificação; sem linha valem
+-- as preferências de contacto das ligações (enrollment.notify_email/notify_sms)
+CREATE TABLE notification_preference (
+    parent_id INT NOT NULL REFERENCES parent(id) ON DELETE CASCADE,
+    event_type VARCHAR(30) NOT NULL
+        CHECK (event_type IN ('incident_reported', 'invoice_issued', 'child_checked_out')),
+    email BOOLEAN NOT NULL,
+    sms BOOLEAN NOT NULL,
+    PRIMARY KEY (parent_id, event_type)
+);
+
+-- outbox: uma linha por pai e canal, gravada na mesma transação do evento e
+-- enviada depois pelo worker (pending → sent, ou failed ao fim das tentativas)
+CREATE TABLE notification_outbox (
+    id SERIAL PRIMARY KEY,
+    daycare_id INT REFERENCES daycare(id) ON DELETE CASCADE,
+    parent_id INT REFERENCES parent(id) ON DELETE CASCADE,
+    event_type VARCHAR(30) NOT NULL,
+    event_id INT NOT NULL,
+    channel VARCHAR(10) NOT NULL CHECK (channel IN ('email', 'sms')),
+    recipient VARCHAR(150) NOT NULL,
+    subject VARCHAR(200) NOT NULL,
+    body TEXT NOT NULL,
+    status VARCHAR(10) NOT NULL DEFAULT 'pending'
+        CHECK (status IN ('pending', 'sent', 'failed')),
+    attempts INT NOT NULL DEFAULT 0,
+    next_attempt_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    last_error TEXT,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    sent_at TIMESTAMPTZ
+);
+
+CREATE INDEX notification_outbox_pending_idx
+    ON notification_outbox (next_attempt_at) WHERE status = 'pending';
+
+-- sistemas externos que recebem eventos por webhook; não estão ligados a um
+-- daycare para continuarem a receber daycare.deleted
+CREATE TABLE webhook_subscription (
+    id SERIAL PRIMARY KEY,
+    url VARCHAR(500) NOT NULL,
+    secret VARCHAR(100) NOT NULL,
+    event_types TEXT[] NOT NULL,
+    description VARCHAR(255),
+    active BOOLEAN NOT NULL DEFAULT TRUE,
+    created_by INT REFERENCES app_user(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- registo de entregas: uma linha por evento e subscrição, gravada na
+-- transação do evento; uma reentrega é uma linha nova com o mesmo event_id
+CREATE TABLE webhook_delivery (
+    id SERIAL PRIMARY KEY,
+    subscription_id INT NOT NULL REFERENCES webhook_subscription(id) ON DELETE CASCADE,
+    event_id UUID NOT NULL,
+    event_type VARCHAR(50) NOT NULL,
+    payload JSONB NOT NULL,
+    status VARCHAR(10) NOT NULL DEFAULT 'pending'
+        CHECK (status IN ('pending', 'delivered', 'failed')),
+    attempts INT NOT NULL DEFAULT 0,
+    next_attempt_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    response_status INT,
+    last_error TEXT,
+    redelivery_of INT REFERENCES webhook_delivery(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    delivered_at TIMESTAMPTZ
+);
+
+CREATE INDEX webhook_delivery_pending_idx
+    ON webhook_delivery (next_attempt_at) WHERE status = 'pending';
+
+CREATE INDEX webhook_delivery_subscription_idx
+    ON webhook_delivery (subscription_id, id);
+
+-- eventos do stream de presenças (/presence_stream); o id é o id do evento
+-- SSE e serve para repor os eventos perdidos quando o cliente volta a ligar.
+-- Só se guardam as últimas horas (PRESENCE_RETENTION_HOURS)
+CREATE TABLE presence_event (
+    id SERIAL PRIMARY KEY,
+    daycare_id INT NOT NULL REFERENCES daycare(id) ON DELETE CASCADE,
+    event_type VARCHAR(30) NOT NULL
+        CHECK (event_type IN ('checked_in', 'checked_out', 'classroom_changed', 'incident_reported')),
+    data JSONB NOT NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX presence_event_daycare_idx ON presence_event (daycare_id, id);
+
+-- mensalidades por daycare; todos os valores em cêntimos (inteiros)
+-- sibling_discount_percent aplica-se a cada irmão além do primeiro
+CREATE TABLE tuition_plan (
+    id SERIAL PRIMARY KEY,
+    daycare_id INT NOT NULL REFERENCES daycare(id) ON DELETE CASCADE,
+    name VARCHAR(100) NOT NULL,
+    schedule VARCHAR(20) NOT NULL CHECK (schedule IN ('full_time', 'part_time')),
+    monthly_rate_cents INT NOT NULL CHECK (monthly_rate_cents >= 0),
+    sibling_discount_percent INT NOT NULL DEFAULT 0
+        CHECK (sibling_discount_percent BETWEEN 0 AND 100)
+);
+
+-- plano de mensalidade de cada criança
+CREATE TABLE child_tuition (
+    child_id INT PRIMARY KEY REFERENCES child(id) ON DELETE CASCADE,
+    plan_id INT NOT NULL REFERENCES tuition_plan(id) ON DELETE RESTRICT
+);
+
+-- uma fatura por responsável, daycare e mês (period = primeiro dia do mês)
+CREATE TABLE invoice (
+    id SERIAL PRIMARY KEY,
+    parent_id INT NOT NULL REFERENCES parent(id) ON DELETE CASCADE,
+    daycare_id INT NOT NULL REFERENCES daycare(id) ON DELETE CASCADE,
+    period DATE NOT NULL,
+    issue_date DATE NOT NULL DEFAULT CURRENT_DATE,
+    due_date DATE NOT NULL,
+    total_cents INT NOT NULL DEFAULT 0,
+    status VARCHAR(10) NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'paid', 'void')),
+    UNIQUE (parent_id, daycare_id, period)
+);
+
+-- regras de faturação por daycare, avaliadas sobre as presenças do mês:
+--   late_pickup    → closing_time, grace_minutes, fee_cents_per_minute
+--   absence_credit → min_absence_days (dias de escola seguidos), credit_percent
+CREATE TABLE billing_rule (
+    id SERIAL PRIMARY KEY,
+    daycare_id INT NOT NULL REFERENCES daycare(id) ON DELETE CASCADE,
+    rule_type VARCHAR(20) NOT NULL CHECK (rule_type IN ('late_pickup', 'absence_credit')),
+    closing_time TIME,
+    grace_minutes INT NOT NULL DEFAULT 0 CHECK (grace_minutes >= 0),
+    fee_cents_per_minute INT,
+    min_absence_days INT,
+    credit_percent INT,
+    active BOOLEAN NOT NULL DEFAULT TRUE
+);
+
+-- linhas da fatura; os descontos têm valor negativo
+-- billing_rule_id identifica os ajustes gerados pelas regras (refeitos a cada aplicação)
+CREATE TABLE invoice_line (
+    id SERIAL PRIMARY KEY,
+    invoice_id INT NOT NULL REFERENCES invoice(id) ON DELETE CASCADE,
+    child_id INT REFERENCES child(id) ON DELETE SET NULL,
+    description VARCHAR(255) NOT NULL,
+    amount_cents INT NOT NULL,
+    billing_rule_id INT REFERENCES billing_rule(id) ON DELETE SET NULL,
+    explanation TEXT
+);
+
+CREATE TABLE payment (
+    id SERIAL PRIMARY KEY,
+    invoice_id INT NOT NULL REFERENCES invoice(id) ON DELETE RESTRICT,
+    amount_cents INT NOT NULL CHECK (amount_cents > 0),
+    paid_on DATE NOT NULL,
+    method VARCHAR(20) NOT NULL
+        CHECK (method IN ('cash', 'card', 'bank_transfer', 'direct_debit')),
+    reference VARCHAR(100),
+    recorded_by INT REFERENCES app_user(id) ON DELETE SET NULL,
+    recorded_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
 -- ========================================
 -- 1️⃣  Insert data into daycare
 -- ========================================
@@ -44,22 +617,22 @@ VALUES
 -- ========================================
 -- 2️⃣  Insert data into classroom
 -- ========================================
-INSERT INTO classroom (name, daycare_id)
+INSERT INTO classroom (name, daycare_id, capacity)
 VALUES
-('Blue Butterflies', 1),
-('Red Rockets', 1),
-('Green Giraffes', 2),
-('Yellow Lions', 2);
+('Blue Butterflies', 1, 12),
+('Red Rockets', 1, 15),
+('Green Giraffes', 2, 12),
+('Yellow Lions', 2, 15);
 
 -- ========================================
 -- 3️⃣  Insert data into parents
 -- ========================================
-INSERT INTO parent (name, phone, email)
+INSERT INTO parent (name, phone, email, daycare_id)
 VALUES
-('Alice Johnson', '555-123-4567', 'alice.johnson@email.com'),
-('Brian Smith', '555-234-5678', 'brian.smith@email.com'),
-('Catherine Lee', '555-345-6789', 'catherine.lee@email.com'),
-('David Brown', '555-456-7890', 'david.brown@email.com');
+('Alice Johnson', '555-123-4567', 'alice.johnson@email.com', 1),
+('Brian Smith', '555-234-5678', 'brian.smith@email.com', 1),
+('Catherine Lee', '555-345-6789', 'catherine.lee@email.com', 2),
+('David Brown', '555-456-7890', 'david.brown@email.com', 2);
 
 -- ========================================
 -- 4️⃣  Insert data into children
@@ -75,10 +648,204 @@ VALUES
 -- ========================================
 -- 5️⃣  Insert data into enrollment (linking parents and children)
 -- ========================================
-INSERT INTO enrollment (child_id, parent_id)
+INSERT INTO enrollment (child_id, parent_id, relation, is_primary_contact)
+VALUES
+(1, 1, 'mother', TRUE),  -- Emily Johnson → Alice Johnson
+(2, 2, 'father', TRUE),  -- Liam Smith → Brian Smith
+(3, 3, 'mother', TRUE),  -- Olivia Lee → Catherine Lee
+(4, 4, 'father', TRUE),  -- Noah Brown → David Brown
+(5, 2, 'father', TRUE);  -- Sophia Smith → Brian Smith (same parent as Liam)
+
+-- ========================================
+-- 6️⃣  app_user: sem contas pré-definidas. O primeiro super admin é criado
+--     pela API no arranque a partir de ADMIN_EMAIL e ADMIN_PASSWORD
+-- ========================================
+
+-- ========================================
+-- 7️⃣  Insert default ratio rules (children per staff member)
+-- ========================================
+INSERT INTO ratio_rule (daycare_id, min_age_months, max_age_months, children_per_staff)
+VALUES
+(NULL, 0, 12, 4),
+(NULL, 12, 24, 6),
+(NULL, 24, 36, 8),
+(NULL, 36, NULL, 10);
+
+-- ========================================
+-- 8️⃣  Insert data into staff, certifications and classroom assignments
+-- ========================================
+INSERT INTO staff (name, role, phone, email, daycare_id)
+VALUES
+('Helen Carter', 'Director', '555-111-2222', 'helen.carter@happykids.com', 1),
+('Mark Davis', 'Lead teacher', '555-222-3333', 'mark.davis@happykids.com', 1),
+('Sara Miller', 'Assistant teacher', '555-333-4444', 'sara.miller@littlestars.com', 2),
+('Paul Wilson', 'Lead teacher', '555-444-5555', 'paul.wilson@littlestars.com', 2);
+
+INSERT INTO staff_certification (staff_id, name, issued_on, expires_on)
+VALUES
+(1, 'Pediatric First Aid', '2024-01-15', '2027-01-15'),
+(2, 'Pediatric First Aid', '2023-11-05', '2026-11-05'),
+(2, 'Early Childhood Education', '2018-09-01', '2028-09-01'),
+(3, 'Pediatric First Aid', '2024-03-10', '2027-03-10'),
+(4, 'CPR', '2024-11-20', '2026-11-20');
+
+INSERT INTO staff_assignment (staff_id, classroom_id)
+VALUES
+(2, 1),
+(2, 2),
+(3, 3),
+(4, 4);
+
+-- ========================================
+-- 9️⃣  Insert data into child_enrollment (children already attending)
+-- ========================================
+INSERT INTO child_enrollment (child_id, daycare_id, classroom_id, status, start_date)
+VALUES
+(1, 1, 1, 'active', '2024-09-02'),
+(2, 1, 2, 'active', '2023-09-04'),
+(3, 2, 3, 'active', '2024-09-02'),
+(4, 2, 4, 'active', '2024-01-08'),
+(5, 1, 2, 'active', '2025-01-06');
+
+-- ========================================
+-- 🔟  Insert data into emergency_contact (in priority order per child)
+-- ========================================
+INSERT INTO emergency_contact (child_id, name, phone, relation, availability_notes, priority)
+VALUES
+(1, 'Margaret Johnson', '555-987-1111', 'Grandmother', 'Available all day', 1),
+(1, 'Tom Johnson', '555-987-2222', 'Uncle', 'Only after 17:00', 2),
+(2, 'Rachel Smith', '555-987-3333', 'Aunt', NULL, 1),
+(3, 'Kevin Lee', '555-987-4444', 'Grandfather', 'Lives 5 minutes away', 1),
+(4, 'Laura Brown', '555-987-5555', 'Grandmother', NULL, 1),
+(5, 'Rachel Smith', '555-987-3333', 'Aunt', NULL, 1);
+
+-- ========================================
+-- 1️⃣1️⃣  Insert data into tuition_plan and child_tuition (amounts in cents)
+-- ========================================
+INSERT INTO tuition_plan (daycare_id, name, schedule, monthly_rate_cents, sibling_discount_percent)
+VALUES
+(1, 'Full time', 'full_time', 45000, 10),
+(1, 'Part time (mornings)', 'part_time', 28000, 10),
+(2, 'Full time', 'full_time', 52000, 15),
+(2, 'Part time', 'part_time', 31000, 15);
+
+INSERT INTO child_tuition (child_id, plan_id)
+VALUES
+(1, 1),  -- Emily Johnson
+(2, 1),  -- Liam Smith
+(3, 3),  -- Olivia Lee
+(4, 4),  -- Noah Brown
+(5, 2);  -- Sophia Smith (sibling of Liam, gets the sibling discount)
+
+-- ========================================
+-- 1️⃣2️⃣  Insert data into billing_rule (amounts in cents)
+-- ========================================
+INSERT INTO billing_rule (daycare_id, rule_type, closing_time, grace_minutes, fee_cents_per_minute)
+VALUES
+(1, 'late_pickup', '18:00', 5, 100),
+(2, 'late_pickup', '18:30', 10, 150);
+
+INSERT INTO billing_rule (daycare_id, rule_type, min_absence_days, credit_percent)
+VALUES
+(1, 'absence_credit', 5, 50),
+(2, 'absence_credit', 10, 50);
+
+-- ========================================
+-- 1️⃣3️⃣  Insert data into opening_hours and calendar_event
+-- ========================================
+INSERT INTO opening_hours (daycare_id, weekday, opens_at, closes_at)
+VALUES
+(1, 1, '07:30', '18:00'),
+(1, 2, '07:30', '18:00'),
+(1, 3, '07:30', '18:00'),
+(1, 4, '07:30', '18:00'),
+(1, 5, '07:30', '18:00'),
+(2, 1, '08:00', '18:30'),
+(2, 2, '08:00', '18:30'),
+(2, 3, '08:00', '18:30'),
+(2, 4, '08:00', '18:30'),
+(2, 5, '08:00', '18:30');
+
+INSERT INTO calendar_event (daycare_id, classroom_id, event_type, title, description, start_date, end_date, start_time, end_time)
+VALUES
+(1, NULL, 'holiday', 'Christmas holidays', NULL, '2026-12-24', '2027-01-01', NULL, NULL),
+(1, NULL, 'closure', 'Staff training day', 'The daycare is closed for staff training.', '2026-11-13', '2026-11-13', NULL, NULL),
+(1, 2, 'event', 'Autumn party', 'Parents are welcome from 16:00.', '2026-11-20', '2026-11-20', '16:00', '17:30'),
+(2, NULL, 'holiday', 'Christmas holidays', NULL, '2026-12-24', '2026-12-31', NULL, NULL),
+(2, 4, 'closure', 'Yellow Lions room repainting', 'Children of the Yellow Lions are welcome in the Green Giraffes room.', '2026-11-02', '2026-11-03', NULL, NULL);
+
+-- ========================================
+-- 1️⃣4️⃣  Insert data into absence_notice
+-- ========================================
+INSERT INTO absence_notice (child_id, enrollment_id, reason, start_date, end_date, symptoms, notes)
+VALUES
+(3, 3, 'sick', '2026-10-12', '2026-10-14', 'Fever and cough', 'Seen by the paediatrician on Monday.'),
+(1, 1, 'vacation', '2026-12-21', '2026-12-23', NULL, 'Visiting grandparents before the holidays.');
+
+-- ========================================
+-- 1️⃣5️⃣  Insert default vaccine schedule, immunization records and exemptions
+-- ========================================
+INSERT INTO vaccine_schedule (daycare_id, vaccine, dose_number, due_age_months)
+VALUES
+(NULL, 'Hepatitis B', 1, 0),
+(NULL, 'Hepatitis B', 2, 1),
+(NULL, 'Hepatitis B', 3, 6),
+(NULL, 'DTaP', 1, 2),
+(NULL, 'DTaP', 2, 4),
+(NULL, 'DTaP', 3, 6),
+(NULL, 'DTaP', 4, 15),
+(NULL, 'DTaP', 5, 48),
+(NULL, 'Polio', 1, 2),
+(NULL, 'Polio', 2, 4),
+(NULL, 'Polio', 3, 6),
+(NULL, 'Polio', 4, 48),
+(NULL, 'Hib', 1, 2),
+(NULL, 'Hib', 2, 4),
+(NULL, 'Hib', 3, 12),
+(NULL, 'MMR', 1, 12),
+(NULL, 'MMR', 2, 48),
+(NULL, 'Varicella', 1, 12),
+(NULL, 'Varicella', 2, 48);
+
+-- Emily e Liam com o calendário completo; Olivia sem as doses dos 4 anos;
+-- Noah sem MMR (isenção médica); Sophia sem a 3.ª dose da Hib
+INSERT INTO immunization_record (child_id, vaccine, dose_number, administered_on, document_reference)
+SELECT c.id, s.vaccine, s.dose_number,
+       (c.date_of_birth + s.due_age_months * INTERVAL '1 month')::date,
+       'Vaccination booklet'
+FROM child c
+JOIN vaccine_schedule s ON s.daycare_id IS NULL
+WHERE c.id IN (1, 2)
+   OR (c.id = 3 AND s.due_age_months < 48)
+   OR (c.id = 4 AND s.vaccine <> 'MMR')
+   OR (c.id = 5 AND NOT (s.vaccine = 'Hib' AND s.dose_number = 3));
+
+INSERT INTO immunization_exemption (child_id, vaccine, exemption_type, notes, document_reference)
+VALUES
+(4, 'MMR', 'medical', 'Egg allergy, postponed on medical advice.', 'Medical certificate 2021-118');
+
+-- ========================================
+-- 1️⃣6️⃣  Insert message threads and messages
+-- ========================================
+-- sem contas pré-definidas, as mensagens de exemplo não têm autor
+INSERT INTO message_thread (daycare_id, kind, child_id, classroom_id, subject, created_by)
+VALUES
+(1, 'announcement', NULL, 1, 'Pumpkin carving on Friday', NULL),
+(1, 'conversation', 2, NULL, 'Spare clothes for Liam', NULL);
+
+INSERT INTO message (thread_id, sender_id, body)
+VALUES
+(1, NULL, 'On Friday we will carve pumpkins in the garden. Please send a smock and warm clothes.'),
+(2, NULL, 'Liam used his spare clothes today, could you bring a new set tomorrow?');
+
+INSERT INTO message_attachment (message_id, file_name, content_type, size_bytes, url)
+VALUES
+(1, 'pumpkin-day.pdf', 'application/pdf', 182044, 'https://files.playsafe.com/daycare-1/pumpkin-day.pdf');
+
+-- ========================================
+-- 1️⃣7️⃣  Insert notification preferences
+-- ========================================
+-- Brian prefere saber por SMS quando os filhos saem
+INSERT INTO notification_preference (parent_id, event_type, email, sms)
 VALUES
-(1, 1),  -- Emily Johnson → Alice Johnson
-(2, 2),  -- Liam Smith → Brian Smith
-(3, 3),  -- Olivia Lee → Catherine Lee
-(4, 4),  -- Noah Brown → David Brown
-(5, 2);  -- Sophia Smith → Brian Smith (same parent as Liam)
+(2, 'child_checked_out', FALSE, TRUE);
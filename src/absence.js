@@ -0,0 +1,985 @@
+const pool = require("./db");
+const { authorize, ROLES, STAFF_ROLES } = require("./auth");
+const { daycareScope, childScope } = require("./tenant");
+const { parseListQuery, pageInfo } = require("./pagination");
+const {
+  isValidDate,
+  isValidTime,
+  formatDate,
+  formatTime,
+} = require("./validation");
+const { calendarDays } = require("./calendar");
+
+const REASONS = ["sick", "vacation", "other"];
+
+// hora a partir da qual uma criança esperada e sem aviso é uma falta por explicar
+const NO_SHOW_CUTOFF = "10:00";
+
+// filtros e ordenação aceites por /get_absence_notices; from/to devolvem os
+// avisos que se sobrepõem ao intervalo
+const NOTICE_LIST = {
+  filters: {
+    child_id: { column: "child_id", type: "id" },
+    reason: { column: "reason", type: "text" },
+    from: { column: "end_date", op: ">=", type: "date" },
+    to: { column: "start_date", op: "<=", type: "date" },
+  },
+  sort: ["id", "start_date", "reported_at"],
+};
+
+// Valida os campos de um aviso (os omitidos mantêm o valor de current);
+// devolve { error } ou { fields }
+function noticeFields(body, current = {}) {
+  const fields = {};
+  for (const field of ["reason", "start_date", "end_date", "symptoms", "notes"]) {
+    fields[field] = body[field] === undefined ? current[field] : body[field];
+  }
+  for (const field of ["start_date", "end_date"]) {
+    if (fields[field] instanceof Date) fields[field] = formatDate(fields[field]);
+  }
+  fields.end_date = fields.end_date || fields.start_date;
+
+  if (!REASONS.includes(fields.reason)) {
+    return { error: `reason must be one of: ${REASONS.join(", ")}` };
+  }
+  if (!isValidDate(fields.start_date) || !isValidDate(fields.end_date)) {
+    return {
+      error: "start_date and end_date must be dates in the format YYYY-MM-DD",
+    };
+  }
+  if (fields.end_date < fields.start_date) {
+    return { error: "end_date can't be before start_date" };
+  }
+  // num aviso já começado só se pode mudar o fim; um início novo não pode ser no passado
+  const today = formatDate(new Date());
+  const currentStart =
+    current.start_date instanceof Date
+      ? formatDate(current.start_date)
+      : current.start_date;
+  if (
+    fields.end_date < today ||
+    (fields.start_date !== currentStart && fields.start_date < today)
+  ) {
+    return { error: "Absences can only be reported for today or later" };
+  }
+  if (fields.reason !== "sick") fields.symptoms = null;
+
+  return { fields };
+}
+
+// Ligação do responsável com sessão à criança (só estes podem avisar)
+async function findGuardianLink(user, childId) {
+  if (user.role !== "parent") return undefined;
+  const result = await pool.query(
+    "SELECT id FROM enrollment WHERE child_id = $1 AND parent_id = $2",
+    [childId, user.parent_id]
+  );
+  return result.rows[0];
+}
+
+async function findNotice(user, id) {
+  const params = [id];
+  const result = await pool.query(
+    `SELECT * FROM absence_notice
+     WHERE id = $1 AND ${childScope(user, "child_id", params)}`,
+    params
+  );
+  return result.rows[0];
+}
+
+// Outro aviso da mesma criança que se sobreponha às datas
+async function overlappingNotice(childId, startDate, endDate, exceptId = 0) {
+  const result = await pool.query(
+    `SELECT id FROM absence_notice
+     WHERE child_id = $1 AND start_date <= $3 AND end_date >= $2 AND id <> $4`,
+    [childId, startDate, endDate, exceptId]
+  );
+  return result.rows[0];
+}
+
+// Já passou a hora de corte neste dia? (dias anteriores a hoje: sempre)
+function cutoffPassed(date, cutoff) {
+  const today = formatDate(new Date());
+  return date < today || (date === today && formatTime(new Date()) >= cutoff);
+}
+
+// Situação de cada criança inscrita (ativa) do daycare num dia:
+//   present / picked_up  → fez check-in nesse dia
+//   excused_absent       → ausência avisada por um responsável
+//   closed               → o daycare ou a sala estão fechados
+//   no_show              → esperada, sem aviso e já passou a hora de corte
+//   expected             → esperada, ainda antes da hora de corte
+async function rollCall(daycareId, date, { classroomId = null, cutoff = NO_SHOW_CUTOFF } = {}) {
+  const params = [daycareId, date];
+  let where = "c.daycare_id = $1 AND (ce.start_date IS NULL OR ce.start_date <= $2)";
+  if (classroomId !== null) {
+    params.push(classroomId);
+    where += ` AND c.classroom_id = $${params.length}`;
+  }
+
+  const children = await pool.query(
+    `SELECT c.id AS child_id, c.name, c.classroom_id, cl.name AS classroom_name
+     FROM child c
+     JOIN child_enrollment ce ON ce.child_id = c.id AND ce.status = 'active'
+     LEFT JOIN classroom cl ON cl.id = c.classroom_id
+     WHERE ${where}
+     ORDER BY cl.name ASC, c.name ASC`,
+    params
+  );
+  const childIds = children.rows.map((child) => child.child_id);
+
+  const visits = await pool.query(
+    `SELECT id, child_id, check_in_at, check_out_at FROM attendance
+     WHERE child_id = ANY($1::int[]) AND check_in_at::date = $2
+     ORDER BY check_in_at ASC`,
+    [childIds, date]
+  );
+  const notices = await pool.query(
+    `SELECT id, child_id, reason, start_date, end_date FROM absence_notice
+     WHERE child_id = ANY($1::int[]) AND start_date <= $2 AND end_date >= $2`,
+    [childIds, date]
+  );
+
+  // abertura por sala (os encerramentos podem ser só de uma sala)
+  const openByClassroom = new Map();
+  for (const child of children.rows) {
+    if (!openByClassroom.has(child.classroom_id)) {
+      const [day] = await calendarDays(daycareId, date, date, child.classroom_id);
+      openByClassroom.set(child.classroom_id, day);
+    }
+  }
+
+  const passed = cutoffPassed(date, cutoff);
+  return children.rows.map((child) => {
+    const visit = visits.rows.filter((row) => row.child_id === child.child_id).pop();
+    const notice = notices.rows.find((row) => row.child_id === child.child_id);
+    const day = openByClassroom.get(child.classroom_id);
+
+    let status;
+    if (visit) status = visit.check_out_at ? "picked_up" : "present";
+    else if (notice) status = "excused_absent";
+    else if (!day.open) status = "closed";
+    else status = passed ? "no_show" : "expected";
+
+    return {
+      ...child,
+      status,
+      attendance_id: visit ? visit.id : null,
+      check_in_at: visit ? visit.check_in_at : null,
+      check_out_at: visit ? visit.check_out_at : null,
+      absence_notice_id: notice ? notice.id : null,
+      absence_reason: notice ? notice.reason : null,
+    };
+  });
+}
+
+// Dias de escola de uma criança, entre duas datas, em que não veio:
+// excused_absent (com o aviso) ou no_show. Só contam os dias em que estava
+// inscrita, do início da inscrição até à saída (end_date, inclusive); sem
+// inscrição ativa ou terminada não há faltas. Hoje só conta depois da hora de corte.
+async function childAbsences(child, from, to) {
+  const today = formatDate(new Date());
+  const last = to < today ? to : today;
+  if (!child.daycare_id || from > last) return [];
+
+  const enrollments = await pool.query(
+    `SELECT start_date, end_date FROM child_enrollment
+     WHERE child_id = $1 AND status IN ('active', 'withdrawn', 'graduated')
+       AND start_date IS NOT NULL AND start_date <= $3
+       AND (end_date IS NULL OR end_date >= $2)`,
+    [child.id, from, last]
+  );
+  const periods = enrollments.rows.map((row) => ({
+    start: formatDate(row.start_date),
+    end: row.end_date ? formatDate(row.end_date) : last,
+  }));
+  if (periods.length === 0) return [];
+  const enrolled = (date) =>
+    periods.some((period) => period.start <= date && period.end >= date);
+
+  const first = periods
+    .map((period) => (period.start > from ? period.start : from))
+    .sort()[0];
+  const days = await calendarDays(child.daycare_id, first, last, child.classroom_id);
+  const visits = await pool.query(
+    `SELECT check_in_at FROM attendance
+     WHERE child_id = $1 AND check_in_at::date >= $2 AND check_in_at::date <= $3`,
+    [child.id, first, last]
+  );
+  const notices = await pool.query(
+    `SELECT id, reason, start_date, end_date FROM absence_notice
+     WHERE child_id = $1 AND start_date <= $3 AND end_date >= $2`,
+    [child.id, first, last]
+  );
+  const attended = new Set(visits.rows.map((visit) => formatDate(visit.check_in_at)));
+
+  return days
+    .filter(
+      (day) =>
+        day.open &&
+        enrolled(day.date) &&
+        !attended.has(day.date) &&
+        cutoffPassed(day.date, NO_SHOW_CUTOFF)
+    )
+    .map((day) => {
+      const notice = notices.rows.find(
+        (row) =>
+          formatDate(row.start_date) <= day.date && formatDate(row.end_date) >= day.date
+      );
+      return {
+        date: day.date,
+        status: notice ? "excused_absent" : "no_show",
+        absence_notice_id: notice ? notice.id : null,
+        absence_reason: notice ? notice.reason : null,
+      };
+    })
+    .reverse();
+}
+
+function setupAbsences(app) {
+  /**
+   * @swagger
+   * /get_absence_notices:
+   *   get:
+   *     summary: Get absence notices
+   *     tags:
+   *       - Absence
+   *     description: Lists the absences reported by guardians. Parents only see the notices of their children.
+   *     parameters:
+   *       - $ref: '#/components/parameters/limit'
+   *       - $ref: '#/components/parameters/offset'
+   *       - in: query
+   *         name: sort
+   *         required: false
+   *         description: "Sort field, prefixed with - for descending order. One of: id, start_date, reported_at"
+   *         schema:
+   *           type: string
+   *           example: "-start_date"
+   *       - in: query
+   *         name: child_id
+   *         required: false
+   *         schema:
+   *           type: integer
+   *           example: 3
+   *       - in: query
+   *         name: reason
+   *         required: false
+   *         schema:
+   *           type: string
+   *           enum: [sick, vacation, other]
+   *       - in: query
+   *         name: from
+   *         required: false
+   *         description: Notices ending on or after this date
+   *         schema:
+   *           type: string
+   *           format: date
+   *       - in: query
+   *         name: to
+   *         required: false
+   *         description: Notices starting on or before this date
+   *         schema:
+   *           type: string
+   *           format: date
+   *     responses:
+   *       200:
+   *         description: A page of absence notices
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 notices_count:
+   *                   type: integer
+   *                   example: 1
+   *                 pagination:
+   *                   $ref: '#/components/schemas/Pagination'
+   *                 data:
+   *                   type: array
+   *                   items:
+   *                     type: object
+   *                   example: [{ id: 1, child_id: 3, enrollment_id: 3, reason: "sick", start_date: "2026-10-12", end_date: "2026-10-14", symptoms: "Fever and cough", notes: "Seen by the paediatrician on Monday.", reported_at: "2026-10-12T07:02:00.000Z" }]
+   *       400:
+   *         description: Invalid pagination, sort or filter parameters
+   *       500:
+   *         description: Internal server error
+   */
+  app.get("/get_absence_notices", authorize(...ROLES), async (req, res) => {
+    const params = [];
+    const scope = childScope(req.user, "child_id", params);
+    const list = parseListQuery(req.query, NOTICE_LIST, params);
+
+    if (list.error) {
+      return res.status(400).json({ status: "error", message: list.error });
+    }
+
+    const where = [scope, ...list.conditions].join(" AND ");
+
+    try {
+      const count = await pool.query(
+        `SELECT COUNT(*) AS total FROM absence_notice WHERE ${where}`,
+        params
+      );
+      const data = await pool.query(
+        `SELECT * FROM absence_notice WHERE ${where}
+         ORDER BY ${list.orderBy} LIMIT ${list.limit} OFFSET ${list.offset}`,
+        params
+      );
+      const total = parseInt(count.rows[0].total, 10);
+
+      res.json({
+        notices_count: total,
+        data: data.rows,
+        pagination: pageInfo(req, list, total),
+      });
+    } catch (err) {
+      res.status(500).json({ status: "error", error: err.message });
+    }
+  });
+
+  /**
+   * @swagger
+   * /create_absence_notice:
+   *   post:
+   *     summary: Report that a child will be absent
+   *     tags:
+   *       - Absence
+   *     description: Lets a guardian linked to the child report an absence for today or a future date range. Days covered by a notice show as excused absences instead of no-shows.
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             properties:
+   *               child_id:
+   *                 type: integer
+   *                 example: 3
+   *               reason:
+   *                 type: string
+   *                 enum: [sick, vacation, other]
+   *                 example: sick
+   *               start_date:
+   *                 type: string
+   *                 format: date
+   *                 example: "2026-10-20"
+   *               end_date:
+   *                 type: string
+   *                 format: date
+   *                 description: Last day of the absence, inclusive (default start_date)
+   *                 example: "2026-10-21"
+   *               symptoms:
+   *                 type: string
+   *                 description: Only kept when the reason is sick
+   *                 example: "Fever since last night"
+   *               notes:
+   *                 type: string
+   *                 example: "We'll send a doctor's note."
+   *     responses:
+   *       201:
+   *         description: Absence notice created successfully
+   *       400:
+   *         description: Missing or invalid parameters
+   *       404:
+   *         description: Child not found (or not linked to the guardian)
+   *       409:
+   *         description: An absence is already reported for some of those days
+   *       500:
+   *         description: Internal server error
+   */
+  app.post(
+    "/create_absence_notice",
+    authorize("parent"),
+    async (req, res) => {
+      const { child_id } = req.body;
+      const { error, fields } = noticeFields(req.body);
+
+      if (!child_id) {
+        return res
+          .status(400)
+          .json({ status: "error", message: "child_id is required" });
+      }
+      if (error) {
+        return res.status(400).json({ status: "error", message: error });
+      }
+
+      try {
+        const link = await findGuardianLink(req.user, child_id);
+        if (!link) {
+          return res
+            .status(404)
+            .json({ status: "not_found", message: "Child not found" });
+        }
+        if (await overlappingNotice(child_id, fields.start_date, fields.end_date)) {
+          return res.status(409).json({
+            status: "error",
+            message: "An absence is already reported for some of those days",
+          });
+        }
+
+        const result = await pool.query(
+          `INSERT INTO absence_notice
+             (child_id, enrollment_id, reason, start_date, end_date, symptoms, notes)
+           VALUES ($1, $2, $3, $4, $5, $6, $7)
+           RETURNING *`,
+          [
+            child_id,
+            link.id,
+            fields.reason,
+            fields.start_date,
+            fields.end_date,
+            fields.symptoms || null,
+            fields.notes || null,
+          ]
+        );
+
+        res.status(201).json({
+          status: "success",
+          message: "Absence notice created successfully",
+          created_data: result.rows[0],
+        });
+      } catch (err) {
+        res.status(500).json({ status: "error", error: err.message });
+      }
+    }
+  );
+
+  /**
+   * @swagger
+   * /update_absence_notice/{id}:
+   *   put:
+   *     summary: Update an absence notice
+   *     tags:
+   *       - Absence
+   *     description: Lets a guardian linked to the child change the reason or dates of an absence that hasn't ended yet, e.g. to extend a sickness. Omitted fields keep their current value. A new start_date can't be in the past.
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *           example: 1
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             properties:
+   *               reason:
+   *                 type: string
+   *                 enum: [sick, vacation, other]
+   *               start_date:
+   *                 type: string
+   *                 format: date
+   *               end_date:
+   *                 type: string
+   *                 format: date
+   *                 example: "2026-10-23"
+   *               symptoms:
+   *                 type: string
+   *               notes:
+   *                 type: string
+   *     responses:
+   *       200:
+   *         description: Absence notice updated successfully
+   *       400:
+   *         description: Invalid parameters, a new start_date in the past or the absence is already over
+   *       404:
+   *         description: Absence notice not found
+   *       409:
+   *         description: An absence is already reported for some of those days
+   *       500:
+   *         description: Internal server error
+   */
+  app.put(
+    "/update_absence_notice/:id",
+    authorize("parent"),
+    async (req, res) => {
+      const { id } = req.params;
+
+      try {
+        const current = await findNotice(req.user, id);
+        if (!current) {
+          return res
+            .status(404)
+            .json({ status: "not_found", message: "Absence notice not found" });
+        }
+
+        const { error, fields } = noticeFields(req.body, current);
+        if (error) {
+          return res.status(400).json({ status: "error", message: error });
+        }
+        if (await overlappingNotice(current.child_id, fields.start_date, fields.end_date, id)) {
+          return res.status(409).json({
+            status: "error",
+            message: "An absence is already reported for some of those days",
+          });
+        }
+
+        const result = await pool.query(
+          `UPDATE absence_notice
+           SET reason = $1, start_date = $2, end_date = $3, symptoms = $4, notes = $5
+           WHERE id = $6
+           RETURNING *`,
+          [
+            fields.reason,
+            fields.start_date,
+            fields.end_date,
+            fields.symptoms || null,
+            fields.notes || null,
+            id,
+          ]
+        );
+
+        res.json({
+          status: "success",
+          message: "Absence notice updated successfully",
+          updated_data: result.rows[0],
+        });
+      } catch (err) {
+        res.status(500).json({ status: "error", error: err.message });
+      }
+    }
+  );
+
+  /**
+   * @swagger
+   * /delete_absence_notice/{id}:
+   *   delete:
+   *     summary: Withdraw an absence notice
+   *     tags:
+   *       - Absence
+   *     description: Lets a guardian linked to the child withdraw an absence that hasn't started yet.
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *           example: 2
+   *     responses:
+   *       200:
+   *         description: Absence notice deleted successfully
+   *       404:
+   *         description: Absence notice not found
+   *       409:
+   *         description: The absence has already started
+   *       500:
+   *         description: Internal server error
+   */
+  app.delete(
+    "/delete_absence_notice/:id",
+    authorize("parent"),
+    async (req, res) => {
+      const { id } = req.params;
+
+      try {
+        const notice = await findNotice(req.user, id);
+        if (!notice) {
+          return res
+            .status(404)
+            .json({ status: "not_found", message: "Absence notice not found" });
+        }
+        if (formatDate(notice.start_date) <= formatDate(new Date())) {
+          return res.status(409).json({
+            status: "error",
+            message: "Only absences that haven't started can be withdrawn",
+          });
+        }
+
+        await pool.query("DELETE FROM absence_notice WHERE id = $1", [id]);
+
+        res.json({
+          status: "success",
+          message: "Absence notice deleted successfully",
+        });
+      } catch (err) {
+        res.status(500).json({ status: "error", error: err.message });
+      }
+    }
+  );
+
+  /**
+   * @swagger
+   * /get_classroom_attendance/{id}:
+   *   get:
+   *     summary: Daily attendance of a classroom
+   *     tags:
+   *       - Attendance
+   *     description: |
+   *       Status of every enrolled child of the classroom on a day:
+   *       - present / picked_up: checked in that day
+   *       - excused_absent: a guardian reported the absence
+   *       - no_show: expected, no notice and no check-in by the no-show cutoff (10:00)
+   *       - expected: expected, but it's still before the cutoff
+   *       - closed: the daycare or the classroom is closed that day
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *           example: 1
+   *       - in: query
+   *         name: date
+   *         required: false
+   *         description: Day to check (default today)
+   *         schema:
+   *           type: string
+   *           format: date
+   *           example: "2026-10-13"
+   *     responses:
+   *       200:
+   *         description: Attendance of the classroom
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 date:
+   *                   type: string
+   *                   format: date
+   *                   example: "2026-10-13"
+   *                 totals:
+   *                   type: object
+   *                   example: { present: 9, picked_up: 0, excused_absent: 1, no_show: 1, expected: 0, closed: 0 }
+   *                 data:
+   *                   type: array
+   *                   items:
+   *                     type: object
+   *                   example: [{ child_id: 3, name: "Olivia Lee", classroom_id: 3, classroom_name: "Green Giraffes", status: "excused_absent", attendance_id: null, check_in_at: null, check_out_at: null, absence_notice_id: 1, absence_reason: "sick" }]
+   *       400:
+   *         description: Invalid date
+   *       404:
+   *         description: Classroom not found
+   *       500:
+   *         description: Internal server error
+   */
+  app.get(
+    "/get_classroom_attendance/:id",
+    authorize(...STAFF_ROLES),
+    async (req, res) => {
+      const { id } = req.params;
+      const date = req.query.date || formatDate(new Date());
+
+      if (!isValidDate(date)) {
+        return res.status(400).json({
+          status: "error",
+          message: "date must be a date in the format YYYY-MM-DD",
+        });
+      }
+
+      try {
+        const params = [id];
+        const classroom = await pool.query(
+          `SELECT id, daycare_id FROM classroom
+           WHERE id = $1 AND ${daycareScope(req.user, "daycare_id", params)}`,
+          params
+        );
+        if (classroom.rows.length === 0) {
+          return res
+            .status(404)
+            .json({ status: "not_found", message: "Classroom not found" });
+        }
+
+        const data = await rollCall(classroom.rows[0].daycare_id, date, {
+          classroomId: classroom.rows[0].id,
+        });
+        const totals = {
+          present: 0,
+          picked_up: 0,
+          excused_absent: 0,
+          no_show: 0,
+          expected: 0,
+          closed: 0,
+        };
+        for (const child of data) totals[child.status] += 1;
+
+        res.json({ date, totals, data });
+      } catch (err) {
+        res.status(500).json({ status: "error", error: err.message });
+      }
+    }
+  );
+
+  /**
+   * @swagger
+   * /get_no_shows/{daycare_id}:
+   *   get:
+   *     summary: Unexplained no-shows to follow up
+   *     tags:
+   *       - Absence
+   *     description: Children of the daycare who were expected on the day, have no absence notice and haven't been checked in by the cutoff time (10:00 by default), with their guardians' phone numbers (primary contact first) so staff can call the family. Before the cutoff the list is empty.
+   *     parameters:
+   *       - in: path
+   *         name: daycare_id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *           example: 1
+   *       - in: query
+   *         name: date
+   *         required: false
+   *         description: Day to check (default today, can't be in the future)
+   *         schema:
+   *           type: string
+   *           format: date
+   *       - in: query
+   *         name: cutoff
+   *         required: false
+   *         description: Time after which a missing child counts as a no-show (HH:MM, default 10:00)
+   *         schema:
+   *           type: string
+   *           example: "10:00"
+   *     responses:
+   *       200:
+   *         description: No-shows of the day
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 date:
+   *                   type: string
+   *                   format: date
+   *                   example: "2026-10-19"
+   *                 cutoff:
+   *                   type: string
+   *                   example: "10:00"
+   *                 cutoff_passed:
+   *                   type: boolean
+   *                   example: true
+   *                 no_shows_count:
+   *                   type: integer
+   *                   example: 1
+   *                 data:
+   *                   type: array
+   *                   items:
+   *                     type: object
+   *                   example: [{ child_id: 2, name: "Liam Smith", classroom_id: 2, classroom_name: "Red Rockets", guardians: [{ parent_id: 2, name: "Brian Smith", phone: "555-234-5678", relation: "father", is_primary_contact: true }] }]
+   *       400:
+   *         description: Invalid date or cutoff
+   *       404:
+   *         description: Daycare not found
+   *       500:
+   *         description: Internal server error
+   */
+  app.get(
+    "/get_no_shows/:daycare_id",
+    authorize(...STAFF_ROLES),
+    async (req, res) => {
+      const { daycare_id } = req.params;
+      const date = req.query.date || formatDate(new Date());
+      const cutoff = req.query.cutoff || NO_SHOW_CUTOFF;
+
+      if (!isValidDate(date) || date > formatDate(new Date())) {
+        return res.status(400).json({
+          status: "error",
+          message: "date must be today or a past date in the format YYYY-MM-DD",
+        });
+      }
+      if (!isValidTime(cutoff)) {
+        return res.status(400).json({
+          status: "error",
+          message: "cutoff must be a time in the format HH:MM",
+        });
+      }
+
+      try {
+        const params = [daycare_id];
+        const daycare = await pool.query(
+          `SELECT id FROM daycare
+           WHERE id = $1 AND ${daycareScope(req.user, "id", params)}`,
+          params
+        );
+        if (daycare.rows.length === 0) {
+          return res
+            .status(404)
+            .json({ status: "not_found", message: "Daycare not found" });
+        }
+
+        const noShows = (await rollCall(daycare_id, date, { cutoff })).filter(
+          (child) => child.status === "no_show"
+        );
+        const guardians = await pool.query(
+          `SELECT e.child_id, p.id AS parent_id, p.name, p.phone, e.relation,
+                  e.is_primary_contact
+           FROM enrollment e
+           JOIN parent p ON p.id = e.parent_id
+           WHERE e.child_id = ANY($1::int[])
+           ORDER BY e.is_primary_contact DESC, p.name ASC`,
+          [noShows.map((child) => child.child_id)]
+        );
+
+        const data = noShows.map((child) => ({
+          child_id: child.child_id,
+          name: child.name,
+          classroom_id: child.classroom_id,
+          classroom_name: child.classroom_name,
+          guardians: guardians.rows
+            .filter((row) => row.child_id === child.child_id)
+            .map(({ child_id, ...guardian }) => guardian),
+        }));
+
+        res.json({
+          date,
+          cutoff,
+          cutoff_passed: cutoffPassed(date, cutoff),
+          no_shows_count: data.length,
+          data,
+        });
+      } catch (err) {
+        res.status(500).json({ status: "error", error: err.message });
+      }
+    }
+  );
+
+  /**
+   * @swagger
+   * /get_sickness_report/{daycare_id}:
+   *   get:
+   *     summary: Sickness absences of a daycare
+   *     tags:
+   *       - Absence
+   *     description: Absences reported as sick that overlap the date range (default the current month), with symptoms, a count per classroom and the children who are off sick today. Useful to spot something going around a classroom.
+   *     parameters:
+   *       - in: path
+   *         name: daycare_id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *           example: 2
+   *       - in: query
+   *         name: from
+   *         required: false
+   *         schema:
+   *           type: string
+   *           format: date
+   *           example: "2026-10-01"
+   *       - in: query
+   *         name: to
+   *         required: false
+   *         schema:
+   *           type: string
+   *           format: date
+   *           example: "2026-10-31"
+   *     responses:
+   *       200:
+   *         description: Sickness report
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 from:
+   *                   type: string
+   *                   format: date
+   *                 to:
+   *                   type: string
+   *                   format: date
+   *                 sick_notices_count:
+   *                   type: integer
+   *                   example: 1
+   *                 by_classroom:
+   *                   type: array
+   *                   items:
+   *                     type: object
+   *                   example: [{ classroom_id: 3, classroom_name: "Green Giraffes", sick_notices: 1, children: 1 }]
+   *                 sick_today:
+   *                   type: array
+   *                   items:
+   *                     type: object
+   *                 data:
+   *                   type: array
+   *                   items:
+   *                     type: object
+   *                   example: [{ id: 1, child_id: 3, name: "Olivia Lee", classroom_id: 3, classroom_name: "Green Giraffes", start_date: "2026-10-12", end_date: "2026-10-14", symptoms: "Fever and cough" }]
+   *       400:
+   *         description: Invalid date range
+   *       404:
+   *         description: Daycare not found
+   *       500:
+   *         description: Internal server error
+   */
+  app.get(
+    "/get_sickness_report/:daycare_id",
+    authorize(...STAFF_ROLES),
+    async (req, res) => {
+      const { daycare_id } = req.params;
+      const now = new Date();
+      const from =
+        req.query.from || formatDate(new Date(now.getFullYear(), now.getMonth(), 1));
+      const to =
+        req.query.to || formatDate(new Date(now.getFullYear(), now.getMonth() + 1, 0));
+
+      if (!isValidDate(from) || !isValidDate(to) || to < from) {
+        return res.status(400).json({
+          status: "error",
+          message: "from and to must be dates in the format YYYY-MM-DD, with to not before from",
+        });
+      }
+
+      try {
+        const params = [daycare_id];
+        const daycare = await pool.query(
+          `SELECT id FROM daycare
+           WHERE id = $1 AND ${daycareScope(req.user, "id", params)}`,
+          params
+        );
+        if (daycare.rows.length === 0) {
+          return res
+            .status(404)
+            .json({ status: "not_found", message: "Daycare not found" });
+        }
+
+        const result = await pool.query(
+          `SELECT n.id, n.child_id, c.name, c.classroom_id,
+                  cl.name AS classroom_name, n.start_date, n.end_date,
+                  n.symptoms, n.notes, n.reported_at
+           FROM absence_notice n
+           JOIN child c ON c.id = n.child_id
+           LEFT JOIN classroom cl ON cl.id = c.classroom_id
+           WHERE c.daycare_id = $1 AND n.reason = 'sick'
+             AND n.start_date <= $3 AND n.end_date >= $2
+           ORDER BY n.start_date DESC, n.id DESC`,
+          [daycare_id, from, to]
+        );
+
+        const byClassroom = new Map();
+        for (const notice of result.rows) {
+          if (!byClassroom.has(notice.classroom_id)) {
+            byClassroom.set(notice.classroom_id, {
+              classroom_id: notice.classroom_id,
+              classroom_name: notice.classroom_name,
+              sick_notices: 0,
+              children: new Set(),
+            });
+          }
+          const entry = byClassroom.get(notice.classroom_id);
+          entry.sick_notices += 1;
+          entry.children.add(notice.child_id);
+        }
+
+        const today = formatDate(now);
+        res.json({
+          from,
+          to,
+          sick_notices_count: result.rows.length,
+          by_classroom: [...byClassroom.values()]
+            .map((entry) => ({ ...entry, children: entry.children.size }))
+            .sort((a, b) => b.sick_notices - a.sick_notices),
+          sick_today: result.rows.filter(
+            (notice) =>
+              formatDate(notice.start_date) <= today && formatDate(notice.end_date) >= today
+          ),
+          data: result.rows,
+        });
+      } catch (err) {
+        res.status(500).json({ status: "error", error: err.message });
+      }
+    }
+  );
+}
+
+module.exports = { setupAbsences, childAbsences, noticeFields };
@@ -0,0 +1,809 @@
+const pool = require("./db");
+const { authorize, STAFF_ROLES, MANAGER_ROLES } = require("./auth");
+const { daycareScope } = require("./tenant");
+const { isValidTime, formatDate, formatTime } = require("./validation");
+const {
+  periodStart,
+  monthName,
+  formatCents,
+  refreshInvoice,
+} = require("./billing");
+const { calendarDays } = require("./calendar");
+
+function minutesOfDay(time) {
+  const [hours, minutes] = time.split(":").map(Number);
+  return hours * 60 + minutes;
+}
+
+function isPositiveInt(value) {
+  return Number.isInteger(value) && value > 0;
+}
+
+// Cada tipo de regra indica os campos que usa, como se valida e como se
+// avalia sobre as presenças do mês. Para um novo tipo basta acrescentá-lo
+// aqui e ao CHECK de billing_rule.rule_type.
+const RULE_TYPES = {
+  late_pickup: {
+    fields: ["closing_time", "grace_minutes", "fee_cents_per_minute"],
+    validate(rule) {
+      if (
+        !isValidTime(rule.closing_time) ||
+        !Number.isInteger(rule.grace_minutes) ||
+        rule.grace_minutes < 0 ||
+        !isPositiveInt(rule.fee_cents_per_minute)
+      ) {
+        return "late_pickup needs closing_time (HH:MM), a non-negative grace_minutes and a positive fee_cents_per_minute";
+      }
+    },
+    // uma taxa por cada saída depois da hora de fecho mais a tolerância;
+    // cobram-se só os minutos além da tolerância
+    evaluate(rule, child) {
+      const closing = minutesOfDay(rule.closing_time);
+      const adjustments = [];
+
+      for (const visit of child.visits) {
+        if (!visit.check_out_at) continue;
+        const left = formatTime(visit.check_out_at);
+        const late = minutesOfDay(left) - closing;
+        const charged = late - rule.grace_minutes;
+        if (charged <= 0) continue;
+
+        const amount = charged * rule.fee_cents_per_minute;
+        const day = formatDate(visit.check_out_at);
+        adjustments.push({
+          description: `Late pickup fee: ${child.name} (${day})`,
+          explanation:
+            `Picked up at ${left} on ${day}, ${late} minutes after the ${rule.closing_time} closing time. ` +
+            (rule.grace_minutes > 0
+              ? `The first ${rule.grace_minutes} minutes are free, so ${charged} minutes are charged`
+              : `${charged} minutes are charged`) +
+            ` at ${formatCents(rule.fee_cents_per_minute)} per minute: ${formatCents(amount)}.`,
+          amount_cents: amount,
+        });
+      }
+      return adjustments;
+    },
+  },
+  absence_credit: {
+    fields: ["min_absence_days", "credit_percent"],
+    validate(rule) {
+      if (
+        !isPositiveInt(rule.min_absence_days) ||
+        !isPositiveInt(rule.credit_percent) ||
+        rule.credit_percent > 100
+      ) {
+        return "absence_credit needs a positive min_absence_days and a credit_percent between 1 and 100";
+      }
+    },
+    // crédito por cada ausência de pelo menos min_absence_days dias de escola
+    // seguidos, proporcional à mensalidade diária (mensalidade / dias de escola do mês)
+    evaluate(rule, child, period) {
+      const attended = new Set(
+        child.visits.map((visit) => formatDate(visit.check_in_at))
+      );
+      const streaks = [];
+      let streak = [];
+      for (const day of period.countedDays) {
+        if (day < child.start_date) continue;
+        if (attended.has(day)) {
+          if (streak.length > 0) streaks.push(streak);
+          streak = [];
+        } else {
+          streak.push(day);
+        }
+      }
+      if (streak.length > 0) streaks.push(streak);
+
+      const schoolDays = period.schoolDays.length;
+      if (schoolDays === 0) return [];
+      const dailyRate = child.monthly_rate_cents / schoolDays;
+      return streaks
+        .filter((days) => days.length >= rule.min_absence_days)
+        .map((days) => {
+          const amount = Math.round(
+            (child.monthly_rate_cents * days.length * rule.credit_percent) /
+              (schoolDays * 100)
+          );
+          return {
+            description: `Absence credit: ${child.name} (${days.length} days)`,
+            explanation:
+              `Absent for ${days.length} school days in a row, from ${days[0]} to ${days[days.length - 1]}. ` +
+              `The monthly rate of ${formatCents(child.monthly_rate_cents)} over ${schoolDays} school days is ` +
+              `${formatCents(dailyRate)} a day, and ${rule.credit_percent}% of ${days.length} days is credited: ` +
+              `${formatCents(amount)}.`,
+            amount_cents: -amount,
+          };
+        })
+        .filter((adjustment) => adjustment.amount_cents !== 0);
+    },
+  },
+};
+
+const RULE_FIELDS = [
+  "closing_time",
+  "grace_minutes",
+  "fee_cents_per_minute",
+  "min_absence_days",
+  "credit_percent",
+];
+
+// Campos de uma regra a gravar; os que o tipo não usa ficam a NULL
+// (grace_minutes a 0). Devolve { error } ou { fields }.
+function ruleFields(ruleType, body, current = {}) {
+  const type = RULE_TYPES[ruleType];
+  const rule = {};
+  for (const field of type.fields) {
+    rule[field] = body[field] === undefined ? current[field] : body[field];
+  }
+  if (rule.grace_minutes === undefined || rule.grace_minutes === null) {
+    rule.grace_minutes = 0;
+  }
+  if (typeof rule.closing_time === "string") {
+    rule.closing_time = rule.closing_time.slice(0, 5);
+  }
+
+  const error = type.validate(rule);
+  if (error) return { error };
+
+  const fields = { grace_minutes: 0 };
+  for (const field of RULE_FIELDS) {
+    if (field !== "grace_minutes") fields[field] = null;
+  }
+  return { fields: { ...fields, ...rule } };
+}
+
+async function findDaycare(user, daycareId) {
+  const params = [daycareId];
+  const result = await pool.query(
+    `SELECT id FROM daycare WHERE id = $1 AND ${daycareScope(user, "id", params)}`,
+    params
+  );
+  return result.rows[0];
+}
+
+async function findRule(user, id) {
+  const params = [id];
+  const result = await pool.query(
+    `SELECT * FROM billing_rule
+     WHERE id = $1 AND ${daycareScope(user, "daycare_id", params)}`,
+    params
+  );
+  return result.rows[0];
+}
+
+// Avalia as regras ativas do daycare sobre o mês e indica em que fatura
+// (não anulada) do mês cada ajuste cai: a que já cobra a mensalidade da criança.
+// As ausências só contam até ontem, porque o dia de hoje ainda não acabou.
+async function computeAdjustments(daycareId, period) {
+  const start = new Date(`${period}T00:00:00`);
+  const end = formatDate(new Date(start.getFullYear(), start.getMonth() + 1, 0));
+  const nextMonth = formatDate(new Date(start.getFullYear(), start.getMonth() + 1, 1));
+  const yesterday = new Date();
+  yesterday.setDate(yesterday.getDate() - 1);
+  const lastCounted = formatDate(yesterday) < end ? formatDate(yesterday) : end;
+
+  // dias de escola = dias em que o daycare abre (horário semanal menos
+  // feriados e encerramentos)
+  const schoolDays = (await calendarDays(daycareId, period, end))
+    .filter((day) => day.open)
+    .map((day) => day.date);
+  const periodInfo = {
+    schoolDays,
+    countedDays: schoolDays.filter((day) => day <= lastCounted),
+  };
+
+  const rules = await pool.query(
+    "SELECT * FROM billing_rule WHERE daycare_id = $1 AND active ORDER BY id ASC",
+    [daycareId]
+  );
+  const children = await pool.query(
+    `SELECT c.id, c.name, p.monthly_rate_cents, ce.start_date
+     FROM child c
+     JOIN child_tuition ct ON ct.child_id = c.id
+     JOIN tuition_plan p ON p.id = ct.plan_id
+     JOIN child_enrollment ce ON ce.child_id = c.id AND ce.status = 'active'
+     WHERE c.daycare_id = $1
+     ORDER BY c.id ASC`,
+    [daycareId]
+  );
+  const childIds = children.rows.map((child) => child.id);
+
+  const visits = await pool.query(
+    `SELECT child_id, check_in_at, check_out_at FROM attendance
+     WHERE child_id = ANY($1::int[]) AND check_in_at >= $2 AND check_in_at < $3
+     ORDER BY check_in_at ASC`,
+    [childIds, period, nextMonth]
+  );
+  const invoices = await pool.query(
+    `SELECT DISTINCT i.id, i.status, l.child_id
+     FROM invoice i
+     JOIN invoice_line l ON l.invoice_id = i.id
+     WHERE i.daycare_id = $1 AND i.period = $2 AND i.status <> 'void'
+       AND l.child_id = ANY($3::int[])`,
+    [daycareId, period, childIds]
+  );
+
+  const adjustments = [];
+  for (const row of children.rows) {
+    const child = {
+      ...row,
+      start_date: row.start_date ? formatDate(row.start_date) : period,
+      visits: visits.rows.filter((visit) => visit.child_id === row.id),
+    };
+    const invoice = invoices.rows.find((inv) => inv.child_id === row.id);
+
+    for (const rule of rules.rows) {
+      const evaluated = RULE_TYPES[rule.rule_type].evaluate(
+        { ...rule, closing_time: rule.closing_time && rule.closing_time.slice(0, 5) },
+        child,
+        periodInfo
+      );
+      for (const adjustment of evaluated) {
+        adjustments.push({
+          child_id: row.id,
+          billing_rule_id: rule.id,
+          rule_type: rule.rule_type,
+          ...adjustment,
+          invoice_id: invoice ? invoice.id : null,
+          invoice_status: invoice ? invoice.status : null,
+        });
+      }
+    }
+  }
+
+  return adjustments;
+}
+
+function setupBillingAdjustments(app) {
+  /**
+   * @swagger
+   * /get_billing_rules/{daycare_id}:
+   *   get:
+   *     summary: Get the billing rules of a daycare
+   *     tags:
+   *       - Billing
+   *     description: |
+   *       Rules that turn attendance into invoice adjustments. Supported types:
+   *       - late_pickup: a fee per minute for pickups after closing_time, once the grace_minutes are over
+   *       - absence_credit: a pro-rated credit when a child misses at least min_absence_days school days in a row (days the daycare is open, see Calendar)
+   *     parameters:
+   *       - in: path
+   *         name: daycare_id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *           example: 1
+   *     responses:
+   *       200:
+   *         description: Billing rules of the daycare
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 rules_count:
+   *                   type: integer
+   *                   example: 2
+   *                 data:
+   *                   type: array
+   *                   items:
+   *                     type: object
+   *                   example: [{ id: 1, daycare_id: 1, rule_type: "late_pickup", closing_time: "18:00:00", grace_minutes: 5, fee_cents_per_minute: 100, min_absence_days: null, credit_percent: null, active: true }]
+   *       404:
+   *         description: Daycare not found
+   *       500:
+   *         description: Internal server error
+   */
+  app.get(
+    "/get_billing_rules/:daycare_id",
+    authorize(...STAFF_ROLES),
+    async (req, res) => {
+      const { daycare_id } = req.params;
+
+      try {
+        if (!(await findDaycare(req.user, daycare_id))) {
+          return res
+            .status(404)
+            .json({ status: "not_found", message: "Daycare not found" });
+        }
+
+        const result = await pool.query(
+          "SELECT * FROM billing_rule WHERE daycare_id = $1 ORDER BY id ASC",
+          [daycare_id]
+        );
+        res.json({ rules_count: result.rows.length, data: result.rows });
+      } catch (err) {
+        res.status(500).json({ status: "error", error: err.message });
+      }
+    }
+  );
+
+  /**
+   * @swagger
+   * /create_billing_rule:
+   *   post:
+   *     summary: Create a billing rule
+   *     tags:
+   *       - Billing
+   *     description: Only the fields of the chosen rule_type are used. Amounts are in cents.
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             properties:
+   *               daycare_id:
+   *                 type: integer
+   *                 example: 1
+   *               rule_type:
+   *                 type: string
+   *                 enum: [late_pickup, absence_credit]
+   *                 example: late_pickup
+   *               closing_time:
+   *                 type: string
+   *                 description: late_pickup only (HH:MM)
+   *                 example: "18:00"
+   *               grace_minutes:
+   *                 type: integer
+   *                 description: late_pickup only (default 0)
+   *                 example: 5
+   *               fee_cents_per_minute:
+   *                 type: integer
+   *                 description: late_pickup only
+   *                 example: 100
+   *               min_absence_days:
+   *                 type: integer
+   *                 description: absence_credit only, consecutive school days
+   *                 example: 5
+   *               credit_percent:
+   *                 type: integer
+   *                 description: absence_credit only, share of the daily rate credited (1 to 100)
+   *                 example: 50
+   *               active:
+   *                 type: boolean
+   *                 example: true
+   *     responses:
+   *       201:
+   *         description: Billing rule created successfully
+   *       400:
+   *         description: Missing or invalid parameters, or daycare does not exist
+   *       500:
+   *         description: Internal server error
+   */
+  app.post(
+    "/create_billing_rule",
+    authorize(...MANAGER_ROLES),
+    async (req, res) => {
+      const { daycare_id, rule_type } = req.body;
+      const active = req.body.active === undefined ? true : req.body.active;
+
+      if (!daycare_id || !RULE_TYPES[rule_type]) {
+        return res.status(400).json({
+          status: "error",
+          message: `daycare_id and rule_type (${Object.keys(RULE_TYPES).join(", ")}) are required`,
+        });
+      }
+
+      const { error, fields } = ruleFields(rule_type, req.body);
+      if (error) {
+        return res.status(400).json({ status: "error", message: error });
+      }
+
+      try {
+        if (!(await findDaycare(req.user, daycare_id))) {
+          return res
+            .status(400)
+            .json({ status: "error", message: "Daycare does not exist" });
+        }
+
+        const result = await pool.query(
+          `INSERT INTO billing_rule
+             (daycare_id, rule_type, closing_time, grace_minutes,
+              fee_cents_per_minute, min_absence_days, credit_percent, active)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+           RETURNING *`,
+          [
+            daycare_id,
+            rule_type,
+            ...RULE_FIELDS.map((field) => fields[field]),
+            active === true,
+          ]
+        );
+
+        res.status(201).json({
+          status: "success",
+          message: "Billing rule created successfully",
+          created_data: result.rows[0],
+        });
+      } catch (err) {
+        res.status(500).json({ status: "error", error: err.message });
+      }
+    }
+  );
+
+  /**
+   * @swagger
+   * /update_billing_rule/{id}:
+   *   put:
+   *     summary: Update a billing rule
+   *     tags:
+   *       - Billing
+   *     description: Changes the settings of a rule or turns it on and off. Omitted fields keep their current value. The rule_type can't be changed.
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *           example: 1
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             properties:
+   *               closing_time:
+   *                 type: string
+   *                 example: "18:30"
+   *               grace_minutes:
+   *                 type: integer
+   *                 example: 10
+   *               fee_cents_per_minute:
+   *                 type: integer
+   *                 example: 100
+   *               min_absence_days:
+   *                 type: integer
+   *                 example: 5
+   *               credit_percent:
+   *                 type: integer
+   *                 example: 50
+   *               active:
+   *                 type: boolean
+   *                 example: false
+   *     responses:
+   *       200:
+   *         description: Billing rule updated successfully
+   *       400:
+   *         description: Invalid parameters
+   *       404:
+   *         description: Billing rule not found
+   *       500:
+   *         description: Internal server error
+   */
+  app.put(
+    "/update_billing_rule/:id",
+    authorize(...MANAGER_ROLES),
+    async (req, res) => {
+      const { id } = req.params;
+
+      try {
+        const current = await findRule(req.user, id);
+        if (!current) {
+          return res
+            .status(404)
+            .json({ status: "not_found", message: "Billing rule not found" });
+        }
+
+        const { error, fields } = ruleFields(current.rule_type, req.body, current);
+        if (error) {
+          return res.status(400).json({ status: "error", message: error });
+        }
+        const active =
+          req.body.active === undefined ? current.active : req.body.active === true;
+
+        const result = await pool.query(
+          `UPDATE billing_rule
+           SET closing_time = $1, grace_minutes = $2, fee_cents_per_minute = $3,
+               min_absence_days = $4, credit_percent = $5, active = $6
+           WHERE id = $7
+           RETURNING *`,
+          [...RULE_FIELDS.map((field) => fields[field]), active, id]
+        );
+
+        res.json({
+          status: "success",
+          message: "Billing rule updated successfully",
+          updated_data: result.rows[0],
+        });
+      } catch (err) {
+        res.status(500).json({ status: "error", error: err.message });
+      }
+    }
+  );
+
+  /**
+   * @swagger
+   * /delete_billing_rule/{id}:
+   *   delete:
+   *     summary: Delete a billing rule
+   *     tags:
+   *       - Billing
+   *     description: Adjustments already on invoices stay there as ordinary lines.
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *           example: 1
+   *     responses:
+   *       200:
+   *         description: Billing rule deleted successfully
+   *       404:
+   *         description: Billing rule not found
+   *       500:
+   *         description: Internal server error
+   */
+  app.delete(
+    "/delete_billing_rule/:id",
+    authorize(...MANAGER_ROLES),
+    async (req, res) => {
+      const params = [req.params.id];
+
+      try {
+        const result = await pool.query(
+          `DELETE FROM billing_rule
+           WHERE id = $1 AND ${daycareScope(req.user, "daycare_id", params)}`,
+          params
+        );
+
+        if (result.rowCount === 0) {
+          return res
+            .status(404)
+            .json({ status: "not_found", message: "Billing rule not found" });
+        }
+
+        res.json({
+          status: "success",
+          message: "Billing rule deleted successfully",
+        });
+      } catch (err) {
+        res.status(500).json({ status: "error", error: err.message });
+      }
+    }
+  );
+
+  /**
+   * @swagger
+   * /get_billing_adjustments/{daycare_id}:
+   *   get:
+   *     summary: Preview the attendance adjustments of a month
+   *     tags:
+   *       - Billing
+   *     description: Evaluates the active billing rules of the daycare against the check-out times and absences of the month, without changing any invoice. Each adjustment says which invoice it would go on (null when the child has no invoice for the month yet).
+   *     parameters:
+   *       - in: path
+   *         name: daycare_id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *           example: 1
+   *       - in: query
+   *         name: period
+   *         required: true
+   *         description: Month (YYYY-MM)
+   *         schema:
+   *           type: string
+   *           example: "2026-03"
+   *     responses:
+   *       200:
+   *         description: Adjustments of the month
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 adjustments_count:
+   *                   type: integer
+   *                   example: 1
+   *                 total_cents:
+   *                   type: integer
+   *                   example: 1200
+   *                 data:
+   *                   type: array
+   *                   items:
+   *                     type: object
+   *                     properties:
+   *                       child_id:
+   *                         type: integer
+   *                         example: 2
+   *                       billing_rule_id:
+   *                         type: integer
+   *                         example: 1
+   *                       rule_type:
+   *                         type: string
+   *                         example: late_pickup
+   *                       description:
+   *                         type: string
+   *                         example: "Late pickup fee: Liam Smith (2026-03-04)"
+   *                       explanation:
+   *                         type: string
+   *                         example: "Picked up at 18:17 on 2026-03-04, 17 minutes after the 18:00 closing time. The first 5 minutes are free, so 12 minutes are charged at 1.00 per minute: 12.00."
+   *                       amount_cents:
+   *                         type: integer
+   *                         example: 1200
+   *                       invoice_id:
+   *                         type: integer
+   *                         nullable: true
+   *                         example: 2
+   *                       invoice_status:
+   *                         type: string
+   *                         nullable: true
+   *                         example: open
+   *       400:
+   *         description: Invalid period
+   *       404:
+   *         description: Daycare not found
+   *       500:
+   *         description: Internal server error
+   */
+  app.get(
+    "/get_billing_adjustments/:daycare_id",
+    authorize(...MANAGER_ROLES),
+    async (req, res) => {
+      const { daycare_id } = req.params;
+      const period = periodStart(req.query.period);
+
+      if (!period) {
+        return res.status(400).json({
+          status: "error",
+          message: "period must be a month in the format YYYY-MM",
+        });
+      }
+
+      try {
+        if (!(await findDaycare(req.user, daycare_id))) {
+          return res
+            .status(404)
+            .json({ status: "not_found", message: "Daycare not found" });
+        }
+
+        const adjustments = await computeAdjustments(daycare_id, period);
+        res.json({
+          adjustments_count: adjustments.length,
+          total_cents: adjustments.reduce((sum, adj) => sum + adj.amount_cents, 0),
+          data: adjustments,
+        });
+      } catch (err) {
+        res.status(500).json({ status: "error", error: err.message });
+      }
+    }
+  );
+
+  /**
+   * @swagger
+   * /apply_billing_adjustments/{daycare_id}:
+   *   post:
+   *     summary: Apply the attendance adjustments of a month to its invoices
+   *     tags:
+   *       - Billing
+   *     description: |
+   *       Adds the adjustments of the month (see /get_billing_adjustments) as lines on the open invoices of the month, each with its explanation.
+   *       Adjustment lines added before on those invoices are replaced, so it can be run again after attendance or the rules change.
+   *       Adjustments for children without an open invoice (not generated yet, already paid or void) are returned in not_applied.
+   *     parameters:
+   *       - in: path
+   *         name: daycare_id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *           example: 1
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             properties:
+   *               period:
+   *                 type: string
+   *                 description: Month (YYYY-MM)
+   *                 example: "2026-03"
+   *     responses:
+   *       200:
+   *         description: Adjustments applied
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 status:
+   *                   type: string
+   *                   example: success
+   *                 message:
+   *                   type: string
+   *                   example: 3 adjustments applied to 2 invoices
+   *                 updated_data:
+   *                   type: array
+   *                   description: The invoices that were updated
+   *                   items:
+   *                     type: object
+   *                 not_applied:
+   *                   type: array
+   *                   items:
+   *                     type: object
+   *       400:
+   *         description: Invalid period
+   *       404:
+   *         description: Daycare not found
+   *       500:
+   *         description: Internal server error
+   */
+  app.post(
+    "/apply_billing_adjustments/:daycare_id",
+    authorize(...MANAGER_ROLES),
+    async (req, res) => {
+      const { daycare_id } = req.params;
+      const period = periodStart(req.body.period);
+
+      if (!period) {
+        return res.status(400).json({
+          status: "error",
+          message: "period must be a month in the format YYYY-MM",
+        });
+      }
+
+      const client = await pool.connect();
+      try {
+        if (!(await findDaycare(req.user, daycare_id))) {
+          return res
+            .status(404)
+            .json({ status: "not_found", message: "Daycare not found" });
+        }
+
+        const adjustments = await computeAdjustments(daycare_id, period);
+        const open = await client.query(
+          "SELECT id FROM invoice WHERE daycare_id = $1 AND period = $2 AND status = 'open'",
+          [daycare_id, period]
+        );
+        const openIds = open.rows.map((row) => row.id);
+
+        await client.query("BEGIN");
+        await client.query(
+          `DELETE FROM invoice_line
+           WHERE invoice_id = ANY($1::int[]) AND billing_rule_id IS NOT NULL`,
+          [openIds]
+        );
+
+        const applied = adjustments.filter((adj) => openIds.includes(adj.invoice_id));
+        for (const adj of applied) {
+          await client.query(
+            `INSERT INTO invoice_line
+               (invoice_id, child_id, description, amount_cents, billing_rule_id, explanation)
+             VALUES ($1, $2, $3, $4, $5, $6)`,
+            [
+              adj.invoice_id,
+              adj.child_id,
+              adj.description,
+              adj.amount_cents,
+              adj.billing_rule_id,
+              adj.explanation,
+            ]
+          );
+        }
+
+        const updated = [];
+        for (const invoiceId of openIds) {
+          updated.push(await refreshInvoice(client, invoiceId));
+        }
+        await client.query("COMMIT");
+
+        res.json({
+          status: "success",
+          message: `${applied.length} adjustments applied to ${updated.length} invoices of ${monthName(period)}`,
+          updated_data: updated,
+          not_applied: adjustments.filter((adj) => !openIds.includes(adj.invoice_id)),
+        });
+      } catch (err) {
+        await client.query("ROLLBACK");
+        res.status(500).json({ status: "error", error: err.message });
+      } finally {
+        client.release();
+      }
+    }
+  );
+}
+
+module.exports = { setupBillingAdjustments, RULE_TYPES, ruleFields };
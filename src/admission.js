@@ -0,0 +1,814 @@
+const pool = require("./db");
+const { authorize, ROLES, STAFF_ROLES, MANAGER_ROLES } = require("./auth");
+const { daycareScope, childScope } = require("./tenant");
+const { checkClassroomFit } = require("./capacity");
+const { hasReachableContact } = require("./emergency");
+const { emitEvent } = require("./webhook");
+const { publishPresence } = require("./presence");
+const { parseListQuery, pageInfo } = require("./pagination");
+const { isValidDate, formatDate } = require("./validation");
+
+// estados seguintes permitidos a partir de cada estado
+const TRANSITIONS = {
+  applied: ["waitlisted", "active", "withdrawn"],
+  waitlisted: ["active", "withdrawn"],
+  active: ["withdrawn", "graduated"],
+  withdrawn: [],
+  graduated: [],
+};
+
+// filtros e ordenação aceites por /get_child_enrollments
+const CHILD_ENROLLMENT_LIST = {
+  filters: {
+    child_id: { column: "child_id", type: "id" },
+    classroom_id: { column: "classroom_id", type: "id" },
+    daycare_id: { column: "daycare_id", type: "id" },
+    status: { column: "status", type: "text" },
+  },
+  sort: ["id", "applied_at", "start_date", "status"],
+};
+
+async function findChildEnrollment(user, id) {
+  const params = [id];
+  const result = await pool.query(
+    `SELECT * FROM child_enrollment
+     WHERE id = $1 AND ${childScope(user, "child_id", params)}`,
+    params
+  );
+  return result.rows[0];
+}
+
+// Lugares livres na sala: capacidade menos as crianças já na sala e as
+// ofertas pendentes. exclude ({ enrollmentId, childId }) deixa de fora a
+// própria inscrição quando está a ser ativada. null quando a sala não tem limite.
+async function freeSpots(db, classroom, exclude = {}) {
+  if (classroom.capacity == null) return null;
+
+  const children = await db.query(
+    "SELECT COUNT(*) AS total FROM child WHERE classroom_id = $1 AND id <> $2",
+    [classroom.id, exclude.childId || 0]
+  );
+  const offers = await db.query(
+    `SELECT COUNT(*) AS total FROM child_enrollment
+     WHERE classroom_id = $1 AND status = 'waitlisted'
+       AND offered_at IS NOT NULL AND id <> $2`,
+    [classroom.id, exclude.enrollmentId || 0]
+  );
+
+  return (
+    classroom.capacity -
+    parseInt(children.rows[0].total, 10) -
+    parseInt(offers.rows[0].total, 10)
+  );
+}
+
+function setupAdmission(app) {
+  /**
+   * @swagger
+   * /get_child_enrollments:
+   *   get:
+   *     summary: Get classroom enrollments
+   *     tags:
+   *       - Admission
+   *     description: Lists the enrollments of children in classrooms, with their status and dates. Not to be confused with /get_enrollments, which lists the links between parents and children.
+   *     parameters:
+   *       - $ref: '#/components/parameters/limit'
+   *       - $ref: '#/components/parameters/offset'
+   *       - in: query
+   *         name: sort
+   *         required: false
+   *         description: "Sort field, prefixed with - for descending order. One of: id, applied_at, start_date, status"
+   *         schema:
+   *           type: string
+   *           example: "-applied_at"
+   *       - in: query
+   *         name: child_id
+   *         required: false
+   *         schema:
+   *           type: integer
+   *           example: 1
+   *       - in: query
+   *         name: classroom_id
+   *         required: false
+   *         schema:
+   *           type: integer
+   *           example: 1
+   *       - in: query
+   *         name: daycare_id
+   *         required: false
+   *         schema:
+   *           type: integer
+   *           example: 1
+   *       - in: query
+   *         name: status
+   *         required: false
+   *         schema:
+   *           type: string
+   *           enum: [applied, waitlisted, active, withdrawn, graduated]
+   *           example: waitlisted
+   *     responses:
+   *       200:
+   *         description: List of enrollments
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 enrollments_count:
+   *                   type: integer
+   *                   example: 5
+   *                 pagination:
+   *                   $ref: '#/components/schemas/Pagination'
+   *                 data:
+   *                   type: array
+   *                   items:
+   *                     type: object
+   *                     properties:
+   *                       id:
+   *                         type: integer
+   *                         example: 1
+   *                       child_id:
+   *                         type: integer
+   *                         example: 1
+   *                       daycare_id:
+   *                         type: integer
+   *                         example: 1
+   *                       classroom_id:
+   *                         type: integer
+   *                         example: 1
+   *                       status:
+   *                         type: string
+   *                         example: active
+   *                       applied_at:
+   *                         type: string
+   *                         format: date-time
+   *                         example: "2024-05-10T09:00:00.000Z"
+   *                       offered_at:
+   *                         type: string
+   *                         format: date-time
+   *                         example: null
+   *                       start_date:
+   *                         type: string
+   *                         format: date
+   *                         example: "2024-09-02"
+   *                       end_date:
+   *                         type: string
+   *                         format: date
+   *                         example: null
+   *       400:
+   *         description: Invalid pagination, sort or filter parameters
+   *       500:
+   *         description: Service error
+   */
+  app.get(
+    "/get_child_enrollments",
+    authorize(...ROLES),
+    async (req, res) => {
+      const params = [];
+      const scope = childScope(req.user, "child_id", params);
+      const list = parseListQuery(req.query, CHILD_ENROLLMENT_LIST, params);
+
+      if (list.error) {
+        return res.status(400).json({ status: "error", message: list.error });
+      }
+
+      const where = [scope, ...list.conditions].join(" AND ");
+
+      try {
+        const count = await pool.query(
+          `SELECT COUNT(*) AS total FROM child_enrollment WHERE ${where}`,
+          params
+        );
+        const data = await pool.query(
+          `SELECT * FROM child_enrollment WHERE ${where}
+           ORDER BY ${list.orderBy} LIMIT ${list.limit} OFFSET ${list.offset}`,
+          params
+        );
+        const total = parseInt(count.rows[0].total, 10);
+
+        res.json({
+          enrollments_count: total,
+          data: data.rows,
+          pagination: pageInfo(req, list, total),
+        });
+      } catch (err) {
+        res.status(500).json({ status: "error", error: err.message });
+      }
+    }
+  );
+
+  /**
+   * @swagger
+   * /get_child_enrollment/{id}:
+   *   get:
+   *     summary: Get classroom enrollment by ID
+   *     tags:
+   *       - Admission
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *           example: 1
+   *     responses:
+   *       200:
+   *         description: Enrollment found
+   *       404:
+   *         description: Enrollment not found
+   *       500:
+   *         description: Internal server error
+   */
+  app.get(
+    "/get_child_enrollment/:id",
+    authorize(...ROLES),
+    async (req, res) => {
+      try {
+        const enrollment = await findChildEnrollment(req.user, req.params.id);
+        if (!enrollment) {
+          return res
+            .status(404)
+            .json({ status: "not_found", message: "Enrollment not found" });
+        }
+
+        res.json({ data: [enrollment] });
+      } catch (err) {
+        res.status(500).json({ status: "error", error: err.message });
+      }
+    }
+  );
+
+  /**
+   * @swagger
+   * /create_child_enrollment:
+   *   post:
+   *     summary: Register an application for a classroom
+   *     tags:
+   *       - Admission
+   *     description: Creates an enrollment of a child in a classroom of the child's daycare, as a new application (applied) or directly on the waitlist (waitlisted). A child can only have one enrollment in progress (applied, waitlisted or active) at a time. Use /update_child_enrollment_status to move it forward.
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             properties:
+   *               child_id:
+   *                 type: integer
+   *                 example: 6
+   *               classroom_id:
+   *                 type: integer
+   *                 example: 1
+   *               status:
+   *                 type: string
+   *                 enum: [applied, waitlisted]
+   *                 example: waitlisted
+   *     responses:
+   *       201:
+   *         description: Enrollment created successfully
+   *       400:
+   *         description: Missing or invalid parameters, or child/classroom does not exist
+   *       409:
+   *         description: Child already has an enrollment in progress
+   *       500:
+   *         description: Internal server error
+   */
+  app.post(
+    "/create_child_enrollment",
+    authorize(...MANAGER_ROLES),
+    async (req, res) => {
+      const { child_id, classroom_id, status = "applied" } = req.body;
+
+      if (!child_id || !classroom_id) {
+        return res.status(400).json({
+          status: "error",
+          message: "Both child_id and classroom_id are required",
+        });
+      }
+
+      if (!["applied", "waitlisted"].includes(status)) {
+        return res.status(400).json({
+          status: "error",
+          message: "status must be applied or waitlisted",
+        });
+      }
+
+      const conflict = {
+        status: "error",
+        message: "Child already has an enrollment in progress",
+      };
+
+      try {
+        const params = [child_id];
+        const child = await pool.query(
+          `SELECT id, daycare_id FROM child
+           WHERE id = $1 AND ${childScope(req.user, "id", params)}`,
+          params
+        );
+
+        if (child.rows.length === 0) {
+          return res
+            .status(400)
+            .json({ status: "error", message: "Child does not exist" });
+        }
+
+        const classroom = await pool.query(
+          "SELECT id, daycare_id FROM classroom WHERE id = $1 AND daycare_id = $2",
+          [classroom_id, child.rows[0].daycare_id]
+        );
+
+        if (classroom.rows.length === 0) {
+          return res
+            .status(400)
+            .json({ status: "error", message: "Classroom does not exist" });
+        }
+
+        const open = await pool.query(
+          `SELECT id FROM child_enrollment
+           WHERE child_id = $1 AND status IN ('applied', 'waitlisted', 'active')`,
+          [child_id]
+        );
+
+        if (open.rows.length > 0) {
+          return res.status(409).json(conflict);
+        }
+
+        const result = await pool.query(
+          `INSERT INTO child_enrollment (child_id, daycare_id, classroom_id, status)
+           VALUES ($1, $2, $3, $4)
+           RETURNING *`,
+          [child_id, classroom.rows[0].daycare_id, classroom_id, status]
+        );
+
+        res.status(201).json({
+          status: "success",
+          message: "Enrollment created successfully",
+          created_data: result.rows[0],
+        });
+      } catch (err) {
+        if (err.code === "23505") {
+          return res.status(409).json(conflict);
+        }
+        res.status(500).json({ status: "error", error: err.message });
+      }
+    }
+  );
+
+  /**
+   * @swagger
+   * /update_child_enrollment_status/{id}:
+   *   put:
+   *     summary: Move an enrollment to a new status
+   *     tags:
+   *       - Admission
+   *     description: |
+   *       Changes the status of an enrollment. Allowed transitions:
+   *       applied → waitlisted, active or withdrawn;
+   *       waitlisted → active or withdrawn;
+   *       active → withdrawn or graduated.
+   *       Activating places the child in the classroom (checking capacity, age range, spots reserved by pending offers and that the child has at least one reachable emergency contact) and sets the start date. Withdrawing or graduating an active enrollment sets the end date and frees the spot. The date defaults to today.
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *           example: 6
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             properties:
+   *               status:
+   *                 type: string
+   *                 enum: [waitlisted, active, withdrawn, graduated]
+   *                 example: active
+   *               date:
+   *                 type: string
+   *                 format: date
+   *                 description: Start date when activating, end date when withdrawing or graduating
+   *                 example: "2026-11-02"
+   *     responses:
+   *       200:
+   *         description: Enrollment status updated successfully
+   *       400:
+   *         description: Invalid status, transition or date, or child outside the classroom age range
+   *       404:
+   *         description: Enrollment not found
+   *       409:
+   *         description: Classroom is full, the child has no reachable emergency contact, or the enrollment was changed by another request
+   *       500:
+   *         description: Internal server error
+   */
+  app.put(
+    "/update_child_enrollment_status/:id",
+    authorize(...MANAGER_ROLES),
+    async (req, res) => {
+      const { id } = req.params;
+      const { status, date } = req.body;
+
+      if (!Object.keys(TRANSITIONS).includes(status)) {
+        return res.status(400).json({
+          status: "error",
+          message: `status must be one of: ${Object.keys(TRANSITIONS).join(", ")}`,
+        });
+      }
+
+      if (date !== undefined && !isValidDate(date)) {
+        return res.status(400).json({
+          status: "error",
+          message: "date must be a date in the format YYYY-MM-DD",
+        });
+      }
+
+      const client = await pool.connect();
+      try {
+        const enrollment = await findChildEnrollment(req.user, id);
+        if (!enrollment) {
+          return res
+            .status(404)
+            .json({ status: "not_found", message: "Enrollment not found" });
+        }
+
+        if (!TRANSITIONS[enrollment.status].includes(status)) {
+          return res.status(400).json({
+            status: "error",
+            message: `Cannot change an enrollment from ${enrollment.status} to ${status}`,
+          });
+        }
+
+        const day = date || formatDate(new Date());
+
+        await client.query("BEGIN");
+
+        // outro pedido pode ter mudado o estado entretanto
+        const locked = await client.query(
+          "SELECT status FROM child_enrollment WHERE id = $1 FOR UPDATE",
+          [id]
+        );
+        if (locked.rows[0].status !== enrollment.status) {
+          await client.query("ROLLBACK");
+          return res.status(409).json({
+            status: "error",
+            message: "Enrollment was just changed by another request, try again",
+          });
+        }
+
+        // a criança entra ou sai da sala: avisa os webhooks e os dashboards
+        // de presenças, com a criança antes e depois
+        let moved = null;
+
+        if (status === "active") {
+          // bloqueia a sala até ao COMMIT: ativações simultâneas na mesma
+          // sala contam os lugares uma de cada vez
+          const classroom = await client.query(
+            "SELECT * FROM classroom WHERE id = $1 FOR UPDATE",
+            [enrollment.classroom_id]
+          );
+          const child = await client.query(
+            "SELECT classroom_id, daycare_id, date_of_birth FROM child WHERE id = $1",
+            [enrollment.child_id]
+          );
+
+          const misfit = await checkClassroomFit(
+            classroom.rows[0],
+            child.rows[0].date_of_birth,
+            enrollment.child_id,
+            client
+          );
+          if (misfit) {
+            await client.query("ROLLBACK");
+            return res
+              .status(misfit.status)
+              .json({ status: "error", message: misfit.message });
+          }
+
+          if (!(await hasReachableContact(client, enrollment.child_id))) {
+            await client.query("ROLLBACK");
+            return res.status(409).json({
+              status: "error",
+              message: "Child needs at least one reachable emergency contact before being enrolled",
+            });
+          }
+
+          // não ocupa lugares reservados para outras ofertas pendentes
+          const spots = await freeSpots(client, classroom.rows[0], {
+            enrollmentId: enrollment.id,
+            childId: enrollment.child_id,
+          });
+          if (spots !== null && spots <= 0) {
+            await client.query("ROLLBACK");
+            return res.status(409).json({
+              status: "error",
+              message: "The free spots of this classroom are reserved by pending offers",
+            });
+          }
+
+          const updated = await client.query(
+            "UPDATE child SET classroom_id = $1, daycare_id = $2 WHERE id = $3 RETURNING *",
+            [enrollment.classroom_id, enrollment.daycare_id, enrollment.child_id]
+          );
+          moved = { before: child.rows[0], after: updated.rows[0] };
+        }
+
+        // a criança sai da sala e liberta o lugar
+        if (enrollment.status === "active") {
+          const updated = await client.query(
+            "UPDATE child SET classroom_id = NULL WHERE id = $1 AND classroom_id = $2 RETURNING *",
+            [enrollment.child_id, enrollment.classroom_id]
+          );
+          if (updated.rows.length > 0) {
+            const after = updated.rows[0];
+            moved = { before: { ...after, classroom_id: enrollment.classroom_id }, after };
+          }
+        }
+
+        const result = await client.query(
+          `UPDATE child_enrollment
+           SET status = $1,
+               start_date = CASE WHEN $1 = 'active' THEN $2::date ELSE start_date END,
+               end_date = CASE WHEN $1 IN ('withdrawn', 'graduated') THEN $2::date ELSE end_date END
+           WHERE id = $3
+           RETURNING *`,
+          [status, day, id]
+        );
+
+        if (moved) {
+          const { before, after } = moved;
+          await emitEvent(client, "child.updated", after);
+          if (before.classroom_id !== after.classroom_id) {
+            for (const daycareId of new Set([before.daycare_id, after.daycare_id])) {
+              await publishPresence(client, daycareId, "classroom_changed", {
+                child_id: after.id,
+                name: after.name,
+                from_classroom_id: before.classroom_id,
+                to_classroom_id: after.classroom_id,
+              });
+            }
+          }
+        }
+
+        await client.query("COMMIT");
+
+        res.json({
+          status: "success",
+          message: "Enrollment status updated successfully",
+          updated_data: result.rows[0],
+        });
+      } catch (err) {
+        await client.query("ROLLBACK");
+        res.status(500).json({ status: "error", error: err.message });
+      } finally {
+        client.release();
+      }
+    }
+  );
+
+  /**
+   * @swagger
+   * /delete_child_enrollment/{id}:
+   *   delete:
+   *     summary: Delete classroom enrollment by ID
+   *     tags:
+   *       - Admission
+   *     description: Permanently removes an enrollment record, e.g. one created by mistake. The child stays in its current classroom.
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *           example: 1
+   *     responses:
+   *       200:
+   *         description: Enrollment deleted successfully
+   *       404:
+   *         description: Enrollment not found
+   *       500:
+   *         description: Internal server error
+   */
+  app.delete(
+    "/delete_child_enrollment/:id",
+    authorize(...MANAGER_ROLES),
+    async (req, res) => {
+      const { id } = req.params;
+      const params = [id];
+      const scope = childScope(req.user, "child_id", params);
+
+      try {
+        const result = await pool.query(
+          `DELETE FROM child_enrollment WHERE id = $1 AND ${scope}`,
+          params
+        );
+
+        if (result.rowCount === 0) {
+          return res
+            .status(404)
+            .json({ status: "not_found", message: "Enrollment not found" });
+        }
+
+        res.json({
+          status: "success",
+          message: "Enrollment deleted successfully",
+        });
+      } catch (err) {
+        res.status(500).json({ status: "error", error: err.message });
+      }
+    }
+  );
+
+  /**
+   * @swagger
+   * /get_classroom_waitlist/{id}:
+   *   get:
+   *     summary: Waitlist of a classroom
+   *     tags:
+   *       - Admission
+   *     description: Lists the waitlisted enrollments of a classroom by application date, oldest first, with the number of free spots (null when the classroom has no capacity limit). Spots already offered to a waitlisted child count as taken.
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *           example: 1
+   *     responses:
+   *       200:
+   *         description: Waitlist of the classroom
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 waitlist_count:
+   *                   type: integer
+   *                   example: 1
+   *                 free_spots:
+   *                   type: integer
+   *                   example: 0
+   *                 data:
+   *                   type: array
+   *                   items:
+   *                     type: object
+   *                     properties:
+   *                       position:
+   *                         type: integer
+   *                         example: 1
+   *                       id:
+   *                         type: integer
+   *                         example: 6
+   *                       child_id:
+   *                         type: integer
+   *                         example: 6
+   *                       child_name:
+   *                         type: string
+   *                         example: "Mia Johnson"
+   *                       applied_at:
+   *                         type: string
+   *                         format: date-time
+   *                         example: "2026-09-15T10:30:00.000Z"
+   *                       offered_at:
+   *                         type: string
+   *                         format: date-time
+   *                         example: null
+   *       404:
+   *         description: Classroom not found
+   *       500:
+   *         description: Internal server error
+   */
+  app.get(
+    "/get_classroom_waitlist/:id",
+    authorize(...STAFF_ROLES),
+    async (req, res) => {
+      const { id } = req.params;
+      try {
+        const params = [id];
+        const classroom = await pool.query(
+          `SELECT * FROM classroom
+           WHERE id = $1 AND ${daycareScope(req.user, "daycare_id", params)}`,
+          params
+        );
+
+        if (classroom.rows.length === 0) {
+          return res
+            .status(404)
+            .json({ status: "not_found", message: "Classroom not found" });
+        }
+
+        const result = await pool.query(
+          `SELECT ce.*, c.name AS child_name, c.date_of_birth
+           FROM child_enrollment ce
+           JOIN child c ON c.id = ce.child_id
+           WHERE ce.classroom_id = $1 AND ce.status = 'waitlisted'
+           ORDER BY ce.applied_at ASC, ce.id ASC`,
+          [id]
+        );
+
+        res.json({
+          waitlist_count: result.rows.length,
+          free_spots: await freeSpots(pool, classroom.rows[0]),
+          data: result.rows.map((row, index) => ({ position: index + 1, ...row })),
+        });
+      } catch (err) {
+        res.status(500).json({ status: "error", error: err.message });
+      }
+    }
+  );
+
+  /**
+   * @swagger
+   * /offer_next_spot/{classroom_id}:
+   *   post:
+   *     summary: Offer a free spot to the next child on the waitlist
+   *     tags:
+   *       - Admission
+   *     description: When the classroom has a free spot, marks the oldest waitlisted enrollment without an offer as offered. The spot stays reserved for that child until the enrollment is activated or withdrawn.
+   *     parameters:
+   *       - in: path
+   *         name: classroom_id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *           example: 1
+   *     responses:
+   *       200:
+   *         description: Spot offered successfully
+   *       404:
+   *         description: Classroom not found, or no child waiting for an offer
+   *       409:
+   *         description: No free spot in the classroom
+   *       500:
+   *         description: Internal server error
+   */
+  app.post(
+    "/offer_next_spot/:classroom_id",
+    authorize(...MANAGER_ROLES),
+    async (req, res) => {
+      const { classroom_id } = req.params;
+      try {
+        const params = [classroom_id];
+        const classroom = await pool.query(
+          `SELECT * FROM classroom
+           WHERE id = $1 AND ${daycareScope(req.user, "daycare_id", params)}`,
+          params
+        );
+
+        if (classroom.rows.length === 0) {
+          return res
+            .status(404)
+            .json({ status: "not_found", message: "Classroom not found" });
+        }
+
+        const spots = await freeSpots(pool, classroom.rows[0]);
+        if (spots !== null && spots <= 0) {
+          return res.status(409).json({
+            status: "error",
+            message: "No free spot in this classroom",
+          });
+        }
+
+        const next = await pool.query(
+          `SELECT id FROM child_enrollment
+           WHERE classroom_id = $1 AND status = 'waitlisted' AND offered_at IS NULL
+           ORDER BY applied_at ASC, id ASC
+           LIMIT 1`,
+          [classroom_id]
+        );
+
+        if (next.rows.length === 0) {
+          return res.status(404).json({
+            status: "not_found",
+            message: "No child waiting for this classroom",
+          });
+        }
+
+        // offered_at IS NULL evita oferecer duas vezes em pedidos simultâneos
+        const result = await pool.query(
+          `UPDATE child_enrollment SET offered_at = NOW()
+           WHERE id = $1 AND offered_at IS NULL
+           RETURNING *`,
+          [next.rows[0].id]
+        );
+
+        if (result.rowCount === 0) {
+          return res.status(409).json({
+            status: "error",
+            message: "Spot was just offered by another request, try again",
+          });
+        }
+
+        res.json({
+          status: "success",
+          message: "Spot offered successfully",
+          updated_data: result.rows[0],
+        });
+      } catch (err) {
+        res.status(500).json({ status: "error", error: err.message });
+      }
+    }
+  );
+}
+
+module.exports = { setupAdmission, freeSpots };
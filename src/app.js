@@ -2,6 +2,57 @@ const express = require("express");
 const { swaggerUi, swaggerSpec, PORT } = require("./swagger_options");
 const pool = require("./db");
 const { setupMetrics, counters } = require("./metrics");
+const {
+  setupAuth,
+  ensureSuperAdmin,
+  authenticate,
+  authorize,
+  ROLES,
+  STAFF_ROLES,
+  MANAGER_ROLES,
+  ADMIN_ROLES,
+} = require("./auth");
+const {
+  isSuperAdmin,
+  daycareScope,
+  childScope,
+  linkableParentScope,
+  enrollmentScope,
+} = require("./tenant");
+const { setupAttendance } = require("./attendance");
+const { setupPickup } = require("./pickup");
+const { setupMedical, getMedicalProfile } = require("./medical");
+const {
+  setupCapacity,
+  validateClassroomLimits,
+  checkClassroomFit,
+} = require("./capacity");
+const { setupStaff } = require("./staff");
+const { parseListQuery, pageInfo } = require("./pagination");
+const { setupSearch } = require("./search");
+const { setupAdmission, freeSpots } = require("./admission");
+const {
+  setupGuardians,
+  guardianFields,
+  clearPrimaryContact,
+} = require("./guardian");
+const { setupEmergencyContacts } = require("./emergency");
+const { setupIncidents } = require("./incident");
+const { setupDailyLog } = require("./dailylog");
+const { setupDailyReports } = require("./report");
+const { setupBilling } = require("./billing");
+const { setupBillingAdjustments } = require("./adjustment");
+const { setupCalendar, setupCalendarFeed } = require("./calendar");
+const { setupAbsences } = require("./absence");
+const { setupImmunizations } = require("./immunization");
+const { setupMessaging } = require("./messaging");
+const { setupNotifications, startNotificationWorker } = require("./notification");
+const { setupWebhooks, startWebhookWorker, emitEvent } = require("./webhook");
+const {
+  setupPresenceStream,
+  startPresenceListener,
+  publishPresence,
+} = require("./presence");
 
 const app = express();
 
@@ -19,6 +70,7 @@ app.get('/health', async (req, res) => {
  * /api/health:
  *   get:
  *     tags: [Observability]
+ *     security: []
  *     summary: Health check
  *     description: Verifica o estado da API.
  *     responses:
@@ -45,7 +97,22 @@ app.get('/burn', (req,res)=>{
   res.json({ ok:true, burned_ms: ms });
 });
 
+setupAuth(app); // login e gestão de utilizadores
+setupCalendarFeed(app); // feed .ics público (acesso pelo token da URL)
+setupPresenceStream(app); // stream SSE de presenças (aceita um token curto na URL)
+
+// todas as rotas abaixo precisam de bearer token
+app.use(authenticate);
+
 //DAYCARE ENDPOINTS
+// filtros e ordenação aceites por /get_daycares
+const DAYCARE_LIST = {
+  filters: {
+    name: { column: "name", op: "contains", type: "text" },
+  },
+  sort: ["id", "name"],
+};
+
 /**
  * @swagger
  * /get_daycares:
@@ -53,7 +120,24 @@ app.get('/burn', (req,res)=>{
  *     summary: Get all daycares
  *     tags:
  *       - Daycare
- *     description: Returns all daycare centers from the database.
+ *     description: Returns the daycare centers the caller has access to (all of them for a super admin).
+ *     parameters:
+ *       - $ref: '#/components/parameters/limit'
+ *       - $ref: '#/components/parameters/offset'
+ *       - in: query
+ *         name: sort
+ *         required: false
+ *         description: "Sort field, prefixed with - for descending order. One of: id, name"
+ *         schema:
+ *           type: string
+ *           example: "-id"
+ *       - in: query
+ *         name: name
+ *         required: false
+ *         description: Part of the daycare name (case-insensitive)
+ *         schema:
+ *           type: string
+ *           example: "Happy"
  *     responses:
  *       200:
  *         description: List of all daycares
@@ -65,6 +149,8 @@ app.get('/burn', (req,res)=>{
  *                 daycares_count:
  *                   type: integer
  *                   example: 3
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
  *                 data:
  *                   type: array
  *                   items:
@@ -85,19 +171,38 @@ app.get('/burn', (req,res)=>{
  *                       email:
  *                         type: string
  *                         example: "info@happykids.com"
+ *       400:
+ *         description: Invalid pagination, sort or filter parameters
  *       500:
  *         description: Service error
  */
-app.get("/get_daycares", async (req, res) => {
+app.get("/get_daycares", authorize(...ROLES), async (req, res) => {
+  const params = [];
+  const scope = daycareScope(req.user, "id", params);
+  const list = parseListQuery(req.query, DAYCARE_LIST, params);
+
+  if (list.error) {
+    return res.status(400).json({ status: "error", message: list.error });
+  }
+
+  const where = [scope, ...list.conditions].join(" AND ");
+
   try {
     const count = await pool.query(
-      "SELECT COUNT(*) AS total_daycares FROM daycare"
+      `SELECT COUNT(*) AS total FROM daycare WHERE ${where}`,
+      params
+    );
+    const data = await pool.query(
+      `SELECT * FROM daycare WHERE ${where}
+       ORDER BY ${list.orderBy} LIMIT ${list.limit} OFFSET ${list.offset}`,
+      params
     );
-    const data = await pool.query("SELECT * FROM daycare ORDER BY id ASC");
+    const total = parseInt(count.rows[0].total, 10);
 
     res.json({
-      daycares_count: parseInt(count.rows[0].total_daycares, 10),
+      daycares_count: total,
       data: data.rows,
+      pagination: pageInfo(req, list, total),
     });
   } catch (err) {
     res.status(500).json({ status: "error", error: err.message });
@@ -152,12 +257,16 @@ app.get("/get_daycares", async (req, res) => {
  *       500:
  *         description: Internal server error
  */
-app.get("/get_daycare/:id", async (req, res) => {
+app.get("/get_daycare/:id", authorize(...ROLES), async (req, res) => {
   const { id } = req.params;
+  const params = [id];
+  const scope = daycareScope(req.user, "id", params);
+
   try {
-    const result = await pool.query("SELECT * FROM daycare WHERE id = $1", [
-      id,
-    ]);
+    const result = await pool.query(
+      `SELECT * FROM daycare WHERE id = $1 AND ${scope}`,
+      params
+    );
 
     if (result.rows.length === 0) {
       return res.status(404).json({
@@ -172,6 +281,108 @@ app.get("/get_daycare/:id", async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /create_daycare:
+ *   post:
+ *     summary: Create a daycare
+ *     tags:
+ *       - Daycare
+ *     description: Inserts a new daycare record in the database. Super admin only.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: "Bright Future Daycare"
+ *               address:
+ *                 type: string
+ *                 example: "456 Rainbow Rd, Springfield"
+ *               phone:
+ *                 type: string
+ *                 example: "+1 555-999-8888"
+ *               email:
+ *                 type: string
+ *                 example: "contact@brightfuture.com"
+ *     responses:
+ *       201:
+ *         description: Daycare created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 message:
+ *                   type: string
+ *                   example: Daycare created successfully
+ *                 created_data:
+ *                   type: object
+ *                   properties:
+ *                     id:
+ *                       type: integer
+ *                       example: 3
+ *                     name:
+ *                       type: string
+ *                       example: "Bright Future Daycare"
+ *                     address:
+ *                       type: string
+ *                       example: "456 Rainbow Rd, Springfield"
+ *                     phone:
+ *                       type: string
+ *                       example: "+1 555-999-8888"
+ *                     email:
+ *                       type: string
+ *                       example: "contact@brightfuture.com"
+ *       400:
+ *         description: Missing or invalid parameters
+ *       500:
+ *         description: Internal server error
+ */
+app.post("/create_daycare", authorize("super_admin"), async (req, res) => {
+  const { name, address, phone, email } = req.body;
+
+  if (!name || !address || !phone || !email) {
+    return res.status(400).json({
+      status: "error",
+      message: "All fields (name, address, phone, email) are required",
+    });
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    const result = await client.query(
+      `INSERT INTO daycare (name, address, phone, email)
+       VALUES ($1, $2, $3, $4)
+       RETURNING *`,
+      [name, address, phone, email]
+    );
+    await emitEvent(client, "daycare.created", result.rows[0]);
+    await client.query("COMMIT");
+
+    res.status(201).json({
+      status: "success",
+      message: "Daycare created successfully",
+      created_data: result.rows[0],
+    });
+  } catch (err) {
+    await client.query("ROLLBACK");
+    res.status(500).json({
+      status: "error",
+      error: err.message,
+    });
+  } finally {
+    client.release();
+  }
+});
+
 /**
  * @swagger
  * /delete_daycare/{id}:
@@ -206,27 +417,42 @@ app.get("/get_daycare/:id", async (req, res) => {
  *       500:
  *         description: Internal server error
  */
-app.delete("/delete_daycare/:id", async (req, res) => {
+app.delete("/delete_daycare/:id", authorize(...ADMIN_ROLES), async (req, res) => {
   const { id } = req.params;
+  const params = [id];
+  const scope = daycareScope(req.user, "id", params);
+
+  const client = await pool.connect();
   try {
-    const result = await pool.query("DELETE FROM daycare WHERE id = $1", [id]);
+    await client.query("BEGIN");
+    const result = await client.query(
+      `DELETE FROM daycare WHERE id = $1 AND ${scope} RETURNING *`,
+      params
+    );
 
     if (result.rowCount === 0) {
+      await client.query("ROLLBACK");
       return res.status(404).json({
         status: "not_found",
         message: "Daycare not found",
       });
     }
 
+    await emitEvent(client, "daycare.deleted", result.rows[0]);
+    await client.query("COMMIT");
+
     res.json({
       status: "success",
       message: "Daycare deleted successfully",
     });
   } catch (err) {
+    await client.query("ROLLBACK");
     res.status(500).json({
       status: "error",
       error: err.message,
     });
+  } finally {
+    client.release();
   }
 });
 
@@ -303,7 +529,7 @@ app.delete("/delete_daycare/:id", async (req, res) => {
  *       500:
  *         description: Internal server error
  */
-app.put("/update_daycare/:id", async (req, res) => {
+app.put("/update_daycare/:id", authorize(...MANAGER_ROLES), async (req, res) => {
   const { id } = req.params;
   const { name, address, phone, email } = req.body;
 
@@ -314,36 +540,57 @@ app.put("/update_daycare/:id", async (req, res) => {
     });
   }
 
+  const params = [name, address, phone, email, id];
+  const scope = daycareScope(req.user, "id", params);
+
+  const client = await pool.connect();
   try {
-    const result = await pool.query(
+    await client.query("BEGIN");
+    const result = await client.query(
       `UPDATE daycare
        SET name = $1, address = $2, phone = $3, email = $4
-       WHERE id = $5
+       WHERE id = $5 AND ${scope}
        RETURNING *`,
-      [name, address, phone, email, id]
+      params
     );
 
     if (result.rowCount === 0) {
+      await client.query("ROLLBACK");
       return res.status(404).json({
         status: "not_found",
         message: "Daycare not found",
       });
     }
 
+    await emitEvent(client, "daycare.updated", result.rows[0]);
+    await client.query("COMMIT");
+
     res.json({
       status: "success",
       message: "Daycare updated successfully",
       updated_data: result.rows[0],
     });
   } catch (err) {
+    await client.query("ROLLBACK");
     res.status(500).json({
       status: "error",
       error: err.message,
     });
+  } finally {
+    client.release();
   }
 });
 
 // CLASSRROM ENDPOINTS
+// filtros e ordenação aceites por /get_classrooms
+const CLASSROOM_LIST = {
+  filters: {
+    daycare_id: { column: "daycare_id", type: "id" },
+    name: { column: "name", op: "contains", type: "text" },
+  },
+  sort: ["id", "name", "daycare_id", "capacity"],
+};
+
 /**
  * @swagger
  * /get_classrooms:
@@ -351,7 +598,31 @@ app.put("/update_daycare/:id", async (req, res) => {
  *     summary: Get all classrooms
  *     tags:
  *       - Classroom
- *     description: Returns all classrooms from the database.
+ *     description: Returns the classrooms of the caller's daycare (all of them for a super admin).
+ *     parameters:
+ *       - $ref: '#/components/parameters/limit'
+ *       - $ref: '#/components/parameters/offset'
+ *       - in: query
+ *         name: sort
+ *         required: false
+ *         description: "Sort field, prefixed with - for descending order. One of: id, name, daycare_id, capacity"
+ *         schema:
+ *           type: string
+ *           example: "-id"
+ *       - in: query
+ *         name: daycare_id
+ *         required: false
+ *         description: Only classrooms of this daycare
+ *         schema:
+ *           type: integer
+ *           example: 1
+ *       - in: query
+ *         name: name
+ *         required: false
+ *         description: Part of the classroom name (case-insensitive)
+ *         schema:
+ *           type: string
+ *           example: "Blue"
  *     responses:
  *       200:
  *         description: List of classrooms
@@ -363,6 +634,8 @@ app.put("/update_daycare/:id", async (req, res) => {
  *                 classrooms_count:
  *                   type: integer
  *                   example: 3
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
  *                 data:
  *                   type: array
  *                   items:
@@ -377,19 +650,38 @@ app.put("/update_daycare/:id", async (req, res) => {
  *                       daycare_id:
  *                         type: integer
  *                         example: 1
+ *       400:
+ *         description: Invalid pagination, sort or filter parameters
  *       500:
  *         description: Service error
  */
-app.get("/get_classrooms", async (req, res) => {
+app.get("/get_classrooms", authorize(...STAFF_ROLES), async (req, res) => {
+  const params = [];
+  const scope = daycareScope(req.user, "daycare_id", params);
+  const list = parseListQuery(req.query, CLASSROOM_LIST, params);
+
+  if (list.error) {
+    return res.status(400).json({ status: "error", message: list.error });
+  }
+
+  const where = [scope, ...list.conditions].join(" AND ");
+
   try {
     const count = await pool.query(
-      "SELECT COUNT(*) AS total_classrooms FROM classroom"
+      `SELECT COUNT(*) AS total FROM classroom WHERE ${where}`,
+      params
+    );
+    const data = await pool.query(
+      `SELECT * FROM classroom WHERE ${where}
+       ORDER BY ${list.orderBy} LIMIT ${list.limit} OFFSET ${list.offset}`,
+      params
     );
-    const data = await pool.query("SELECT * FROM classroom ORDER BY id ASC");
+    const total = parseInt(count.rows[0].total, 10);
 
     res.json({
-      classrooms_count: parseInt(count.rows[0].total_classrooms, 10),
+      classrooms_count: total,
       data: data.rows,
+      pagination: pageInfo(req, list, total),
     });
   } catch (err) {
     res.status(500).json({ status: "error", error: err.message });
@@ -438,12 +730,16 @@ app.get("/get_classrooms", async (req, res) => {
  *       500:
  *         description: Internal server error
  */
-app.get("/get_classroom/:id", async (req, res) => {
+app.get("/get_classroom/:id", authorize(...STAFF_ROLES), async (req, res) => {
   const { id } = req.params;
+  const params = [id];
+  const scope = daycareScope(req.user, "daycare_id", params);
+
   try {
-    const result = await pool.query("SELECT * FROM classroom WHERE id = $1", [
-      id,
-    ]);
+    const result = await pool.query(
+      `SELECT * FROM classroom WHERE id = $1 AND ${scope}`,
+      params
+    );
 
     if (result.rows.length === 0) {
       return res
@@ -457,6 +753,125 @@ app.get("/get_classroom/:id", async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /create_classroom:
+ *   post:
+ *     summary: Create a classroom
+ *     tags:
+ *       - Classroom
+ *     description: Inserts a new classroom in an existing daycare, optionally with a capacity and an age range (in months) enforced when children are placed in it.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: "Purple Penguins"
+ *               daycare_id:
+ *                 type: integer
+ *                 example: 1
+ *               capacity:
+ *                 type: integer
+ *                 description: Maximum number of children; omit for no limit
+ *                 example: 12
+ *               min_age_months:
+ *                 type: integer
+ *                 description: Minimum age of the children, in months
+ *                 example: 12
+ *               max_age_months:
+ *                 type: integer
+ *                 description: Age, in months, from which children no longer fit the classroom
+ *                 example: 24
+ *     responses:
+ *       201:
+ *         description: Classroom created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 message:
+ *                   type: string
+ *                   example: Classroom created successfully
+ *                 created_data:
+ *                   type: object
+ *                   properties:
+ *                     id:
+ *                       type: integer
+ *                       example: 5
+ *                     name:
+ *                       type: string
+ *                       example: "Purple Penguins"
+ *                     daycare_id:
+ *                       type: integer
+ *                       example: 1
+ *       400:
+ *         description: Missing or invalid parameters, or daycare does not exist
+ *       500:
+ *         description: Internal server error
+ */
+app.post("/create_classroom", authorize(...MANAGER_ROLES), async (req, res) => {
+  const { name, daycare_id, capacity, min_age_months, max_age_months } =
+    req.body;
+
+  if (!name || !daycare_id) {
+    return res.status(400).json({
+      status: "error",
+      message: "Both name and daycare_id are required",
+    });
+  }
+
+  const limitsError = validateClassroomLimits(req.body);
+  if (limitsError) {
+    return res.status(400).json({ status: "error", message: limitsError });
+  }
+
+  const params = [daycare_id];
+  const scope = daycareScope(req.user, "id", params);
+
+  try {
+    const daycare = await pool.query(
+      `SELECT id FROM daycare WHERE id = $1 AND ${scope}`,
+      params
+    );
+
+    if (daycare.rows.length === 0) {
+      return res
+        .status(400)
+        .json({ status: "error", message: "Daycare does not exist" });
+    }
+
+    const result = await pool.query(
+      `INSERT INTO classroom
+         (name, daycare_id, capacity, min_age_months, max_age_months)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING *`,
+      [
+        name,
+        daycare_id,
+        capacity ?? null,
+        min_age_months ?? null,
+        max_age_months ?? null,
+      ]
+    );
+
+    res.status(201).json({
+      status: "success",
+      message: "Classroom created successfully",
+      created_data: result.rows[0],
+    });
+  } catch (err) {
+    res.status(500).json({ status: "error", error: err.message });
+  }
+});
+
 /**
  * @swagger
  * /delete_classroom/{id}:
@@ -491,12 +906,16 @@ app.get("/get_classroom/:id", async (req, res) => {
  *       500:
  *         description: Internal server error
  */
-app.delete("/delete_classroom/:id", async (req, res) => {
+app.delete("/delete_classroom/:id", authorize(...MANAGER_ROLES), async (req, res) => {
   const { id } = req.params;
+  const params = [id];
+  const scope = daycareScope(req.user, "daycare_id", params);
+
   try {
-    const result = await pool.query("DELETE FROM classroom WHERE id = $1", [
-      id,
-    ]);
+    const result = await pool.query(
+      `DELETE FROM classroom WHERE id = $1 AND ${scope}`,
+      params
+    );
 
     if (result.rowCount === 0) {
       return res
@@ -538,6 +957,16 @@ app.delete("/delete_classroom/:id", async (req, res) => {
  *               daycare_id:
  *                 type: integer
  *                 example: 2
+ *               capacity:
+ *                 type: integer
+ *                 description: Maximum number of children; null removes the limit, omit to keep the current one
+ *                 example: 15
+ *               min_age_months:
+ *                 type: integer
+ *                 example: 24
+ *               max_age_months:
+ *                 type: integer
+ *                 example: 36
  *     responses:
  *       200:
  *         description: Classroom updated successfully
@@ -568,10 +997,12 @@ app.delete("/delete_classroom/:id", async (req, res) => {
  *         description: Missing or invalid parameters
  *       404:
  *         description: Classroom not found
+ *       409:
+ *         description: Capacity lower than the number of children already in the classroom
  *       500:
  *         description: Internal server error
  */
-app.put("/update_classroom/:id", async (req, res) => {
+app.put("/update_classroom/:id", authorize(...MANAGER_ROLES), async (req, res) => {
   const { id } = req.params;
   const { name, daycare_id } = req.body;
 
@@ -583,12 +1014,76 @@ app.put("/update_classroom/:id", async (req, res) => {
   }
 
   try {
+    const currentParams = [id];
+    const current = await pool.query(
+      `SELECT * FROM classroom
+       WHERE id = $1 AND ${daycareScope(req.user, "daycare_id", currentParams)}`,
+      currentParams
+    );
+
+    if (current.rows.length === 0) {
+      return res
+        .status(404)
+        .json({ status: "not_found", message: "Classroom not found" });
+    }
+
+    // limites omitidos mantêm o valor atual
+    const limits = {};
+    for (const field of ["capacity", "min_age_months", "max_age_months"]) {
+      limits[field] =
+        req.body[field] === undefined ? current.rows[0][field] : req.body[field];
+    }
+
+    const limitsError = validateClassroomLimits(limits);
+    if (limitsError) {
+      return res.status(400).json({ status: "error", message: limitsError });
+    }
+
+    if (limits.capacity != null) {
+      const children = await pool.query(
+        "SELECT COUNT(*) AS total_children FROM child WHERE classroom_id = $1",
+        [id]
+      );
+      const total = parseInt(children.rows[0].total_children, 10);
+
+      if (total > limits.capacity) {
+        return res.status(409).json({
+          status: "error",
+          message: `Classroom already has ${total} children, above capacity ${limits.capacity}`,
+        });
+      }
+    }
+
+    // não deixa mover a sala para um daycare fora do alcance do utilizador
+    const daycareParams = [daycare_id];
+    const daycare = await pool.query(
+      `SELECT id FROM daycare
+       WHERE id = $1 AND ${daycareScope(req.user, "id", daycareParams)}`,
+      daycareParams
+    );
+
+    if (daycare.rows.length === 0) {
+      return res
+        .status(400)
+        .json({ status: "error", message: "Daycare does not exist" });
+    }
+
+    const params = [
+      name,
+      daycare_id,
+      limits.capacity,
+      limits.min_age_months,
+      limits.max_age_months,
+      id,
+    ];
+    const scope = daycareScope(req.user, "daycare_id", params);
     const result = await pool.query(
       `UPDATE classroom
-       SET name = $1, daycare_id = $2
-       WHERE id = $3
+       SET name = $1, daycare_id = $2, capacity = $3,
+           min_age_months = $4, max_age_months = $5
+       WHERE id = $6 AND ${scope}
        RETURNING *`,
-      [name, daycare_id, id]
+      params
     );
 
     if (result.rowCount === 0) {
@@ -608,6 +1103,15 @@ app.put("/update_classroom/:id", async (req, res) => {
 });
 
 //ENROLMENT ENDPOINTS
+// filtros e ordenação aceites por /get_enrollments
+const ENROLLMENT_LIST = {
+  filters: {
+    child_id: { column: "child_id", type: "id" },
+    parent_id: { column: "parent_id", type: "id" },
+  },
+  sort: ["id", "child_id", "parent_id"],
+};
+
 /**
  * @swagger
  * /get_enrollments:
@@ -616,6 +1120,30 @@ app.put("/update_classroom/:id", async (req, res) => {
  *     tags:
  *       - Enrollment
  *     description: Returns the count "enrolnments" of the childs
+ *     parameters:
+ *       - $ref: '#/components/parameters/limit'
+ *       - $ref: '#/components/parameters/offset'
+ *       - in: query
+ *         name: sort
+ *         required: false
+ *         description: "Sort field, prefixed with - for descending order. One of: id, child_id, parent_id"
+ *         schema:
+ *           type: string
+ *           example: "-id"
+ *       - in: query
+ *         name: child_id
+ *         required: false
+ *         description: Only enrollments of this child
+ *         schema:
+ *           type: integer
+ *           example: 1
+ *       - in: query
+ *         name: parent_id
+ *         required: false
+ *         description: Only enrollments of this parent
+ *         schema:
+ *           type: integer
+ *           example: 2
  *     responses:
  *       200:
  *         description: Returns ok
@@ -627,23 +1155,43 @@ app.put("/update_classroom/:id", async (req, res) => {
  *                 enrollments_count:
  *                   type: int
  *                   example: 2
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
  *                 data:
  *                   type: object
  *                   example: {child_id: 1, parent_id: 1}
+ *       400:
+ *         description: Invalid pagination, sort or filter parameters
  *       500:
  *         description: Service error
  */
-app.get("/get_enrollments", async (req, res) => {
+app.get("/get_enrollments", authorize(...ROLES), async (req, res) => {
+  const params = [];
+  const scope = enrollmentScope(req.user, "enrollment", params);
+  const list = parseListQuery(req.query, ENROLLMENT_LIST, params);
+
+  if (list.error) {
+    return res.status(400).json({ status: "error", message: list.error });
+  }
+
+  const where = [scope, ...list.conditions].join(" AND ");
+
   try {
     const count = await pool.query(
-      "SELECT COUNT(*) AS total_enrollments FROM public.enrollment"
+      `SELECT COUNT(*) AS total FROM enrollment WHERE ${where}`,
+      params
     );
     const data = await pool.query(
-      "SELECT * FROM public.enrollment ORDER BY id ASC"
+      `SELECT * FROM enrollment WHERE ${where}
+       ORDER BY ${list.orderBy} LIMIT ${list.limit} OFFSET ${list.offset}`,
+      params
     );
+    const total = parseInt(count.rows[0].total, 10);
+
     res.json({
-      enrollments_count: count["rows"][0]["total_enrollments"],
-      data: data["rows"],
+      enrollments_count: total,
+      data: data.rows,
+      pagination: pageInfo(req, list, total),
     });
   } catch (err) {
     res.status(500).json({ status: "error", error: err.message });
@@ -688,6 +1236,21 @@ app.get("/get_enrollments", async (req, res) => {
  *                       parent_id:
  *                         type: integer
  *                         example: 5
+ *                       relation:
+ *                         type: string
+ *                         example: mother
+ *                       is_primary_contact:
+ *                         type: boolean
+ *                         example: true
+ *                       has_legal_custody:
+ *                         type: boolean
+ *                         example: true
+ *                       notify_email:
+ *                         type: boolean
+ *                         example: true
+ *                       notify_sms:
+ *                         type: boolean
+ *                         example: false
  *       400:
  *         description: Invalid ID supplied
  *       404:
@@ -695,11 +1258,15 @@ app.get("/get_enrollments", async (req, res) => {
  *       500:
  *         description: Internal server error
  */
-app.get("/get_enrollment/:id", async (req, res) => {
+app.get("/get_enrollment/:id", authorize(...ROLES), async (req, res) => {
   const { id } = req.params;
+  const params = [id];
+  const scope = enrollmentScope(req.user, "enrollment", params);
+
   try {
     const result = await pool.query(
-      `SELECT * FROM public.enrollment WHERE public.enrollment.id=${id} ORDER BY id ASC`
+      `SELECT * FROM public.enrollment WHERE id = $1 AND ${scope}`,
+      params
     );
     if (result["rows"].length === 0) {
       return res.status(404).json({
@@ -717,29 +1284,196 @@ app.get("/get_enrollment/:id", async (req, res) => {
 
 /**
  * @swagger
- * /delete_enrollment/{id}:
- *   delete:
- *     summary: Delete enrollment by ID
+ * /create_enrollment:
+ *   post:
+ *     summary: Create an enrollment
  *     tags:
  *       - Enrollment
- *     description: Permanently removes an enrollment record from the database using its unique ID.
- *     parameters:
- *       - in: path
- *         name: id
- *         required: true
- *         description: The unique identifier of the enrollment record to delete.
- *         schema:
- *           type: integer
- *           example: 1
- *     responses:
- *       200:
- *         description: Enrollment successfully deleted
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 status:
+ *     description: Links an existing child to an existing parent. relation defaults to legal_guardian, has_legal_custody and notify_email to true, is_primary_contact and notify_sms to false. A child has at most one primary contact, so marking this link as primary unmarks the child's other links.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               child_id:
+ *                 type: integer
+ *                 example: 1
+ *               parent_id:
+ *                 type: integer
+ *                 example: 2
+ *               relation:
+ *                 type: string
+ *                 enum: [mother, father, legal_guardian, foster]
+ *                 example: mother
+ *               is_primary_contact:
+ *                 type: boolean
+ *                 example: true
+ *               has_legal_custody:
+ *                 type: boolean
+ *                 example: true
+ *               notify_email:
+ *                 type: boolean
+ *                 example: true
+ *               notify_sms:
+ *                 type: boolean
+ *                 example: false
+ *     responses:
+ *       201:
+ *         description: Enrollment created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 message:
+ *                   type: string
+ *                   example: Enrollment created successfully
+ *                 created_data:
+ *                   type: object
+ *                   properties:
+ *                     id:
+ *                       type: integer
+ *                       example: 6
+ *                     child_id:
+ *                       type: integer
+ *                       example: 1
+ *                     parent_id:
+ *                       type: integer
+ *                       example: 2
+ *                     relation:
+ *                       type: string
+ *                       example: mother
+ *                     is_primary_contact:
+ *                       type: boolean
+ *                       example: true
+ *       400:
+ *         description: Missing or invalid parameters, or child/parent does not exist
+ *       409:
+ *         description: Child is already linked to this parent
+ *       500:
+ *         description: Internal server error
+ */
+app.post("/create_enrollment", authorize(...MANAGER_ROLES), async (req, res) => {
+  const { child_id, parent_id } = req.body;
+
+  if (!child_id || !parent_id) {
+    return res.status(400).json({
+      status: "error",
+      message: "Both child_id and parent_id are required",
+    });
+  }
+
+  const link = guardianFields(req.body);
+  if (link.error) {
+    return res.status(400).json({ status: "error", message: link.error });
+  }
+
+  const client = await pool.connect();
+  try {
+    const childParams = [child_id];
+    const child = await pool.query(
+      `SELECT id FROM child
+       WHERE id = $1 AND ${childScope(req.user, "id", childParams)}`,
+      childParams
+    );
+    if (child.rows.length === 0) {
+      return res
+        .status(400)
+        .json({ status: "error", message: "Child does not exist" });
+    }
+
+    const parentParams = [parent_id];
+    const parent = await pool.query(
+      `SELECT id FROM parent
+       WHERE id = $1 AND ${linkableParentScope(req.user, "id", parentParams)}`,
+      parentParams
+    );
+    if (parent.rows.length === 0) {
+      return res
+        .status(400)
+        .json({ status: "error", message: "Parent does not exist" });
+    }
+
+    const existing = await pool.query(
+      "SELECT id FROM enrollment WHERE child_id = $1 AND parent_id = $2",
+      [child_id, parent_id]
+    );
+    if (existing.rows.length > 0) {
+      return res.status(409).json({
+        status: "error",
+        message: "Child is already linked to this parent",
+      });
+    }
+
+    const { fields } = link;
+    await client.query("BEGIN");
+
+    if (fields.is_primary_contact) {
+      await clearPrimaryContact(client, child_id);
+    }
+
+    const result = await client.query(
+      `INSERT INTO enrollment (child_id, parent_id, relation, is_primary_contact,
+                               has_legal_custody, notify_email, notify_sms)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       RETURNING *`,
+      [
+        child_id,
+        parent_id,
+        fields.relation,
+        fields.is_primary_contact,
+        fields.has_legal_custody,
+        fields.notify_email,
+        fields.notify_sms,
+      ]
+    );
+
+    await emitEvent(client, "enrollment.created", result.rows[0]);
+    await client.query("COMMIT");
+
+    res.status(201).json({
+      status: "success",
+      message: "Enrollment created successfully",
+      created_data: result.rows[0],
+    });
+  } catch (err) {
+    await client.query("ROLLBACK");
+    res.status(500).json({ status: "error", error: err.message });
+  } finally {
+    client.release();
+  }
+});
+
+/**
+ * @swagger
+ * /delete_enrollment/{id}:
+ *   delete:
+ *     summary: Delete enrollment by ID
+ *     tags:
+ *       - Enrollment
+ *     description: Permanently removes an enrollment record from the database using its unique ID.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: The unique identifier of the enrollment record to delete.
+ *         schema:
+ *           type: integer
+ *           example: 1
+ *     responses:
+ *       200:
+ *         description: Enrollment successfully deleted
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
  *                   type: string
  *                   example: success
  *                 message:
@@ -750,23 +1484,42 @@ app.get("/get_enrollment/:id", async (req, res) => {
  *       500:
  *         description: Internal server error
  */
-app.delete("/delete_enrollment/:id", async (req, res) => {
+app.delete("/delete_enrollment/:id", authorize(...MANAGER_ROLES), async (req, res) => {
   const { id } = req.params;
+  const params = [id];
+  const scope = enrollmentScope(req.user, "enrollment", params);
 
+  const client = await pool.connect();
   try {
-    await pool.query(
-      `DELETE FROM public.enrollment WHERE public.enrollment.id=${id}`
+    await client.query("BEGIN");
+    const result = await client.query(
+      `DELETE FROM public.enrollment WHERE id = $1 AND ${scope} RETURNING *`,
+      params
     );
 
+    if (result.rowCount === 0) {
+      await client.query("ROLLBACK");
+      return res.status(404).json({
+        status: "not_found",
+        message: "Enrollment not found",
+      });
+    }
+
+    await emitEvent(client, "enrollment.deleted", result.rows[0]);
+    await client.query("COMMIT");
+
     res.status(200).json({
       status: "success",
       message: "Enrollment deleted successfully",
     });
   } catch (err) {
+    await client.query("ROLLBACK");
     res.status(500).json({
       status: "error",
       error: err.message,
     });
+  } finally {
+    client.release();
   }
 });
 
@@ -777,7 +1530,7 @@ app.delete("/delete_enrollment/:id", async (req, res) => {
  *     summary: Update enrollment by ID
  *     tags:
  *       - Enrollment
- *     description: Updates an existing enrollment record in the database by its unique ID.
+ *     description: Updates an existing enrollment record in the database by its unique ID. Relationship fields that are omitted keep their current value; marking the link as primary contact unmarks the child's other links.
  *     parameters:
  *       - in: path
  *         name: id
@@ -799,6 +1552,22 @@ app.delete("/delete_enrollment/:id", async (req, res) => {
  *               parent_id:
  *                 type: integer
  *                 example: 0
+ *               relation:
+ *                 type: string
+ *                 enum: [mother, father, legal_guardian, foster]
+ *                 example: mother
+ *               is_primary_contact:
+ *                 type: boolean
+ *                 example: true
+ *               has_legal_custody:
+ *                 type: boolean
+ *                 example: true
+ *               notify_email:
+ *                 type: boolean
+ *                 example: true
+ *               notify_sms:
+ *                 type: boolean
+ *                 example: false
  *     responses:
  *       200:
  *         description: Enrollment updated successfully
@@ -832,7 +1601,7 @@ app.delete("/delete_enrollment/:id", async (req, res) => {
  *       500:
  *         description: Internal server error
  */
-app.put("/update_enrollment/:id", async (req, res) => {
+app.put("/update_enrollment/:id", authorize(...MANAGER_ROLES), async (req, res) => {
   const { id } = req.params;
   const { child_id, parent_id } = req.body;
 
@@ -843,14 +1612,79 @@ app.put("/update_enrollment/:id", async (req, res) => {
     });
   }
 
+  const client = await pool.connect();
   try {
-    const result = await pool.query(
+    const currentParams = [id];
+    const current = await client.query(
+      `SELECT * FROM public.enrollment
+       WHERE id = $1 AND ${enrollmentScope(req.user, "enrollment", currentParams)}`,
+      currentParams
+    );
+    if (current.rows.length === 0) {
+      return res.status(404).json({
+        status: "not_found",
+        message: "Enrollment not found",
+      });
+    }
+
+    const link = guardianFields(req.body, current.rows[0]);
+    if (link.error) {
+      return res.status(400).json({ status: "error", message: link.error });
+    }
+
+    const childParams = [child_id];
+    const child = await pool.query(
+      `SELECT id FROM child
+       WHERE id = $1 AND ${childScope(req.user, "id", childParams)}`,
+      childParams
+    );
+    if (child.rows.length === 0) {
+      return res
+        .status(400)
+        .json({ status: "error", message: "Child does not exist" });
+    }
+
+    const parentParams = [parent_id];
+    const parent = await pool.query(
+      `SELECT id FROM parent
+       WHERE id = $1 AND ${linkableParentScope(req.user, "id", parentParams)}`,
+      parentParams
+    );
+    if (parent.rows.length === 0) {
+      return res
+        .status(400)
+        .json({ status: "error", message: "Parent does not exist" });
+    }
+
+    const { fields } = link;
+    await client.query("BEGIN");
+
+    if (fields.is_primary_contact) {
+      await clearPrimaryContact(client, child_id, id);
+    }
+
+    const result = await client.query(
       `UPDATE public.enrollment
-       SET child_id = ${child_id}, parent_id = ${parent_id}
-       WHERE id = ${id}
-       RETURNING *`
+       SET child_id = $1, parent_id = $2, relation = $3,
+           is_primary_contact = $4, has_legal_custody = $5,
+           notify_email = $6, notify_sms = $7
+       WHERE id = $8
+       RETURNING *`,
+      [
+        child_id,
+        parent_id,
+        fields.relation,
+        fields.is_primary_contact,
+        fields.has_legal_custody,
+        fields.notify_email,
+        fields.notify_sms,
+        id,
+      ]
     );
 
+    await emitEvent(client, "enrollment.updated", result.rows[0]);
+    await client.query("COMMIT");
+
     res.status(200).json({
       status: "success",
       message: "Enrollment updated successfully",
@@ -858,14 +1692,29 @@ app.put("/update_enrollment/:id", async (req, res) => {
     });
   } catch (err) {
     console.error(err);
+    await client.query("ROLLBACK");
     res.status(500).json({
       status: "error",
       error: err.message,
     });
+  } finally {
+    client.release();
   }
 });
 
 //CHILDREN ENDPOINTS
+// filtros e ordenação aceites por /get_children
+const CHILD_LIST = {
+  filters: {
+    daycare_id: { column: "daycare_id", type: "id" },
+    classroom_id: { column: "classroom_id", type: "id" },
+    born_from: { column: "date_of_birth", op: ">=", type: "date" },
+    born_to: { column: "date_of_birth", op: "<=", type: "date" },
+    name: { column: "name", op: "contains", type: "text" },
+  },
+  sort: ["id", "name", "date_of_birth", "classroom_id"],
+};
+
 /**
  * @swagger
  * /get_children:
@@ -873,7 +1722,54 @@ app.put("/update_enrollment/:id", async (req, res) => {
  *     summary: Get all children
  *     tags:
  *       - Child
- *     description: Returns all children in the database.
+ *     description: Returns the children of the caller's daycare. Parents only get their own children.
+ *     parameters:
+ *       - $ref: '#/components/parameters/limit'
+ *       - $ref: '#/components/parameters/offset'
+ *       - in: query
+ *         name: sort
+ *         required: false
+ *         description: "Sort field, prefixed with - for descending order. One of: id, name, date_of_birth, classroom_id"
+ *         schema:
+ *           type: string
+ *           example: "-id"
+ *       - in: query
+ *         name: daycare_id
+ *         required: false
+ *         description: Only children of this daycare
+ *         schema:
+ *           type: integer
+ *           example: 1
+ *       - in: query
+ *         name: classroom_id
+ *         required: false
+ *         description: Only children of this classroom
+ *         schema:
+ *           type: integer
+ *           example: 1
+ *       - in: query
+ *         name: born_from
+ *         required: false
+ *         description: Born on or after this date (YYYY-MM-DD)
+ *         schema:
+ *           type: string
+ *           format: date
+ *           example: "2020-01-01"
+ *       - in: query
+ *         name: born_to
+ *         required: false
+ *         description: Born on or before this date (YYYY-MM-DD)
+ *         schema:
+ *           type: string
+ *           format: date
+ *           example: "2021-12-31"
+ *       - in: query
+ *         name: name
+ *         required: false
+ *         description: Part of the child name (case-insensitive)
+ *         schema:
+ *           type: string
+ *           example: "Smith"
  *     responses:
  *       200:
  *         description: List of children
@@ -885,6 +1781,8 @@ app.put("/update_enrollment/:id", async (req, res) => {
  *                 children_count:
  *                   type: integer
  *                   example: 5
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
  *                 data:
  *                   type: array
  *                   items:
@@ -906,19 +1804,38 @@ app.put("/update_enrollment/:id", async (req, res) => {
  *                       daycare_id:
  *                         type: integer
  *                         example: 1
+ *       400:
+ *         description: Invalid pagination, sort or filter parameters
  *       500:
  *         description: Service error
  */
-app.get("/get_children", async (req, res) => {
+app.get("/get_children", authorize(...ROLES), async (req, res) => {
+  const params = [];
+  const scope = childScope(req.user, "id", params);
+  const list = parseListQuery(req.query, CHILD_LIST, params);
+
+  if (list.error) {
+    return res.status(400).json({ status: "error", message: list.error });
+  }
+
+  const where = [scope, ...list.conditions].join(" AND ");
+
   try {
     const count = await pool.query(
-      "SELECT COUNT(*) AS total_children FROM child"
+      `SELECT COUNT(*) AS total FROM child WHERE ${where}`,
+      params
+    );
+    const data = await pool.query(
+      `SELECT * FROM child WHERE ${where}
+       ORDER BY ${list.orderBy} LIMIT ${list.limit} OFFSET ${list.offset}`,
+      params
     );
-    const data = await pool.query("SELECT * FROM child ORDER BY id ASC");
+    const total = parseInt(count.rows[0].total, 10);
 
     res.json({
-      children_count: parseInt(count.rows[0].total_children, 10),
+      children_count: total,
       data: data.rows,
+      pagination: pageInfo(req, list, total),
     });
   } catch (err) {
     res.status(500).json({ status: "error", error: err.message });
@@ -932,7 +1849,7 @@ app.get("/get_children", async (req, res) => {
  *     summary: Get child by ID
  *     tags:
  *       - Child
- *     description: Retrieve a specific child record by ID.
+ *     description: Retrieve a specific child record by ID. Use include=medical to also get the medical profile (same format as /get_child_medical).
  *     parameters:
  *       - in: path
  *         name: id
@@ -940,6 +1857,12 @@ app.get("/get_children", async (req, res) => {
  *         schema:
  *           type: integer
  *           example: 1
+ *       - in: query
+ *         name: include
+ *         required: false
+ *         schema:
+ *           type: string
+ *           enum: [medical]
  *     responses:
  *       200:
  *         description: Child found
@@ -974,10 +1897,16 @@ app.get("/get_children", async (req, res) => {
  *       500:
  *         description: Internal server error
  */
-app.get("/get_child/:id", async (req, res) => {
+app.get("/get_child/:id", authorize(...ROLES), async (req, res) => {
   const { id } = req.params;
+  const params = [id];
+  const scope = childScope(req.user, "id", params);
+
   try {
-    const result = await pool.query("SELECT * FROM child WHERE id = $1", [id]);
+    const result = await pool.query(
+      `SELECT * FROM child WHERE id = $1 AND ${scope}`,
+      params
+    );
 
     if (result.rows.length === 0) {
       return res
@@ -985,12 +1914,141 @@ app.get("/get_child/:id", async (req, res) => {
         .json({ status: "not_found", message: "Child not found" });
     }
 
+    if (req.query.include === "medical") {
+      result.rows[0].medical = await getMedicalProfile(id);
+    }
+
     res.json({ data: result.rows });
   } catch (err) {
     res.status(500).json({ status: "error", error: err.message });
   }
 });
 
+/**
+ * @swagger
+ * /create_child:
+ *   post:
+ *     summary: Create a child
+ *     tags:
+ *       - Child
+ *     description: Inserts a new child, without a classroom. The child is placed in a classroom through the admission lifecycle (/create_child_enrollment), which checks the age range, free spots and emergency contacts. Breaking change. This route used to accept a classroom_id checked against the daycare, but a new child has no emergency contact yet and could not pass those checks, so a request with classroom_id is now rejected with a 400.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: "Mia Johnson"
+ *               date_of_birth:
+ *                 type: string
+ *                 format: date
+ *                 example: "2021-09-04"
+ *               daycare_id:
+ *                 type: integer
+ *                 example: 1
+ *               classroom_id:
+ *                 type: integer
+ *                 deprecated: true
+ *                 description: No longer accepted, use /create_child_enrollment
+ *     responses:
+ *       201:
+ *         description: Child created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 message:
+ *                   type: string
+ *                   example: Child created successfully
+ *                 created_data:
+ *                   type: object
+ *                   properties:
+ *                     id:
+ *                       type: integer
+ *                       example: 6
+ *                     name:
+ *                       type: string
+ *                       example: "Mia Johnson"
+ *                     date_of_birth:
+ *                       type: string
+ *                       format: date
+ *                       example: "2021-09-04"
+ *                     classroom_id:
+ *                       type: integer
+ *                       nullable: true
+ *                       example: null
+ *                     daycare_id:
+ *                       type: integer
+ *                       example: 1
+ *       400:
+ *         description: Missing or invalid parameters, or a classroom_id was given
+ *       500:
+ *         description: Internal server error
+ */
+app.post("/create_child", authorize(...MANAGER_ROLES), async (req, res) => {
+  const { name, date_of_birth, classroom_id, daycare_id } = req.body;
+
+  if (!name || !date_of_birth || !daycare_id) {
+    return res.status(400).json({
+      status: "error",
+      message: "name, date_of_birth and daycare_id are required",
+    });
+  }
+
+  // a entrada numa sala passa pelas inscrições (admission.js), que verificam
+  // idade, lugares livres e contactos de emergência
+  if (classroom_id) {
+    return res.status(400).json({
+      status: "error",
+      message: "Place the child in a classroom with /create_child_enrollment",
+    });
+  }
+
+  const client = await pool.connect();
+  try {
+    const daycareParams = [daycare_id];
+    const daycare = await pool.query(
+      `SELECT id FROM daycare
+       WHERE id = $1 AND ${daycareScope(req.user, "id", daycareParams)}`,
+      daycareParams
+    );
+
+    if (daycare.rows.length === 0) {
+      return res
+        .status(400)
+        .json({ status: "error", message: "Daycare does not exist" });
+    }
+
+    await client.query("BEGIN");
+    const result = await client.query(
+      `INSERT INTO child (name, date_of_birth, daycare_id)
+       VALUES ($1, $2, $3)
+       RETURNING *`,
+      [name, date_of_birth, daycare_id]
+    );
+    await emitEvent(client, "child.created", result.rows[0]);
+    await client.query("COMMIT");
+
+    res.status(201).json({
+      status: "success",
+      message: "Child created successfully",
+      created_data: result.rows[0],
+    });
+  } catch (err) {
+    await client.query("ROLLBACK");
+    res.status(500).json({ status: "error", error: err.message });
+  } finally {
+    client.release();
+  }
+});
+
 /**
  * @swagger
  * /delete_child/{id}:
@@ -1025,20 +2083,35 @@ app.get("/get_child/:id", async (req, res) => {
  *       500:
  *         description: Internal server error
  */
-app.delete("/delete_child/:id", async (req, res) => {
+app.delete("/delete_child/:id", authorize(...MANAGER_ROLES), async (req, res) => {
   const { id } = req.params;
+  const params = [id];
+  const scope = childScope(req.user, "id", params);
+
+  const client = await pool.connect();
   try {
-    const result = await pool.query("DELETE FROM child WHERE id = $1", [id]);
+    await client.query("BEGIN");
+    const result = await client.query(
+      `DELETE FROM child WHERE id = $1 AND ${scope} RETURNING *`,
+      params
+    );
 
     if (result.rowCount === 0) {
+      await client.query("ROLLBACK");
       return res
         .status(404)
         .json({ status: "not_found", message: "Child not found" });
     }
 
+    await emitEvent(client, "child.deleted", result.rows[0]);
+    await client.query("COMMIT");
+
     res.json({ status: "success", message: "Child deleted successfully" });
   } catch (err) {
+    await client.query("ROLLBACK");
     res.status(500).json({ status: "error", error: err.message });
+  } finally {
+    client.release();
   }
 });
 
@@ -1049,7 +2122,7 @@ app.delete("/delete_child/:id", async (req, res) => {
  *     summary: Update child by ID
  *     tags:
  *       - Child
- *     description: Updates a child record by its unique ID.
+ *     description: Updates a child record by its unique ID. Without classroom_id the child stays in its current classroom. Moving the child to another classroom also moves its active enrollment and is subject to the same checks as /update_child_enrollment_status; to place a child without an active enrollment use /create_child_enrollment, and to remove it from its classroom withdraw the enrollment.
  *     parameters:
  *       - in: path
  *         name: id
@@ -1111,48 +2184,210 @@ app.delete("/delete_child/:id", async (req, res) => {
  *                       type: integer
  *                       example: 1
  *       400:
- *         description: Missing or invalid parameters
+ *         description: Missing or invalid parameters, or child outside the age range of a new classroom
  *       404:
  *         description: Child not found
+ *       409:
+ *         description: New classroom is full or its free spots are reserved by pending offers, the child has no active enrollment, or classroom_id is null for an enrolled child
  *       500:
  *         description: Internal server error
  */
-app.put("/update_child/:id", async (req, res) => {
+app.put("/update_child/:id", authorize(...MANAGER_ROLES), async (req, res) => {
   const { id } = req.params;
   const { name, date_of_birth, classroom_id, daycare_id } = req.body;
 
-  if (!name || !date_of_birth || !classroom_id || !daycare_id) {
-    return res
-      .status(400)
-      .json({ status: "error", message: "All fields are required" });
+  if (!name || !date_of_birth || !daycare_id) {
+    return res.status(400).json({
+      status: "error",
+      message: "name, date_of_birth and daycare_id are required",
+    });
   }
 
+  const client = await pool.connect();
   try {
-    const result = await pool.query(
+    const currentParams = [id];
+    const current = await pool.query(
+      `SELECT classroom_id, daycare_id, date_of_birth::text AS date_of_birth FROM child
+       WHERE id = $1 AND ${childScope(req.user, "id", currentParams)}`,
+      currentParams
+    );
+
+    if (current.rows.length === 0) {
+      return res
+        .status(404)
+        .json({ status: "not_found", message: "Child not found" });
+    }
+
+    const daycareParams = [daycare_id];
+    const daycare = await pool.query(
+      `SELECT id FROM daycare
+       WHERE id = $1 AND ${daycareScope(req.user, "id", daycareParams)}`,
+      daycareParams
+    );
+
+    if (daycare.rows.length === 0) {
+      return res
+        .status(400)
+        .json({ status: "error", message: "Daycare does not exist" });
+    }
+
+    // a sala muda-se pela inscrição ativa, com as mesmas verificações de
+    // /update_child_enrollment_status; sem classroom_id a criança fica onde está
+    const targetClassroomId =
+      classroom_id === undefined ? current.rows[0].classroom_id : classroom_id;
+    const moving =
+      current.rows[0].classroom_id !==
+      (targetClassroomId == null ? null : Number(targetClassroomId));
+
+    await client.query("BEGIN");
+
+    let enrollment = null;
+    if (moving) {
+      const active = await client.query(
+        `SELECT id FROM child_enrollment
+         WHERE child_id = $1 AND status = 'active'
+         FOR UPDATE`,
+        [id]
+      );
+
+      if (active.rows.length === 0) {
+        await client.query("ROLLBACK");
+        return res.status(409).json({
+          status: "error",
+          message:
+            "Child has no active enrollment; place it in a classroom with /create_child_enrollment",
+        });
+      }
+
+      if (targetClassroomId == null) {
+        await client.query("ROLLBACK");
+        return res.status(409).json({
+          status: "error",
+          message:
+            "Withdraw the child with /update_child_enrollment_status instead of removing its classroom",
+        });
+      }
+      enrollment = active.rows[0];
+    }
+
+    if (targetClassroomId != null) {
+      // bloqueia a sala até ao COMMIT para contar os lugares sem corridas
+      const classroomParams = [targetClassroomId];
+      const classroom = await client.query(
+        `SELECT * FROM classroom
+         WHERE id = $1 AND ${daycareScope(req.user, "daycare_id", classroomParams)}
+         FOR UPDATE`,
+        classroomParams
+      );
+
+      if (classroom.rows.length === 0) {
+        await client.query("ROLLBACK");
+        return res
+          .status(400)
+          .json({ status: "error", message: "Classroom does not exist" });
+      }
+
+      if (classroom.rows[0].daycare_id !== Number(daycare_id)) {
+        await client.query("ROLLBACK");
+        return res.status(400).json({
+          status: "error",
+          message: "Classroom does not belong to the given daycare",
+        });
+      }
+
+      // só verifica lotação/idade se a criança muda de sala ou de data de nascimento
+      if (moving || current.rows[0].date_of_birth !== date_of_birth) {
+        const misfit = await checkClassroomFit(
+          classroom.rows[0],
+          date_of_birth,
+          id,
+          client
+        );
+        if (misfit) {
+          await client.query("ROLLBACK");
+          return res
+            .status(misfit.status)
+            .json({ status: "error", message: misfit.message });
+        }
+      }
+
+      // os lugares livres da sala nova podem estar guardados para ofertas
+      if (moving) {
+        const spots = await freeSpots(client, classroom.rows[0], { childId: id });
+        if (spots !== null && spots <= 0) {
+          await client.query("ROLLBACK");
+          return res.status(409).json({
+            status: "error",
+            message: "The free spots of this classroom are reserved by pending offers",
+          });
+        }
+      }
+    }
+
+    const params = [name, date_of_birth, targetClassroomId, daycare_id, id];
+    const scope = childScope(req.user, "id", params);
+    const result = await client.query(
       `UPDATE child
        SET name = $1, date_of_birth = $2, classroom_id = $3, daycare_id = $4
-       WHERE id = $5
+       WHERE id = $5 AND ${scope}
        RETURNING *`,
-      [name, date_of_birth, classroom_id, daycare_id, id]
+      params
     );
 
     if (result.rowCount === 0) {
+      await client.query("ROLLBACK");
       return res
         .status(404)
         .json({ status: "not_found", message: "Child not found" });
     }
 
+    if (enrollment) {
+      await client.query(
+        "UPDATE child_enrollment SET classroom_id = $1, daycare_id = $2 WHERE id = $3",
+        [targetClassroomId, daycare_id, enrollment.id]
+      );
+    }
+
+    await emitEvent(client, "child.updated", result.rows[0]);
+
+    // dashboards de presenças: a criança muda de sala (ou de daycare)
+    const before = current.rows[0];
+    const after = result.rows[0];
+    if (before.classroom_id !== after.classroom_id) {
+      for (const daycareId of new Set([before.daycare_id, after.daycare_id])) {
+        await publishPresence(client, daycareId, "classroom_changed", {
+          child_id: after.id,
+          name: after.name,
+          from_classroom_id: before.classroom_id,
+          to_classroom_id: after.classroom_id,
+        });
+      }
+    }
+    await client.query("COMMIT");
+
     res.json({
       status: "success",
       message: "Child updated successfully",
       updated_data: result.rows[0],
     });
   } catch (err) {
+    await client.query("ROLLBACK");
     res.status(500).json({ status: "error", error: err.message });
+  } finally {
+    client.release();
   }
 });
 
 //PARENT ENDPOINTS
+// filtros e ordenação aceites por /get_parents
+const PARENT_LIST = {
+  filters: {
+    email: { column: "email", op: "iequals", type: "text" },
+    name: { column: "name", op: "contains", type: "text" },
+  },
+  sort: ["id", "name", "email"],
+};
+
 /**
  * @swagger
  * /get_parents:
@@ -1160,7 +2395,31 @@ app.put("/update_child/:id", async (req, res) => {
  *     summary: Get all parents
  *     tags:
  *       - Parent
- *     description: Returns all parents in the database.
+ *     description: Returns the parents linked to children of the caller's daycare, plus parents not yet linked to any child.
+ *     parameters:
+ *       - $ref: '#/components/parameters/limit'
+ *       - $ref: '#/components/parameters/offset'
+ *       - in: query
+ *         name: sort
+ *         required: false
+ *         description: "Sort field, prefixed with - for descending order. One of: id, name, email"
+ *         schema:
+ *           type: string
+ *           example: "-id"
+ *       - in: query
+ *         name: email
+ *         required: false
+ *         description: Exact email (case-insensitive)
+ *         schema:
+ *           type: string
+ *           example: "alice@example.com"
+ *       - in: query
+ *         name: name
+ *         required: false
+ *         description: Part of the parent name (case-insensitive)
+ *         schema:
+ *           type: string
+ *           example: "Johnson"
  *     responses:
  *       200:
  *         description: List of parents
@@ -1172,6 +2431,8 @@ app.put("/update_child/:id", async (req, res) => {
  *                 parents_count:
  *                   type: integer
  *                   example: 5
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
  *                 data:
  *                   type: array
  *                   items:
@@ -1189,19 +2450,38 @@ app.put("/update_child/:id", async (req, res) => {
  *                       email:
  *                         type: string
  *                         example: "alice@example.com"
+ *       400:
+ *         description: Invalid pagination, sort or filter parameters
  *       500:
  *         description: Service error
  */
-app.get("/get_parents", async (req, res) => {
+app.get("/get_parents", authorize(...STAFF_ROLES), async (req, res) => {
+  const params = [];
+  const scope = linkableParentScope(req.user, "id", params);
+  const list = parseListQuery(req.query, PARENT_LIST, params);
+
+  if (list.error) {
+    return res.status(400).json({ status: "error", message: list.error });
+  }
+
+  const where = [scope, ...list.conditions].join(" AND ");
+
   try {
     const count = await pool.query(
-      "SELECT COUNT(*) AS total_parents FROM parent"
+      `SELECT COUNT(*) AS total FROM parent WHERE ${where}`,
+      params
+    );
+    const data = await pool.query(
+      `SELECT * FROM parent WHERE ${where}
+       ORDER BY ${list.orderBy} LIMIT ${list.limit} OFFSET ${list.offset}`,
+      params
     );
-    const data = await pool.query("SELECT * FROM parent ORDER BY id ASC");
+    const total = parseInt(count.rows[0].total, 10);
 
     res.json({
-      parents_count: parseInt(count.rows[0].total_parents, 10),
+      parents_count: total,
       data: data.rows,
+      pagination: pageInfo(req, list, total),
     });
   } catch (err) {
     res.status(500).json({ status: "error", error: err.message });
@@ -1253,10 +2533,16 @@ app.get("/get_parents", async (req, res) => {
  *       500:
  *         description: Internal server error
  */
-app.get("/get_parent/:id", async (req, res) => {
+app.get("/get_parent/:id", authorize(...ROLES), async (req, res) => {
   const { id } = req.params;
+  const params = [id];
+  const scope = linkableParentScope(req.user, "id", params);
+
   try {
-    const result = await pool.query("SELECT * FROM parent WHERE id = $1", [id]);
+    const result = await pool.query(
+      `SELECT * FROM parent WHERE id = $1 AND ${scope}`,
+      params
+    );
 
     if (result.rows.length === 0) {
       return res
@@ -1270,6 +2556,114 @@ app.get("/get_parent/:id", async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /create_parent:
+ *   post:
+ *     summary: Create a parent
+ *     tags:
+ *       - Parent
+ *     description: Inserts a new parent record in the database. The parent belongs to the daycare of the logged in user (a super admin may give daycare_id); until linked to a child only that daycare can see and link it.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: "Maria Silva"
+ *               phone:
+ *                 type: string
+ *                 example: "555-567-8901"
+ *               email:
+ *                 type: string
+ *                 example: "maria.silva@email.com"
+ *               daycare_id:
+ *                 type: integer
+ *                 description: Only used when the request is made by a super admin
+ *                 example: 1
+ *     responses:
+ *       201:
+ *         description: Parent created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 message:
+ *                   type: string
+ *                   example: Parent created successfully
+ *                 created_data:
+ *                   type: object
+ *                   properties:
+ *                     id:
+ *                       type: integer
+ *                       example: 5
+ *                     name:
+ *                       type: string
+ *                       example: "Maria Silva"
+ *                     phone:
+ *                       type: string
+ *                       example: "555-567-8901"
+ *                     email:
+ *                       type: string
+ *                       example: "maria.silva@email.com"
+ *                     daycare_id:
+ *                       type: integer
+ *                       example: 1
+ *       400:
+ *         description: Missing or invalid parameters
+ *       500:
+ *         description: Internal server error
+ */
+app.post("/create_parent", authorize(...MANAGER_ROLES), async (req, res) => {
+  const { name, phone, email } = req.body;
+
+  if (!name || !phone || !email) {
+    return res
+      .status(400)
+      .json({ status: "error", message: "All fields are required" });
+  }
+
+  // o pai fica do daycare de quem o cria; o super_admin pode indicá-lo
+  const daycare_id = isSuperAdmin(req.user)
+    ? req.body.daycare_id || null
+    : req.user.daycare_id;
+
+  try {
+    if (daycare_id) {
+      const daycare = await pool.query("SELECT id FROM daycare WHERE id = $1", [
+        daycare_id,
+      ]);
+      if (daycare.rows.length === 0) {
+        return res
+          .status(400)
+          .json({ status: "error", message: "Daycare does not exist" });
+      }
+    }
+
+    const result = await pool.query(
+      `INSERT INTO parent (name, phone, email, daycare_id)
+       VALUES ($1, $2, $3, $4)
+       RETURNING *`,
+      [name, phone, email, daycare_id]
+    );
+
+    res.status(201).json({
+      status: "success",
+      message: "Parent created successfully",
+      created_data: result.rows[0],
+    });
+  } catch (err) {
+    res.status(500).json({ status: "error", error: err.message });
+  }
+});
+
 /**
  * @swagger
  * /delete_parent/{id}:
@@ -1304,10 +2698,16 @@ app.get("/get_parent/:id", async (req, res) => {
  *       500:
  *         description: Internal server error
  */
-app.delete("/delete_parent/:id", async (req, res) => {
+app.delete("/delete_parent/:id", authorize(...MANAGER_ROLES), async (req, res) => {
   const { id } = req.params;
+  const params = [id];
+  const scope = linkableParentScope(req.user, "id", params);
+
   try {
-    const result = await pool.query("DELETE FROM parent WHERE id = $1", [id]);
+    const result = await pool.query(
+      `DELETE FROM parent WHERE id = $1 AND ${scope}`,
+      params
+    );
 
     if (result.rowCount === 0) {
       return res
@@ -1388,7 +2788,7 @@ app.delete("/delete_parent/:id", async (req, res) => {
  *       500:
  *         description: Internal server error
  */
-app.put("/update_parent/:id", async (req, res) => {
+app.put("/update_parent/:id", authorize(...MANAGER_ROLES), async (req, res) => {
   const { id } = req.params;
   const { name, phone, email } = req.body;
 
@@ -1398,13 +2798,16 @@ app.put("/update_parent/:id", async (req, res) => {
       .json({ status: "error", message: "All fields are required" });
   }
 
+  const params = [name, phone, email, id];
+  const scope = linkableParentScope(req.user, "id", params);
+
   try {
     const result = await pool.query(
       `UPDATE parent
        SET name = $1, phone = $2, email = $3
-       WHERE id = $4
+       WHERE id = $4 AND ${scope}
        RETURNING *`,
-      [name, phone, email, id]
+      params
     );
 
     if (result.rowCount === 0) {
@@ -1423,6 +2826,38 @@ app.put("/update_parent/:id", async (req, res) => {
   }
 });
 
-app.listen(3000, () =>
-  console.log(`Server running on http://localhost:${PORT}/api`)
-);
+setupAttendance(app); // check-in / check-out
+setupPickup(app); // pessoas autorizadas e restrições de custódia
+setupMedical(app); // alergias, medicação e alertas
+setupCapacity(app); // rácios staff/crianças
+setupStaff(app); // funcionários, certificações e turnos
+setupSearch(app); // pesquisa de crianças, pais e daycares
+setupAdmission(app); // inscrições em salas e lista de espera
+setupGuardians(app); // filhos de um pai e responsáveis de uma criança
+setupEmergencyContacts(app); // contactos de emergência e ficha de emergência por sala
+setupIncidents(app); // relatórios de incidentes e acidentes
+setupDailyLog(app); // registo diário de refeições, sestas, fraldas e humor
+setupDailyReports(app); // relatório do fim do dia em HTML e PDF
+setupBilling(app); // mensalidades, faturas e pagamentos
+setupBillingAdjustments(app); // ajustes às faturas a partir das presenças
+setupCalendar(app); // horário, feriados, encerramentos e eventos
+setupAbsences(app); // ausências avisadas pelos pais e faltas por explicar
+setupImmunizations(app); // vacinas, isenções e conformidade
+setupMessaging(app); // mensagens entre staff e responsáveis e avisos por sala
+setupNotifications(app); // outbox de notificações por email e SMS
+setupWebhooks(app); // subscrições de webhooks e registo de entregas
+
+// só arranca o servidor e os workers quando corre como programa; os testes
+// importam a app e abrem-na numa porta livre
+if (require.main === module) {
+  ensureSuperAdmin(); // cria o primeiro super admin (ADMIN_EMAIL / ADMIN_PASSWORD)
+  startNotificationWorker(); // envia as notificações pendentes em segundo plano
+  startWebhookWorker(); // entrega os eventos pendentes aos webhooks
+  startPresenceListener(); // LISTEN dos eventos de presença de todas as réplicas
+
+  app.listen(3000, () =>
+    console.log(`Server running on http://localhost:${PORT}/api`)
+  );
+}
+
+module.exports = app;
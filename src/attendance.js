@@ -0,0 +1,821 @@
+const pool = require("./db");
+const { authorize, ROLES, STAFF_ROLES } = require("./auth");
+const { daycareScope, childScope } = require("./tenant");
+const { verifyPickup } = require("./pickup");
+const { isValidDate, formatDate, formatTime } = require("./validation");
+const { childAbsences } = require("./absence");
+const { enqueueNotification } = require("./notification");
+const { emitEvent } = require("./webhook");
+const { publishPresence, daycarePresence } = require("./presence");
+
+function setupAttendance(app) {
+  /**
+   * @swagger
+   * /check_in:
+   *   post:
+   *     summary: Check a child in
+   *     tags:
+   *       - Attendance
+   *     description: Registers the arrival of a child. The logged in staff member is recorded as the one doing the check-in. A child cannot be checked in twice without being checked out first.
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             properties:
+   *               child_id:
+   *                 type: integer
+   *                 example: 1
+   *               drop_off_by:
+   *                 type: string
+   *                 description: Adult who brought the child
+   *                 example: "Alice Johnson"
+   *     responses:
+   *       201:
+   *         description: Child checked in successfully
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 status:
+   *                   type: string
+   *                   example: success
+   *                 message:
+   *                   type: string
+   *                   example: Child checked in successfully
+   *                 created_data:
+   *                   type: object
+   *                   properties:
+   *                     id:
+   *                       type: integer
+   *                       example: 1
+   *                     child_id:
+   *                       type: integer
+   *                       example: 1
+   *                     check_in_at:
+   *                       type: string
+   *                       format: date-time
+   *                       example: "2025-03-10T08:15:00.000Z"
+   *                     check_in_by:
+   *                       type: integer
+   *                       example: 2
+   *                     drop_off_by:
+   *                       type: string
+   *                       example: "Alice Johnson"
+   *                     classroom_id:
+   *                       type: integer
+   *                       description: Classroom of the child at check-in
+   *                       example: 1
+   *       400:
+   *         description: Missing or invalid parameters
+   *       404:
+   *         description: Child not found
+   *       409:
+   *         description: Child is already checked in
+   *       500:
+   *         description: Internal server error
+   */
+  app.post("/check_in", authorize(...STAFF_ROLES), async (req, res) => {
+    const { child_id, drop_off_by } = req.body;
+
+    if (!child_id || !drop_off_by) {
+      return res.status(400).json({
+        status: "error",
+        message: "Both child_id and drop_off_by are required",
+      });
+    }
+
+    const client = await pool.connect();
+    try {
+      const params = [child_id];
+      const child = await pool.query(
+        `SELECT id, name, daycare_id, classroom_id FROM child
+         WHERE id = $1 AND ${childScope(req.user, "id", params)}`,
+        params
+      );
+
+      if (child.rows.length === 0) {
+        return res
+          .status(404)
+          .json({ status: "not_found", message: "Child not found" });
+      }
+
+      const open = await pool.query(
+        "SELECT id FROM attendance WHERE child_id = $1 AND check_out_at IS NULL",
+        [child_id]
+      );
+
+      if (open.rows.length > 0) {
+        return res.status(409).json({
+          status: "error",
+          message: "Child is already checked in",
+        });
+      }
+
+      await client.query("BEGIN");
+      const result = await client.query(
+        `INSERT INTO attendance (child_id, check_in_by, drop_off_by, classroom_id)
+         VALUES ($1, $2, $3, $4)
+         RETURNING *`,
+        [child_id, req.user.id, drop_off_by, child.rows[0].classroom_id]
+      );
+      await emitEvent(client, "attendance.checked_in", result.rows[0]);
+      const { name, daycare_id, classroom_id } = child.rows[0];
+      await publishPresence(client, daycare_id, "checked_in", {
+        attendance_id: result.rows[0].id,
+        child_id: result.rows[0].child_id,
+        name,
+        classroom_id,
+        check_in_at: result.rows[0].check_in_at,
+        drop_off_by: result.rows[0].drop_off_by,
+      });
+      await client.query("COMMIT");
+
+      res.status(201).json({
+        status: "success",
+        message: "Child checked in successfully",
+        created_data: result.rows[0],
+      });
+    } catch (err) {
+      await client.query("ROLLBACK");
+      // dois check-ins em simultâneo: o índice único apanha o segundo
+      if (err.code === "23505") {
+        return res.status(409).json({
+          status: "error",
+          message: "Child is already checked in",
+        });
+      }
+      res.status(500).json({ status: "error", error: err.message });
+    } finally {
+      client.release();
+    }
+  });
+
+  /**
+   * @swagger
+   * /check_out:
+   *   post:
+   *     summary: Check a child out
+   *     tags:
+   *       - Attendance
+   *     description: Closes the open check-in of a child, recording the logged in staff member and the adult picking the child up. The adult is identified by parent_id, authorized_pickup_id or just by name, and must be a parent linked through enrollment or on the authorized pickup list of the child, with no custody restriction. Every attempt, accepted or refused, is written to the pickup audit log. On success the guardians are notified by their chosen channels.
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             properties:
+   *               child_id:
+   *                 type: integer
+   *                 example: 1
+   *               parent_id:
+   *                 type: integer
+   *                 description: Parent picking the child up
+   *                 example: 1
+   *               authorized_pickup_id:
+   *                 type: integer
+   *                 description: Authorized pickup person picking the child up
+   *                 example: null
+   *               pick_up_by:
+   *                 type: string
+   *                 description: Name of the adult, when no id is given
+   *                 example: "Alice Johnson"
+   *     responses:
+   *       200:
+   *         description: Child checked out successfully
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 status:
+   *                   type: string
+   *                   example: success
+   *                 message:
+   *                   type: string
+   *                   example: Child checked out successfully
+   *                 updated_data:
+   *                   type: object
+   *                   properties:
+   *                     id:
+   *                       type: integer
+   *                       example: 1
+   *                     child_id:
+   *                       type: integer
+   *                       example: 1
+   *                     check_in_at:
+   *                       type: string
+   *                       format: date-time
+   *                       example: "2025-03-10T08:15:00.000Z"
+   *                     check_out_at:
+   *                       type: string
+   *                       format: date-time
+   *                       example: "2025-03-10T17:30:00.000Z"
+   *                     pick_up_by:
+   *                       type: string
+   *                       example: "Alice Johnson"
+   *       400:
+   *         description: Missing or invalid parameters
+   *       403:
+   *         description: Pickup refused (not on the authorized list or custody restriction)
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 status:
+   *                   type: string
+   *                   example: forbidden
+   *                 message:
+   *                   type: string
+   *                   example: "Person is not on the authorized pickup list of this child"
+   *       404:
+   *         description: Child not found
+   *       409:
+   *         description: Child is not checked in
+   *       500:
+   *         description: Internal server error
+   */
+  app.post("/check_out", authorize(...STAFF_ROLES), async (req, res) => {
+    const { child_id, parent_id, authorized_pickup_id, pick_up_by } = req.body;
+
+    if (!child_id || (!parent_id && !authorized_pickup_id && !pick_up_by)) {
+      return res.status(400).json({
+        status: "error",
+        message:
+          "child_id and one of parent_id, authorized_pickup_id or pick_up_by are required",
+      });
+    }
+
+    const client = await pool.connect();
+    try {
+      const params = [child_id];
+      const child = await pool.query(
+        `SELECT id, name, daycare_id, classroom_id FROM child
+         WHERE id = $1 AND ${childScope(req.user, "id", params)}`,
+        params
+      );
+
+      if (child.rows.length === 0) {
+        return res
+          .status(404)
+          .json({ status: "not_found", message: "Child not found" });
+      }
+
+      const open = await pool.query(
+        "SELECT id FROM attendance WHERE child_id = $1 AND check_out_at IS NULL",
+        [child_id]
+      );
+
+      if (open.rows.length === 0) {
+        return res.status(409).json({
+          status: "error",
+          message: "Child is not checked in",
+        });
+      }
+
+      const pickup = await verifyPickup(child_id, {
+        parent_id,
+        authorized_pickup_id,
+        pick_up_by,
+      });
+
+      await pool.query(
+        `INSERT INTO pickup_audit
+           (child_id, attendance_id, staff_user_id, pick_up_by, parent_id,
+            authorized_pickup_id, allowed, reason)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+        [
+          child_id,
+          open.rows[0].id,
+          req.user.id,
+          pickup.name,
+          pickup.parent_id,
+          pickup.authorized_pickup_id,
+          pickup.allowed,
+          pickup.reason,
+        ]
+      );
+
+      if (!pickup.allowed) {
+        return res
+          .status(403)
+          .json({ status: "forbidden", message: pickup.reason });
+      }
+
+      await client.query("BEGIN");
+      const result = await client.query(
+        `UPDATE attendance
+         SET check_out_at = NOW(), check_out_by = $2, pick_up_by = $3
+         WHERE id = $1
+         RETURNING *`,
+        [open.rows[0].id, req.user.id, pickup.name]
+      );
+      const { name, daycare_id, classroom_id } = child.rows[0];
+      await enqueueNotification(client, {
+        event_type: "child_checked_out",
+        event_id: result.rows[0].id,
+        daycare_id,
+        child_id,
+        subject: `${name} was picked up`,
+        body: `${name} was picked up by ${pickup.name} at ${formatTime(result.rows[0].check_out_at)}.`,
+      });
+      await emitEvent(client, "attendance.checked_out", result.rows[0]);
+      await publishPresence(client, daycare_id, "checked_out", {
+        attendance_id: result.rows[0].id,
+        child_id: result.rows[0].child_id,
+        name,
+        classroom_id,
+        check_out_at: result.rows[0].check_out_at,
+        pick_up_by: result.rows[0].pick_up_by,
+      });
+      await client.query("COMMIT");
+
+      res.json({
+        status: "success",
+        message: "Child checked out successfully",
+        updated_data: result.rows[0],
+      });
+    } catch (err) {
+      await client.query("ROLLBACK");
+      res.status(500).json({ status: "error", error: err.message });
+    } finally {
+      client.release();
+    }
+  });
+
+  /**
+   * @swagger
+   * /get_classroom_presence/{id}:
+   *   get:
+   *     summary: Children currently on site in a classroom
+   *     tags:
+   *       - Attendance
+   *     description: Lists the children of a classroom that are checked in and not yet checked out.
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *           example: 1
+   *     responses:
+   *       200:
+   *         description: Children present in the classroom
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 present_count:
+   *                   type: integer
+   *                   example: 1
+   *                 data:
+   *                   type: array
+   *                   items:
+   *                     type: object
+   *                     properties:
+   *                       attendance_id:
+   *                         type: integer
+   *                         example: 1
+   *                       child_id:
+   *                         type: integer
+   *                         example: 1
+   *                       name:
+   *                         type: string
+   *                         example: "Emily Johnson"
+   *                       classroom_id:
+   *                         type: integer
+   *                         example: 1
+   *                       check_in_at:
+   *                         type: string
+   *                         format: date-time
+   *                         example: "2025-03-10T08:15:00.000Z"
+   *                       drop_off_by:
+   *                         type: string
+   *                         example: "Alice Johnson"
+   *       404:
+   *         description: Classroom not found
+   *       500:
+   *         description: Internal server error
+   */
+  app.get(
+    "/get_classroom_presence/:id",
+    authorize(...STAFF_ROLES),
+    async (req, res) => {
+      const { id } = req.params;
+
+      try {
+        const params = [id];
+        const classroom = await pool.query(
+          `SELECT id FROM classroom
+           WHERE id = $1 AND ${daycareScope(req.user, "daycare_id", params)}`,
+          params
+        );
+
+        if (classroom.rows.length === 0) {
+          return res
+            .status(404)
+            .json({ status: "not_found", message: "Classroom not found" });
+        }
+
+        const result = await pool.query(
+          `SELECT a.id AS attendance_id, c.id AS child_id, c.name,
+                  c.classroom_id, a.check_in_at, a.drop_off_by
+           FROM attendance a
+           JOIN child c ON c.id = a.child_id
+           WHERE c.classroom_id = $1 AND a.check_out_at IS NULL
+           ORDER BY c.name ASC`,
+          [id]
+        );
+
+        res.json({ present_count: result.rows.length, data: result.rows });
+      } catch (err) {
+        res.status(500).json({ status: "error", error: err.message });
+      }
+    }
+  );
+
+  /**
+   * @swagger
+   * /get_daycare_presence/{id}:
+   *   get:
+   *     summary: Children currently on site in a daycare
+   *     tags:
+   *       - Attendance
+   *     description: Lists every child of the daycare that is checked in and not yet checked out, with their classroom.
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *           example: 1
+   *     responses:
+   *       200:
+   *         description: Children present in the daycare
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 present_count:
+   *                   type: integer
+   *                   example: 2
+   *                 data:
+   *                   type: array
+   *                   items:
+   *                     type: object
+   *                     properties:
+   *                       attendance_id:
+   *                         type: integer
+   *                         example: 1
+   *                       child_id:
+   *                         type: integer
+   *                         example: 1
+   *                       name:
+   *                         type: string
+   *                         example: "Emily Johnson"
+   *                       classroom_id:
+   *                         type: integer
+   *                         example: 1
+   *                       classroom_name:
+   *                         type: string
+   *                         example: "Blue Butterflies"
+   *                       check_in_at:
+   *                         type: string
+   *                         format: date-time
+   *                         example: "2025-03-10T08:15:00.000Z"
+   *                       drop_off_by:
+   *                         type: string
+   *                         example: "Alice Johnson"
+   *       404:
+   *         description: Daycare not found
+   *       500:
+   *         description: Internal server error
+   */
+  app.get(
+    "/get_daycare_presence/:id",
+    authorize(...STAFF_ROLES),
+    async (req, res) => {
+      const { id } = req.params;
+
+      try {
+        const params = [id];
+        const daycare = await pool.query(
+          `SELECT id FROM daycare
+           WHERE id = $1 AND ${daycareScope(req.user, "id", params)}`,
+          params
+        );
+
+        if (daycare.rows.length === 0) {
+          return res
+            .status(404)
+            .json({ status: "not_found", message: "Daycare not found" });
+        }
+
+        const present = await daycarePresence(id);
+        res.json({ present_count: present.length, data: present });
+      } catch (err) {
+        res.status(500).json({ status: "error", error: err.message });
+      }
+    }
+  );
+
+  /**
+   * @swagger
+   * /get_child_attendance/{id}:
+   *   get:
+   *     summary: Attendance history of a child
+   *     tags:
+   *       - Attendance
+   *     description: Returns the check-ins and check-outs of a child, most recent first, optionally limited to a date range (inclusive). It also lists the school days the child missed in the range (the last 30 days when no from is given), each marked as excused_absent when a guardian reported it or no_show otherwise. Only the days the child was enrolled count, from the start of the enrollment up to its withdrawal or graduation date.
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *           example: 1
+   *       - in: query
+   *         name: from
+   *         required: false
+   *         schema:
+   *           type: string
+   *           format: date
+   *           example: "2025-03-01"
+   *       - in: query
+   *         name: to
+   *         required: false
+   *         schema:
+   *           type: string
+   *           format: date
+   *           example: "2025-03-31"
+   *     responses:
+   *       200:
+   *         description: Attendance records of the child
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 attendance_count:
+   *                   type: integer
+   *                   example: 1
+   *                 data:
+   *                   type: array
+   *                   items:
+   *                     type: object
+   *                     properties:
+   *                       id:
+   *                         type: integer
+   *                         example: 1
+   *                       child_id:
+   *                         type: integer
+   *                         example: 1
+   *                       check_in_at:
+   *                         type: string
+   *                         format: date-time
+   *                         example: "2025-03-10T08:15:00.000Z"
+   *                       check_in_by:
+   *                         type: integer
+   *                         example: 2
+   *                       drop_off_by:
+   *                         type: string
+   *                         example: "Alice Johnson"
+   *                       check_out_at:
+   *                         type: string
+   *                         format: date-time
+   *                         example: "2025-03-10T17:30:00.000Z"
+   *                       check_out_by:
+   *                         type: integer
+   *                         example: 2
+   *                       pick_up_by:
+   *                         type: string
+   *                         example: "Alice Johnson"
+   *                 absences:
+   *                   type: array
+   *                   items:
+   *                     type: object
+   *                     properties:
+   *                       date:
+   *                         type: string
+   *                         format: date
+   *                         example: "2025-03-11"
+   *                       status:
+   *                         type: string
+   *                         enum: [excused_absent, no_show]
+   *                         example: excused_absent
+   *                       absence_notice_id:
+   *                         type: integer
+   *                         nullable: true
+   *                         example: 1
+   *                       absence_reason:
+   *                         type: string
+   *                         nullable: true
+   *                         example: sick
+   *       400:
+   *         description: Invalid date range
+   *       404:
+   *         description: Child not found
+   *       500:
+   *         description: Internal server error
+   */
+  app.get(
+    "/get_child_attendance/:id",
+    authorize(...ROLES),
+    async (req, res) => {
+      const { id } = req.params;
+      const { from, to } = req.query;
+
+      if ((from && !isValidDate(from)) || (to && !isValidDate(to))) {
+        return res.status(400).json({
+          status: "error",
+          message: "from and to must be dates in the format YYYY-MM-DD",
+        });
+      }
+
+      try {
+        const childParams = [id];
+        const child = await pool.query(
+          `SELECT c.id, c.daycare_id, c.classroom_id
+           FROM child c
+           WHERE c.id = $1 AND ${childScope(req.user, "c.id", childParams)}`,
+          childParams
+        );
+
+        if (child.rows.length === 0) {
+          return res
+            .status(404)
+            .json({ status: "not_found", message: "Child not found" });
+        }
+
+        const params = [id];
+        let where = "child_id = $1";
+        if (from) {
+          params.push(from);
+          where += ` AND check_in_at::date >= $${params.length}`;
+        }
+        if (to) {
+          params.push(to);
+          where += ` AND check_in_at::date <= $${params.length}`;
+        }
+
+        const result = await pool.query(
+          `SELECT * FROM attendance WHERE ${where} ORDER BY check_in_at DESC`,
+          params
+        );
+
+        // faltas: sem from, os últimos 30 dias até to (ou hoje)
+        const until = to || formatDate(new Date());
+        const since = new Date(`${until}T00:00:00`);
+        since.setDate(since.getDate() - 30);
+        const absences = await childAbsences(
+          child.rows[0],
+          from || formatDate(since),
+          until
+        );
+
+        res.json({
+          attendance_count: result.rows.length,
+          data: result.rows,
+          absences,
+        });
+      } catch (err) {
+        res.status(500).json({ status: "error", error: err.message });
+      }
+    }
+  );
+
+  /**
+   * @swagger
+   * /start_duty:
+   *   post:
+   *     summary: Start a duty period in a classroom
+   *     tags:
+   *       - Attendance
+   *     description: Marks the logged in staff member as on duty in a classroom. Staff on duty count towards the staff-to-child ratio of the classroom. A staff member can only be on duty in one classroom at a time.
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             properties:
+   *               classroom_id:
+   *                 type: integer
+   *                 example: 1
+   *     responses:
+   *       201:
+   *         description: Duty started successfully
+   *       400:
+   *         description: Missing or invalid parameters
+   *       404:
+   *         description: Classroom not found
+   *       409:
+   *         description: Already on duty
+   *       500:
+   *         description: Internal server error
+   */
+  app.post("/start_duty", authorize(...STAFF_ROLES), async (req, res) => {
+    const { classroom_id } = req.body;
+
+    if (!classroom_id) {
+      return res
+        .status(400)
+        .json({ status: "error", message: "classroom_id is required" });
+    }
+
+    try {
+      const params = [classroom_id];
+      const classroom = await pool.query(
+        `SELECT id FROM classroom
+         WHERE id = $1 AND ${daycareScope(req.user, "daycare_id", params)}`,
+        params
+      );
+
+      if (classroom.rows.length === 0) {
+        return res
+          .status(404)
+          .json({ status: "not_found", message: "Classroom not found" });
+      }
+
+      const open = await pool.query(
+        "SELECT id FROM staff_duty WHERE user_id = $1 AND ended_at IS NULL",
+        [req.user.id]
+      );
+
+      if (open.rows.length > 0) {
+        return res
+          .status(409)
+          .json({ status: "error", message: "Already on duty" });
+      }
+
+      const result = await pool.query(
+        `INSERT INTO staff_duty (user_id, classroom_id)
+         VALUES ($1, $2)
+         RETURNING *`,
+        [req.user.id, classroom_id]
+      );
+
+      res.status(201).json({
+        status: "success",
+        message: "Duty started successfully",
+        created_data: result.rows[0],
+      });
+    } catch (err) {
+      if (err.code === "23505") {
+        return res
+          .status(409)
+          .json({ status: "error", message: "Already on duty" });
+      }
+      res.status(500).json({ status: "error", error: err.message });
+    }
+  });
+
+  /**
+   * @swagger
+   * /end_duty:
+   *   post:
+   *     summary: End the current duty period
+   *     tags:
+   *       - Attendance
+   *     description: Closes the open duty period of the logged in staff member.
+   *     responses:
+   *       200:
+   *         description: Duty ended successfully
+   *       409:
+   *         description: Not on duty
+   *       500:
+   *         description: Internal server error
+   */
+  app.post("/end_duty", authorize(...STAFF_ROLES), async (req, res) => {
+    try {
+      const result = await pool.query(
+        `UPDATE staff_duty SET ended_at = NOW()
+         WHERE user_id = $1 AND ended_at IS NULL
+         RETURNING *`,
+        [req.user.id]
+      );
+
+      if (result.rows.length === 0) {
+        return res
+          .status(409)
+          .json({ status: "error", message: "Not on duty" });
+      }
+
+      res.json({
+        status: "success",
+        message: "Duty ended successfully",
+        updated_data: result.rows[0],
+      });
+    } catch (err) {
+      res.status(500).json({ status: "error", error: err.message });
+    }
+  });
+}
+
+module.exports = { setupAttendance };
@@ -0,0 +1,472 @@
+const jwt = require("jsonwebtoken");
+const bcrypt = require("bcryptjs");
+const pool = require("./db");
+const { isSuperAdmin, daycareScope, linkableParentScope } = require("./tenant");
+
+// Sem JWT_SECRET a API só arranca em desenvolvimento (NODE_ENV=development ou
+// test): com o secret por omissão, que está no código, qualquer pessoa podia
+// assinar tokens válidos, incluindo os tokens dos feeds de calendário
+const DEV_MODE = ["development", "test"].includes(process.env.NODE_ENV);
+if (!process.env.JWT_SECRET && !DEV_MODE) {
+  throw new Error(
+    "JWT_SECRET is not set (use NODE_ENV=development to run with the development secret)"
+  );
+}
+const JWT_SECRET = process.env.JWT_SECRET || "dev_jwt_secret";
+const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || "8h";
+const PRESENCE_TOKEN_EXPIRES_IN = process.env.PRESENCE_TOKEN_EXPIRES_IN || "15m";
+
+// super_admin atua em todos os daycares; os restantes roles de staff ficam
+// limitados ao daycare_id da sua conta (ver tenant.js)
+const ROLES = ["super_admin", "admin", "director", "teacher", "parent"];
+const STAFF_ROLES = ["super_admin", "admin", "director", "teacher"];
+const MANAGER_ROLES = ["super_admin", "admin", "director"];
+const ADMIN_ROLES = ["super_admin", "admin"];
+
+function userFromPayload(payload) {
+  return {
+    id: payload.sub,
+    role: payload.role,
+    daycare_id: payload.daycare_id,
+    parent_id: payload.parent_id,
+  };
+}
+
+// Utilizador de um token; lança erro se o token for inválido ou tiver expirado
+function verifyToken(token) {
+  return userFromPayload(jwt.verify(token, JWT_SECRET));
+}
+
+// Momento (em ms) em que expira um token já verificado
+function tokenExpiresAt(token) {
+  return jwt.decode(token).exp * 1000;
+}
+
+// Verifica o bearer token e guarda o utilizador em req.user
+function authenticate(req, res, next) {
+  const header = req.headers.authorization || "";
+  const [scheme, token] = header.split(" ");
+
+  if (scheme !== "Bearer" || !token) {
+    return res
+      .status(401)
+      .json({ status: "unauthorized", message: "Missing bearer token" });
+  }
+
+  try {
+    req.user = verifyToken(token);
+    next();
+  } catch (err) {
+    res
+      .status(401)
+      .json({ status: "unauthorized", message: "Invalid or expired token" });
+  }
+}
+
+// Só deixa passar os roles indicados (usar depois de authenticate)
+function authorize(...roles) {
+  return (req, res, next) => {
+    if (!req.user || !roles.includes(req.user.role)) {
+      return res.status(403).json({
+        status: "forbidden",
+        message: "You do not have permission to access this resource",
+      });
+    }
+    next();
+  };
+}
+
+function signToken(user) {
+  return jwt.sign(
+    {
+      sub: user.id,
+      role: user.role,
+      daycare_id: user.daycare_id,
+      parent_id: user.parent_id,
+    },
+    JWT_SECRET,
+    { expiresIn: JWT_EXPIRES_IN }
+  );
+}
+
+function setupAuth(app) {
+  /**
+   * @swagger
+   * /login:
+   *   post:
+   *     summary: Log in and get an access token
+   *     tags:
+   *       - Auth
+   *     security: []
+   *     description: Validates the user credentials and returns a signed JWT to use as a bearer token.
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             properties:
+   *               email:
+   *                 type: string
+   *                 example: "admin@playsafe.com"
+   *               password:
+   *                 type: string
+   *                 example: "change-me-now"
+   *     responses:
+   *       200:
+   *         description: Login successful
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 token:
+   *                   type: string
+   *                   example: "eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9..."
+   *                 user:
+   *                   type: object
+   *                   properties:
+   *                     id:
+   *                       type: integer
+   *                       example: 1
+   *                     email:
+   *                       type: string
+   *                       example: "admin@playsafe.com"
+   *                     role:
+   *                       type: string
+   *                       example: admin
+   *       400:
+   *         description: Missing email or password
+   *       401:
+   *         description: Invalid credentials
+   *       500:
+   *         description: Internal server error
+   */
+  app.post("/login", async (req, res) => {
+    const { email, password } = req.body;
+
+    if (!email || !password) {
+      return res.status(400).json({
+        status: "error",
+        message: "Both email and password are required",
+      });
+    }
+
+    try {
+      const result = await pool.query(
+        "SELECT * FROM app_user WHERE email = $1",
+        [email]
+      );
+      const user = result.rows[0];
+
+      if (!user || !(await bcrypt.compare(password, user.password_hash))) {
+        return res
+          .status(401)
+          .json({ status: "unauthorized", message: "Invalid credentials" });
+      }
+
+      res.json({
+        token: signToken(user),
+        user: {
+          id: user.id,
+          email: user.email,
+          role: user.role,
+          daycare_id: user.daycare_id,
+          parent_id: user.parent_id,
+        },
+      });
+    } catch (err) {
+      res.status(500).json({ status: "error", error: err.message });
+    }
+  });
+
+  /**
+   * @swagger
+   * /create_user:
+   *   post:
+   *     summary: Create a user account
+   *     tags:
+   *       - Auth
+   *     description: Creates a login for a staff member or parent. Admins, directors and teachers must belong to a daycare, parent accounts must point to an existing parent. Admins can only create accounts for their own daycare; only a super admin can create another super admin.
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             properties:
+   *               email:
+   *                 type: string
+   *                 example: "brian.smith@email.com"
+   *               password:
+   *                 type: string
+   *                 example: "changeme"
+   *               role:
+   *                 type: string
+   *                 enum: [super_admin, admin, director, teacher, parent]
+   *                 example: parent
+   *               daycare_id:
+   *                 type: integer
+   *                 example: 1
+   *               parent_id:
+   *                 type: integer
+   *                 example: 2
+   *     responses:
+   *       201:
+   *         description: User created successfully
+   *       400:
+   *         description: Missing or invalid parameters
+   *       401:
+   *         description: Missing or invalid token
+   *       403:
+   *         description: Forbidden
+   *       409:
+   *         description: Email already in use
+   *       500:
+   *         description: Internal server error
+   */
+  app.post(
+    "/create_user",
+    authenticate,
+    authorize(...ADMIN_ROLES),
+    async (req, res) => {
+      const { email, password, role, daycare_id, parent_id } = req.body;
+
+      if (!email || !password || !role) {
+        return res.status(400).json({
+          status: "error",
+          message: "Fields email, password and role are required",
+        });
+      }
+
+      if (!ROLES.includes(role)) {
+        return res.status(400).json({
+          status: "error",
+          message: `Role must be one of: ${ROLES.join(", ")}`,
+        });
+      }
+
+      if (role === "super_admin" && !isSuperAdmin(req.user)) {
+        return res.status(403).json({
+          status: "forbidden",
+          message: "Only a super admin can create another super admin",
+        });
+      }
+
+      if (STAFF_ROLES.includes(role) && role !== "super_admin" && !daycare_id) {
+        return res.status(400).json({
+          status: "error",
+          message: "daycare_id is required for admins, directors and teachers",
+        });
+      }
+
+      if (role === "parent" && !parent_id) {
+        return res.status(400).json({
+          status: "error",
+          message: "parent_id is required for parent accounts",
+        });
+      }
+
+      try {
+        const existing = await pool.query(
+          "SELECT id FROM app_user WHERE email = $1",
+          [email]
+        );
+        if (existing.rows.length > 0) {
+          return res
+            .status(409)
+            .json({ status: "error", message: "Email already in use" });
+        }
+
+        if (daycare_id) {
+          const daycareParams = [daycare_id];
+          const daycare = await pool.query(
+            `SELECT id FROM daycare
+             WHERE id = $1 AND ${daycareScope(req.user, "id", daycareParams)}`,
+            daycareParams
+          );
+          if (daycare.rows.length === 0) {
+            return res
+              .status(400)
+              .json({ status: "error", message: "Daycare does not exist" });
+          }
+        }
+
+        if (parent_id) {
+          const parentParams = [parent_id];
+          const parent = await pool.query(
+            `SELECT id FROM parent
+             WHERE id = $1 AND ${linkableParentScope(req.user, "id", parentParams)}`,
+            parentParams
+          );
+          if (parent.rows.length === 0) {
+            return res
+              .status(400)
+              .json({ status: "error", message: "Parent does not exist" });
+          }
+        }
+
+        const passwordHash = await bcrypt.hash(password, 10);
+        const result = await pool.query(
+          `INSERT INTO app_user (email, password_hash, role, daycare_id, parent_id)
+           VALUES ($1, $2, $3, $4, $5)
+           RETURNING id, email, role, daycare_id, parent_id`,
+          [
+            email,
+            passwordHash,
+            role,
+            role === "parent" || role === "super_admin" ? null : daycare_id,
+            role === "parent" ? parent_id : null,
+          ]
+        );
+
+        res.status(201).json({
+          status: "success",
+          message: "User created successfully",
+          created_data: result.rows[0],
+        });
+      } catch (err) {
+        res.status(500).json({ status: "error", error: err.message });
+      }
+    }
+  );
+
+  /**
+   * @swagger
+   * /get_current_user:
+   *   get:
+   *     summary: Get the logged in user
+   *     tags:
+   *       - Auth
+   *     description: Returns the account that owns the bearer token.
+   *     responses:
+   *       200:
+   *         description: Current user
+   *       401:
+   *         description: Missing or invalid token
+   *       404:
+   *         description: User not found
+   *       500:
+   *         description: Internal server error
+   */
+  app.get("/get_current_user", authenticate, async (req, res) => {
+    try {
+      const result = await pool.query(
+        "SELECT id, email, role, daycare_id, parent_id FROM app_user WHERE id = $1",
+        [req.user.id]
+      );
+
+      if (result.rows.length === 0) {
+        return res
+          .status(404)
+          .json({ status: "not_found", message: "User not found" });
+      }
+
+      res.json({ data: result.rows });
+    } catch (err) {
+      res.status(500).json({ status: "error", error: err.message });
+    }
+  });
+}
+
+// Token sem validade para subscrever o calendário .ics de um daycare (as apps
+// de calendário não enviam o bearer token). Usa um segredo derivado para não
+// servir como token de sessão. Leva a versão atual do daycare
+// (daycare.calendar_token_version): mudar a versão revoga os links anteriores.
+function signCalendarToken(daycareId, version) {
+  return jwt.sign(
+    { calendar: Number(daycareId), version: Number(version) },
+    `${JWT_SECRET}:calendar`
+  );
+}
+
+function verifyCalendarToken(token, daycareId, version) {
+  try {
+    const payload = jwt.verify(String(token), `${JWT_SECRET}:calendar`);
+    return (
+      payload.calendar === Number(daycareId) &&
+      payload.version === Number(version)
+    );
+  } catch (err) {
+    return false;
+  }
+}
+
+// Token curto que só abre o stream de presenças de um daycare. Vai na URL (o
+// EventSource do browser não envia headers), onde fica em logs e no histórico,
+// por isso usa um segredo derivado e não serve como token de sessão.
+function signPresenceToken(user, daycareId) {
+  return jwt.sign(
+    {
+      sub: user.id,
+      role: user.role,
+      daycare_id: user.daycare_id,
+      parent_id: user.parent_id,
+      presence: Number(daycareId),
+    },
+    `${JWT_SECRET}:presence`,
+    { expiresIn: PRESENCE_TOKEN_EXPIRES_IN }
+  );
+}
+
+// Utilizador de um token do stream do daycare; lança erro se o token for
+// inválido, tiver expirado ou for de outro daycare
+function verifyPresenceToken(token, daycareId) {
+  const payload = jwt.verify(token, `${JWT_SECRET}:presence`);
+  if (payload.presence !== Number(daycareId)) {
+    throw new Error("Token is for another daycare");
+  }
+  return userFromPayload(payload);
+}
+
+// A base de dados não traz contas pré-definidas: no primeiro arranque cria-se
+// o super admin com ADMIN_EMAIL e ADMIN_PASSWORD. Se já existir algum super
+// admin não faz nada, por isso as variáveis podem ser retiradas depois.
+async function ensureSuperAdmin() {
+  const { ADMIN_EMAIL, ADMIN_PASSWORD } = process.env;
+  try {
+    const existing = await pool.query(
+      "SELECT 1 FROM app_user WHERE role = 'super_admin' LIMIT 1"
+    );
+    if (existing.rows.length > 0) return;
+
+    if (!ADMIN_EMAIL || !ADMIN_PASSWORD) {
+      console.warn(
+        "No super admin exists yet: set ADMIN_EMAIL and ADMIN_PASSWORD to create one"
+      );
+      return;
+    }
+
+    const created = await pool.query(
+      `INSERT INTO app_user (email, password_hash, role)
+       VALUES ($1, $2, 'super_admin')
+       ON CONFLICT (email) DO NOTHING
+       RETURNING id`,
+      [ADMIN_EMAIL, await bcrypt.hash(ADMIN_PASSWORD, 10)]
+    );
+    if (created.rows.length === 0) {
+      console.warn(`ADMIN_EMAIL ${ADMIN_EMAIL} already belongs to another account`);
+      return;
+    }
+    console.log(`Created super admin ${ADMIN_EMAIL}`);
+  } catch (err) {
+    console.error("Could not create the super admin:", err.message);
+  }
+}
+
+module.exports = {
+  setupAuth,
+  ensureSuperAdmin,
+  authenticate,
+  verifyToken,
+  tokenExpiresAt,
+  authorize,
+  signCalendarToken,
+  verifyCalendarToken,
+  signPresenceToken,
+  verifyPresenceToken,
+  ROLES,
+  STAFF_ROLES,
+  MANAGER_ROLES,
+  ADMIN_ROLES,
+};
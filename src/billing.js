@@ -0,0 +1,1598 @@
+const pool = require("./db");
+const { authorize, ROLES, MANAGER_ROLES } = require("./auth");
+const { daycareScope, childScope, parentScope } = require("./tenant");
+const { parseListQuery, pageInfo } = require("./pagination");
+const { isValidDate, formatDate } = require("./validation");
+const { enqueueNotification } = require("./notification");
+
+const SCHEDULES = ["full_time", "part_time"];
+const METHODS = ["cash", "card", "bank_transfer", "direct_debit"];
+const DEFAULT_DUE_DAY = 10;
+
+// filtros e ordenação aceites por /get_invoices
+const INVOICE_LIST = {
+  filters: {
+    parent_id: { column: "parent_id", type: "id" },
+    daycare_id: { column: "daycare_id", type: "id" },
+    status: { column: "status", type: "text" },
+    period: { column: "period", type: "date" },
+  },
+  sort: ["id", "period", "due_date", "total_cents", "status"],
+};
+
+function isCents(value) {
+  return Number.isInteger(value) && value >= 0;
+}
+
+// Valida os campos de um plano; devolve { error } ou { fields }
+function planFields(body) {
+  const { name, schedule, monthly_rate_cents } = body;
+  const sibling_discount_percent = body.sibling_discount_percent || 0;
+
+  if (!name || !SCHEDULES.includes(schedule)) {
+    return {
+      error: `name and schedule (${SCHEDULES.join(", ")}) are required`,
+    };
+  }
+  if (!isCents(monthly_rate_cents)) {
+    return {
+      error: "monthly_rate_cents must be a non-negative integer (cents)",
+    };
+  }
+  if (
+    !Number.isInteger(sibling_discount_percent) ||
+    sibling_discount_percent < 0 ||
+    sibling_discount_percent > 100
+  ) {
+    return {
+      error: "sibling_discount_percent must be an integer between 0 and 100",
+    };
+  }
+
+  return {
+    fields: { name, schedule, monthly_rate_cents, sibling_discount_percent },
+  };
+}
+
+// "2026-03" → "2026-03-01"; null se não for um mês válido
+function periodStart(period) {
+  return typeof period === "string" && /^\d{4}-(0[1-9]|1[0-2])$/.test(period)
+    ? `${period}-01`
+    : null;
+}
+
+// 4500 → "45.00"
+function formatCents(cents) {
+  return (cents / 100).toFixed(2);
+}
+
+function monthName(periodDate) {
+  return new Date(`${periodDate}T00:00:00`).toLocaleDateString("en-GB", {
+    month: "long",
+    year: "numeric",
+  });
+}
+
+// Os pais só veem as suas faturas; o staff as do seu daycare
+function invoiceScope(user, params, prefix = "") {
+  if (user.role === "parent") {
+    params.push(user.parent_id);
+    return `${prefix}parent_id = $${params.length}`;
+  }
+  return daycareScope(user, `${prefix}daycare_id`, params);
+}
+
+async function findInvoice(user, id) {
+  const params = [id];
+  const result = await pool.query(
+    `SELECT * FROM invoice WHERE id = $1 AND ${invoiceScope(user, params)}`,
+    params
+  );
+  return result.rows[0];
+}
+
+// Bloqueia a fatura até ao fim da transação: linhas, pagamentos e anulação da
+// mesma fatura passam a ser feitos um de cada vez, sobre o estado já bloqueado
+async function lockInvoice(db, invoiceId) {
+  const result = await db.query(
+    "SELECT * FROM invoice WHERE id = $1 FOR UPDATE",
+    [invoiceId]
+  );
+  return result.rows[0];
+}
+
+async function paidCents(db, invoiceId) {
+  const result = await db.query(
+    "SELECT COALESCE(SUM(amount_cents), 0) AS paid FROM payment WHERE invoice_id = $1",
+    [invoiceId]
+  );
+  return parseInt(result.rows[0].paid, 10);
+}
+
+// Recalcula o total a partir das linhas e marca a fatura como paga (ou
+// volta a abri-la) conforme os pagamentos registados
+async function refreshInvoice(db, invoiceId) {
+  const lines = await db.query(
+    "SELECT COALESCE(SUM(amount_cents), 0) AS total FROM invoice_line WHERE invoice_id = $1",
+    [invoiceId]
+  );
+  const total = parseInt(lines.rows[0].total, 10);
+  const paid = await paidCents(db, invoiceId);
+
+  const result = await db.query(
+    `UPDATE invoice
+     SET total_cents = $1, status = CASE WHEN $2 >= $1 THEN 'paid' ELSE 'open' END
+     WHERE id = $3 AND status <> 'void'
+     RETURNING *`,
+    [total, paid, invoiceId]
+  );
+  return result.rows[0];
+}
+
+// Linhas da fatura mensal de cada responsável. Paga quem é contacto
+// principal da criança (ou o primeiro responsável ligado). Entre irmãos
+// com o mesmo responsável, o de mensalidade mais alta paga o valor inteiro e
+// os outros têm o desconto de irmãos do respetivo plano.
+async function buildInvoices(daycareId, period) {
+  const children = await pool.query(
+    `SELECT c.id, c.name, p.name AS plan_name, p.monthly_rate_cents,
+            p.sibling_discount_percent
+     FROM child c
+     JOIN child_tuition ct ON ct.child_id = c.id
+     JOIN tuition_plan p ON p.id = ct.plan_id
+     WHERE c.daycare_id = $1
+       AND c.id IN (SELECT child_id FROM child_enrollment WHERE status = 'active')
+     ORDER BY c.id ASC`,
+    [daycareId]
+  );
+  const links = await pool.query(
+    `SELECT child_id, parent_id FROM enrollment
+     WHERE child_id = ANY($1::int[])
+     ORDER BY is_primary_contact DESC, id ASC`,
+    [children.rows.map((child) => child.id)]
+  );
+
+  const byParent = new Map();
+  const unbilled = [];
+  for (const child of children.rows) {
+    const link = links.rows.find((row) => row.child_id === child.id);
+    if (!link) {
+      unbilled.push({ child_id: child.id, name: child.name });
+      continue;
+    }
+    if (!byParent.has(link.parent_id)) byParent.set(link.parent_id, []);
+    byParent.get(link.parent_id).push(child);
+  }
+
+  const month = monthName(period);
+  const invoices = [];
+  for (const [parentId, siblings] of byParent) {
+    siblings.sort((a, b) => b.monthly_rate_cents - a.monthly_rate_cents || a.id - b.id);
+
+    const lines = [];
+    siblings.forEach((child, index) => {
+      lines.push({
+        child_id: child.id,
+        description: `Tuition ${month}: ${child.name} (${child.plan_name})`,
+        amount_cents: child.monthly_rate_cents,
+      });
+
+      const discount = Math.round(
+        (child.monthly_rate_cents * child.sibling_discount_percent) / 100
+      );
+      if (index > 0 && discount > 0) {
+        lines.push({
+          child_id: child.id,
+          description: `Sibling discount ${child.sibling_discount_percent}%: ${child.name}`,
+          amount_cents: -discount,
+        });
+      }
+    });
+
+    invoices.push({ parent_id: parentId, lines });
+  }
+
+  return { invoices, unbilled };
+}
+
+function setupBilling(app) {
+  /**
+   * @swagger
+   * /get_tuition_plans:
+   *   get:
+   *     summary: Get tuition plans
+   *     tags:
+   *       - Billing
+   *     description: Lists the tuition plans of the daycares the caller can see. Amounts are in cents.
+   *     parameters:
+   *       - in: query
+   *         name: daycare_id
+   *         required: false
+   *         schema:
+   *           type: integer
+   *           example: 1
+   *     responses:
+   *       200:
+   *         description: Tuition plans
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 plans_count:
+   *                   type: integer
+   *                   example: 2
+   *                 data:
+   *                   type: array
+   *                   items:
+   *                     type: object
+   *                     properties:
+   *                       id:
+   *                         type: integer
+   *                         example: 1
+   *                       daycare_id:
+   *                         type: integer
+   *                         example: 1
+   *                       name:
+   *                         type: string
+   *                         example: "Full time"
+   *                       schedule:
+   *                         type: string
+   *                         enum: [full_time, part_time]
+   *                         example: full_time
+   *                       monthly_rate_cents:
+   *                         type: integer
+   *                         example: 45000
+   *                       sibling_discount_percent:
+   *                         type: integer
+   *                         example: 10
+   *       400:
+   *         description: Invalid daycare_id
+   *       500:
+   *         description: Internal server error
+   */
+  app.get("/get_tuition_plans", authorize(...ROLES), async (req, res) => {
+    const { daycare_id } = req.query;
+    const params = [];
+    let where = daycareScope(req.user, "daycare_id", params);
+
+    if (daycare_id !== undefined) {
+      if (!/^\d+$/.test(String(daycare_id))) {
+        return res.status(400).json({
+          status: "error",
+          message: "daycare_id must be a positive integer",
+        });
+      }
+      params.push(daycare_id);
+      where += ` AND daycare_id = $${params.length}`;
+    }
+
+    try {
+      const result = await pool.query(
+        `SELECT * FROM tuition_plan WHERE ${where}
+         ORDER BY daycare_id ASC, monthly_rate_cents DESC, id ASC`,
+        params
+      );
+      res.json({ plans_count: result.rows.length, data: result.rows });
+    } catch (err) {
+      res.status(500).json({ status: "error", error: err.message });
+    }
+  });
+
+  /**
+   * @swagger
+   * /create_tuition_plan:
+   *   post:
+   *     summary: Create a tuition plan
+   *     tags:
+   *       - Billing
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             properties:
+   *               daycare_id:
+   *                 type: integer
+   *                 example: 1
+   *               name:
+   *                 type: string
+   *                 example: "Full time"
+   *               schedule:
+   *                 type: string
+   *                 enum: [full_time, part_time]
+   *                 example: full_time
+   *               monthly_rate_cents:
+   *                 type: integer
+   *                 description: Monthly rate in cents
+   *                 example: 45000
+   *               sibling_discount_percent:
+   *                 type: integer
+   *                 description: Discount for each sibling after the first (0 to 100, default 0)
+   *                 example: 10
+   *     responses:
+   *       201:
+   *         description: Tuition plan created successfully
+   *       400:
+   *         description: Missing or invalid parameters, or daycare does not exist
+   *       500:
+   *         description: Internal server error
+   */
+  app.post(
+    "/create_tuition_plan",
+    authorize(...MANAGER_ROLES),
+    async (req, res) => {
+      const { daycare_id } = req.body;
+      const { error, fields } = planFields(req.body);
+
+      if (!daycare_id) {
+        return res
+          .status(400)
+          .json({ status: "error", message: "daycare_id is required" });
+      }
+      if (error) {
+        return res.status(400).json({ status: "error", message: error });
+      }
+
+      try {
+        const params = [daycare_id];
+        const daycare = await pool.query(
+          `SELECT id FROM daycare
+           WHERE id = $1 AND ${daycareScope(req.user, "id", params)}`,
+          params
+        );
+        if (daycare.rows.length === 0) {
+          return res
+            .status(400)
+            .json({ status: "error", message: "Daycare does not exist" });
+        }
+
+        const result = await pool.query(
+          `INSERT INTO tuition_plan
+             (daycare_id, name, schedule, monthly_rate_cents, sibling_discount_percent)
+           VALUES ($1, $2, $3, $4, $5)
+           RETURNING *`,
+          [
+            daycare_id,
+            fields.name,
+            fields.schedule,
+            fields.monthly_rate_cents,
+            fields.sibling_discount_percent,
+          ]
+        );
+
+        res.status(201).json({
+          status: "success",
+          message: "Tuition plan created successfully",
+          created_data: result.rows[0],
+        });
+      } catch (err) {
+        res.status(500).json({ status: "error", error: err.message });
+      }
+    }
+  );
+
+  /**
+   * @swagger
+   * /update_tuition_plan/{id}:
+   *   put:
+   *     summary: Update a tuition plan
+   *     tags:
+   *       - Billing
+   *     description: Changes a plan. Invoices already generated keep the amounts they were issued with. The daycare of a plan can't be changed.
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *           example: 1
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             properties:
+   *               name:
+   *                 type: string
+   *                 example: "Full time"
+   *               schedule:
+   *                 type: string
+   *                 enum: [full_time, part_time]
+   *                 example: full_time
+   *               monthly_rate_cents:
+   *                 type: integer
+   *                 example: 47500
+   *               sibling_discount_percent:
+   *                 type: integer
+   *                 example: 10
+   *     responses:
+   *       200:
+   *         description: Tuition plan updated successfully
+   *       400:
+   *         description: Missing or invalid parameters
+   *       404:
+   *         description: Tuition plan not found
+   *       500:
+   *         description: Internal server error
+   */
+  app.put(
+    "/update_tuition_plan/:id",
+    authorize(...MANAGER_ROLES),
+    async (req, res) => {
+      const { id } = req.params;
+      const { error, fields } = planFields(req.body);
+
+      if (error) {
+        return res.status(400).json({ status: "error", message: error });
+      }
+
+      try {
+        const params = [
+          fields.name,
+          fields.schedule,
+          fields.monthly_rate_cents,
+          fields.sibling_discount_percent,
+          id,
+        ];
+        const result = await pool.query(
+          `UPDATE tuition_plan
+           SET name = $1, schedule = $2, monthly_rate_cents = $3,
+               sibling_discount_percent = $4
+           WHERE id = $5 AND ${daycareScope(req.user, "daycare_id", params)}
+           RETURNING *`,
+          params
+        );
+
+        if (result.rows.length === 0) {
+          return res
+            .status(404)
+            .json({ status: "not_found", message: "Tuition plan not found" });
+        }
+
+        res.json({
+          status: "success",
+          message: "Tuition plan updated successfully",
+          updated_data: result.rows[0],
+        });
+      } catch (err) {
+        res.status(500).json({ status: "error", error: err.message });
+      }
+    }
+  );
+
+  /**
+   * @swagger
+   * /delete_tuition_plan/{id}:
+   *   delete:
+   *     summary: Delete a tuition plan
+   *     tags:
+   *       - Billing
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *           example: 2
+   *     responses:
+   *       200:
+   *         description: Tuition plan deleted successfully
+   *       404:
+   *         description: Tuition plan not found
+   *       409:
+   *         description: Children are still on this plan
+   *       500:
+   *         description: Internal server error
+   */
+  app.delete(
+    "/delete_tuition_plan/:id",
+    authorize(...MANAGER_ROLES),
+    async (req, res) => {
+      const params = [req.params.id];
+
+      try {
+        const result = await pool.query(
+          `DELETE FROM tuition_plan
+           WHERE id = $1 AND ${daycareScope(req.user, "daycare_id", params)}`,
+          params
+        );
+
+        if (result.rowCount === 0) {
+          return res
+            .status(404)
+            .json({ status: "not_found", message: "Tuition plan not found" });
+        }
+
+        res.json({
+          status: "success",
+          message: "Tuition plan deleted successfully",
+        });
+      } catch (err) {
+        if (err.code === "23503") {
+          return res.status(409).json({
+            status: "error",
+            message: "Children are still on this plan",
+          });
+        }
+        res.status(500).json({ status: "error", error: err.message });
+      }
+    }
+  );
+
+  /**
+   * @swagger
+   * /update_child_tuition/{id}:
+   *   put:
+   *     summary: Set the tuition plan of a child
+   *     tags:
+   *       - Billing
+   *     description: Puts the child on a plan of the child's daycare, or takes the child off billing when plan_id is null.
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         description: The child ID
+   *         schema:
+   *           type: integer
+   *           example: 5
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             properties:
+   *               plan_id:
+   *                 type: integer
+   *                 nullable: true
+   *                 example: 2
+   *     responses:
+   *       200:
+   *         description: Tuition plan of the child updated successfully
+   *       400:
+   *         description: Missing parameters or plan does not exist
+   *       404:
+   *         description: Child not found
+   *       500:
+   *         description: Internal server error
+   */
+  app.put(
+    "/update_child_tuition/:id",
+    authorize(...MANAGER_ROLES),
+    async (req, res) => {
+      const { id } = req.params;
+      const { plan_id } = req.body;
+
+      if (plan_id === undefined) {
+        return res.status(400).json({
+          status: "error",
+          message: "plan_id is required (null removes the plan)",
+        });
+      }
+
+      try {
+        const params = [id];
+        const child = await pool.query(
+          `SELECT id, daycare_id FROM child
+           WHERE id = $1 AND ${childScope(req.user, "id", params)}`,
+          params
+        );
+        if (child.rows.length === 0) {
+          return res
+            .status(404)
+            .json({ status: "not_found", message: "Child not found" });
+        }
+
+        if (plan_id === null) {
+          await pool.query("DELETE FROM child_tuition WHERE child_id = $1", [id]);
+          return res.json({
+            status: "success",
+            message: "Tuition plan of the child updated successfully",
+            updated_data: { child_id: child.rows[0].id, plan_id: null },
+          });
+        }
+
+        const plan = await pool.query(
+          "SELECT id FROM tuition_plan WHERE id = $1 AND daycare_id = $2",
+          [plan_id, child.rows[0].daycare_id]
+        );
+        if (plan.rows.length === 0) {
+          return res
+            .status(400)
+            .json({ status: "error", message: "Tuition plan does not exist" });
+        }
+
+        const result = await pool.query(
+          `INSERT INTO child_tuition (child_id, plan_id)
+           VALUES ($1, $2)
+           ON CONFLICT (child_id) DO UPDATE SET plan_id = $2
+           RETURNING *`,
+          [id, plan_id]
+        );
+
+        res.json({
+          status: "success",
+          message: "Tuition plan of the child updated successfully",
+          updated_data: result.rows[0],
+        });
+      } catch (err) {
+        res.status(500).json({ status: "error", error: err.message });
+      }
+    }
+  );
+
+  /**
+   * @swagger
+   * /generate_invoices/{id}:
+   *   post:
+   *     summary: Generate the monthly invoices of a daycare
+   *     tags:
+   *       - Billing
+   *     description: |
+   *       Creates one invoice per responsible parent for the month, with a tuition line for each of their children who is actively enrolled and on a plan.
+   *       The responsible parent is the child's primary contact, or the first guardian linked when there is none. Among siblings billed to the same parent
+   *       the one with the highest rate pays in full and the others get the sibling discount of their plan as a negative line. Parents who already have an
+   *       invoice for that month are skipped, so running it twice is safe. Children without any guardian are listed in unbilled_children.
+   *       Each parent with a new invoice is notified by their chosen channels.
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         description: The daycare ID
+   *         schema:
+   *           type: integer
+   *           example: 1
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             properties:
+   *               period:
+   *                 type: string
+   *                 description: Month to invoice (YYYY-MM)
+   *                 example: "2026-03"
+   *               due_date:
+   *                 type: string
+   *                 format: date
+   *                 description: Payment due date (default the 10th of the month)
+   *                 example: "2026-03-10"
+   *     responses:
+   *       201:
+   *         description: Invoices generated
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 status:
+   *                   type: string
+   *                   example: success
+   *                 message:
+   *                   type: string
+   *                   example: 3 invoices generated
+   *                 created_data:
+   *                   type: array
+   *                   items:
+   *                     type: object
+   *                 skipped_parents:
+   *                   type: array
+   *                   description: Parents that already had an invoice for the month
+   *                   items:
+   *                     type: integer
+   *                   example: []
+   *                 unbilled_children:
+   *                   type: array
+   *                   items:
+   *                     type: object
+   *                   example: []
+   *       400:
+   *         description: Invalid period or due date
+   *       404:
+   *         description: Daycare not found
+   *       409:
+   *         description: Invoices for the month were being generated by another request at the same time
+   *       500:
+   *         description: Internal server error
+   */
+  app.post(
+    "/generate_invoices/:id",
+    authorize(...MANAGER_ROLES),
+    async (req, res) => {
+      const { id } = req.params;
+      const period = periodStart(req.body.period);
+
+      if (!period) {
+        return res.status(400).json({
+          status: "error",
+          message: "period must be a month in the format YYYY-MM",
+        });
+      }
+
+      const due_date =
+        req.body.due_date ||
+        `${req.body.period}-${String(DEFAULT_DUE_DAY).padStart(2, "0")}`;
+      if (!isValidDate(due_date)) {
+        return res.status(400).json({
+          status: "error",
+          message: "due_date must be a date in the format YYYY-MM-DD",
+        });
+      }
+
+      const client = await pool.connect();
+      try {
+        const params = [id];
+        const daycare = await client.query(
+          `SELECT id FROM daycare
+           WHERE id = $1 AND ${daycareScope(req.user, "id", params)}`,
+          params
+        );
+        if (daycare.rows.length === 0) {
+          return res
+            .status(404)
+            .json({ status: "not_found", message: "Daycare not found" });
+        }
+
+        const { invoices, unbilled } = await buildInvoices(id, period);
+        const existing = await client.query(
+          "SELECT parent_id FROM invoice WHERE daycare_id = $1 AND period = $2",
+          [id, period]
+        );
+        const skipped = existing.rows.map((row) => row.parent_id);
+
+        await client.query("BEGIN");
+        const created = [];
+        for (const { parent_id, lines } of invoices) {
+          if (skipped.includes(parent_id)) continue;
+
+          const invoice = await client.query(
+            `INSERT INTO invoice (parent_id, daycare_id, period, due_date)
+             VALUES ($1, $2, $3, $4)
+             RETURNING id`,
+            [parent_id, id, period, due_date]
+          );
+          for (const line of lines) {
+            await client.query(
+              `INSERT INTO invoice_line (invoice_id, child_id, description, amount_cents)
+               VALUES ($1, $2, $3, $4)`,
+              [invoice.rows[0].id, line.child_id, line.description, line.amount_cents]
+            );
+          }
+          const saved = await refreshInvoice(client, invoice.rows[0].id);
+          await enqueueNotification(client, {
+            event_type: "invoice_issued",
+            event_id: saved.id,
+            daycare_id: saved.daycare_id,
+            parent_id,
+            subject: `Invoice for ${monthName(period)}`,
+            body: `Your invoice for ${monthName(period)} is ${formatCents(saved.total_cents)}, due on ${due_date}.`,
+          });
+          created.push(saved);
+        }
+        await client.query("COMMIT");
+
+        res.status(201).json({
+          status: "success",
+          message: `${created.length} invoices generated`,
+          created_data: created,
+          skipped_parents: skipped.filter((parentId) =>
+            invoices.some((invoice) => invoice.parent_id === parentId)
+          ),
+          unbilled_children: unbilled,
+        });
+      } catch (err) {
+        await client.query("ROLLBACK");
+        // outro pedido gerou as faturas do mesmo mês ao mesmo tempo
+        if (err.code === "23505") {
+          return res.status(409).json({
+            status: "error",
+            message: "Invoices for this month were just generated by another request, try again",
+          });
+        }
+        res.status(500).json({ status: "error", error: err.message });
+      } finally {
+        client.release();
+      }
+    }
+  );
+
+  /**
+   * @swagger
+   * /get_invoices:
+   *   get:
+   *     summary: Get invoices
+   *     tags:
+   *       - Billing
+   *     description: Lists invoices. Parents only see their own. Amounts are in cents.
+   *     parameters:
+   *       - $ref: '#/components/parameters/limit'
+   *       - $ref: '#/components/parameters/offset'
+   *       - in: query
+   *         name: sort
+   *         required: false
+   *         description: "Sort field, prefixed with - for descending order. One of: id, period, due_date, total_cents, status"
+   *         schema:
+   *           type: string
+   *           example: "-period"
+   *       - in: query
+   *         name: parent_id
+   *         required: false
+   *         schema:
+   *           type: integer
+   *           example: 2
+   *       - in: query
+   *         name: daycare_id
+   *         required: false
+   *         schema:
+   *           type: integer
+   *           example: 1
+   *       - in: query
+   *         name: status
+   *         required: false
+   *         schema:
+   *           type: string
+   *           enum: [open, paid, void]
+   *       - in: query
+   *         name: period
+   *         required: false
+   *         description: First day of the invoiced month
+   *         schema:
+   *           type: string
+   *           format: date
+   *           example: "2026-03-01"
+   *     responses:
+   *       200:
+   *         description: A page of invoices
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 invoices_count:
+   *                   type: integer
+   *                   example: 1
+   *                 pagination:
+   *                   $ref: '#/components/schemas/Pagination'
+   *                 data:
+   *                   type: array
+   *                   items:
+   *                     type: object
+   *                     properties:
+   *                       id:
+   *                         type: integer
+   *                         example: 1
+   *                       parent_id:
+   *                         type: integer
+   *                         example: 2
+   *                       daycare_id:
+   *                         type: integer
+   *                         example: 1
+   *                       period:
+   *                         type: string
+   *                         format: date
+   *                         example: "2026-03-01"
+   *                       issue_date:
+   *                         type: string
+   *                         format: date
+   *                       due_date:
+   *                         type: string
+   *                         format: date
+   *                         example: "2026-03-10"
+   *                       total_cents:
+   *                         type: integer
+   *                         example: 70200
+   *                       status:
+   *                         type: string
+   *                         example: open
+   *       400:
+   *         description: Invalid pagination, sort or filter parameters
+   *       500:
+   *         description: Internal server error
+   */
+  app.get("/get_invoices", authorize(...ROLES), async (req, res) => {
+    const params = [];
+    const scope = invoiceScope(req.user, params);
+    const list = parseListQuery(req.query, INVOICE_LIST, params);
+
+    if (list.error) {
+      return res.status(400).json({ status: "error", message: list.error });
+    }
+
+    const where = [scope, ...list.conditions].join(" AND ");
+
+    try {
+      const count = await pool.query(
+        `SELECT COUNT(*) AS total FROM invoice WHERE ${where}`,
+        params
+      );
+      const data = await pool.query(
+        `SELECT * FROM invoice WHERE ${where}
+         ORDER BY ${list.orderBy} LIMIT ${list.limit} OFFSET ${list.offset}`,
+        params
+      );
+      const total = parseInt(count.rows[0].total, 10);
+
+      res.json({
+        invoices_count: total,
+        data: data.rows,
+        pagination: pageInfo(req, list, total),
+      });
+    } catch (err) {
+      res.status(500).json({ status: "error", error: err.message });
+    }
+  });
+
+  /**
+   * @swagger
+   * /get_invoice/{id}:
+   *   get:
+   *     summary: Get an invoice with its lines and payments
+   *     tags:
+   *       - Billing
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *           example: 1
+   *     responses:
+   *       200:
+   *         description: The invoice, its lines, its payments and what is still to pay
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 data:
+   *                   type: object
+   *                   example: { id: 2, parent_id: 2, daycare_id: 1, period: "2026-03-01", due_date: "2026-03-10", total_cents: 70200, status: "open", paid_cents: 20000, balance_cents: 50200, lines: [{ id: 2, child_id: 2, description: "Tuition March 2026: Liam Smith (Full time)", amount_cents: 45000 }], payments: [] }
+   *       404:
+   *         description: Invoice not found
+   *       500:
+   *         description: Internal server error
+   */
+  app.get("/get_invoice/:id", authorize(...ROLES), async (req, res) => {
+    const { id } = req.params;
+
+    try {
+      const invoice = await findInvoice(req.user, id);
+      if (!invoice) {
+        return res
+          .status(404)
+          .json({ status: "not_found", message: "Invoice not found" });
+      }
+
+      const lines = await pool.query(
+        "SELECT * FROM invoice_line WHERE invoice_id = $1 ORDER BY id ASC",
+        [id]
+      );
+      const payments = await pool.query(
+        "SELECT * FROM payment WHERE invoice_id = $1 ORDER BY paid_on ASC, id ASC",
+        [id]
+      );
+      const paid = payments.rows.reduce((sum, payment) => sum + payment.amount_cents, 0);
+
+      res.json({
+        data: {
+          ...invoice,
+          paid_cents: paid,
+          balance_cents: invoice.status === "void" ? 0 : invoice.total_cents - paid,
+          lines: lines.rows,
+          payments: payments.rows,
+        },
+      });
+    } catch (err) {
+      res.status(500).json({ status: "error", error: err.message });
+    }
+  });
+
+  /**
+   * @swagger
+   * /create_invoice_line/{id}:
+   *   post:
+   *     summary: Add a line to an invoice
+   *     tags:
+   *       - Billing
+   *     description: Adds a charge (positive amount) or a credit (negative amount) to an open invoice, e.g. a field trip or a one-off discount. The invoice total is updated. child_id, when given, must be a child of the invoice's parent at its daycare.
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         description: The invoice ID
+   *         schema:
+   *           type: integer
+   *           example: 1
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             properties:
+   *               description:
+   *                 type: string
+   *                 example: "Field trip to the zoo"
+   *               amount_cents:
+   *                 type: integer
+   *                 example: 1500
+   *               child_id:
+   *                 type: integer
+   *                 example: 1
+   *     responses:
+   *       201:
+   *         description: Invoice line created successfully
+   *       400:
+   *         description: Missing or invalid parameters, or the child is not linked to the parent and daycare of the invoice
+   *       404:
+   *         description: Invoice not found
+   *       409:
+   *         description: The invoice is not open, or the change would leave it below what has already been paid
+   *       500:
+   *         description: Internal server error
+   */
+  app.post(
+    "/create_invoice_line/:id",
+    authorize(...MANAGER_ROLES),
+    async (req, res) => {
+      const { id } = req.params;
+      const { description, amount_cents, child_id } = req.body;
+
+      if (!description || !Number.isInteger(amount_cents) || amount_cents === 0) {
+        return res.status(400).json({
+          status: "error",
+          message: "description and a non-zero integer amount_cents are required",
+        });
+      }
+
+      const client = await pool.connect();
+      try {
+        const invoice = await findInvoice(req.user, id);
+        if (!invoice) {
+          return res
+            .status(404)
+            .json({ status: "not_found", message: "Invoice not found" });
+        }
+
+        // a linha só pode ser de uma criança deste responsável e deste daycare
+        if (child_id) {
+          const child = await pool.query(
+            `SELECT c.id FROM child c
+             JOIN enrollment e ON e.child_id = c.id
+             WHERE c.id = $1 AND c.daycare_id = $2 AND e.parent_id = $3`,
+            [child_id, invoice.daycare_id, invoice.parent_id]
+          );
+          if (child.rows.length === 0) {
+            return res.status(400).json({
+              status: "error",
+              message: "Child is not linked to the parent and daycare of this invoice",
+            });
+          }
+        }
+
+        await client.query("BEGIN");
+        if ((await lockInvoice(client, id)).status !== "open") {
+          await client.query("ROLLBACK");
+          return res.status(409).json({
+            status: "error",
+            message: "Only open invoices can be changed",
+          });
+        }
+
+        const line = await client.query(
+          `INSERT INTO invoice_line (invoice_id, child_id, description, amount_cents)
+           VALUES ($1, $2, $3, $4)
+           RETURNING *`,
+          [id, child_id || null, description, amount_cents]
+        );
+        const updated = await refreshInvoice(client, id);
+        // um desconto não pode deixar a fatura abaixo do que já foi pago
+        if (updated.total_cents < (await paidCents(client, id))) {
+          await client.query("ROLLBACK");
+          return res.status(409).json({
+            status: "error",
+            message: "The invoice total can't go below what has already been paid",
+          });
+        }
+        await client.query("COMMIT");
+
+        res.status(201).json({
+          status: "success",
+          message: "Invoice line created successfully",
+          created_data: line.rows[0],
+          invoice: updated,
+        });
+      } catch (err) {
+        await client.query("ROLLBACK");
+        res.status(500).json({ status: "error", error: err.message });
+      } finally {
+        client.release();
+      }
+    }
+  );
+
+  /**
+   * @swagger
+   * /delete_invoice_line/{id}:
+   *   delete:
+   *     summary: Remove a line from an invoice
+   *     tags:
+   *       - Billing
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         description: The invoice line ID
+   *         schema:
+   *           type: integer
+   *           example: 3
+   *     responses:
+   *       200:
+   *         description: Invoice line deleted successfully
+   *       404:
+   *         description: Invoice line not found
+   *       409:
+   *         description: The invoice is not open, or the change would leave it below what has already been paid
+   *       500:
+   *         description: Internal server error
+   */
+  app.delete(
+    "/delete_invoice_line/:id",
+    authorize(...MANAGER_ROLES),
+    async (req, res) => {
+      const { id } = req.params;
+
+      const client = await pool.connect();
+      try {
+        const line = await client.query(
+          "SELECT invoice_id FROM invoice_line WHERE id = $1",
+          [id]
+        );
+        const invoice = line.rows[0] && (await findInvoice(req.user, line.rows[0].invoice_id));
+        if (!invoice) {
+          return res
+            .status(404)
+            .json({ status: "not_found", message: "Invoice line not found" });
+        }
+
+        await client.query("BEGIN");
+        if ((await lockInvoice(client, invoice.id)).status !== "open") {
+          await client.query("ROLLBACK");
+          return res.status(409).json({
+            status: "error",
+            message: "Only open invoices can be changed",
+          });
+        }
+
+        await client.query("DELETE FROM invoice_line WHERE id = $1", [id]);
+        const updated = await refreshInvoice(client, invoice.id);
+        if (updated.total_cents < (await paidCents(client, invoice.id))) {
+          await client.query("ROLLBACK");
+          return res.status(409).json({
+            status: "error",
+            message: "The invoice total can't go below what has already been paid",
+          });
+        }
+        await client.query("COMMIT");
+
+        res.json({
+          status: "success",
+          message: "Invoice line deleted successfully",
+          invoice: updated,
+        });
+      } catch (err) {
+        await client.query("ROLLBACK");
+        res.status(500).json({ status: "error", error: err.message });
+      } finally {
+        client.release();
+      }
+    }
+  );
+
+  /**
+   * @swagger
+   * /void_invoice/{id}:
+   *   put:
+   *     summary: Void an invoice
+   *     tags:
+   *       - Billing
+   *     description: Cancels an invoice issued by mistake. Invoices with payments can't be voided. A voided invoice doesn't count towards the parent's balance.
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *           example: 1
+   *     responses:
+   *       200:
+   *         description: Invoice voided successfully
+   *       404:
+   *         description: Invoice not found
+   *       409:
+   *         description: The invoice has payments or is already void
+   *       500:
+   *         description: Internal server error
+   */
+  app.put(
+    "/void_invoice/:id",
+    authorize(...MANAGER_ROLES),
+    async (req, res) => {
+      const { id } = req.params;
+
+      const client = await pool.connect();
+      try {
+        const invoice = await findInvoice(req.user, id);
+        if (!invoice) {
+          return res
+            .status(404)
+            .json({ status: "not_found", message: "Invoice not found" });
+        }
+
+        // com a fatura bloqueada não pode entrar um pagamento a meio
+        await client.query("BEGIN");
+        const locked = await lockInvoice(client, id);
+        if (locked.status === "void" || (await paidCents(client, id)) > 0) {
+          await client.query("ROLLBACK");
+          return res.status(409).json({
+            status: "error",
+            message: "Only invoices without payments can be voided",
+          });
+        }
+
+        const result = await client.query(
+          "UPDATE invoice SET status = 'void' WHERE id = $1 RETURNING *",
+          [id]
+        );
+        await client.query("COMMIT");
+
+        res.json({
+          status: "success",
+          message: "Invoice voided successfully",
+          updated_data: result.rows[0],
+        });
+      } catch (err) {
+        await client.query("ROLLBACK");
+        res.status(500).json({ status: "error", error: err.message });
+      } finally {
+        client.release();
+      }
+    }
+  );
+
+  /**
+   * @swagger
+   * /create_payment:
+   *   post:
+   *     summary: Record a payment
+   *     tags:
+   *       - Billing
+   *     description: Records a payment against an invoice. Only managers (director, admin) can record payments. A payment can't be more than what is still to pay; the invoice is marked as paid once it is fully paid.
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             properties:
+   *               invoice_id:
+   *                 type: integer
+   *                 example: 1
+   *               amount_cents:
+   *                 type: integer
+   *                 example: 20000
+   *               paid_on:
+   *                 type: string
+   *                 format: date
+   *                 description: Payment date (default today)
+   *                 example: "2026-03-05"
+   *               method:
+   *                 type: string
+   *                 enum: [cash, card, bank_transfer, direct_debit]
+   *                 example: bank_transfer
+   *               reference:
+   *                 type: string
+   *                 example: "TRF-000123"
+   *     responses:
+   *       201:
+   *         description: Payment recorded successfully
+   *       400:
+   *         description: Missing or invalid parameters, or invoice does not exist
+   *       409:
+   *         description: The invoice is not open or the amount is more than what is still to pay
+   *       500:
+   *         description: Internal server error
+   */
+  app.post(
+    "/create_payment",
+    authorize(...MANAGER_ROLES),
+    async (req, res) => {
+      const { invoice_id, amount_cents, method, reference } = req.body;
+      const paid_on = req.body.paid_on || formatDate(new Date());
+
+      if (!invoice_id || !Number.isInteger(amount_cents) || amount_cents <= 0) {
+        return res.status(400).json({
+          status: "error",
+          message: "invoice_id and a positive integer amount_cents are required",
+        });
+      }
+      if (!METHODS.includes(method)) {
+        return res.status(400).json({
+          status: "error",
+          message: `method must be one of: ${METHODS.join(", ")}`,
+        });
+      }
+      if (!isValidDate(paid_on)) {
+        return res.status(400).json({
+          status: "error",
+          message: "paid_on must be a date in the format YYYY-MM-DD",
+        });
+      }
+
+      const client = await pool.connect();
+      try {
+        const invoice = await findInvoice(req.user, invoice_id);
+        if (!invoice) {
+          return res
+            .status(400)
+            .json({ status: "error", message: "Invoice does not exist" });
+        }
+
+        await client.query("BEGIN");
+        // dois pagamentos em simultâneo não excedem a fatura: total e estado
+        // lidos de novo, já com o bloqueio
+        const { total_cents, status } = await lockInvoice(client, invoice_id);
+
+        const balance = total_cents - (await paidCents(client, invoice_id));
+        if (status !== "open" || amount_cents > balance) {
+          await client.query("ROLLBACK");
+          return res.status(409).json({
+            status: "error",
+            message: `The invoice is not open or the payment is more than the ${balance} cents still to pay`,
+          });
+        }
+
+        const payment = await client.query(
+          `INSERT INTO payment (invoice_id, amount_cents, paid_on, method, reference, recorded_by)
+           VALUES ($1, $2, $3, $4, $5, $6)
+           RETURNING *`,
+          [invoice_id, amount_cents, paid_on, method, reference || null, req.user.id]
+        );
+        const updated = await refreshInvoice(client, invoice_id);
+        await client.query("COMMIT");
+
+        res.status(201).json({
+          status: "success",
+          message: "Payment recorded successfully",
+          created_data: payment.rows[0],
+          invoice: updated,
+        });
+      } catch (err) {
+        await client.query("ROLLBACK");
+        res.status(500).json({ status: "error", error: err.message });
+      } finally {
+        client.release();
+      }
+    }
+  );
+
+  /**
+   * @swagger
+   * /get_parent_balance/{id}:
+   *   get:
+   *     summary: Outstanding balance of a parent
+   *     tags:
+   *       - Billing
+   *     description: Totals of what a parent has been invoiced and has paid (void invoices excluded), the balance still to pay and the invoices that are not fully paid.
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         description: The parent ID
+   *         schema:
+   *           type: integer
+   *           example: 2
+   *     responses:
+   *       200:
+   *         description: Balance of the parent
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 data:
+   *                   type: object
+   *                   properties:
+   *                     parent_id:
+   *                       type: integer
+   *                       example: 2
+   *                     invoiced_cents:
+   *                       type: integer
+   *                       example: 140400
+   *                     paid_cents:
+   *                       type: integer
+   *                       example: 70200
+   *                     balance_cents:
+   *                       type: integer
+   *                       example: 70200
+   *                     open_invoices:
+   *                       type: array
+   *                       items:
+   *                         type: object
+   *                       example: [{ id: 4, period: "2026-04-01", due_date: "2026-04-10", total_cents: 70200, paid_cents: 0, balance_cents: 70200 }]
+   *       404:
+   *         description: Parent not found
+   *       500:
+   *         description: Internal server error
+   */
+  app.get(
+    "/get_parent_balance/:id",
+    authorize(...ROLES),
+    async (req, res) => {
+      const { id } = req.params;
+
+      try {
+        const parentParams = [id];
+        const parent = await pool.query(
+          `SELECT id FROM parent
+           WHERE id = $1 AND ${parentScope(req.user, "id", parentParams)}`,
+          parentParams
+        );
+        if (parent.rows.length === 0) {
+          return res
+            .status(404)
+            .json({ status: "not_found", message: "Parent not found" });
+        }
+
+        // o staff só conta as faturas do seu daycare
+        const params = [id];
+        const invoices = await pool.query(
+          `SELECT i.id, i.daycare_id, i.period, i.due_date, i.total_cents,
+                  COALESCE(SUM(p.amount_cents), 0) AS paid_cents
+           FROM invoice i
+           LEFT JOIN payment p ON p.invoice_id = i.id
+           WHERE i.parent_id = $1 AND i.status <> 'void'
+             AND ${invoiceScope(req.user, params, "i.")}
+           GROUP BY i.id, i.daycare_id, i.period, i.due_date, i.total_cents
+           ORDER BY i.due_date ASC, i.id ASC`,
+          params
+        );
+
+        let invoiced = 0;
+        let paid = 0;
+        const open = [];
+        for (const row of invoices.rows) {
+          const rowPaid = parseInt(row.paid_cents, 10);
+          invoiced += row.total_cents;
+          paid += rowPaid;
+          if (rowPaid < row.total_cents) {
+            open.push({
+              ...row,
+              paid_cents: rowPaid,
+              balance_cents: row.total_cents - rowPaid,
+            });
+          }
+        }
+
+        res.json({
+          data: {
+            parent_id: Number(id),
+            invoiced_cents: invoiced,
+            paid_cents: paid,
+            balance_cents: invoiced - paid,
+            open_invoices: open,
+          },
+        });
+      } catch (err) {
+        res.status(500).json({ status: "error", error: err.message });
+      }
+    }
+  );
+
+  /**
+   * @swagger
+   * /get_overdue_invoices:
+   *   get:
+   *     summary: Overdue invoices report
+   *     tags:
+   *       - Billing
+   *     description: Open invoices past their due date, oldest first, with what is still to pay and how many days late they are.
+   *     parameters:
+   *       - in: query
+   *         name: daycare_id
+   *         required: false
+   *         schema:
+   *           type: integer
+   *           example: 1
+   *     responses:
+   *       200:
+   *         description: Overdue invoices
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 overdue_count:
+   *                   type: integer
+   *                   example: 1
+   *                 total_overdue_cents:
+   *                   type: integer
+   *                   example: 45000
+   *                 data:
+   *                   type: array
+   *                   items:
+   *                     type: object
+   *                     example: { id: 1, parent_id: 1, parent_name: "Alice Johnson", daycare_id: 1, period: "2026-03-01", due_date: "2026-03-10", total_cents: 45000, paid_cents: 0, balance_cents: 45000, days_overdue: 12 }
+   *       400:
+   *         description: Invalid daycare_id
+   *       500:
+   *         description: Internal server error
+   */
+  app.get(
+    "/get_overdue_invoices",
+    authorize(...MANAGER_ROLES),
+    async (req, res) => {
+      const { daycare_id } = req.query;
+      const params = [];
+      let where = daycareScope(req.user, "i.daycare_id", params);
+
+      if (daycare_id !== undefined) {
+        if (!/^\d+$/.test(String(daycare_id))) {
+          return res.status(400).json({
+            status: "error",
+            message: "daycare_id must be a positive integer",
+          });
+        }
+        params.push(daycare_id);
+        where += ` AND i.daycare_id = $${params.length}`;
+      }
+
+      try {
+        const result = await pool.query(
+          `SELECT i.id, i.parent_id, pa.name AS parent_name, i.daycare_id,
+                  i.period, i.due_date, i.total_cents,
+                  COALESCE(SUM(p.amount_cents), 0) AS paid_cents
+           FROM invoice i
+           JOIN parent pa ON pa.id = i.parent_id
+           LEFT JOIN payment p ON p.invoice_id = i.id
+           WHERE ${where} AND i.status = 'open' AND i.due_date < CURRENT_DATE
+           GROUP BY i.id, i.parent_id, pa.name, i.daycare_id, i.period,
+                    i.due_date, i.total_cents
+           ORDER BY i.due_date ASC, i.id ASC`,
+          params
+        );
+
+        const today = new Date(`${formatDate(new Date())}T00:00:00`);
+        const data = result.rows.map((row) => {
+          const paid = parseInt(row.paid_cents, 10);
+          return {
+            ...row,
+            paid_cents: paid,
+            balance_cents: row.total_cents - paid,
+            days_overdue: Math.round((today - row.due_date) / 86400000),
+          };
+        });
+
+        res.json({
+          overdue_count: data.length,
+          total_overdue_cents: data.reduce((sum, row) => sum + row.balance_cents, 0),
+          data,
+        });
+      } catch (err) {
+        res.status(500).json({ status: "error", error: err.message });
+      }
+    }
+  );
+}
+
+module.exports = {
+  setupBilling,
+  periodStart,
+  monthName,
+  formatCents,
+  refreshInvoice,
+};
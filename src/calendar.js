@@ -0,0 +1,1242 @@
+const pool = require("./db");
+const {
+  authorize,
+  ROLES,
+  MANAGER_ROLES,
+  signCalendarToken,
+  verifyCalendarToken,
+} = require("./auth");
+const { daycareScope } = require("./tenant");
+const { parseListQuery, pageInfo } = require("./pagination");
+const { isValidDate, isValidTime, isValidId, formatDate } = require("./validation");
+
+const EVENT_TYPES = ["holiday", "closure", "event"];
+const CLOSING_TYPES = ["holiday", "closure"];
+const WEEKDAYS = [
+  "Sunday",
+  "Monday",
+  "Tuesday",
+  "Wednesday",
+  "Thursday",
+  "Friday",
+  "Saturday",
+];
+
+// filtros e ordenação aceites por /get_calendar_events; from/to devolvem os
+// eventos que se sobrepõem ao intervalo
+const EVENT_LIST = {
+  filters: {
+    daycare_id: { column: "daycare_id", type: "id" },
+    classroom_id: { column: "classroom_id", type: "id" },
+    event_type: { column: "event_type", type: "text" },
+    from: { column: "end_date", op: ">=", type: "date" },
+    to: { column: "start_date", op: "<=", type: "date" },
+  },
+  sort: ["id", "start_date", "title"],
+};
+
+// "18:00:00" → "18:00"
+function shortTime(time) {
+  return time ? time.slice(0, 5) : null;
+}
+
+async function findDaycare(user, daycareId) {
+  const params = [daycareId];
+  const result = await pool.query(
+    `SELECT id, name, calendar_token_version FROM daycare
+     WHERE id = $1 AND ${daycareScope(user, "id", params)}`,
+    params
+  );
+  return result.rows[0];
+}
+
+// Links de subscrição do feed com a versão atual do token do daycare
+function feedLinks(req, daycare) {
+  const token = signCalendarToken(daycare.id, daycare.calendar_token_version);
+  const path = `${req.get("host")}/get_calendar_feed/${daycare.id}?token=${token}`;
+  return { url: `${req.protocol}://${path}`, webcal_url: `webcal://${path}` };
+}
+
+async function findEvent(user, id) {
+  const params = [id];
+  const result = await pool.query(
+    `SELECT * FROM calendar_event
+     WHERE id = $1 AND ${daycareScope(user, "daycare_id", params)}`,
+    params
+  );
+  return result.rows[0];
+}
+
+// Valida os campos de um evento (os omitidos mantêm o valor de current);
+// devolve { error } ou { fields }
+function eventFields(body, current = {}) {
+  const fields = {};
+  for (const field of [
+    "classroom_id",
+    "event_type",
+    "title",
+    "description",
+    "start_date",
+    "end_date",
+    "start_time",
+    "end_time",
+  ]) {
+    fields[field] = body[field] === undefined ? current[field] : body[field];
+  }
+  for (const field of ["start_date", "end_date"]) {
+    if (fields[field] instanceof Date) fields[field] = formatDate(fields[field]);
+  }
+  fields.start_time = shortTime(fields.start_time);
+  fields.end_time = shortTime(fields.end_time);
+  fields.end_date = fields.end_date || fields.start_date;
+
+  if (!EVENT_TYPES.includes(fields.event_type) || !fields.title) {
+    return {
+      error: `event_type (${EVENT_TYPES.join(", ")}) and title are required`,
+    };
+  }
+  if (!isValidDate(fields.start_date) || !isValidDate(fields.end_date)) {
+    return {
+      error: "start_date and end_date must be dates in the format YYYY-MM-DD",
+    };
+  }
+  if (fields.end_date < fields.start_date) {
+    return { error: "end_date can't be before start_date" };
+  }
+
+  if (fields.start_time || fields.end_time) {
+    if (fields.event_type !== "event") {
+      return { error: "Holidays and closures last the whole day" };
+    }
+    if (fields.start_date !== fields.end_date) {
+      return { error: "Only single-day events can have a start and end time" };
+    }
+    if (
+      !isValidTime(fields.start_time) ||
+      (fields.end_time && !isValidTime(fields.end_time)) ||
+      (fields.end_time && fields.end_time <= fields.start_time)
+    ) {
+      return {
+        error: "start_time must be HH:MM and end_time, if set, a later HH:MM",
+      };
+    }
+  }
+
+  return { fields };
+}
+
+// O classroom tem de ser do daycare (null = todo o daycare)
+async function classroomBelongs(classroomId, daycareId) {
+  if (classroomId === null || classroomId === undefined) return true;
+  const result = await pool.query(
+    "SELECT id FROM classroom WHERE id = $1 AND daycare_id = $2",
+    [classroomId, daycareId]
+  );
+  return result.rows.length > 0;
+}
+
+// Dia a dia, entre duas datas inclusivas, se o daycare (ou o classroom, quando
+// indicado) está aberto, em que horário e os eventos desse dia. Fecha nos dias
+// da semana sem horário e nos feriados/encerramentos de todo o daycare ou do
+// classroom.
+async function calendarDays(daycareId, from, to, classroomId = null) {
+  const hours = await pool.query(
+    "SELECT weekday, opens_at, closes_at FROM opening_hours WHERE daycare_id = $1",
+    [daycareId]
+  );
+  const events = await pool.query(
+    `SELECT * FROM calendar_event
+     WHERE daycare_id = $1 AND start_date <= $3 AND end_date >= $2
+       AND (classroom_id IS NULL OR classroom_id = $4)
+     ORDER BY start_date ASC, start_time ASC, id ASC`,
+    [daycareId, from, to, classroomId]
+  );
+
+  const days = [];
+  const day = new Date(`${from}T00:00:00`);
+  const last = new Date(`${to}T00:00:00`);
+  while (day <= last) {
+    const date = formatDate(day);
+    const weekday = hours.rows.find((row) => row.weekday === day.getDay());
+    const today = events.rows.filter(
+      (event) =>
+        formatDate(event.start_date) <= date && formatDate(event.end_date) >= date
+    );
+    const closing = today.find((event) => CLOSING_TYPES.includes(event.event_type));
+
+    days.push({
+      date,
+      weekday: WEEKDAYS[day.getDay()],
+      open: Boolean(weekday) && !closing,
+      opens_at: weekday && !closing ? shortTime(weekday.opens_at) : null,
+      closes_at: weekday && !closing ? shortTime(weekday.closes_at) : null,
+      closed_reason: closing
+        ? closing.title
+        : weekday
+          ? null
+          : `Closed on ${WEEKDAYS[day.getDay()]}s`,
+      events: today,
+    });
+    day.setDate(day.getDate() + 1);
+  }
+  return days;
+}
+
+// ---- iCalendar (RFC 5545) ----
+
+function icsText(value) {
+  return String(value)
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+}
+
+// parte as linhas com mais de 75 octetos (a continuação começa por espaço)
+function icsFold(line) {
+  const parts = [];
+  let current = "";
+  for (const char of line) {
+    const limit = parts.length === 0 ? 75 : 74;
+    if (Buffer.byteLength(current + char) > limit) {
+      parts.push(current);
+      current = "";
+    }
+    current += char;
+  }
+  parts.push(current);
+  return parts.join("\r\n ");
+}
+
+function icsDate(date) {
+  return date.replace(/-/g, "");
+}
+
+function icsStamp(date) {
+  return date.toISOString().replace(/[-:]/g, "").replace(/\.\d+/, "");
+}
+
+function renderIcs(daycare, events) {
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//PlaySafe//Daycare calendar//EN",
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    `X-WR-CALNAME:${icsText(daycare.name)}`,
+    "REFRESH-INTERVAL;VALUE=DURATION:PT12H",
+    "X-PUBLISHED-TTL:PT12H",
+  ];
+
+  for (const event of events) {
+    const start = formatDate(event.start_date);
+    const end = formatDate(event.end_date);
+    const summary = [
+      event.title,
+      event.classroom_name ? ` (${event.classroom_name})` : "",
+      CLOSING_TYPES.includes(event.event_type) ? " - closed" : "",
+    ].join("");
+
+    lines.push(
+      "BEGIN:VEVENT",
+      `UID:calendar-event-${event.id}@playsafe`,
+      `DTSTAMP:${icsStamp(event.created_at)}`
+    );
+    if (event.start_time) {
+      // hora local do daycare (sem fuso), tal como está guardada
+      const startTime = shortTime(event.start_time).replace(":", "");
+      const endTime = shortTime(event.end_time || event.start_time).replace(":", "");
+      lines.push(
+        `DTSTART:${icsDate(start)}T${startTime}00`,
+        `DTEND:${icsDate(end)}T${endTime}00`
+      );
+    } else {
+      // nos eventos de dia inteiro DTEND é o dia a seguir ao último
+      const after = new Date(`${end}T00:00:00`);
+      after.setDate(after.getDate() + 1);
+      lines.push(
+        `DTSTART;VALUE=DATE:${icsDate(start)}`,
+        `DTEND;VALUE=DATE:${icsDate(formatDate(after))}`
+      );
+    }
+    lines.push(
+      `SUMMARY:${icsText(summary)}`,
+      `CATEGORIES:${event.event_type.toUpperCase()}`,
+      `TRANSP:${event.event_type === "event" ? "OPAQUE" : "TRANSPARENT"}`
+    );
+    if (event.description) {
+      lines.push(`DESCRIPTION:${icsText(event.description)}`);
+    }
+    lines.push("END:VEVENT");
+  }
+
+  lines.push("END:VCALENDAR");
+  return lines.map(icsFold).join("\r\n") + "\r\n";
+}
+
+// Feed .ics público: as apps de calendário não enviam o bearer token, por isso
+// o acesso é dado pelo token da URL (ver /get_calendar_feed_url). Tem de ser
+// registado antes de app.use(authenticate).
+function setupCalendarFeed(app) {
+  /**
+   * @swagger
+   * /get_calendar_feed/{daycare_id}:
+   *   get:
+   *     summary: iCalendar feed of a daycare
+   *     tags:
+   *       - Calendar
+   *     security: []
+   *     description: Holidays, closures and events of the daycare from the last year onwards, in iCalendar format, to subscribe to in a calendar app. It doesn't need a bearer token; the token in the query string comes from /get_calendar_feed_url.
+   *     parameters:
+   *       - in: path
+   *         name: daycare_id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *           example: 1
+   *       - in: query
+   *         name: token
+   *         required: true
+   *         schema:
+   *           type: string
+   *       - in: query
+   *         name: classroom_id
+   *         required: false
+   *         description: Only the events of the whole daycare and of this classroom
+   *         schema:
+   *           type: integer
+   *           example: 2
+   *     responses:
+   *       200:
+   *         description: The calendar
+   *         content:
+   *           text/calendar:
+   *             schema:
+   *               type: string
+   *       401:
+   *         description: Missing or invalid token, or a link revoked with /rotate_calendar_feed_url
+   *       404:
+   *         description: Daycare not found
+   *       500:
+   *         description: Internal server error
+   */
+  app.get("/get_calendar_feed/:daycare_id", async (req, res) => {
+    const { daycare_id } = req.params;
+    const { token, classroom_id } = req.query;
+
+    if (!token) {
+      return res
+        .status(401)
+        .json({ status: "unauthorized", message: "Invalid calendar token" });
+    }
+
+    // rota pública: um id inválido não chega à base de dados
+    if (!isValidId(daycare_id)) {
+      return res
+        .status(404)
+        .json({ status: "not_found", message: "Daycare not found" });
+    }
+
+    try {
+      const daycare = await pool.query(
+        "SELECT id, name, calendar_token_version FROM daycare WHERE id = $1",
+        [daycare_id]
+      );
+      if (daycare.rows.length === 0) {
+        return res
+          .status(404)
+          .json({ status: "not_found", message: "Daycare not found" });
+      }
+
+      // links de uma versão anterior foram revogados com /rotate_calendar_feed_url
+      if (
+        !verifyCalendarToken(token, daycare_id, daycare.rows[0].calendar_token_version)
+      ) {
+        return res
+          .status(401)
+          .json({ status: "unauthorized", message: "Invalid calendar token" });
+      }
+
+      const since = new Date();
+      since.setFullYear(since.getFullYear() - 1);
+      const params = [daycare_id, formatDate(since)];
+      let where = "e.daycare_id = $1 AND e.end_date >= $2";
+      if (classroom_id !== undefined && isValidId(classroom_id)) {
+        params.push(classroom_id);
+        where += ` AND (e.classroom_id IS NULL OR e.classroom_id = $${params.length})`;
+      }
+
+      const events = await pool.query(
+        `SELECT e.*, c.name AS classroom_name
+         FROM calendar_event e
+         LEFT JOIN classroom c ON c.id = e.classroom_id
+         WHERE ${where}
+         ORDER BY e.start_date ASC, e.id ASC`,
+        params
+      );
+
+      res
+        .type("text/calendar; charset=utf-8")
+        .set("Content-Disposition", `inline; filename="daycare-${daycare_id}.ics"`)
+        .send(renderIcs(daycare.rows[0], events.rows));
+    } catch (err) {
+      res.status(500).json({ status: "error", error: err.message });
+    }
+  });
+}
+
+function setupCalendar(app) {
+  /**
+   * @swagger
+   * /get_opening_hours/{daycare_id}:
+   *   get:
+   *     summary: Get the weekly opening hours of a daycare
+   *     tags:
+   *       - Calendar
+   *     parameters:
+   *       - in: path
+   *         name: daycare_id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *           example: 1
+   *     responses:
+   *       200:
+   *         description: Opening hours, one entry per day of the week (weekday 0 is Sunday). Days without hours are closed.
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 data:
+   *                   type: array
+   *                   items:
+   *                     type: object
+   *                     properties:
+   *                       weekday:
+   *                         type: integer
+   *                         example: 1
+   *                       day:
+   *                         type: string
+   *                         example: Monday
+   *                       open:
+   *                         type: boolean
+   *                         example: true
+   *                       opens_at:
+   *                         type: string
+   *                         example: "07:30"
+   *                       closes_at:
+   *                         type: string
+   *                         example: "18:00"
+   *       404:
+   *         description: Daycare not found
+   *       500:
+   *         description: Internal server error
+   */
+  app.get(
+    "/get_opening_hours/:daycare_id",
+    authorize(...ROLES),
+    async (req, res) => {
+      const { daycare_id } = req.params;
+
+      try {
+        if (!(await findDaycare(req.user, daycare_id))) {
+          return res
+            .status(404)
+            .json({ status: "not_found", message: "Daycare not found" });
+        }
+
+        const result = await pool.query(
+          "SELECT weekday, opens_at, closes_at FROM opening_hours WHERE daycare_id = $1",
+          [daycare_id]
+        );
+        const data = WEEKDAYS.map((day, weekday) => {
+          const hours = result.rows.find((row) => row.weekday === weekday);
+          return {
+            weekday,
+            day,
+            open: Boolean(hours),
+            opens_at: hours ? shortTime(hours.opens_at) : null,
+            closes_at: hours ? shortTime(hours.closes_at) : null,
+          };
+        });
+
+        res.json({ data });
+      } catch (err) {
+        res.status(500).json({ status: "error", error: err.message });
+      }
+    }
+  );
+
+  /**
+   * @swagger
+   * /update_opening_hours/{daycare_id}:
+   *   put:
+   *     summary: Replace the weekly opening hours of a daycare
+   *     tags:
+   *       - Calendar
+   *     description: Days of the week left out of the list are closed.
+   *     parameters:
+   *       - in: path
+   *         name: daycare_id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *           example: 1
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             properties:
+   *               hours:
+   *                 type: array
+   *                 items:
+   *                   type: object
+   *                   properties:
+   *                     weekday:
+   *                       type: integer
+   *                       description: 0 = Sunday … 6 = Saturday
+   *                       example: 1
+   *                     opens_at:
+   *                       type: string
+   *                       example: "07:30"
+   *                     closes_at:
+   *                       type: string
+   *                       example: "18:00"
+   *     responses:
+   *       200:
+   *         description: Opening hours updated successfully
+   *       400:
+   *         description: Missing or invalid parameters
+   *       404:
+   *         description: Daycare not found
+   *       500:
+   *         description: Internal server error
+   */
+  app.put(
+    "/update_opening_hours/:daycare_id",
+    authorize(...MANAGER_ROLES),
+    async (req, res) => {
+      const { daycare_id } = req.params;
+      const { hours } = req.body;
+
+      if (!Array.isArray(hours)) {
+        return res
+          .status(400)
+          .json({ status: "error", message: "hours must be an array" });
+      }
+
+      const seen = new Set();
+      for (const day of hours) {
+        if (
+          !day ||
+          typeof day !== "object" ||
+          !Number.isInteger(day.weekday) ||
+          day.weekday < 0 ||
+          day.weekday > 6 ||
+          seen.has(day.weekday) ||
+          !isValidTime(day.opens_at) ||
+          !isValidTime(day.closes_at) ||
+          day.closes_at <= day.opens_at
+        ) {
+          return res.status(400).json({
+            status: "error",
+            message:
+              "Each day needs a distinct weekday (0 to 6), opens_at and a later closes_at (HH:MM)",
+          });
+        }
+        seen.add(day.weekday);
+      }
+
+      const client = await pool.connect();
+      try {
+        if (!(await findDaycare(req.user, daycare_id))) {
+          return res
+            .status(404)
+            .json({ status: "not_found", message: "Daycare not found" });
+        }
+
+        await client.query("BEGIN");
+        await client.query("DELETE FROM opening_hours WHERE daycare_id = $1", [
+          daycare_id,
+        ]);
+        for (const day of hours) {
+          await client.query(
+            `INSERT INTO opening_hours (daycare_id, weekday, opens_at, closes_at)
+             VALUES ($1, $2, $3, $4)`,
+            [daycare_id, day.weekday, day.opens_at, day.closes_at]
+          );
+        }
+        await client.query("COMMIT");
+
+        res.json({
+          status: "success",
+          message: "Opening hours updated successfully",
+          updated_data: [...hours].sort((a, b) => a.weekday - b.weekday),
+        });
+      } catch (err) {
+        await client.query("ROLLBACK");
+        res.status(500).json({ status: "error", error: err.message });
+      } finally {
+        client.release();
+      }
+    }
+  );
+
+  /**
+   * @swagger
+   * /get_calendar_events:
+   *   get:
+   *     summary: Get holidays, closures and events
+   *     tags:
+   *       - Calendar
+   *     parameters:
+   *       - $ref: '#/components/parameters/limit'
+   *       - $ref: '#/components/parameters/offset'
+   *       - in: query
+   *         name: sort
+   *         required: false
+   *         description: "Sort field, prefixed with - for descending order. One of: id, start_date, title"
+   *         schema:
+   *           type: string
+   *           example: start_date
+   *       - in: query
+   *         name: daycare_id
+   *         required: false
+   *         schema:
+   *           type: integer
+   *           example: 1
+   *       - in: query
+   *         name: classroom_id
+   *         required: false
+   *         schema:
+   *           type: integer
+   *           example: 2
+   *       - in: query
+   *         name: event_type
+   *         required: false
+   *         schema:
+   *           type: string
+   *           enum: [holiday, closure, event]
+   *       - in: query
+   *         name: from
+   *         required: false
+   *         description: Events ending on or after this date
+   *         schema:
+   *           type: string
+   *           format: date
+   *           example: "2026-11-01"
+   *       - in: query
+   *         name: to
+   *         required: false
+   *         description: Events starting on or before this date
+   *         schema:
+   *           type: string
+   *           format: date
+   *           example: "2026-12-31"
+   *     responses:
+   *       200:
+   *         description: A page of calendar events
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 events_count:
+   *                   type: integer
+   *                   example: 1
+   *                 pagination:
+   *                   $ref: '#/components/schemas/Pagination'
+   *                 data:
+   *                   type: array
+   *                   items:
+   *                     type: object
+   *                   example: [{ id: 3, daycare_id: 1, classroom_id: 2, event_type: "event", title: "Autumn party", description: "Parents are welcome from 16:00.", start_date: "2026-11-20", end_date: "2026-11-20", start_time: "16:00:00", end_time: "17:30:00" }]
+   *       400:
+   *         description: Invalid pagination, sort or filter parameters
+   *       500:
+   *         description: Internal server error
+   */
+  app.get("/get_calendar_events", authorize(...ROLES), async (req, res) => {
+    const params = [];
+    const scope = daycareScope(req.user, "daycare_id", params);
+    const list = parseListQuery(req.query, EVENT_LIST, params);
+
+    if (list.error) {
+      return res.status(400).json({ status: "error", message: list.error });
+    }
+
+    const where = [scope, ...list.conditions].join(" AND ");
+
+    try {
+      const count = await pool.query(
+        `SELECT COUNT(*) AS total FROM calendar_event WHERE ${where}`,
+        params
+      );
+      const data = await pool.query(
+        `SELECT * FROM calendar_event WHERE ${where}
+         ORDER BY ${list.orderBy} LIMIT ${list.limit} OFFSET ${list.offset}`,
+        params
+      );
+      const total = parseInt(count.rows[0].total, 10);
+
+      res.json({
+        events_count: total,
+        data: data.rows,
+        pagination: pageInfo(req, list, total),
+      });
+    } catch (err) {
+      res.status(500).json({ status: "error", error: err.message });
+    }
+  });
+
+  /**
+   * @swagger
+   * /create_calendar_event:
+   *   post:
+   *     summary: Create a holiday, closure or event
+   *     tags:
+   *       - Calendar
+   *     description: Holidays and closures close the daycare (or only the classroom, when classroom_id is set) for whole days. Events don't close it and, when they last a single day, can have a start and end time.
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             properties:
+   *               daycare_id:
+   *                 type: integer
+   *                 example: 1
+   *               classroom_id:
+   *                 type: integer
+   *                 nullable: true
+   *                 description: Leave empty for the whole daycare
+   *                 example: 2
+   *               event_type:
+   *                 type: string
+   *                 enum: [holiday, closure, event]
+   *                 example: event
+   *               title:
+   *                 type: string
+   *                 example: "Autumn party"
+   *               description:
+   *                 type: string
+   *                 example: "Parents are welcome from 16:00."
+   *               start_date:
+   *                 type: string
+   *                 format: date
+   *                 example: "2026-11-20"
+   *               end_date:
+   *                 type: string
+   *                 format: date
+   *                 description: Last day, inclusive (default start_date)
+   *                 example: "2026-11-20"
+   *               start_time:
+   *                 type: string
+   *                 example: "16:00"
+   *               end_time:
+   *                 type: string
+   *                 example: "17:30"
+   *     responses:
+   *       201:
+   *         description: Calendar event created successfully
+   *       400:
+   *         description: Missing or invalid parameters, or daycare/classroom does not exist
+   *       500:
+   *         description: Internal server error
+   */
+  app.post(
+    "/create_calendar_event",
+    authorize(...MANAGER_ROLES),
+    async (req, res) => {
+      const { daycare_id } = req.body;
+      const { error, fields } = eventFields(req.body);
+
+      if (!daycare_id) {
+        return res
+          .status(400)
+          .json({ status: "error", message: "daycare_id is required" });
+      }
+      if (error) {
+        return res.status(400).json({ status: "error", message: error });
+      }
+
+      try {
+        if (!(await findDaycare(req.user, daycare_id))) {
+          return res
+            .status(400)
+            .json({ status: "error", message: "Daycare does not exist" });
+        }
+        if (!(await classroomBelongs(fields.classroom_id, daycare_id))) {
+          return res
+            .status(400)
+            .json({ status: "error", message: "Classroom does not exist" });
+        }
+
+        const result = await pool.query(
+          `INSERT INTO calendar_event
+             (daycare_id, classroom_id, event_type, title, description,
+              start_date, end_date, start_time, end_time, created_by)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+           RETURNING *`,
+          [
+            daycare_id,
+            fields.classroom_id || null,
+            fields.event_type,
+            fields.title,
+            fields.description || null,
+            fields.start_date,
+            fields.end_date,
+            fields.start_time,
+            fields.end_time,
+            req.user.id,
+          ]
+        );
+
+        res.status(201).json({
+          status: "success",
+          message: "Calendar event created successfully",
+          created_data: result.rows[0],
+        });
+      } catch (err) {
+        res.status(500).json({ status: "error", error: err.message });
+      }
+    }
+  );
+
+  /**
+   * @swagger
+   * /update_calendar_event/{id}:
+   *   put:
+   *     summary: Update a holiday, closure or event
+   *     tags:
+   *       - Calendar
+   *     description: Omitted fields keep their current value. Send classroom_id null to make it apply to the whole daycare.
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *           example: 3
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             properties:
+   *               classroom_id:
+   *                 type: integer
+   *                 nullable: true
+   *                 example: 2
+   *               event_type:
+   *                 type: string
+   *                 enum: [holiday, closure, event]
+   *               title:
+   *                 type: string
+   *                 example: "Autumn party"
+   *               description:
+   *                 type: string
+   *               start_date:
+   *                 type: string
+   *                 format: date
+   *                 example: "2026-11-27"
+   *               end_date:
+   *                 type: string
+   *                 format: date
+   *                 example: "2026-11-27"
+   *               start_time:
+   *                 type: string
+   *                 nullable: true
+   *                 example: "16:00"
+   *               end_time:
+   *                 type: string
+   *                 nullable: true
+   *                 example: "17:30"
+   *     responses:
+   *       200:
+   *         description: Calendar event updated successfully
+   *       400:
+   *         description: Invalid parameters or classroom does not exist
+   *       404:
+   *         description: Calendar event not found
+   *       500:
+   *         description: Internal server error
+   */
+  app.put(
+    "/update_calendar_event/:id",
+    authorize(...MANAGER_ROLES),
+    async (req, res) => {
+      const { id } = req.params;
+
+      try {
+        const current = await findEvent(req.user, id);
+        if (!current) {
+          return res
+            .status(404)
+            .json({ status: "not_found", message: "Calendar event not found" });
+        }
+
+        const { error, fields } = eventFields(req.body, current);
+        if (error) {
+          return res.status(400).json({ status: "error", message: error });
+        }
+        if (!(await classroomBelongs(fields.classroom_id, current.daycare_id))) {
+          return res
+            .status(400)
+            .json({ status: "error", message: "Classroom does not exist" });
+        }
+
+        const result = await pool.query(
+          `UPDATE calendar_event
+           SET classroom_id = $1, event_type = $2, title = $3, description = $4,
+               start_date = $5, end_date = $6, start_time = $7, end_time = $8
+           WHERE id = $9
+           RETURNING *`,
+          [
+            fields.classroom_id || null,
+            fields.event_type,
+            fields.title,
+            fields.description || null,
+            fields.start_date,
+            fields.end_date,
+            fields.start_time,
+            fields.end_time,
+            id,
+          ]
+        );
+
+        res.json({
+          status: "success",
+          message: "Calendar event updated successfully",
+          updated_data: result.rows[0],
+        });
+      } catch (err) {
+        res.status(500).json({ status: "error", error: err.message });
+      }
+    }
+  );
+
+  /**
+   * @swagger
+   * /delete_calendar_event/{id}:
+   *   delete:
+   *     summary: Delete a holiday, closure or event
+   *     tags:
+   *       - Calendar
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *           example: 3
+   *     responses:
+   *       200:
+   *         description: Calendar event deleted successfully
+   *       404:
+   *         description: Calendar event not found
+   *       500:
+   *         description: Internal server error
+   */
+  app.delete(
+    "/delete_calendar_event/:id",
+    authorize(...MANAGER_ROLES),
+    async (req, res) => {
+      const params = [req.params.id];
+
+      try {
+        const result = await pool.query(
+          `DELETE FROM calendar_event
+           WHERE id = $1 AND ${daycareScope(req.user, "daycare_id", params)}`,
+          params
+        );
+
+        if (result.rowCount === 0) {
+          return res
+            .status(404)
+            .json({ status: "not_found", message: "Calendar event not found" });
+        }
+
+        res.json({
+          status: "success",
+          message: "Calendar event deleted successfully",
+        });
+      } catch (err) {
+        res.status(500).json({ status: "error", error: err.message });
+      }
+    }
+  );
+
+  /**
+   * @swagger
+   * /is_daycare_open/{daycare_id}:
+   *   get:
+   *     summary: Is the daycare open on a date
+   *     tags:
+   *       - Calendar
+   *     description: Combines the weekly opening hours with the holidays and closures. With classroom_id, closures of that classroom count too. The events of the day are listed as well.
+   *     parameters:
+   *       - in: path
+   *         name: daycare_id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *           example: 1
+   *       - in: query
+   *         name: date
+   *         required: false
+   *         description: Date to check (default today)
+   *         schema:
+   *           type: string
+   *           format: date
+   *           example: "2026-11-13"
+   *       - in: query
+   *         name: classroom_id
+   *         required: false
+   *         schema:
+   *           type: integer
+   *           example: 2
+   *     responses:
+   *       200:
+   *         description: Opening status of the day
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 data:
+   *                   type: object
+   *                   properties:
+   *                     daycare_id:
+   *                       type: integer
+   *                       example: 1
+   *                     classroom_id:
+   *                       type: integer
+   *                       nullable: true
+   *                       example: null
+   *                     date:
+   *                       type: string
+   *                       format: date
+   *                       example: "2026-11-13"
+   *                     weekday:
+   *                       type: string
+   *                       example: Friday
+   *                     open:
+   *                       type: boolean
+   *                       example: false
+   *                     opens_at:
+   *                       type: string
+   *                       nullable: true
+   *                       example: null
+   *                     closes_at:
+   *                       type: string
+   *                       nullable: true
+   *                       example: null
+   *                     closed_reason:
+   *                       type: string
+   *                       nullable: true
+   *                       example: "Staff training day"
+   *                     events:
+   *                       type: array
+   *                       items:
+   *                         type: object
+   *       400:
+   *         description: Invalid date or classroom does not exist
+   *       404:
+   *         description: Daycare not found
+   *       500:
+   *         description: Internal server error
+   */
+  app.get(
+    "/is_daycare_open/:daycare_id",
+    authorize(...ROLES),
+    async (req, res) => {
+      const { daycare_id } = req.params;
+      const date = req.query.date || formatDate(new Date());
+      const classroom_id = req.query.classroom_id || null;
+
+      if (!isValidDate(date)) {
+        return res.status(400).json({
+          status: "error",
+          message: "date must be a date in the format YYYY-MM-DD",
+        });
+      }
+      if (classroom_id !== null && !/^\d+$/.test(String(classroom_id))) {
+        return res.status(400).json({
+          status: "error",
+          message: "classroom_id must be a positive integer",
+        });
+      }
+
+      try {
+        if (!(await findDaycare(req.user, daycare_id))) {
+          return res
+            .status(404)
+            .json({ status: "not_found", message: "Daycare not found" });
+        }
+        if (!(await classroomBelongs(classroom_id, daycare_id))) {
+          return res
+            .status(400)
+            .json({ status: "error", message: "Classroom does not exist" });
+        }
+
+        const [day] = await calendarDays(daycare_id, date, date, classroom_id);
+        res.json({
+          data: {
+            daycare_id: Number(daycare_id),
+            classroom_id: classroom_id === null ? null : Number(classroom_id),
+            ...day,
+          },
+        });
+      } catch (err) {
+        res.status(500).json({ status: "error", error: err.message });
+      }
+    }
+  );
+
+  /**
+   * @swagger
+   * /get_calendar_feed_url/{daycare_id}:
+   *   get:
+   *     summary: Subscription link of the daycare calendar
+   *     tags:
+   *       - Calendar
+   *     description: Link to the .ics feed of the daycare (see /get_calendar_feed) that parents can add to Google Calendar, Apple Calendar or Outlook. The link doesn't expire, so it should only be shared with the families of the daycare; if it leaks, a manager can revoke it with /rotate_calendar_feed_url.
+   *     parameters:
+   *       - in: path
+   *         name: daycare_id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *           example: 1
+   *     responses:
+   *       200:
+   *         description: Feed links
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 data:
+   *                   type: object
+   *                   properties:
+   *                     url:
+   *                       type: string
+   *                       example: "https://playsafe.example/get_calendar_feed/1?token=eyJhbGciOi..."
+   *                     webcal_url:
+   *                       type: string
+   *                       example: "webcal://playsafe.example/get_calendar_feed/1?token=eyJhbGciOi..."
+   *       404:
+   *         description: Daycare not found
+   *       500:
+   *         description: Internal server error
+   */
+  app.get(
+    "/get_calendar_feed_url/:daycare_id",
+    authorize(...ROLES),
+    async (req, res) => {
+      const { daycare_id } = req.params;
+
+      try {
+        const daycare = await findDaycare(req.user, daycare_id);
+        if (!daycare) {
+          return res
+            .status(404)
+            .json({ status: "not_found", message: "Daycare not found" });
+        }
+
+        res.json({ data: feedLinks(req, daycare) });
+      } catch (err) {
+        res.status(500).json({ status: "error", error: err.message });
+      }
+    }
+  );
+
+  /**
+   * @swagger
+   * /rotate_calendar_feed_url/{daycare_id}:
+   *   post:
+   *     summary: Revoke the calendar subscription links of a daycare
+   *     tags:
+   *       - Calendar
+   *     description: Makes every link handed out by /get_calendar_feed_url for the daycare stop working and returns the new link. Use it when a link has been shared outside the families of the daycare; the families have to subscribe again with the new link.
+   *     parameters:
+   *       - in: path
+   *         name: daycare_id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *           example: 1
+   *     responses:
+   *       200:
+   *         description: New feed links
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 status:
+   *                   type: string
+   *                   example: success
+   *                 message:
+   *                   type: string
+   *                   example: Calendar feed links rotated successfully
+   *                 updated_data:
+   *                   type: object
+   *                   properties:
+   *                     url:
+   *                       type: string
+   *                       example: "https://playsafe.example/get_calendar_feed/1?token=eyJhbGciOi..."
+   *                     webcal_url:
+   *                       type: string
+   *                       example: "webcal://playsafe.example/get_calendar_feed/1?token=eyJhbGciOi..."
+   *       404:
+   *         description: Daycare not found
+   *       500:
+   *         description: Internal server error
+   */
+  app.post(
+    "/rotate_calendar_feed_url/:daycare_id",
+    authorize(...MANAGER_ROLES),
+    async (req, res) => {
+      const { daycare_id } = req.params;
+
+      try {
+        const params = [daycare_id];
+        const result = await pool.query(
+          `UPDATE daycare SET calendar_token_version = calendar_token_version + 1
+           WHERE id = $1 AND ${daycareScope(req.user, "id", params)}
+           RETURNING id, calendar_token_version`,
+          params
+        );
+        if (result.rows.length === 0) {
+          return res
+            .status(404)
+            .json({ status: "not_found", message: "Daycare not found" });
+        }
+
+        res.json({
+          status: "success",
+          message: "Calendar feed links rotated successfully",
+          updated_data: feedLinks(req, result.rows[0]),
+        });
+      } catch (err) {
+        res.status(500).json({ status: "error", error: err.message });
+      }
+    }
+  );
+}
+
+module.exports = {
+  setupCalendar,
+  setupCalendarFeed,
+  calendarDays,
+  eventFields,
+  icsFold,
+  renderIcs,
+};
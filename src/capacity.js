@@ -0,0 +1,509 @@
+const pool = require("./db");
+const { authorize, STAFF_ROLES, MANAGER_ROLES } = require("./auth");
+const { daycareScope } = require("./tenant");
+
+// Idade em meses completos numa data (por omissão hoje)
+function ageInMonths(dateOfBirth, on = new Date()) {
+  // "YYYY-MM-DD" é lido como hora local, tal como as datas que vêm do pg
+  const dob =
+    typeof dateOfBirth === "string"
+      ? new Date(`${dateOfBirth.slice(0, 10)}T00:00:00`)
+      : dateOfBirth;
+
+  let months =
+    (on.getFullYear() - dob.getFullYear()) * 12 +
+    (on.getMonth() - dob.getMonth());
+  if (on.getDate() < dob.getDate()) months -= 1;
+  return months;
+}
+
+function isNonNegativeInt(value) {
+  return Number.isInteger(value) && value >= 0;
+}
+
+// Valida capacity / min_age_months / max_age_months de uma sala (todos opcionais)
+function validateClassroomLimits({ capacity, min_age_months, max_age_months }) {
+  if (capacity != null && !(Number.isInteger(capacity) && capacity > 0)) {
+    return "capacity must be a positive integer";
+  }
+  if (min_age_months != null && !isNonNegativeInt(min_age_months)) {
+    return "min_age_months must be a non-negative integer";
+  }
+  if (max_age_months != null && !isNonNegativeInt(max_age_months)) {
+    return "max_age_months must be a non-negative integer";
+  }
+  if (
+    min_age_months != null &&
+    max_age_months != null &&
+    min_age_months >= max_age_months
+  ) {
+    return "min_age_months must be lower than max_age_months";
+  }
+  return null;
+}
+
+// Verifica se uma criança cabe na sala (lotação e faixa etária).
+// childId é a própria criança quando já está na sala (update), senão null.
+// Para que dois pedidos não ocupem o mesmo lugar, quem vai mudar a sala passa
+// o cliente da transação em db, depois de bloquear a sala (FOR UPDATE).
+// Devolve { status, message } com o erro, ou null se couber.
+async function checkClassroomFit(classroom, dateOfBirth, childId, db = pool) {
+  if (classroom.capacity != null) {
+    const params = [classroom.id];
+    let where = "classroom_id = $1";
+    if (childId) {
+      params.push(childId);
+      where += " AND id <> $2";
+    }
+
+    const count = await db.query(
+      `SELECT COUNT(*) AS total_children FROM child WHERE ${where}`,
+      params
+    );
+
+    if (parseInt(count.rows[0].total_children, 10) >= classroom.capacity) {
+      return {
+        status: 409,
+        message: `Classroom ${classroom.name} is full (capacity ${classroom.capacity})`,
+      };
+    }
+  }
+
+  const age = ageInMonths(dateOfBirth);
+  if (
+    (classroom.min_age_months != null && age < classroom.min_age_months) ||
+    (classroom.max_age_months != null && age >= classroom.max_age_months)
+  ) {
+    return {
+      status: 400,
+      message: `Child is ${age} months old, outside the age range of classroom ${classroom.name} (${classroom.min_age_months ?? 0} to ${classroom.max_age_months ?? "any"} months)`,
+    };
+  }
+
+  return null;
+}
+
+// Regras do daycare, ou as regras por omissão se não tiver nenhuma
+async function getRatioRules(daycareId) {
+  const own = await pool.query(
+    "SELECT * FROM ratio_rule WHERE daycare_id = $1 ORDER BY min_age_months ASC",
+    [daycareId]
+  );
+  if (own.rows.length > 0) return { custom: true, rules: own.rows };
+
+  const defaults = await pool.query(
+    "SELECT * FROM ratio_rule WHERE daycare_id IS NULL ORDER BY min_age_months ASC"
+  );
+  return { custom: false, rules: defaults.rows };
+}
+
+// Regra aplicável a uma idade; sem regra, usa a mais exigente (null se não
+// houver regras nenhumas)
+function ruleForAge(rules, age) {
+  const rule = rules.find(
+    (r) =>
+      age >= r.min_age_months &&
+      (r.max_age_months == null || age < r.max_age_months)
+  );
+  if (rule) return rule;
+  return rules.reduce(
+    (strictest, r) =>
+      !strictest || r.children_per_staff < strictest.children_per_staff
+        ? r
+        : strictest,
+    null
+  );
+}
+
+// Valida as regras enviadas para /update_ratio_rules: cada escalão precisa de
+// um intervalo não vazio e os escalões não se podem sobrepor (senão a mesma
+// idade cairia em duas regras). Devolve a mensagem de erro ou null.
+function validateRatioRules(rules) {
+  for (const rule of rules) {
+    if (
+      !isNonNegativeInt(rule.min_age_months) ||
+      (rule.max_age_months != null &&
+        !(
+          isNonNegativeInt(rule.max_age_months) &&
+          rule.max_age_months > rule.min_age_months
+        )) ||
+      !(Number.isInteger(rule.children_per_staff) && rule.children_per_staff > 0)
+    ) {
+      return "Each rule needs min_age_months, an optional greater max_age_months and a positive children_per_staff";
+    }
+  }
+
+  const sorted = [...rules].sort((a, b) => a.min_age_months - b.min_age_months);
+  for (let i = 1; i < sorted.length; i++) {
+    const previous = sorted[i - 1];
+    if (
+      previous.max_age_months == null ||
+      previous.max_age_months > sorted[i].min_age_months
+    ) {
+      return `Age bands can't overlap (${previous.min_age_months}-${previous.max_age_months ?? "any"} and ${sorted[i].min_age_months}-${sorted[i].max_age_months ?? "any"} months)`;
+    }
+  }
+  return null;
+}
+
+async function findDaycare(user, daycareId) {
+  const params = [daycareId];
+  const result = await pool.query(
+    `SELECT id FROM daycare WHERE id = $1 AND ${daycareScope(user, "id", params)}`,
+    params
+  );
+  return result.rows[0];
+}
+
+function setupCapacity(app) {
+  /**
+   * @swagger
+   * /get_ratio_rules/{daycare_id}:
+   *   get:
+   *     summary: Staff-to-child ratio rules of a daycare
+   *     tags:
+   *       - Capacity
+   *     description: Returns the maximum number of children per staff member for each age band (in months, max exclusive). Daycares without their own rules use the default ones (custom is false).
+   *     parameters:
+   *       - in: path
+   *         name: daycare_id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *           example: 1
+   *     responses:
+   *       200:
+   *         description: Ratio rules
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 custom:
+   *                   type: boolean
+   *                   example: false
+   *                 data:
+   *                   type: array
+   *                   items:
+   *                     type: object
+   *                     properties:
+   *                       min_age_months:
+   *                         type: integer
+   *                         example: 12
+   *                       max_age_months:
+   *                         type: integer
+   *                         example: 24
+   *                       children_per_staff:
+   *                         type: integer
+   *                         example: 6
+   *       404:
+   *         description: Daycare not found
+   *       500:
+   *         description: Internal server error
+   */
+  app.get(
+    "/get_ratio_rules/:daycare_id",
+    authorize(...STAFF_ROLES),
+    async (req, res) => {
+      const { daycare_id } = req.params;
+      try {
+        if (!(await findDaycare(req.user, daycare_id))) {
+          return res
+            .status(404)
+            .json({ status: "not_found", message: "Daycare not found" });
+        }
+
+        const { custom, rules } = await getRatioRules(daycare_id);
+        res.json({ custom, data: rules });
+      } catch (err) {
+        res.status(500).json({ status: "error", error: err.message });
+      }
+    }
+  );
+
+  /**
+   * @swagger
+   * /update_ratio_rules/{daycare_id}:
+   *   put:
+   *     summary: Replace the ratio rules of a daycare
+   *     tags:
+   *       - Capacity
+   *     description: Replaces the age band ratio rules of a daycare. Each band must cover a non-empty range and bands can't overlap. Send an empty list to go back to the default rules.
+   *     parameters:
+   *       - in: path
+   *         name: daycare_id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *           example: 1
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             properties:
+   *               rules:
+   *                 type: array
+   *                 items:
+   *                   type: object
+   *                   properties:
+   *                     min_age_months:
+   *                       type: integer
+   *                       example: 0
+   *                     max_age_months:
+   *                       type: integer
+   *                       example: 18
+   *                     children_per_staff:
+   *                       type: integer
+   *                       example: 3
+   *     responses:
+   *       200:
+   *         description: Ratio rules updated successfully
+   *       400:
+   *         description: Missing or invalid parameters
+   *       404:
+   *         description: Daycare not found
+   *       500:
+   *         description: Internal server error
+   */
+  app.put(
+    "/update_ratio_rules/:daycare_id",
+    authorize(...MANAGER_ROLES),
+    async (req, res) => {
+      const { daycare_id } = req.params;
+      const { rules } = req.body;
+
+      if (!Array.isArray(rules)) {
+        return res
+          .status(400)
+          .json({ status: "error", message: "rules must be an array" });
+      }
+
+      const invalid = validateRatioRules(rules);
+      if (invalid) {
+        return res.status(400).json({ status: "error", message: invalid });
+      }
+
+      const client = await pool.connect();
+      try {
+        if (!(await findDaycare(req.user, daycare_id))) {
+          return res
+            .status(404)
+            .json({ status: "not_found", message: "Daycare not found" });
+        }
+
+        await client.query("BEGIN");
+        await client.query("DELETE FROM ratio_rule WHERE daycare_id = $1", [
+          daycare_id,
+        ]);
+        for (const rule of rules) {
+          await client.query(
+            `INSERT INTO ratio_rule
+               (daycare_id, min_age_months, max_age_months, children_per_staff)
+             VALUES ($1, $2, $3, $4)`,
+            [
+              daycare_id,
+              rule.min_age_months,
+              rule.max_age_months ?? null,
+              rule.children_per_staff,
+            ]
+          );
+        }
+        await client.query("COMMIT");
+
+        const { custom, rules: saved } = await getRatioRules(daycare_id);
+        res.json({
+          status: "success",
+          message: "Ratio rules updated successfully",
+          custom,
+          updated_data: saved,
+        });
+      } catch (err) {
+        await client.query("ROLLBACK");
+        res.status(500).json({ status: "error", error: err.message });
+      } finally {
+        client.release();
+      }
+    }
+  );
+
+  /**
+   * @swagger
+   * /get_ratio_report/{daycare_id}:
+   *   get:
+   *     summary: Staff-to-child ratio report of a daycare
+   *     tags:
+   *       - Capacity
+   *     description: For each classroom, compares the children currently checked in against the staff currently on duty. The required staff is the sum, over the age bands, of the children present in the band divided by the band ratio, rounded up. Children outside every band count under the strictest rule.
+   *     parameters:
+   *       - in: path
+   *         name: daycare_id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *           example: 1
+   *     responses:
+   *       200:
+   *         description: Ratio report per classroom
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 data:
+   *                   type: array
+   *                   items:
+   *                     type: object
+   *                     properties:
+   *                       classroom_id:
+   *                         type: integer
+   *                         example: 1
+   *                       name:
+   *                         type: string
+   *                         example: "Blue Butterflies"
+   *                       capacity:
+   *                         type: integer
+   *                         example: 12
+   *                       enrolled_children:
+   *                         type: integer
+   *                         example: 8
+   *                       present_children:
+   *                         type: integer
+   *                         example: 7
+   *                       staff_on_duty:
+   *                         type: integer
+   *                         example: 1
+   *                       required_staff:
+   *                         type: integer
+   *                         example: 2
+   *                       compliant:
+   *                         type: boolean
+   *                         example: false
+   *                       bands:
+   *                         type: array
+   *                         items:
+   *                           type: object
+   *                           properties:
+   *                             min_age_months:
+   *                               type: integer
+   *                               example: 24
+   *                             max_age_months:
+   *                               type: integer
+   *                               example: 36
+   *                             children_per_staff:
+   *                               type: integer
+   *                               example: 8
+   *                             present_children:
+   *                               type: integer
+   *                               example: 7
+   *       404:
+   *         description: Daycare not found
+   *       409:
+   *         description: The daycare has no ratio rules and there are no default ones
+   *       500:
+   *         description: Internal server error
+   */
+  app.get(
+    "/get_ratio_report/:daycare_id",
+    authorize(...STAFF_ROLES),
+    async (req, res) => {
+      const { daycare_id } = req.params;
+      try {
+        if (!(await findDaycare(req.user, daycare_id))) {
+          return res
+            .status(404)
+            .json({ status: "not_found", message: "Daycare not found" });
+        }
+
+        const { rules } = await getRatioRules(daycare_id);
+        if (rules.length === 0) {
+          return res.status(409).json({
+            status: "error",
+            message: "There are no ratio rules for this daycare",
+          });
+        }
+        const classrooms = await pool.query(
+          "SELECT * FROM classroom WHERE daycare_id = $1 ORDER BY id ASC",
+          [daycare_id]
+        );
+        const enrolled = await pool.query(
+          `SELECT classroom_id, COUNT(*) AS total FROM child
+           WHERE daycare_id = $1
+           GROUP BY classroom_id`,
+          [daycare_id]
+        );
+        const present = await pool.query(
+          `SELECT c.classroom_id, c.date_of_birth
+           FROM attendance a
+           JOIN child c ON c.id = a.child_id
+           WHERE c.daycare_id = $1 AND a.check_out_at IS NULL`,
+          [daycare_id]
+        );
+        const staff = await pool.query(
+          `SELECT sd.classroom_id, COUNT(*) AS total
+           FROM staff_duty sd
+           JOIN classroom cl ON cl.id = sd.classroom_id
+           WHERE cl.daycare_id = $1 AND sd.ended_at IS NULL
+           GROUP BY sd.classroom_id`,
+          [daycare_id]
+        );
+
+        const countFor = (rows, classroomId) => {
+          const row = rows.find((r) => r.classroom_id === classroomId);
+          return row ? parseInt(row.total, 10) : 0;
+        };
+
+        const data = classrooms.rows.map((classroom) => {
+          const bands = rules.map((rule) => ({
+            min_age_months: rule.min_age_months,
+            max_age_months: rule.max_age_months,
+            children_per_staff: rule.children_per_staff,
+            present_children: 0,
+          }));
+
+          const children = present.rows.filter(
+            (c) => c.classroom_id === classroom.id
+          );
+          for (const child of children) {
+            const rule = ruleForAge(rules, ageInMonths(child.date_of_birth));
+            bands[rules.indexOf(rule)].present_children += 1;
+          }
+
+          const requiredStaff = Math.ceil(
+            bands.reduce(
+              (sum, band) => sum + band.present_children / band.children_per_staff,
+              0
+            ) - 1e-9
+          );
+          const staffOnDuty = countFor(staff.rows, classroom.id);
+
+          return {
+            classroom_id: classroom.id,
+            name: classroom.name,
+            capacity: classroom.capacity,
+            enrolled_children: countFor(enrolled.rows, classroom.id),
+            present_children: children.length,
+            staff_on_duty: staffOnDuty,
+            required_staff: requiredStaff,
+            compliant: staffOnDuty >= requiredStaff,
+            bands: bands.filter((band) => band.present_children > 0),
+          };
+        });
+
+        res.json({ data });
+      } catch (err) {
+        res.status(500).json({ status: "error", error: err.message });
+      }
+    }
+  );
+}
+
+module.exports = {
+  setupCapacity,
+  ageInMonths,
+  ruleForAge,
+  validateRatioRules,
+  validateClassroomLimits,
+  checkClassroomFit,
+};
@@ -0,0 +1,689 @@
+const pool = require("./db");
+const { authorize, ROLES, STAFF_ROLES } = require("./auth");
+const { daycareScope, childScope } = require("./tenant");
+const {
+  isValidDate,
+  isValidTime,
+  formatDate,
+  formatTime,
+} = require("./validation");
+
+const ENTRY_TYPES = ["meal", "nap", "diaper", "toilet", "mood", "activity"];
+const MEALS = ["breakfast", "morning_snack", "lunch", "afternoon_snack"];
+const AMOUNTS = ["none", "some", "half", "most", "all"];
+const ELIMINATIONS = ["wet", "dirty", "dry"];
+const MOODS = ["happy", "calm", "tired", "sad", "upset", "unwell"];
+
+// campos que cada tipo de registo usa; os outros ficam a null
+const TYPE_FIELDS = {
+  meal: ["meal", "amount_eaten"],
+  nap: ["end_time"],
+  diaper: ["elimination"],
+  toilet: ["elimination"],
+  mood: ["mood"],
+  activity: [],
+};
+const TYPED_FIELDS = ["end_time", "meal", "amount_eaten", "elimination", "mood"];
+
+function minutesOf(time) {
+  const [hours, minutes] = time.split(":").map(Number);
+  return hours * 60 + minutes;
+}
+
+// Valida um registo e devolve { error } ou { entry } com as colunas a gravar.
+// log_date e entry_time são hoje e agora quando omitidos.
+function buildEntry(input) {
+  const {
+    entry_type,
+    meal,
+    amount_eaten,
+    elimination,
+    mood,
+    notes,
+    end_time,
+  } = input;
+  const log_date = input.log_date || formatDate(new Date());
+  const entry_time = input.entry_time || formatTime(new Date());
+
+  if (!ENTRY_TYPES.includes(entry_type)) {
+    return { error: `entry_type must be one of: ${ENTRY_TYPES.join(", ")}` };
+  }
+  if (!isValidDate(log_date)) {
+    return { error: "log_date must be a date in the format YYYY-MM-DD" };
+  }
+  if (!isValidTime(entry_time) || (end_time && !isValidTime(end_time))) {
+    return { error: "entry_time and end_time must be times in the format HH:MM" };
+  }
+
+  if (entry_type === "meal") {
+    if (!MEALS.includes(meal) || !AMOUNTS.includes(amount_eaten)) {
+      return {
+        error: `A meal needs meal (${MEALS.join(", ")}) and amount_eaten (${AMOUNTS.join(", ")})`,
+      };
+    }
+  }
+  if (entry_type === "nap" && end_time && minutesOf(end_time) <= minutesOf(entry_time)) {
+    return { error: "end_time must be after entry_time" };
+  }
+  if (
+    (entry_type === "diaper" || entry_type === "toilet") &&
+    !ELIMINATIONS.includes(elimination)
+  ) {
+    return { error: `elimination must be one of: ${ELIMINATIONS.join(", ")}` };
+  }
+  if (entry_type === "mood" && !MOODS.includes(mood)) {
+    return { error: `mood must be one of: ${MOODS.join(", ")}` };
+  }
+  if (entry_type === "activity" && !notes) {
+    return { error: "An activity needs notes describing it" };
+  }
+
+  const entry = { entry_type, log_date, entry_time, notes: notes || null };
+  const values = { end_time, meal, amount_eaten, elimination, mood };
+  for (const field of TYPED_FIELDS) {
+    entry[field] = TYPE_FIELDS[entry_type].includes(field)
+      ? values[field] || null
+      : null;
+  }
+
+  return { entry };
+}
+
+async function insertEntry(db, childId, entry, userId) {
+  const result = await db.query(
+    `INSERT INTO daily_log_entry
+       (child_id, log_date, entry_type, entry_time, end_time, meal,
+        amount_eaten, elimination, mood, notes, recorded_by)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+     RETURNING *`,
+    [
+      childId,
+      entry.log_date,
+      entry.entry_type,
+      entry.entry_time,
+      entry.end_time,
+      entry.meal,
+      entry.amount_eaten,
+      entry.elimination,
+      entry.mood,
+      entry.notes,
+      userId,
+    ]
+  );
+  return result.rows[0];
+}
+
+// Resumo do dia de uma criança a partir dos registos por ordem de hora
+function summarize(entries) {
+  const summary = {
+    meals: [],
+    naps: [],
+    total_nap_minutes: 0,
+    diapers: { wet: 0, dirty: 0, dry: 0 },
+    toilet: { wet: 0, dirty: 0, dry: 0 },
+    moods: [],
+    activities: [],
+  };
+
+  for (const entry of entries) {
+    const time = entry.entry_time.slice(0, 5);
+
+    switch (entry.entry_type) {
+      case "meal":
+        summary.meals.push({
+          time,
+          meal: entry.meal,
+          amount_eaten: entry.amount_eaten,
+          notes: entry.notes,
+        });
+        break;
+      case "nap": {
+        const end = entry.end_time ? entry.end_time.slice(0, 5) : null;
+        const minutes = end ? minutesOf(end) - minutesOf(time) : null;
+        summary.naps.push({ start: time, end, minutes });
+        summary.total_nap_minutes += minutes || 0;
+        break;
+      }
+      case "diaper":
+      case "toilet":
+        summary[entry.entry_type === "diaper" ? "diapers" : "toilet"][
+          entry.elimination
+        ] += 1;
+        break;
+      case "mood":
+        summary.moods.push({ time, mood: entry.mood, notes: entry.notes });
+        break;
+      case "activity":
+        summary.activities.push({ time, notes: entry.notes });
+        break;
+    }
+  }
+
+  return summary;
+}
+
+function setupDailyLog(app) {
+  /**
+   * @swagger
+   * /create_daily_log_entry:
+   *   post:
+   *     summary: Record a daily log entry for a child
+   *     tags:
+   *       - Daily log
+   *     description: |
+   *       Records a meal, nap, diaper change, toilet visit, mood or activity. The fields needed depend on entry_type:
+   *       meal needs meal and amount_eaten; nap can have an end_time (leave it out while the child is still asleep);
+   *       diaper and toilet need elimination; mood needs mood; activity needs notes. log_date and entry_time default to now.
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             properties:
+   *               child_id:
+   *                 type: integer
+   *                 example: 1
+   *               entry_type:
+   *                 type: string
+   *                 enum: [meal, nap, diaper, toilet, mood, activity]
+   *                 example: meal
+   *               log_date:
+   *                 type: string
+   *                 format: date
+   *                 example: "2026-03-12"
+   *               entry_time:
+   *                 type: string
+   *                 example: "12:00"
+   *               end_time:
+   *                 type: string
+   *                 example: "14:15"
+   *               meal:
+   *                 type: string
+   *                 enum: [breakfast, morning_snack, lunch, afternoon_snack]
+   *                 example: lunch
+   *               amount_eaten:
+   *                 type: string
+   *                 enum: [none, some, half, most, all]
+   *                 example: most
+   *               elimination:
+   *                 type: string
+   *                 enum: [wet, dirty, dry]
+   *               mood:
+   *                 type: string
+   *                 enum: [happy, calm, tired, sad, upset, unwell]
+   *               notes:
+   *                 type: string
+   *                 example: "Vegetable soup and rice, left the carrots"
+   *     responses:
+   *       201:
+   *         description: Daily log entry created successfully
+   *       400:
+   *         description: Missing or invalid parameters, or child does not exist
+   *       500:
+   *         description: Internal server error
+   */
+  app.post(
+    "/create_daily_log_entry",
+    authorize(...STAFF_ROLES),
+    async (req, res) => {
+      const { child_id } = req.body;
+
+      if (!child_id) {
+        return res
+          .status(400)
+          .json({ status: "error", message: "child_id is required" });
+      }
+
+      const { error, entry } = buildEntry(req.body);
+      if (error) {
+        return res.status(400).json({ status: "error", message: error });
+      }
+
+      try {
+        const params = [child_id];
+        const child = await pool.query(
+          `SELECT id FROM child
+           WHERE id = $1 AND ${childScope(req.user, "id", params)}`,
+          params
+        );
+        if (child.rows.length === 0) {
+          return res
+            .status(400)
+            .json({ status: "error", message: "Child does not exist" });
+        }
+
+        res.status(201).json({
+          status: "success",
+          message: "Daily log entry created successfully",
+          created_data: await insertEntry(pool, child_id, entry, req.user.id),
+        });
+      } catch (err) {
+        res.status(500).json({ status: "error", error: err.message });
+      }
+    }
+  );
+
+  /**
+   * @swagger
+   * /create_classroom_daily_log/{id}:
+   *   post:
+   *     summary: Record the same kind of entry for a whole classroom
+   *     tags:
+   *       - Daily log
+   *     description: |
+   *       Records one entry per child in a single request, e.g. lunch for the whole classroom. The fields at the top level
+   *       are shared by every entry and each item of entries can override them (typically amount_eaten). When entries is
+   *       omitted the shared entry is recorded for every child currently in the classroom. Either every entry is saved or none.
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         description: The classroom ID
+   *         schema:
+   *           type: integer
+   *           example: 1
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             properties:
+   *               entry_type:
+   *                 type: string
+   *                 example: meal
+   *               meal:
+   *                 type: string
+   *                 example: lunch
+   *               entry_time:
+   *                 type: string
+   *                 example: "12:00"
+   *               entries:
+   *                 type: array
+   *                 items:
+   *                   type: object
+   *                   properties:
+   *                     child_id:
+   *                       type: integer
+   *                       example: 1
+   *                     amount_eaten:
+   *                       type: string
+   *                       example: all
+   *                 example: [{ child_id: 1, amount_eaten: "all" }, { child_id: 6, amount_eaten: "half" }]
+   *     responses:
+   *       201:
+   *         description: Daily log entries created successfully
+   *       400:
+   *         description: Missing or invalid parameters, or a child is not in the classroom
+   *       404:
+   *         description: Classroom not found
+   *       500:
+   *         description: Internal server error
+   */
+  app.post(
+    "/create_classroom_daily_log/:id",
+    authorize(...STAFF_ROLES),
+    async (req, res) => {
+      const { id } = req.params;
+      const { entries, ...shared } = req.body;
+
+      if (entries !== undefined && (!Array.isArray(entries) || entries.length === 0)) {
+        return res.status(400).json({
+          status: "error",
+          message: "entries must be a non-empty array",
+        });
+      }
+
+      const client = await pool.connect();
+      try {
+        const params = [id];
+        const classroom = await client.query(
+          `SELECT id FROM classroom
+           WHERE id = $1 AND ${daycareScope(req.user, "daycare_id", params)}`,
+          params
+        );
+        if (classroom.rows.length === 0) {
+          return res
+            .status(404)
+            .json({ status: "not_found", message: "Classroom not found" });
+        }
+
+        const children = await client.query(
+          "SELECT id FROM child WHERE classroom_id = $1",
+          [id]
+        );
+        const inClassroom = children.rows.map((child) => child.id);
+        const items = entries || inClassroom.map((childId) => ({ child_id: childId }));
+
+        // valida tudo antes de gravar para não ficar a meio
+        const built = [];
+        for (const [index, item] of items.entries()) {
+          if (!inClassroom.includes(Number(item.child_id))) {
+            return res.status(400).json({
+              status: "error",
+              message: `entries[${index}]: child is not in this classroom`,
+            });
+          }
+          const { error, entry } = buildEntry({ ...shared, ...item });
+          if (error) {
+            return res
+              .status(400)
+              .json({ status: "error", message: `entries[${index}]: ${error}` });
+          }
+          built.push({ childId: item.child_id, entry });
+        }
+
+        await client.query("BEGIN");
+        const created = [];
+        for (const { childId, entry } of built) {
+          created.push(await insertEntry(client, childId, entry, req.user.id));
+        }
+        await client.query("COMMIT");
+
+        res.status(201).json({
+          status: "success",
+          message: `${created.length} daily log entries created successfully`,
+          created_data: created,
+        });
+      } catch (err) {
+        await client.query("ROLLBACK");
+        res.status(500).json({ status: "error", error: err.message });
+      } finally {
+        client.release();
+      }
+    }
+  );
+
+  /**
+   * @swagger
+   * /update_daily_log_entry/{id}:
+   *   put:
+   *     summary: Correct a daily log entry
+   *     tags:
+   *       - Daily log
+   *     description: Changes a daily log entry, e.g. to set the end_time of a nap. Fields that are omitted keep their current value. The child can't be changed.
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *           example: 1
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             example: { end_time: "14:15" }
+   *     responses:
+   *       200:
+   *         description: Daily log entry updated successfully
+   *       400:
+   *         description: Invalid parameters
+   *       404:
+   *         description: Daily log entry not found
+   *       500:
+   *         description: Internal server error
+   */
+  app.put(
+    "/update_daily_log_entry/:id",
+    authorize(...STAFF_ROLES),
+    async (req, res) => {
+      const { id } = req.params;
+
+      try {
+        const params = [id];
+        const current = await pool.query(
+          `SELECT * FROM daily_log_entry
+           WHERE id = $1 AND ${childScope(req.user, "child_id", params)}`,
+          params
+        );
+        if (current.rows.length === 0) {
+          return res.status(404).json({
+            status: "not_found",
+            message: "Daily log entry not found",
+          });
+        }
+
+        const row = current.rows[0];
+        const merged = {
+          entry_type: row.entry_type,
+          log_date: formatDate(row.log_date),
+          entry_time: row.entry_time.slice(0, 5),
+          end_time: row.end_time && row.end_time.slice(0, 5),
+          meal: row.meal,
+          amount_eaten: row.amount_eaten,
+          elimination: row.elimination,
+          mood: row.mood,
+          notes: row.notes,
+        };
+        for (const field of Object.keys(merged)) {
+          if (req.body[field] !== undefined) merged[field] = req.body[field];
+        }
+
+        const { error, entry } = buildEntry(merged);
+        if (error) {
+          return res.status(400).json({ status: "error", message: error });
+        }
+
+        const result = await pool.query(
+          `UPDATE daily_log_entry
+           SET log_date = $1, entry_type = $2, entry_time = $3, end_time = $4,
+               meal = $5, amount_eaten = $6, elimination = $7, mood = $8,
+               notes = $9
+           WHERE id = $10
+           RETURNING *`,
+          [
+            entry.log_date,
+            entry.entry_type,
+            entry.entry_time,
+            entry.end_time,
+            entry.meal,
+            entry.amount_eaten,
+            entry.elimination,
+            entry.mood,
+            entry.notes,
+            id,
+          ]
+        );
+
+        res.json({
+          status: "success",
+          message: "Daily log entry updated successfully",
+          updated_data: result.rows[0],
+        });
+      } catch (err) {
+        res.status(500).json({ status: "error", error: err.message });
+      }
+    }
+  );
+
+  /**
+   * @swagger
+   * /delete_daily_log_entry/{id}:
+   *   delete:
+   *     summary: Delete a daily log entry
+   *     tags:
+   *       - Daily log
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *           example: 1
+   *     responses:
+   *       200:
+   *         description: Daily log entry deleted successfully
+   *       404:
+   *         description: Daily log entry not found
+   *       500:
+   *         description: Internal server error
+   */
+  app.delete(
+    "/delete_daily_log_entry/:id",
+    authorize(...STAFF_ROLES),
+    async (req, res) => {
+      const params = [req.params.id];
+
+      try {
+        const result = await pool.query(
+          `DELETE FROM daily_log_entry
+           WHERE id = $1 AND ${childScope(req.user, "child_id", params)}`,
+          params
+        );
+
+        if (result.rowCount === 0) {
+          return res.status(404).json({
+            status: "not_found",
+            message: "Daily log entry not found",
+          });
+        }
+
+        res.json({
+          status: "success",
+          message: "Daily log entry deleted successfully",
+        });
+      } catch (err) {
+        res.status(500).json({ status: "error", error: err.message });
+      }
+    }
+  );
+
+  /**
+   * @swagger
+   * /get_daily_summary/{id}:
+   *   get:
+   *     summary: Daily summary of a child
+   *     tags:
+   *       - Daily log
+   *     description: What a child ate, how long they slept, diaper changes and toilet visits, moods and activities on a given day, plus every entry of the day in time order. Parents can read the summaries of their own children.
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         description: The child ID
+   *         schema:
+   *           type: integer
+   *           example: 1
+   *       - in: query
+   *         name: date
+   *         required: false
+   *         description: Day to summarize (YYYY-MM-DD, default today)
+   *         schema:
+   *           type: string
+   *           format: date
+   *           example: "2026-03-12"
+   *     responses:
+   *       200:
+   *         description: Summary of the day
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 data:
+   *                   type: object
+   *                   properties:
+   *                     child_id:
+   *                       type: integer
+   *                       example: 1
+   *                     name:
+   *                       type: string
+   *                       example: "Emily Johnson"
+   *                     date:
+   *                       type: string
+   *                       example: "2026-03-12"
+   *                     meals:
+   *                       type: array
+   *                       items:
+   *                         type: object
+   *                       example: [{ time: "12:00", meal: "lunch", amount_eaten: "most", notes: null }]
+   *                     naps:
+   *                       type: array
+   *                       items:
+   *                         type: object
+   *                       example: [{ start: "13:00", end: "14:30", minutes: 90 }]
+   *                     total_nap_minutes:
+   *                       type: integer
+   *                       example: 90
+   *                     diapers:
+   *                       type: object
+   *                       example: { wet: 2, dirty: 1, dry: 0 }
+   *                     toilet:
+   *                       type: object
+   *                       example: { wet: 0, dirty: 0, dry: 0 }
+   *                     moods:
+   *                       type: array
+   *                       items:
+   *                         type: object
+   *                       example: [{ time: "09:00", mood: "happy", notes: null }]
+   *                     activities:
+   *                       type: array
+   *                       items:
+   *                         type: object
+   *                       example: [{ time: "10:30", notes: "Finger painting" }]
+   *                     entries:
+   *                       type: array
+   *                       items:
+   *                         type: object
+   *       400:
+   *         description: Invalid date
+   *       404:
+   *         description: Child not found
+   *       500:
+   *         description: Internal server error
+   */
+  app.get(
+    "/get_daily_summary/:id",
+    authorize(...ROLES),
+    async (req, res) => {
+      const { id } = req.params;
+      const date = req.query.date || formatDate(new Date());
+
+      if (!isValidDate(date)) {
+        return res.status(400).json({
+          status: "error",
+          message: "date must be a date in the format YYYY-MM-DD",
+        });
+      }
+
+      try {
+        const params = [id];
+        const child = await pool.query(
+          `SELECT id, name FROM child
+           WHERE id = $1 AND ${childScope(req.user, "id", params)}`,
+          params
+        );
+        if (child.rows.length === 0) {
+          return res
+            .status(404)
+            .json({ status: "not_found", message: "Child not found" });
+        }
+
+        const entries = await pool.query(
+          `SELECT * FROM daily_log_entry
+           WHERE child_id = $1 AND log_date = $2
+           ORDER BY entry_time ASC, id ASC`,
+          [id, date]
+        );
+
+        res.json({
+          data: {
+            child_id: child.rows[0].id,
+            name: child.rows[0].name,
+            date,
+            ...summarize(entries.rows),
+            entries: entries.rows,
+          },
+        });
+      } catch (err) {
+        res.status(500).json({ status: "error", error: err.message });
+      }
+    }
+  );
+}
+
+module.exports = { setupDailyLog, summarize };
@@ -0,0 +1,122 @@
+const fs = require("fs");
+const nodemailer = require("nodemailer");
+
+// Adaptadores de envio das notificações. Cada adaptador tem send({ to,
+// subject, body }) e lança um erro quando o envio falha (o worker volta a
+// tentar mais tarde). Os envios têm timeouts para nunca passarem do tempo por
+// que o worker reserva cada notificação.
+//
+// O adaptador de cada canal escolhe-se por variável de ambiente:
+//   NOTIFY_EMAIL_ADAPTER = smtp | local
+//   NOTIFY_SMS_ADAPTER   = http | local
+// Só em desenvolvimento (NODE_ENV=development ou test) é que são local por
+// omissão; fora disso a API não arranca sem eles, como sem JWT_SECRET.
+
+function smtpAdapter() {
+  const transport = nodemailer.createTransport({
+    host: process.env.SMTP_HOST || "localhost",
+    port: Number(process.env.SMTP_PORT || 587),
+    secure: process.env.SMTP_SECURE === "true",
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD }
+      : undefined,
+    connectionTimeout: 10000,
+    greetingTimeout: 10000,
+    socketTimeout: 20000,
+  });
+  const from = process.env.SMTP_FROM || "PlaySafe <no-reply@playsafe.com>";
+
+  return {
+    name: "smtp",
+    send: ({ to, subject, body }) =>
+      transport.sendMail({ from, to, subject, text: body }),
+  };
+}
+
+// gateway de SMS por HTTP: POST { to, from, message } em JSON, com o token
+// em Authorization quando existe
+function httpSmsAdapter() {
+  const url = process.env.SMS_GATEWAY_URL;
+  const token = process.env.SMS_GATEWAY_TOKEN;
+  const from = process.env.SMS_SENDER || "PlaySafe";
+  if (!url) {
+    throw new Error("SMS_GATEWAY_URL is required by the http SMS adapter");
+  }
+
+  return {
+    name: "http",
+    async send({ to, body }) {
+      const response = await fetch(url, {
+        method: "POST",
+        headers: {
+          "content-type": "application/json",
+          ...(token ? { authorization: `Bearer ${token}` } : {}),
+        },
+        body: JSON.stringify({ to, from, message: body }),
+        signal: AbortSignal.timeout(10000),
+      });
+      if (!response.ok) {
+        throw new Error(`SMS gateway answered with status ${response.status}`);
+      }
+    },
+  };
+}
+
+// para desenvolvimento e testes: escreve cada notificação como uma linha JSON
+// no ficheiro NOTIFY_LOG_FILE, ou na consola quando não está definido
+function localAdapter(channel) {
+  const file = process.env.NOTIFY_LOG_FILE;
+
+  return {
+    name: "local",
+    async send({ to, subject, body }) {
+      const line = JSON.stringify({
+        channel,
+        to,
+        subject,
+        body,
+        sent_at: new Date().toISOString(),
+      });
+      if (file) await fs.promises.appendFile(file, `${line}\n`);
+      else console.log(`[notification] ${line}`);
+    },
+  };
+}
+
+// adaptadores disponíveis por canal; para juntar outro basta acrescentá-lo aqui
+const ADAPTERS = {
+  email: { smtp: smtpAdapter, local: () => localAdapter("email") },
+  sms: { http: httpSmsAdapter, local: () => localAdapter("sms") },
+};
+
+// O adaptador local só escreve as notificações no log (com os contactos e o
+// texto) e o worker marca-as como enviadas, por isso em produção não pode ser
+// escolhido por falta de configuração
+function defaultAdapter(variable) {
+  if (["development", "test"].includes(process.env.NODE_ENV)) return "local";
+  throw new Error(
+    `${variable} is not set (use NODE_ENV=development to log notifications locally)`
+  );
+}
+
+function createAdapters() {
+  const chosen = {
+    email:
+      process.env.NOTIFY_EMAIL_ADAPTER || defaultAdapter("NOTIFY_EMAIL_ADAPTER"),
+    sms: process.env.NOTIFY_SMS_ADAPTER || defaultAdapter("NOTIFY_SMS_ADAPTER"),
+  };
+
+  const adapters = {};
+  for (const [channel, name] of Object.entries(chosen)) {
+    const factory = ADAPTERS[channel][name];
+    if (!factory) {
+      throw new Error(
+        `Unknown ${channel} adapter "${name}" (use one of: ${Object.keys(ADAPTERS[channel]).join(", ")})`
+      );
+    }
+    adapters[channel] = factory();
+  }
+  return adapters;
+}
+
+module.exports = { ADAPTERS, createAdapters };
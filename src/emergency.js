@@ -0,0 +1,685 @@
+const pool = require("./db");
+const { authorize, ROLES, STAFF_ROLES, MANAGER_ROLES } = require("./auth");
+const { daycareScope, childScope } = require("./tenant");
+const { getMedicalProfile } = require("./medical");
+
+const SEVERITY_ORDER = { severe: 0, moderate: 1, mild: 2 };
+
+async function findContact(user, id) {
+  const params = [id];
+  const result = await pool.query(
+    `SELECT * FROM emergency_contact
+     WHERE id = $1 AND ${childScope(user, "child_id", params)}`,
+    params
+  );
+  return result.rows[0];
+}
+
+// A criança tem pelo menos um contacto de emergência que atende?
+async function hasReachableContact(db, childId) {
+  const result = await db.query(
+    `SELECT id FROM emergency_contact
+     WHERE child_id = $1 AND reachable
+     LIMIT 1`,
+    [childId]
+  );
+  return result.rows.length > 0;
+}
+
+// Uma criança inscrita numa sala não pode ficar sem contacto que atenda
+async function losesLastReachableContact(db, childId) {
+  const active = await db.query(
+    "SELECT id FROM child_enrollment WHERE child_id = $1 AND status = 'active'",
+    [childId]
+  );
+  return active.rows.length > 0 && !(await hasReachableContact(db, childId));
+}
+
+function setupEmergencyContacts(app) {
+  /**
+   * @swagger
+   * /get_child_emergency_contacts/{id}:
+   *   get:
+   *     summary: Get the emergency contacts of a child
+   *     tags:
+   *       - Emergency
+   *     description: Lists the emergency contacts of a child in the order they should be called.
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         description: The child ID
+   *         schema:
+   *           type: integer
+   *           example: 1
+   *     responses:
+   *       200:
+   *         description: Emergency contacts of the child
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 contacts_count:
+   *                   type: integer
+   *                   example: 2
+   *                 data:
+   *                   type: array
+   *                   items:
+   *                     type: object
+   *                     properties:
+   *                       id:
+   *                         type: integer
+   *                         example: 1
+   *                       child_id:
+   *                         type: integer
+   *                         example: 1
+   *                       name:
+   *                         type: string
+   *                         example: "Margaret Johnson"
+   *                       phone:
+   *                         type: string
+   *                         example: "555-987-1111"
+   *                       relation:
+   *                         type: string
+   *                         example: "Grandmother"
+   *                       availability_notes:
+   *                         type: string
+   *                         example: "Available all day"
+   *                       reachable:
+   *                         type: boolean
+   *                         example: true
+   *                       priority:
+   *                         type: integer
+   *                         example: 1
+   *       404:
+   *         description: Child not found
+   *       500:
+   *         description: Internal server error
+   */
+  app.get(
+    "/get_child_emergency_contacts/:id",
+    authorize(...ROLES),
+    async (req, res) => {
+      const { id } = req.params;
+      const params = [id];
+
+      try {
+        const child = await pool.query(
+          `SELECT id FROM child
+           WHERE id = $1 AND ${childScope(req.user, "id", params)}`,
+          params
+        );
+        if (child.rows.length === 0) {
+          return res
+            .status(404)
+            .json({ status: "not_found", message: "Child not found" });
+        }
+
+        const result = await pool.query(
+          `SELECT * FROM emergency_contact
+           WHERE child_id = $1
+           ORDER BY priority ASC, id ASC`,
+          [id]
+        );
+
+        res.json({ contacts_count: result.rows.length, data: result.rows });
+      } catch (err) {
+        res.status(500).json({ status: "error", error: err.message });
+      }
+    }
+  );
+
+  /**
+   * @swagger
+   * /create_emergency_contact:
+   *   post:
+   *     summary: Add an emergency contact to a child
+   *     tags:
+   *       - Emergency
+   *     description: Adds a contact at the end of the child's list. Use /reorder_emergency_contacts to change the order.
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required:
+   *               - child_id
+   *               - name
+   *               - phone
+   *             properties:
+   *               child_id:
+   *                 type: integer
+   *                 example: 1
+   *               name:
+   *                 type: string
+   *                 example: "Margaret Johnson"
+   *               phone:
+   *                 type: string
+   *                 example: "555-987-1111"
+   *               relation:
+   *                 type: string
+   *                 example: "Grandmother"
+   *               availability_notes:
+   *                 type: string
+   *                 example: "Available all day"
+   *               reachable:
+   *                 type: boolean
+   *                 example: true
+   *     responses:
+   *       201:
+   *         description: Emergency contact created successfully
+   *       400:
+   *         description: Missing or invalid parameters, or child does not exist
+   *       500:
+   *         description: Internal server error
+   */
+  app.post(
+    "/create_emergency_contact",
+    authorize(...MANAGER_ROLES),
+    async (req, res) => {
+      const { child_id, name, phone, relation, availability_notes } = req.body;
+      const reachable = req.body.reachable === undefined ? true : req.body.reachable;
+
+      if (!child_id || !name || !phone || !String(phone).trim()) {
+        return res.status(400).json({
+          status: "error",
+          message: "child_id, name and phone are required",
+        });
+      }
+
+      if (typeof reachable !== "boolean") {
+        return res
+          .status(400)
+          .json({ status: "error", message: "reachable must be a boolean" });
+      }
+
+      try {
+        const params = [child_id];
+        const child = await pool.query(
+          `SELECT id FROM child
+           WHERE id = $1 AND ${childScope(req.user, "id", params)}`,
+          params
+        );
+        if (child.rows.length === 0) {
+          return res
+            .status(400)
+            .json({ status: "error", message: "Child does not exist" });
+        }
+
+        const result = await pool.query(
+          `INSERT INTO emergency_contact
+             (child_id, name, phone, relation, availability_notes, reachable, priority)
+           VALUES ($1, $2, $3, $4, $5, $6,
+             (SELECT COALESCE(MAX(priority), 0) + 1
+              FROM emergency_contact WHERE child_id = $1))
+           RETURNING *`,
+          [
+            child_id,
+            name,
+            phone,
+            relation || null,
+            availability_notes || null,
+            reachable,
+          ]
+        );
+
+        res.status(201).json({
+          status: "success",
+          message: "Emergency contact created successfully",
+          created_data: result.rows[0],
+        });
+      } catch (err) {
+        res.status(500).json({ status: "error", error: err.message });
+      }
+    }
+  );
+
+  /**
+   * @swagger
+   * /update_emergency_contact/{id}:
+   *   put:
+   *     summary: Update an emergency contact
+   *     tags:
+   *       - Emergency
+   *     description: Updates the details of an emergency contact. relation, availability_notes and reachable keep their current value when omitted (null clears relation and availability_notes). A contact can't be marked unreachable when it is the last reachable contact of an actively enrolled child.
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *           example: 1
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required:
+   *               - name
+   *               - phone
+   *             properties:
+   *               name:
+   *                 type: string
+   *                 example: "Margaret Johnson"
+   *               phone:
+   *                 type: string
+   *                 example: "555-987-1111"
+   *               relation:
+   *                 type: string
+   *                 example: "Grandmother"
+   *               availability_notes:
+   *                 type: string
+   *                 example: "Mornings only"
+   *               reachable:
+   *                 type: boolean
+   *                 example: false
+   *     responses:
+   *       200:
+   *         description: Emergency contact updated successfully
+   *       400:
+   *         description: Missing or invalid parameters
+   *       404:
+   *         description: Emergency contact not found
+   *       409:
+   *         description: The child would be left without a reachable contact
+   *       500:
+   *         description: Internal server error
+   */
+  app.put(
+    "/update_emergency_contact/:id",
+    authorize(...MANAGER_ROLES),
+    async (req, res) => {
+      const { id } = req.params;
+      const { name, phone } = req.body;
+
+      if (!name || !phone || !String(phone).trim()) {
+        return res
+          .status(400)
+          .json({ status: "error", message: "name and phone are required" });
+      }
+
+      const client = await pool.connect();
+      try {
+        const contact = await findContact(req.user, id);
+        if (!contact) {
+          return res.status(404).json({
+            status: "not_found",
+            message: "Emergency contact not found",
+          });
+        }
+
+        const [relation, availability_notes, reachable] = [
+          "relation",
+          "availability_notes",
+          "reachable",
+        ].map((field) =>
+          req.body[field] === undefined ? contact[field] : req.body[field]
+        );
+
+        if (typeof reachable !== "boolean") {
+          return res
+            .status(400)
+            .json({ status: "error", message: "reachable must be a boolean" });
+        }
+
+        await client.query("BEGIN");
+
+        const result = await client.query(
+          `UPDATE emergency_contact
+           SET name = $1, phone = $2, relation = $3,
+               availability_notes = $4, reachable = $5
+           WHERE id = $6
+           RETURNING *`,
+          [name, phone, relation, availability_notes, reachable, id]
+        );
+
+        if (await losesLastReachableContact(client, contact.child_id)) {
+          await client.query("ROLLBACK");
+          return res.status(409).json({
+            status: "error",
+            message: "An enrolled child needs at least one reachable emergency contact",
+          });
+        }
+
+        await client.query("COMMIT");
+
+        res.json({
+          status: "success",
+          message: "Emergency contact updated successfully",
+          updated_data: result.rows[0],
+        });
+      } catch (err) {
+        await client.query("ROLLBACK");
+        res.status(500).json({ status: "error", error: err.message });
+      } finally {
+        client.release();
+      }
+    }
+  );
+
+  /**
+   * @swagger
+   * /delete_emergency_contact/{id}:
+   *   delete:
+   *     summary: Delete an emergency contact
+   *     tags:
+   *       - Emergency
+   *     description: Removes an emergency contact. The last reachable contact of an actively enrolled child can't be removed.
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *           example: 2
+   *     responses:
+   *       200:
+   *         description: Emergency contact deleted successfully
+   *       404:
+   *         description: Emergency contact not found
+   *       409:
+   *         description: The child would be left without a reachable contact
+   *       500:
+   *         description: Internal server error
+   */
+  app.delete(
+    "/delete_emergency_contact/:id",
+    authorize(...MANAGER_ROLES),
+    async (req, res) => {
+      const { id } = req.params;
+
+      const client = await pool.connect();
+      try {
+        const contact = await findContact(req.user, id);
+        if (!contact) {
+          return res.status(404).json({
+            status: "not_found",
+            message: "Emergency contact not found",
+          });
+        }
+
+        await client.query("BEGIN");
+        await client.query("DELETE FROM emergency_contact WHERE id = $1", [id]);
+
+        if (await losesLastReachableContact(client, contact.child_id)) {
+          await client.query("ROLLBACK");
+          return res.status(409).json({
+            status: "error",
+            message: "An enrolled child needs at least one reachable emergency contact",
+          });
+        }
+
+        await client.query("COMMIT");
+
+        res.json({
+          status: "success",
+          message: "Emergency contact deleted successfully",
+        });
+      } catch (err) {
+        await client.query("ROLLBACK");
+        res.status(500).json({ status: "error", error: err.message });
+      } finally {
+        client.release();
+      }
+    }
+  );
+
+  /**
+   * @swagger
+   * /reorder_emergency_contacts/{id}:
+   *   put:
+   *     summary: Reorder the emergency contacts of a child
+   *     tags:
+   *       - Emergency
+   *     description: Sets the calling order of the child's emergency contacts. contact_ids must list every contact of the child exactly once, first to call first.
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         description: The child ID
+   *         schema:
+   *           type: integer
+   *           example: 1
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             properties:
+   *               contact_ids:
+   *                 type: array
+   *                 items:
+   *                   type: integer
+   *                 example: [2, 1]
+   *     responses:
+   *       200:
+   *         description: Emergency contacts reordered successfully
+   *       400:
+   *         description: contact_ids doesn't match the contacts of the child
+   *       404:
+   *         description: Child not found
+   *       500:
+   *         description: Internal server error
+   */
+  app.put(
+    "/reorder_emergency_contacts/:id",
+    authorize(...MANAGER_ROLES),
+    async (req, res) => {
+      const { id } = req.params;
+      const { contact_ids } = req.body;
+
+      if (!Array.isArray(contact_ids)) {
+        return res.status(400).json({
+          status: "error",
+          message: "contact_ids must be an array",
+        });
+      }
+
+      const client = await pool.connect();
+      try {
+        const params = [id];
+        const child = await client.query(
+          `SELECT id FROM child
+           WHERE id = $1 AND ${childScope(req.user, "id", params)}`,
+          params
+        );
+        if (child.rows.length === 0) {
+          return res
+            .status(404)
+            .json({ status: "not_found", message: "Child not found" });
+        }
+
+        const contacts = await client.query(
+          "SELECT id FROM emergency_contact WHERE child_id = $1",
+          [id]
+        );
+        const current = contacts.rows.map((row) => row.id).sort((a, b) => a - b);
+        const wanted = contact_ids.map(Number).sort((a, b) => a - b);
+
+        if (
+          current.length !== wanted.length ||
+          current.some((contactId, i) => contactId !== wanted[i])
+        ) {
+          return res.status(400).json({
+            status: "error",
+            message: "contact_ids must list every emergency contact of the child exactly once",
+          });
+        }
+
+        await client.query("BEGIN");
+        for (const [index, contactId] of contact_ids.entries()) {
+          await client.query(
+            "UPDATE emergency_contact SET priority = $1 WHERE id = $2",
+            [index + 1, contactId]
+          );
+        }
+        await client.query("COMMIT");
+
+        const result = await pool.query(
+          `SELECT * FROM emergency_contact
+           WHERE child_id = $1
+           ORDER BY priority ASC, id ASC`,
+          [id]
+        );
+
+        res.json({
+          status: "success",
+          message: "Emergency contacts reordered successfully",
+          updated_data: result.rows,
+        });
+      } catch (err) {
+        await client.query("ROLLBACK");
+        res.status(500).json({ status: "error", error: err.message });
+      } finally {
+        client.release();
+      }
+    }
+  );
+
+  /**
+   * @swagger
+   * /get_emergency_sheet/{id}:
+   *   get:
+   *     summary: Emergency sheet of a classroom
+   *     tags:
+   *       - Emergency
+   *     description: Lists every child of the classroom with what staff need in an emergency. Emergency contacts come in calling order and guardians with the primary contact first. Allergies are listed from the most severe, and medications only when they are being taken today.
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         description: The classroom ID
+   *         schema:
+   *           type: integer
+   *           example: 1
+   *     responses:
+   *       200:
+   *         description: Emergency sheet of the classroom
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 children_count:
+   *                   type: integer
+   *                   example: 1
+   *                 data:
+   *                   type: array
+   *                   items:
+   *                     type: object
+   *                     properties:
+   *                       child_id:
+   *                         type: integer
+   *                         example: 1
+   *                       name:
+   *                         type: string
+   *                         example: "Emily Johnson"
+   *                       date_of_birth:
+   *                         type: string
+   *                         example: "2021-04-02"
+   *                       emergency_contacts:
+   *                         type: array
+   *                         items:
+   *                           type: object
+   *                           example: { name: "Margaret Johnson", phone: "555-987-1111", relation: "Grandmother", availability_notes: "Available all day", reachable: true, priority: 1 }
+   *                       guardians:
+   *                         type: array
+   *                         items:
+   *                           type: object
+   *                           example: { name: "Alice Johnson", phone: "555-123-4567", relation: "mother", is_primary_contact: true }
+   *                       medical:
+   *                         type: object
+   *                         example: { doctor_name: "Dr. Ana Costa", doctor_phone: "555-222-3333", notes: null, allergies: [{ allergen: "Peanuts", severity: "severe", reaction: "Anaphylaxis" }], dietary_restrictions: [], medications: [] }
+   *       404:
+   *         description: Classroom not found
+   *       500:
+   *         description: Internal server error
+   */
+  app.get(
+    "/get_emergency_sheet/:id",
+    authorize(...STAFF_ROLES),
+    async (req, res) => {
+      const { id } = req.params;
+      const params = [id];
+
+      try {
+        const classroom = await pool.query(
+          `SELECT id FROM classroom
+           WHERE id = $1 AND ${daycareScope(req.user, "daycare_id", params)}`,
+          params
+        );
+        if (classroom.rows.length === 0) {
+          return res
+            .status(404)
+            .json({ status: "not_found", message: "Classroom not found" });
+        }
+
+        const children = await pool.query(
+          `SELECT id, name, date_of_birth FROM child
+           WHERE classroom_id = $1
+           ORDER BY name ASC, id ASC`,
+          [id]
+        );
+        const childIds = children.rows.map((child) => child.id);
+
+        const contacts = await pool.query(
+          `SELECT child_id, name, phone, relation, availability_notes,
+                  reachable, priority
+           FROM emergency_contact
+           WHERE child_id = ANY($1::int[])
+           ORDER BY priority ASC, id ASC`,
+          [childIds]
+        );
+        const guardians = await pool.query(
+          `SELECT e.child_id, p.name, p.phone, e.relation, e.is_primary_contact
+           FROM enrollment e
+           JOIN parent p ON p.id = e.parent_id
+           WHERE e.child_id = ANY($1::int[])
+           ORDER BY e.is_primary_contact DESC, p.name ASC`,
+          [childIds]
+        );
+
+        const today = new Date();
+        today.setHours(0, 0, 0, 0);
+
+        const data = [];
+        for (const child of children.rows) {
+          const medical = await getMedicalProfile(child.id);
+
+          data.push({
+            child_id: child.id,
+            name: child.name,
+            date_of_birth: child.date_of_birth,
+            emergency_contacts: contacts.rows
+              .filter((row) => row.child_id === child.id)
+              .map(({ child_id, ...contact }) => contact),
+            guardians: guardians.rows
+              .filter((row) => row.child_id === child.id)
+              .map(({ child_id, ...guardian }) => guardian),
+            medical: {
+              ...medical,
+              allergies: medical.allergies.sort(
+                (a, b) => SEVERITY_ORDER[a.severity] - SEVERITY_ORDER[b.severity]
+              ),
+              medications: medical.medications.filter(
+                (med) =>
+                  new Date(med.start_date) <= today &&
+                  (!med.end_date || new Date(med.end_date) >= today)
+              ),
+            },
+          });
+        }
+
+        res.json({ children_count: data.length, data });
+      } catch (err) {
+        res.status(500).json({ status: "error", error: err.message });
+      }
+    }
+  );
+}
+
+module.exports = { setupEmergencyContacts, hasReachableContact };
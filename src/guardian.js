@@ -0,0 +1,259 @@
+const pool = require("./db");
+const { authorize, ROLES } = require("./auth");
+const { childScope, linkableParentScope } = require("./tenant");
+
+const RELATIONS = ["mother", "father", "legal_guardian", "foster"];
+const FLAGS = [
+  "is_primary_contact",
+  "has_legal_custody",
+  "notify_email",
+  "notify_sms",
+];
+
+// valores usados quando a ligação é criada sem os indicar
+const GUARDIAN_DEFAULTS = {
+  relation: "legal_guardian",
+  is_primary_contact: false,
+  has_legal_custody: true,
+  notify_email: true,
+  notify_sms: false,
+};
+
+// Campos da relação pai/criança a gravar. Os campos omitidos ficam com o
+// valor de current (a ligação atual ou os valores por omissão).
+function guardianFields(body, current = GUARDIAN_DEFAULTS) {
+  const fields = {};
+
+  fields.relation =
+    body.relation === undefined ? current.relation : body.relation;
+  if (!RELATIONS.includes(fields.relation)) {
+    return { error: `relation must be one of: ${RELATIONS.join(", ")}` };
+  }
+
+  for (const flag of FLAGS) {
+    fields[flag] = body[flag] === undefined ? current[flag] : body[flag];
+    if (typeof fields[flag] !== "boolean") {
+      return { error: `${flag} must be a boolean` };
+    }
+  }
+
+  return { fields };
+}
+
+// Só há um contacto principal por criança: tira a marca das outras ligações
+async function clearPrimaryContact(db, childId, exceptId = 0) {
+  await db.query(
+    `UPDATE enrollment SET is_primary_contact = FALSE
+     WHERE child_id = $1 AND id <> $2 AND is_primary_contact`,
+    [childId, exceptId]
+  );
+}
+
+function setupGuardians(app) {
+  /**
+   * @swagger
+   * /get_parent_children/{id}:
+   *   get:
+   *     summary: Get the children of a parent
+   *     tags:
+   *       - Enrollment
+   *     description: Lists the children linked to a parent, with the child details and the relationship (relation type, primary contact, legal custody and notification preferences) in each record.
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         description: The parent ID
+   *         schema:
+   *           type: integer
+   *           example: 2
+   *     responses:
+   *       200:
+   *         description: Children of the parent
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 children_count:
+   *                   type: integer
+   *                   example: 2
+   *                 data:
+   *                   type: array
+   *                   items:
+   *                     type: object
+   *                     properties:
+   *                       enrollment_id:
+   *                         type: integer
+   *                         example: 2
+   *                       id:
+   *                         type: integer
+   *                         example: 2
+   *                       name:
+   *                         type: string
+   *                         example: "Liam Smith"
+   *                       date_of_birth:
+   *                         type: string
+   *                         example: "2020-06-15"
+   *                       daycare_id:
+   *                         type: integer
+   *                         example: 1
+   *                       classroom_id:
+   *                         type: integer
+   *                         example: 1
+   *                       relation:
+   *                         type: string
+   *                         example: father
+   *                       is_primary_contact:
+   *                         type: boolean
+   *                         example: true
+   *                       has_legal_custody:
+   *                         type: boolean
+   *                         example: true
+   *                       notify_email:
+   *                         type: boolean
+   *                         example: true
+   *                       notify_sms:
+   *                         type: boolean
+   *                         example: false
+   *       404:
+   *         description: Parent not found
+   *       500:
+   *         description: Internal server error
+   */
+  app.get("/get_parent_children/:id", authorize(...ROLES), async (req, res) => {
+    const { id } = req.params;
+
+    try {
+      const parentParams = [id];
+      const parent = await pool.query(
+        `SELECT id FROM parent
+         WHERE id = $1 AND ${linkableParentScope(req.user, "id", parentParams)}`,
+        parentParams
+      );
+      if (parent.rows.length === 0) {
+        return res
+          .status(404)
+          .json({ status: "not_found", message: "Parent not found" });
+      }
+
+      const params = [id];
+      const result = await pool.query(
+        `SELECT e.id AS enrollment_id, c.id, c.name, c.date_of_birth,
+                c.daycare_id, c.classroom_id,
+                e.relation, e.is_primary_contact, e.has_legal_custody,
+                e.notify_email, e.notify_sms
+         FROM enrollment e
+         JOIN child c ON c.id = e.child_id
+         WHERE e.parent_id = $1 AND ${childScope(req.user, "c.id", params)}
+         ORDER BY c.name ASC, c.id ASC`,
+        params
+      );
+
+      res.json({ children_count: result.rows.length, data: result.rows });
+    } catch (err) {
+      res.status(500).json({ status: "error", error: err.message });
+    }
+  });
+
+  /**
+   * @swagger
+   * /get_child_guardians/{id}:
+   *   get:
+   *     summary: Get the guardians of a child
+   *     tags:
+   *       - Enrollment
+   *     description: Lists the parents linked to a child, with the parent details and the relationship (relation type, primary contact, legal custody and notification preferences) in each record. The primary contact comes first.
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         description: The child ID
+   *         schema:
+   *           type: integer
+   *           example: 1
+   *     responses:
+   *       200:
+   *         description: Guardians of the child
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 guardians_count:
+   *                   type: integer
+   *                   example: 1
+   *                 data:
+   *                   type: array
+   *                   items:
+   *                     type: object
+   *                     properties:
+   *                       enrollment_id:
+   *                         type: integer
+   *                         example: 1
+   *                       id:
+   *                         type: integer
+   *                         example: 1
+   *                       name:
+   *                         type: string
+   *                         example: "Alice Johnson"
+   *                       email:
+   *                         type: string
+   *                         example: "alice.johnson@email.com"
+   *                       phone:
+   *                         type: string
+   *                         example: "+351912345678"
+   *                       relation:
+   *                         type: string
+   *                         example: mother
+   *                       is_primary_contact:
+   *                         type: boolean
+   *                         example: true
+   *                       has_legal_custody:
+   *                         type: boolean
+   *                         example: true
+   *                       notify_email:
+   *                         type: boolean
+   *                         example: true
+   *                       notify_sms:
+   *                         type: boolean
+   *                         example: false
+   *       404:
+   *         description: Child not found
+   *       500:
+   *         description: Internal server error
+   */
+  app.get("/get_child_guardians/:id", authorize(...ROLES), async (req, res) => {
+    const { id } = req.params;
+
+    try {
+      const params = [id];
+      const child = await pool.query(
+        `SELECT id FROM child
+         WHERE id = $1 AND ${childScope(req.user, "id", params)}`,
+        params
+      );
+      if (child.rows.length === 0) {
+        return res
+          .status(404)
+          .json({ status: "not_found", message: "Child not found" });
+      }
+
+      const result = await pool.query(
+        `SELECT e.id AS enrollment_id, p.id, p.name, p.email, p.phone,
+                e.relation, e.is_primary_contact, e.has_legal_custody,
+                e.notify_email, e.notify_sms
+         FROM enrollment e
+         JOIN parent p ON p.id = e.parent_id
+         WHERE e.child_id = $1
+         ORDER BY e.is_primary_contact DESC, p.name ASC, p.id ASC`,
+        [id]
+      );
+
+      res.json({ guardians_count: result.rows.length, data: result.rows });
+    } catch (err) {
+      res.status(500).json({ status: "error", error: err.message });
+    }
+  });
+}
+
+module.exports = { setupGuardians, guardianFields, clearPrimaryContact };
@@ -0,0 +1,1049 @@
+const pool = require("./db");
+const { authorize, ROLES, STAFF_ROLES, MANAGER_ROLES } = require("./auth");
+const { daycareScope, childScope } = require("./tenant");
+const { isValidDate, formatDate } = require("./validation");
+
+const EXEMPTION_TYPES = ["medical", "religious", "personal"];
+const DEFAULT_GRACE_DAYS = 30;
+
+// data de nascimento + n meses, no último dia do mês quando este é mais curto
+function addMonths(date, months) {
+  const [year, month, day] = date.split("-").map(Number);
+  const lastDay = new Date(year, month - 1 + months + 1, 0).getDate();
+  return formatDate(new Date(year, month - 1 + months, Math.min(day, lastDay)));
+}
+
+function addDays(date, days) {
+  const result = new Date(`${date}T00:00:00`);
+  result.setDate(result.getDate() + days);
+  return formatDate(result);
+}
+
+function daysBetween(from, to) {
+  return Math.round(
+    (new Date(`${to}T00:00:00`) - new Date(`${from}T00:00:00`)) / 86400000
+  );
+}
+
+function sameVaccine(a, b) {
+  return a.toLowerCase() === b.toLowerCase();
+}
+
+async function findDaycare(user, daycareId) {
+  const params = [daycareId];
+  const result = await pool.query(
+    `SELECT id FROM daycare WHERE id = $1 AND ${daycareScope(user, "id", params)}`,
+    params
+  );
+  return result.rows[0];
+}
+
+async function findChild(user, childId) {
+  const params = [childId];
+  const result = await pool.query(
+    `SELECT id, name, date_of_birth, daycare_id FROM child
+     WHERE id = $1 AND ${childScope(user, "id", params)}`,
+    params
+  );
+  return result.rows[0];
+}
+
+// Calendário do daycare ou, se não tiver um próprio, o calendário por omissão
+async function getSchedule(daycareId) {
+  const order = "ORDER BY due_age_months ASC, vaccine ASC, dose_number ASC";
+  const own = await pool.query(
+    `SELECT vaccine, dose_number, due_age_months FROM vaccine_schedule
+     WHERE daycare_id = $1 ${order}`,
+    [daycareId]
+  );
+  if (own.rows.length > 0) return { custom: true, doses: own.rows };
+
+  const defaults = await pool.query(
+    `SELECT vaccine, dose_number, due_age_months FROM vaccine_schedule
+     WHERE daycare_id IS NULL ${order}`
+  );
+  return { custom: false, doses: defaults.rows };
+}
+
+async function getGraceDays(daycareId) {
+  const result = await pool.query(
+    "SELECT grace_days FROM immunization_policy WHERE daycare_id = $1",
+    [daycareId]
+  );
+  return result.rows.length > 0 ? result.rows[0].grace_days : DEFAULT_GRACE_DAYS;
+}
+
+// Situação de cada dose do calendário para uma criança:
+//   completed → registada
+//   exempt    → isenção válida para a vacina (ou para todas)
+//   missing   → por registar, mas já há uma dose seguinte da mesma vacina
+//   upcoming  → ainda não chegou a idade
+//   due       → já devida, mas dentro da tolerância
+//   overdue   → passou a tolerância sem registo
+// A criança cumpre quando não tem doses missing nem overdue.
+function immunizationStatus(child, schedule, records, exemptions, graceDays) {
+  const today = formatDate(new Date());
+  const dob = formatDate(child.date_of_birth);
+
+  const doses = schedule.map((dose) => {
+    const due_date = addMonths(dob, dose.due_age_months);
+    const grace_ends = addDays(due_date, graceDays);
+    const record = records.find(
+      (row) => sameVaccine(row.vaccine, dose.vaccine) && row.dose_number === dose.dose_number
+    );
+    const exemption = exemptions.find(
+      (row) =>
+        (row.vaccine === null || sameVaccine(row.vaccine, dose.vaccine)) &&
+        (row.valid_until === null || formatDate(row.valid_until) >= today)
+    );
+    const laterDose = records.some(
+      (row) => sameVaccine(row.vaccine, dose.vaccine) && row.dose_number > dose.dose_number
+    );
+
+    let status;
+    if (record) status = "completed";
+    else if (exemption) status = "exempt";
+    else if (laterDose) status = "missing";
+    else if (due_date > today) status = "upcoming";
+    else if (grace_ends >= today) status = "due";
+    else status = "overdue";
+
+    return {
+      vaccine: dose.vaccine,
+      dose_number: dose.dose_number,
+      due_date,
+      grace_ends,
+      status,
+      days_overdue: status === "overdue" ? daysBetween(grace_ends, today) : 0,
+      administered_on: record ? formatDate(record.administered_on) : null,
+      immunization_record_id: record ? record.id : null,
+      exemption_id: record || !exemption ? null : exemption.id,
+    };
+  });
+
+  return {
+    compliant: !doses.some((dose) => ["missing", "overdue"].includes(dose.status)),
+    doses,
+  };
+}
+
+// Valida os campos de um registo de vacina (os omitidos mantêm o valor de
+// current); devolve { error } ou { fields }
+function recordFields(body, child, current = {}) {
+  const fields = {};
+  for (const field of ["vaccine", "dose_number", "administered_on", "document_reference"]) {
+    fields[field] = body[field] === undefined ? current[field] : body[field];
+  }
+  if (fields.administered_on instanceof Date) {
+    fields.administered_on = formatDate(fields.administered_on);
+  }
+
+  if (typeof fields.vaccine !== "string" || !fields.vaccine.trim() || fields.vaccine.length > 50) {
+    return { error: "vaccine is required (up to 50 characters)" };
+  }
+  if (!Number.isInteger(fields.dose_number) || fields.dose_number < 1) {
+    return { error: "dose_number must be a positive integer" };
+  }
+  if (!isValidDate(fields.administered_on)) {
+    return { error: "administered_on must be a date in the format YYYY-MM-DD" };
+  }
+  if (
+    fields.administered_on > formatDate(new Date()) ||
+    fields.administered_on < formatDate(child.date_of_birth)
+  ) {
+    return {
+      error: "administered_on must be between the child's birth and today",
+    };
+  }
+
+  fields.vaccine = fields.vaccine.trim();
+  return { fields };
+}
+
+function setupImmunizations(app) {
+  /**
+   * @swagger
+   * /get_vaccine_schedule/{daycare_id}:
+   *   get:
+   *     summary: Get the vaccine schedule of a daycare
+   *     tags:
+   *       - Immunization
+   *     description: Doses required by age (in months from the date of birth). Daycares without their own schedule use the default one (custom is false). grace_days is how long after the due date a missing dose still doesn't count as overdue.
+   *     parameters:
+   *       - in: path
+   *         name: daycare_id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *           example: 1
+   *     responses:
+   *       200:
+   *         description: Vaccine schedule
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 custom:
+   *                   type: boolean
+   *                   example: false
+   *                 grace_days:
+   *                   type: integer
+   *                   example: 30
+   *                 data:
+   *                   type: array
+   *                   items:
+   *                     type: object
+   *                     properties:
+   *                       vaccine:
+   *                         type: string
+   *                         example: "DTaP"
+   *                       dose_number:
+   *                         type: integer
+   *                         example: 1
+   *                       due_age_months:
+   *                         type: integer
+   *                         example: 2
+   *       404:
+   *         description: Daycare not found
+   *       500:
+   *         description: Internal server error
+   */
+  app.get(
+    "/get_vaccine_schedule/:daycare_id",
+    authorize(...ROLES),
+    async (req, res) => {
+      const { daycare_id } = req.params;
+
+      try {
+        if (!(await findDaycare(req.user, daycare_id))) {
+          return res
+            .status(404)
+            .json({ status: "not_found", message: "Daycare not found" });
+        }
+
+        const { custom, doses } = await getSchedule(daycare_id);
+        res.json({
+          custom,
+          grace_days: await getGraceDays(daycare_id),
+          data: doses,
+        });
+      } catch (err) {
+        res.status(500).json({ status: "error", error: err.message });
+      }
+    }
+  );
+
+  /**
+   * @swagger
+   * /update_vaccine_schedule/{daycare_id}:
+   *   put:
+   *     summary: Replace the vaccine schedule or grace period of a daycare
+   *     tags:
+   *       - Immunization
+   *     description: doses replaces the whole schedule of the daycare; send an empty list to go back to the default schedule. Omit doses to only change grace_days, or grace_days to keep the current grace period.
+   *     parameters:
+   *       - in: path
+   *         name: daycare_id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *           example: 1
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             properties:
+   *               grace_days:
+   *                 type: integer
+   *                 example: 45
+   *               doses:
+   *                 type: array
+   *                 items:
+   *                   type: object
+   *                   properties:
+   *                     vaccine:
+   *                       type: string
+   *                       example: "MMR"
+   *                     dose_number:
+   *                       type: integer
+   *                       example: 1
+   *                     due_age_months:
+   *                       type: integer
+   *                       example: 12
+   *     responses:
+   *       200:
+   *         description: Vaccine schedule updated successfully
+   *       400:
+   *         description: Missing or invalid parameters
+   *       404:
+   *         description: Daycare not found
+   *       500:
+   *         description: Internal server error
+   */
+  app.put(
+    "/update_vaccine_schedule/:daycare_id",
+    authorize(...MANAGER_ROLES),
+    async (req, res) => {
+      const { daycare_id } = req.params;
+      const { doses, grace_days } = req.body;
+
+      if (doses === undefined && grace_days === undefined) {
+        return res.status(400).json({
+          status: "error",
+          message: "Send doses, grace_days or both",
+        });
+      }
+      if (grace_days !== undefined && !(Number.isInteger(grace_days) && grace_days >= 0)) {
+        return res.status(400).json({
+          status: "error",
+          message: "grace_days must be a non-negative integer",
+        });
+      }
+      if (doses !== undefined && !Array.isArray(doses)) {
+        return res
+          .status(400)
+          .json({ status: "error", message: "doses must be an array" });
+      }
+
+      const seen = new Set();
+      for (const dose of doses || []) {
+        const key =
+          typeof dose.vaccine === "string" &&
+          `${dose.vaccine.trim().toLowerCase()}#${dose.dose_number}`;
+        if (
+          !key ||
+          !dose.vaccine.trim() ||
+          dose.vaccine.length > 50 ||
+          !(Number.isInteger(dose.dose_number) && dose.dose_number > 0) ||
+          !(Number.isInteger(dose.due_age_months) && dose.due_age_months >= 0) ||
+          seen.has(key)
+        ) {
+          return res.status(400).json({
+            status: "error",
+            message:
+              "Each dose needs a vaccine, a positive dose_number (once per vaccine) and a non-negative due_age_months",
+          });
+        }
+        seen.add(key);
+      }
+
+      const client = await pool.connect();
+      try {
+        if (!(await findDaycare(req.user, daycare_id))) {
+          return res
+            .status(404)
+            .json({ status: "not_found", message: "Daycare not found" });
+        }
+
+        await client.query("BEGIN");
+        if (grace_days !== undefined) {
+          await client.query(
+            `INSERT INTO immunization_policy (daycare_id, grace_days)
+             VALUES ($1, $2)
+             ON CONFLICT (daycare_id) DO UPDATE SET grace_days = $2`,
+            [daycare_id, grace_days]
+          );
+        }
+        if (doses !== undefined) {
+          await client.query("DELETE FROM vaccine_schedule WHERE daycare_id = $1", [
+            daycare_id,
+          ]);
+          for (const dose of doses) {
+            await client.query(
+              `INSERT INTO vaccine_schedule (daycare_id, vaccine, dose_number, due_age_months)
+               VALUES ($1, $2, $3, $4)`,
+              [daycare_id, dose.vaccine.trim(), dose.dose_number, dose.due_age_months]
+            );
+          }
+        }
+        await client.query("COMMIT");
+
+        const { custom, doses: saved } = await getSchedule(daycare_id);
+        res.json({
+          status: "success",
+          message: "Vaccine schedule updated successfully",
+          custom,
+          grace_days: await getGraceDays(daycare_id),
+          updated_data: saved,
+        });
+      } catch (err) {
+        await client.query("ROLLBACK");
+        res.status(500).json({ status: "error", error: err.message });
+      } finally {
+        client.release();
+      }
+    }
+  );
+
+  /**
+   * @swagger
+   * /get_child_immunizations/{id}:
+   *   get:
+   *     summary: Immunization status of a child
+   *     tags:
+   *       - Immunization
+   *     description: |
+   *       The doses recorded for the child, the exemptions and, for each dose of the daycare's schedule, its due date and status:
+   *       completed, exempt, missing (a later dose is recorded but not this one), upcoming, due (within the grace period) or overdue.
+   *       The child is compliant when no dose is missing or overdue.
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *           example: 3
+   *     responses:
+   *       200:
+   *         description: Immunization status
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 data:
+   *                   type: object
+   *                   properties:
+   *                     child_id:
+   *                       type: integer
+   *                       example: 3
+   *                     compliant:
+   *                       type: boolean
+   *                       example: false
+   *                     grace_days:
+   *                       type: integer
+   *                       example: 30
+   *                     doses:
+   *                       type: array
+   *                       items:
+   *                         type: object
+   *                       example: [{ vaccine: "MMR", dose_number: 2, due_date: "2025-02-25", grace_ends: "2025-03-27", status: "overdue", days_overdue: 206, administered_on: null, immunization_record_id: null, exemption_id: null }]
+   *                     records:
+   *                       type: array
+   *                       items:
+   *                         type: object
+   *                     exemptions:
+   *                       type: array
+   *                       items:
+   *                         type: object
+   *       404:
+   *         description: Child not found
+   *       500:
+   *         description: Internal server error
+   */
+  app.get(
+    "/get_child_immunizations/:id",
+    authorize(...ROLES),
+    async (req, res) => {
+      const { id } = req.params;
+
+      try {
+        const child = await findChild(req.user, id);
+        if (!child) {
+          return res
+            .status(404)
+            .json({ status: "not_found", message: "Child not found" });
+        }
+
+        const records = await pool.query(
+          `SELECT * FROM immunization_record WHERE child_id = $1
+           ORDER BY vaccine ASC, dose_number ASC`,
+          [id]
+        );
+        const exemptions = await pool.query(
+          "SELECT * FROM immunization_exemption WHERE child_id = $1 ORDER BY id ASC",
+          [id]
+        );
+        const { doses: schedule } = await getSchedule(child.daycare_id);
+        const graceDays = await getGraceDays(child.daycare_id);
+        const { compliant, doses } = immunizationStatus(
+          child,
+          schedule,
+          records.rows,
+          exemptions.rows,
+          graceDays
+        );
+
+        res.json({
+          data: {
+            child_id: child.id,
+            name: child.name,
+            date_of_birth: child.date_of_birth,
+            compliant,
+            grace_days: graceDays,
+            doses,
+            records: records.rows,
+            exemptions: exemptions.rows,
+          },
+        });
+      } catch (err) {
+        res.status(500).json({ status: "error", error: err.message });
+      }
+    }
+  );
+
+  /**
+   * @swagger
+   * /create_immunization_record:
+   *   post:
+   *     summary: Record a vaccine dose
+   *     tags:
+   *       - Immunization
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             properties:
+   *               child_id:
+   *                 type: integer
+   *                 example: 3
+   *               vaccine:
+   *                 type: string
+   *                 example: "MMR"
+   *               dose_number:
+   *                 type: integer
+   *                 example: 2
+   *               administered_on:
+   *                 type: string
+   *                 format: date
+   *                 example: "2026-10-02"
+   *               document_reference:
+   *                 type: string
+   *                 description: Where the proof is, e.g. the booklet page or the scanned certificate
+   *                 example: "Vaccination booklet p. 4"
+   *     responses:
+   *       201:
+   *         description: Immunization record created successfully
+   *       400:
+   *         description: Missing or invalid parameters, or child does not exist
+   *       409:
+   *         description: This dose is already recorded
+   *       500:
+   *         description: Internal server error
+   */
+  app.post(
+    "/create_immunization_record",
+    authorize(...STAFF_ROLES),
+    async (req, res) => {
+      const { child_id } = req.body;
+
+      if (!child_id) {
+        return res
+          .status(400)
+          .json({ status: "error", message: "child_id is required" });
+      }
+
+      try {
+        const child = await findChild(req.user, child_id);
+        if (!child) {
+          return res
+            .status(400)
+            .json({ status: "error", message: "Child does not exist" });
+        }
+
+        const { error, fields } = recordFields(req.body, child);
+        if (error) {
+          return res.status(400).json({ status: "error", message: error });
+        }
+
+        const result = await pool.query(
+          `INSERT INTO immunization_record
+             (child_id, vaccine, dose_number, administered_on, document_reference, recorded_by)
+           VALUES ($1, $2, $3, $4, $5, $6)
+           RETURNING *`,
+          [
+            child_id,
+            fields.vaccine,
+            fields.dose_number,
+            fields.administered_on,
+            fields.document_reference || null,
+            req.user.id,
+          ]
+        );
+
+        res.status(201).json({
+          status: "success",
+          message: "Immunization record created successfully",
+          created_data: result.rows[0],
+        });
+      } catch (err) {
+        if (err.code === "23505") {
+          return res.status(409).json({
+            status: "error",
+            message: "This dose is already recorded",
+          });
+        }
+        res.status(500).json({ status: "error", error: err.message });
+      }
+    }
+  );
+
+  /**
+   * @swagger
+   * /update_immunization_record/{id}:
+   *   put:
+   *     summary: Update a vaccine dose record
+   *     tags:
+   *       - Immunization
+   *     description: Omitted fields keep their current value.
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *           example: 1
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             properties:
+   *               vaccine:
+   *                 type: string
+   *               dose_number:
+   *                 type: integer
+   *               administered_on:
+   *                 type: string
+   *                 format: date
+   *               document_reference:
+   *                 type: string
+   *                 example: "Certificate scanned 2026-10-02"
+   *     responses:
+   *       200:
+   *         description: Immunization record updated successfully
+   *       400:
+   *         description: Invalid parameters
+   *       404:
+   *         description: Immunization record not found
+   *       409:
+   *         description: This dose is already recorded
+   *       500:
+   *         description: Internal server error
+   */
+  app.put(
+    "/update_immunization_record/:id",
+    authorize(...STAFF_ROLES),
+    async (req, res) => {
+      const { id } = req.params;
+
+      try {
+        const params = [id];
+        const current = await pool.query(
+          `SELECT * FROM immunization_record
+           WHERE id = $1 AND ${childScope(req.user, "child_id", params)}`,
+          params
+        );
+        if (current.rows.length === 0) {
+          return res.status(404).json({
+            status: "not_found",
+            message: "Immunization record not found",
+          });
+        }
+
+        const child = await findChild(req.user, current.rows[0].child_id);
+        const { error, fields } = recordFields(req.body, child, current.rows[0]);
+        if (error) {
+          return res.status(400).json({ status: "error", message: error });
+        }
+
+        const result = await pool.query(
+          `UPDATE immunization_record
+           SET vaccine = $1, dose_number = $2, administered_on = $3, document_reference = $4
+           WHERE id = $5
+           RETURNING *`,
+          [
+            fields.vaccine,
+            fields.dose_number,
+            fields.administered_on,
+            fields.document_reference || null,
+            id,
+          ]
+        );
+
+        res.json({
+          status: "success",
+          message: "Immunization record updated successfully",
+          updated_data: result.rows[0],
+        });
+      } catch (err) {
+        if (err.code === "23505") {
+          return res.status(409).json({
+            status: "error",
+            message: "This dose is already recorded",
+          });
+        }
+        res.status(500).json({ status: "error", error: err.message });
+      }
+    }
+  );
+
+  /**
+   * @swagger
+   * /delete_immunization_record/{id}:
+   *   delete:
+   *     summary: Delete a vaccine dose record
+   *     tags:
+   *       - Immunization
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *           example: 1
+   *     responses:
+   *       200:
+   *         description: Immunization record deleted successfully
+   *       404:
+   *         description: Immunization record not found
+   *       500:
+   *         description: Internal server error
+   */
+  app.delete(
+    "/delete_immunization_record/:id",
+    authorize(...MANAGER_ROLES),
+    async (req, res) => {
+      const params = [req.params.id];
+
+      try {
+        const result = await pool.query(
+          `DELETE FROM immunization_record
+           WHERE id = $1 AND ${childScope(req.user, "child_id", params)}`,
+          params
+        );
+
+        if (result.rowCount === 0) {
+          return res.status(404).json({
+            status: "not_found",
+            message: "Immunization record not found",
+          });
+        }
+
+        res.json({
+          status: "success",
+          message: "Immunization record deleted successfully",
+        });
+      } catch (err) {
+        res.status(500).json({ status: "error", error: err.message });
+      }
+    }
+  );
+
+  /**
+   * @swagger
+   * /create_immunization_exemption:
+   *   post:
+   *     summary: Record an immunization exemption
+   *     tags:
+   *       - Immunization
+   *     description: Doses covered by a valid exemption count as exempt instead of overdue. Without vaccine, the exemption covers every vaccine; without valid_until, it doesn't expire.
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             properties:
+   *               child_id:
+   *                 type: integer
+   *                 example: 4
+   *               vaccine:
+   *                 type: string
+   *                 nullable: true
+   *                 example: "MMR"
+   *               exemption_type:
+   *                 type: string
+   *                 enum: [medical, religious, personal]
+   *                 example: medical
+   *               notes:
+   *                 type: string
+   *                 example: "Postponed on medical advice."
+   *               document_reference:
+   *                 type: string
+   *                 example: "Medical certificate 2021-118"
+   *               valid_until:
+   *                 type: string
+   *                 format: date
+   *                 nullable: true
+   *                 example: "2027-06-30"
+   *     responses:
+   *       201:
+   *         description: Immunization exemption created successfully
+   *       400:
+   *         description: Missing or invalid parameters, or child does not exist
+   *       500:
+   *         description: Internal server error
+   */
+  app.post(
+    "/create_immunization_exemption",
+    authorize(...MANAGER_ROLES),
+    async (req, res) => {
+      const { child_id, vaccine, exemption_type, notes, document_reference, valid_until } =
+        req.body;
+
+      if (!child_id || !EXEMPTION_TYPES.includes(exemption_type)) {
+        return res.status(400).json({
+          status: "error",
+          message: `child_id and exemption_type (${EXEMPTION_TYPES.join(", ")}) are required`,
+        });
+      }
+      if (vaccine != null && (typeof vaccine !== "string" || !vaccine.trim() || vaccine.length > 50)) {
+        return res.status(400).json({
+          status: "error",
+          message: "vaccine must be a name of up to 50 characters, or null for every vaccine",
+        });
+      }
+      if (valid_until != null && !isValidDate(valid_until)) {
+        return res.status(400).json({
+          status: "error",
+          message: "valid_until must be a date in the format YYYY-MM-DD",
+        });
+      }
+
+      try {
+        if (!(await findChild(req.user, child_id))) {
+          return res
+            .status(400)
+            .json({ status: "error", message: "Child does not exist" });
+        }
+
+        const result = await pool.query(
+          `INSERT INTO immunization_exemption
+             (child_id, vaccine, exemption_type, notes, document_reference, valid_until, recorded_by)
+           VALUES ($1, $2, $3, $4, $5, $6, $7)
+           RETURNING *`,
+          [
+            child_id,
+            vaccine == null ? null : vaccine.trim(),
+            exemption_type,
+            notes || null,
+            document_reference || null,
+            valid_until || null,
+            req.user.id,
+          ]
+        );
+
+        res.status(201).json({
+          status: "success",
+          message: "Immunization exemption created successfully",
+          created_data: result.rows[0],
+        });
+      } catch (err) {
+        res.status(500).json({ status: "error", error: err.message });
+      }
+    }
+  );
+
+  /**
+   * @swagger
+   * /delete_immunization_exemption/{id}:
+   *   delete:
+   *     summary: Delete an immunization exemption
+   *     tags:
+   *       - Immunization
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *           example: 1
+   *     responses:
+   *       200:
+   *         description: Immunization exemption deleted successfully
+   *       404:
+   *         description: Immunization exemption not found
+   *       500:
+   *         description: Internal server error
+   */
+  app.delete(
+    "/delete_immunization_exemption/:id",
+    authorize(...MANAGER_ROLES),
+    async (req, res) => {
+      const params = [req.params.id];
+
+      try {
+        const result = await pool.query(
+          `DELETE FROM immunization_exemption
+           WHERE id = $1 AND ${childScope(req.user, "child_id", params)}`,
+          params
+        );
+
+        if (result.rowCount === 0) {
+          return res.status(404).json({
+            status: "not_found",
+            message: "Immunization exemption not found",
+          });
+        }
+
+        res.json({
+          status: "success",
+          message: "Immunization exemption deleted successfully",
+        });
+      } catch (err) {
+        res.status(500).json({ status: "error", error: err.message });
+      }
+    }
+  );
+
+  /**
+   * @swagger
+   * /get_immunization_compliance/{daycare_id}:
+   *   get:
+   *     summary: Immunization compliance report of a daycare
+   *     tags:
+   *       - Immunization
+   *     description: Children enrolled in the daycare with doses that are overdue (past the grace period) or missing, plus those with doses due within the grace period, non-compliant children first.
+   *     parameters:
+   *       - in: path
+   *         name: daycare_id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *           example: 2
+   *       - in: query
+   *         name: classroom_id
+   *         required: false
+   *         schema:
+   *           type: integer
+   *           example: 3
+   *     responses:
+   *       200:
+   *         description: Compliance report
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 date:
+   *                   type: string
+   *                   format: date
+   *                   example: "2026-10-19"
+   *                 grace_days:
+   *                   type: integer
+   *                   example: 30
+   *                 children_count:
+   *                   type: integer
+   *                   description: Enrolled children checked
+   *                   example: 2
+   *                 non_compliant_count:
+   *                   type: integer
+   *                   example: 1
+   *                 data:
+   *                   type: array
+   *                   items:
+   *                     type: object
+   *                   example: [{ child_id: 3, name: "Olivia Lee", classroom_id: 3, classroom_name: "Green Giraffes", date_of_birth: "2021-02-25", compliant: false, overdue: [{ vaccine: "DTaP", dose_number: 5, due_date: "2025-02-25", days_overdue: 206 }], missing: [], due: [] }]
+   *       400:
+   *         description: Invalid classroom_id
+   *       404:
+   *         description: Daycare not found
+   *       500:
+   *         description: Internal server error
+   */
+  app.get(
+    "/get_immunization_compliance/:daycare_id",
+    authorize(...STAFF_ROLES),
+    async (req, res) => {
+      const { daycare_id } = req.params;
+      const { classroom_id } = req.query;
+
+      if (classroom_id !== undefined && !/^\d+$/.test(String(classroom_id))) {
+        return res.status(400).json({
+          status: "error",
+          message: "classroom_id must be a positive integer",
+        });
+      }
+
+      try {
+        if (!(await findDaycare(req.user, daycare_id))) {
+          return res
+            .status(404)
+            .json({ status: "not_found", message: "Daycare not found" });
+        }
+
+        const params = [daycare_id];
+        let where = "c.daycare_id = $1";
+        if (classroom_id !== undefined) {
+          params.push(classroom_id);
+          where += ` AND c.classroom_id = $${params.length}`;
+        }
+
+        const children = await pool.query(
+          `SELECT c.id, c.name, c.date_of_birth, c.classroom_id, cl.name AS classroom_name
+           FROM child c
+           JOIN child_enrollment ce ON ce.child_id = c.id AND ce.status = 'active'
+           LEFT JOIN classroom cl ON cl.id = c.classroom_id
+           WHERE ${where}
+           ORDER BY c.name ASC`,
+          params
+        );
+        const childIds = children.rows.map((child) => child.id);
+        const records = await pool.query(
+          "SELECT * FROM immunization_record WHERE child_id = ANY($1::int[])",
+          [childIds]
+        );
+        const exemptions = await pool.query(
+          "SELECT * FROM immunization_exemption WHERE child_id = ANY($1::int[])",
+          [childIds]
+        );
+        const { doses: schedule } = await getSchedule(daycare_id);
+        const graceDays = await getGraceDays(daycare_id);
+
+        const pick = (doses, status) =>
+          doses
+            .filter((dose) => dose.status === status)
+            .map(({ vaccine, dose_number, due_date, grace_ends, days_overdue }) =>
+              status === "overdue"
+                ? { vaccine, dose_number, due_date, days_overdue }
+                : status === "due"
+                  ? { vaccine, dose_number, due_date, grace_ends }
+                  : { vaccine, dose_number, due_date }
+            );
+
+        const data = [];
+        for (const child of children.rows) {
+          const { compliant, doses } = immunizationStatus(
+            child,
+            schedule,
+            records.rows.filter((row) => row.child_id === child.id),
+            exemptions.rows.filter((row) => row.child_id === child.id),
+            graceDays
+          );
+          const entry = {
+            child_id: child.id,
+            name: child.name,
+            classroom_id: child.classroom_id,
+            classroom_name: child.classroom_name,
+            date_of_birth: formatDate(child.date_of_birth),
+            compliant,
+            overdue: pick(doses, "overdue"),
+            missing: pick(doses, "missing"),
+            due: pick(doses, "due"),
+          };
+          if (!compliant || entry.due.length > 0) data.push(entry);
+        }
+        data.sort((a, b) => Number(a.compliant) - Number(b.compliant));
+
+        res.json({
+          date: formatDate(new Date()),
+          grace_days: graceDays,
+          children_count: children.rows.length,
+          non_compliant_count: data.filter((entry) => !entry.compliant).length,
+          data,
+        });
+      } catch (err) {
+        res.status(500).json({ status: "error", error: err.message });
+      }
+    }
+  );
+}
+
+module.exports = { setupImmunizations, immunizationStatus, recordFields };
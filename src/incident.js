@@ -0,0 +1,653 @@
+const pool = require("./db");
+const { authorize, ROLES, STAFF_ROLES, MANAGER_ROLES } = require("./auth");
+const { childScope } = require("./tenant");
+const { parseListQuery, pageInfo } = require("./pagination");
+const { isValidDateTime, formatDate } = require("./validation");
+const { enqueueNotification } = require("./notification");
+const { publishPresence } = require("./presence");
+
+const CATEGORIES = ["injury", "illness", "behaviour", "other"];
+
+// filtros e ordenação aceites por /get_incident_reports
+const INCIDENT_LIST = {
+  filters: {
+    daycare_id: { column: "daycare_id", type: "id" },
+    child_id: { column: "child_id", type: "id" },
+    classroom_id: { column: "classroom_id", type: "id" },
+    staff_id: { column: "staff_id", type: "id" },
+    status: { column: "status", type: "text" },
+    category: { column: "category", type: "text" },
+    from: { column: "occurred_at::date", op: ">=", type: "date" },
+    to: { column: "occurred_at::date", op: "<=", type: "date" },
+  },
+  sort: ["id", "occurred_at", "status", "category"],
+};
+
+// Condição para as listagens: os pais só veem os relatórios das suas
+// crianças e depois de revistos pelo diretor
+function incidentScope(user, params) {
+  const scope = childScope(user, "child_id", params);
+  return user.role === "parent" ? `${scope} AND status <> 'submitted'` : scope;
+}
+
+async function findIncident(user, id) {
+  const params = [id];
+  const result = await pool.query(
+    `SELECT * FROM incident_report
+     WHERE id = $1 AND ${incidentScope(user, params)}`,
+    params
+  );
+  return result.rows[0];
+}
+
+// Devolve a mensagem de erro do primeiro campo inválido, ou null
+function validateIncident({ category, occurred_at, location, description }) {
+  if (!category || !occurred_at || !location || !description) {
+    return "category, occurred_at, location and description are required";
+  }
+  if (!CATEGORIES.includes(category)) {
+    return `category must be one of: ${CATEGORIES.join(", ")}`;
+  }
+  if (!isValidDateTime(occurred_at)) {
+    return "occurred_at must be a date and time in ISO 8601 format (YYYY-MM-DDTHH:MM)";
+  }
+  if (new Date(occurred_at) > new Date()) {
+    return "occurred_at can't be in the future";
+  }
+  return null;
+}
+
+// A sala e o funcionário têm de ser do daycare da criança
+async function checkReferences(daycareId, classroomId, staffId) {
+  if (classroomId) {
+    const classroom = await pool.query(
+      "SELECT id FROM classroom WHERE id = $1 AND daycare_id = $2",
+      [classroomId, daycareId]
+    );
+    if (classroom.rows.length === 0) return "Classroom does not exist";
+  }
+
+  const staff = await pool.query(
+    "SELECT id FROM staff WHERE id = $1 AND daycare_id = $2",
+    [staffId, daycareId]
+  );
+  if (staff.rows.length === 0) return "Staff member does not exist";
+
+  return null;
+}
+
+function setupIncidents(app) {
+  /**
+   * @swagger
+   * /get_incident_reports:
+   *   get:
+   *     summary: Get incident reports
+   *     tags:
+   *       - Incident
+   *     description: Lists incident and accident reports, e.g. for a regulatory inspection of a daycare over a date range. Parents only see the reports of their children once they have been reviewed by a manager.
+   *     parameters:
+   *       - $ref: '#/components/parameters/limit'
+   *       - $ref: '#/components/parameters/offset'
+   *       - in: query
+   *         name: sort
+   *         required: false
+   *         description: "Sort field, prefixed with - for descending order. One of: id, occurred_at, status, category"
+   *         schema:
+   *           type: string
+   *           example: "-occurred_at"
+   *       - in: query
+   *         name: daycare_id
+   *         required: false
+   *         schema:
+   *           type: integer
+   *           example: 1
+   *       - in: query
+   *         name: child_id
+   *         required: false
+   *         schema:
+   *           type: integer
+   *           example: 1
+   *       - in: query
+   *         name: classroom_id
+   *         required: false
+   *         schema:
+   *           type: integer
+   *           example: 1
+   *       - in: query
+   *         name: staff_id
+   *         required: false
+   *         description: Only reports written by this staff member
+   *         schema:
+   *           type: integer
+   *           example: 2
+   *       - in: query
+   *         name: status
+   *         required: false
+   *         schema:
+   *           type: string
+   *           enum: [submitted, reviewed, acknowledged]
+   *       - in: query
+   *         name: category
+   *         required: false
+   *         schema:
+   *           type: string
+   *           enum: [injury, illness, behaviour, other]
+   *       - in: query
+   *         name: from
+   *         required: false
+   *         description: Only incidents on or after this date (YYYY-MM-DD)
+   *         schema:
+   *           type: string
+   *           format: date
+   *           example: "2026-01-01"
+   *       - in: query
+   *         name: to
+   *         required: false
+   *         description: Only incidents on or before this date (YYYY-MM-DD)
+   *         schema:
+   *           type: string
+   *           format: date
+   *           example: "2026-03-31"
+   *     responses:
+   *       200:
+   *         description: A page of incident reports
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 incidents_count:
+   *                   type: integer
+   *                   example: 1
+   *                 pagination:
+   *                   $ref: '#/components/schemas/Pagination'
+   *                 data:
+   *                   type: array
+   *                   items:
+   *                     $ref: '#/components/schemas/IncidentReport'
+   *       400:
+   *         description: Invalid pagination, sort or filter parameters
+   *       500:
+   *         description: Internal server error
+   */
+  app.get("/get_incident_reports", authorize(...ROLES), async (req, res) => {
+    const params = [];
+    const scope = incidentScope(req.user, params);
+    const list = parseListQuery(req.query, INCIDENT_LIST, params);
+
+    if (list.error) {
+      return res.status(400).json({ status: "error", message: list.error });
+    }
+
+    const where = [scope, ...list.conditions].join(" AND ");
+
+    try {
+      const count = await pool.query(
+        `SELECT COUNT(*) AS total FROM incident_report WHERE ${where}`,
+        params
+      );
+      const data = await pool.query(
+        `SELECT * FROM incident_report WHERE ${where}
+         ORDER BY ${list.orderBy} LIMIT ${list.limit} OFFSET ${list.offset}`,
+        params
+      );
+      const total = parseInt(count.rows[0].total, 10);
+
+      res.json({
+        incidents_count: total,
+        data: data.rows,
+        pagination: pageInfo(req, list, total),
+      });
+    } catch (err) {
+      res.status(500).json({ status: "error", error: err.message });
+    }
+  });
+
+  /**
+   * @swagger
+   * /get_incident_report/{id}:
+   *   get:
+   *     summary: Get an incident report by ID
+   *     tags:
+   *       - Incident
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *           example: 1
+   *     responses:
+   *       200:
+   *         description: The incident report
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 data:
+   *                   $ref: '#/components/schemas/IncidentReport'
+   *       404:
+   *         description: Incident report not found
+   *       500:
+   *         description: Internal server error
+   */
+  app.get(
+    "/get_incident_report/:id",
+    authorize(...ROLES),
+    async (req, res) => {
+      try {
+        const incident = await findIncident(req.user, req.params.id);
+        if (!incident) {
+          return res.status(404).json({
+            status: "not_found",
+            message: "Incident report not found",
+          });
+        }
+
+        res.json({ data: incident });
+      } catch (err) {
+        res.status(500).json({ status: "error", error: err.message });
+      }
+    }
+  );
+
+  /**
+   * @swagger
+   * /create_incident_report:
+   *   post:
+   *     summary: Submit an incident report
+   *     tags:
+   *       - Incident
+   *     description: Records an incident or accident involving a child. The report starts as submitted and must be reviewed by a manager before the guardians can see and acknowledge it. classroom_id defaults to the child's current classroom. The guardians are notified that a report was filed, without its details.
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             $ref: '#/components/schemas/IncidentReportInput'
+   *     responses:
+   *       201:
+   *         description: Incident report submitted successfully
+   *       400:
+   *         description: Missing or invalid parameters, or child/classroom/staff member does not exist
+   *       500:
+   *         description: Internal server error
+   */
+  app.post(
+    "/create_incident_report",
+    authorize(...STAFF_ROLES),
+    async (req, res) => {
+      const {
+        child_id,
+        classroom_id,
+        staff_id,
+        category,
+        occurred_at,
+        location,
+        description,
+        injury_type,
+        first_aid_given,
+        witnesses,
+      } = req.body;
+
+      if (!child_id || !staff_id) {
+        return res.status(400).json({
+          status: "error",
+          message: "child_id and staff_id are required",
+        });
+      }
+
+      const invalid = validateIncident(req.body);
+      if (invalid) {
+        return res.status(400).json({ status: "error", message: invalid });
+      }
+
+      const client = await pool.connect();
+      try {
+        const params = [child_id];
+        const child = await pool.query(
+          `SELECT id, name, daycare_id, classroom_id FROM child
+           WHERE id = $1 AND ${childScope(req.user, "id", params)}`,
+          params
+        );
+        if (child.rows.length === 0) {
+          return res
+            .status(400)
+            .json({ status: "error", message: "Child does not exist" });
+        }
+
+        const { daycare_id } = child.rows[0];
+        const classroomId = classroom_id || child.rows[0].classroom_id;
+        const missing = await checkReferences(daycare_id, classroomId, staff_id);
+        if (missing) {
+          return res.status(400).json({ status: "error", message: missing });
+        }
+
+        await client.query("BEGIN");
+        const result = await client.query(
+          `INSERT INTO incident_report
+             (child_id, daycare_id, classroom_id, staff_id, category, occurred_at,
+              location, description, injury_type, first_aid_given, witnesses)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+           RETURNING *`,
+          [
+            child_id,
+            daycare_id,
+            classroomId,
+            staff_id,
+            category,
+            occurred_at,
+            location,
+            description,
+            injury_type || null,
+            first_aid_given || null,
+            witnesses || null,
+          ]
+        );
+        // o relatório só fica visível aos pais depois de revisto, por isso a
+        // notificação não leva os detalhes
+        const { name } = child.rows[0];
+        await enqueueNotification(client, {
+          event_type: "incident_reported",
+          event_id: result.rows[0].id,
+          daycare_id,
+          child_id,
+          subject: `Incident report about ${name}`,
+          body:
+            `An incident involving ${name} was reported on ${formatDate(result.rows[0].occurred_at)}. ` +
+            "You can read the report in the app once it has been reviewed by staff.",
+        });
+        await publishPresence(client, daycare_id, "incident_reported", {
+          incident_id: result.rows[0].id,
+          child_id: result.rows[0].child_id,
+          name,
+          classroom_id: result.rows[0].classroom_id,
+          category: result.rows[0].category,
+          occurred_at: result.rows[0].occurred_at,
+          location: result.rows[0].location,
+        });
+        await client.query("COMMIT");
+
+        res.status(201).json({
+          status: "success",
+          message: "Incident report submitted successfully",
+          created_data: result.rows[0],
+        });
+      } catch (err) {
+        await client.query("ROLLBACK");
+        res.status(500).json({ status: "error", error: err.message });
+      } finally {
+        client.release();
+      }
+    }
+  );
+
+  /**
+   * @swagger
+   * /update_incident_report/{id}:
+   *   put:
+   *     summary: Correct an incident report
+   *     tags:
+   *       - Incident
+   *     description: Replaces the details of a report that has not been reviewed yet. The child of the report can't be changed and the classroom is kept when classroom_id is omitted.
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *           example: 1
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             $ref: '#/components/schemas/IncidentReportInput'
+   *     responses:
+   *       200:
+   *         description: Incident report updated successfully
+   *       400:
+   *         description: Missing or invalid parameters, or classroom/staff member does not exist
+   *       404:
+   *         description: Incident report not found
+   *       409:
+   *         description: The report has already been reviewed
+   *       500:
+   *         description: Internal server error
+   */
+  app.put(
+    "/update_incident_report/:id",
+    authorize(...STAFF_ROLES),
+    async (req, res) => {
+      const { id } = req.params;
+      const {
+        classroom_id,
+        staff_id,
+        category,
+        occurred_at,
+        location,
+        description,
+        injury_type,
+        first_aid_given,
+        witnesses,
+      } = req.body;
+
+      if (!staff_id) {
+        return res
+          .status(400)
+          .json({ status: "error", message: "staff_id is required" });
+      }
+
+      const invalid = validateIncident(req.body);
+      if (invalid) {
+        return res.status(400).json({ status: "error", message: invalid });
+      }
+
+      try {
+        const incident = await findIncident(req.user, id);
+        if (!incident) {
+          return res.status(404).json({
+            status: "not_found",
+            message: "Incident report not found",
+          });
+        }
+
+        if (incident.status !== "submitted") {
+          return res.status(409).json({
+            status: "error",
+            message: "Only reports that have not been reviewed can be changed",
+          });
+        }
+
+        const classroomId =
+          classroom_id === undefined ? incident.classroom_id : classroom_id;
+        const missing = await checkReferences(
+          incident.daycare_id,
+          classroomId,
+          staff_id
+        );
+        if (missing) {
+          return res.status(400).json({ status: "error", message: missing });
+        }
+
+        const result = await pool.query(
+          `UPDATE incident_report
+           SET classroom_id = $1, staff_id = $2, category = $3, occurred_at = $4,
+               location = $5, description = $6, injury_type = $7,
+               first_aid_given = $8, witnesses = $9
+           WHERE id = $10 AND status = 'submitted'
+           RETURNING *`,
+          [
+            classroomId || null,
+            staff_id,
+            category,
+            occurred_at,
+            location,
+            description,
+            injury_type || null,
+            first_aid_given || null,
+            witnesses || null,
+            id,
+          ]
+        );
+
+        res.json({
+          status: "success",
+          message: "Incident report updated successfully",
+          updated_data: result.rows[0],
+        });
+      } catch (err) {
+        res.status(500).json({ status: "error", error: err.message });
+      }
+    }
+  );
+
+  /**
+   * @swagger
+   * /review_incident_report/{id}:
+   *   put:
+   *     summary: Review an incident report
+   *     tags:
+   *       - Incident
+   *     description: A manager (director or admin) confirms a submitted report, optionally with notes. From then on the report can't be changed and the child's guardians can see it and acknowledge it.
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *           example: 1
+   *     requestBody:
+   *       required: false
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             properties:
+   *               review_notes:
+   *                 type: string
+   *                 example: "Parents informed by phone at 11:00"
+   *     responses:
+   *       200:
+   *         description: Incident report reviewed successfully
+   *       404:
+   *         description: Incident report not found
+   *       409:
+   *         description: The report has already been reviewed
+   *       500:
+   *         description: Internal server error
+   */
+  app.put(
+    "/review_incident_report/:id",
+    authorize(...MANAGER_ROLES),
+    async (req, res) => {
+      const { id } = req.params;
+      const { review_notes } = req.body || {};
+
+      try {
+        const incident = await findIncident(req.user, id);
+        if (!incident) {
+          return res.status(404).json({
+            status: "not_found",
+            message: "Incident report not found",
+          });
+        }
+
+        const result = await pool.query(
+          `UPDATE incident_report
+           SET status = 'reviewed', reviewed_by = $1, reviewed_at = NOW(),
+               review_notes = $2
+           WHERE id = $3 AND status = 'submitted'
+           RETURNING *`,
+          [req.user.id, review_notes || null, id]
+        );
+
+        if (result.rows.length === 0) {
+          return res.status(409).json({
+            status: "error",
+            message: "Incident report has already been reviewed",
+          });
+        }
+
+        res.json({
+          status: "success",
+          message: "Incident report reviewed successfully",
+          updated_data: result.rows[0],
+        });
+      } catch (err) {
+        res.status(500).json({ status: "error", error: err.message });
+      }
+    }
+  );
+
+  /**
+   * @swagger
+   * /acknowledge_incident_report/{id}:
+   *   put:
+   *     summary: Acknowledge an incident report
+   *     tags:
+   *       - Incident
+   *     description: A guardian linked to the child confirms they have read a reviewed report. The first guardian to acknowledge it closes the report.
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *           example: 1
+   *     responses:
+   *       200:
+   *         description: Incident report acknowledged successfully
+   *       404:
+   *         description: Incident report not found
+   *       409:
+   *         description: The report has already been acknowledged
+   *       500:
+   *         description: Internal server error
+   */
+  app.put(
+    "/acknowledge_incident_report/:id",
+    authorize("parent"),
+    async (req, res) => {
+      const { id } = req.params;
+
+      try {
+        // só aparece aos pais ligados à criança e depois de revisto
+        const incident = await findIncident(req.user, id);
+        if (!incident) {
+          return res.status(404).json({
+            status: "not_found",
+            message: "Incident report not found",
+          });
+        }
+
+        const result = await pool.query(
+          `UPDATE incident_report
+           SET status = 'acknowledged', acknowledged_by = $1,
+               acknowledged_at = NOW()
+           WHERE id = $2 AND status = 'reviewed'
+           RETURNING *`,
+          [req.user.parent_id, id]
+        );
+
+        if (result.rows.length === 0) {
+          return res.status(409).json({
+            status: "error",
+            message: "Incident report has already been acknowledged",
+          });
+        }
+
+        res.json({
+          status: "success",
+          message: "Incident report acknowledged successfully",
+          updated_data: result.rows[0],
+        });
+      } catch (err) {
+        res.status(500).json({ status: "error", error: err.message });
+      }
+    }
+  );
+}
+
+module.exports = { setupIncidents };
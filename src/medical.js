@@ -0,0 +1,545 @@
+const pool = require("./db");
+const { authorize, ROLES, STAFF_ROLES, MANAGER_ROLES } = require("./auth");
+const { daycareScope, childScope } = require("./tenant");
+const { isValidDate, isValidTime } = require("./validation");
+
+const SEVERITIES = ["mild", "moderate", "severe"];
+
+// Junta numa só resposta os dados médicos de uma criança
+async function getMedicalProfile(childId) {
+  const profile = await pool.query(
+    "SELECT doctor_name, doctor_phone, notes FROM child_medical WHERE child_id = $1",
+    [childId]
+  );
+  const allergies = await pool.query(
+    "SELECT * FROM child_allergy WHERE child_id = $1 ORDER BY id ASC",
+    [childId]
+  );
+  const diets = await pool.query(
+    "SELECT * FROM child_dietary_restriction WHERE child_id = $1 ORDER BY id ASC",
+    [childId]
+  );
+  const medications = await pool.query(
+    "SELECT * FROM child_medication WHERE child_id = $1 ORDER BY id ASC",
+    [childId]
+  );
+
+  return {
+    doctor_name: profile.rows[0] ? profile.rows[0].doctor_name : null,
+    doctor_phone: profile.rows[0] ? profile.rows[0].doctor_phone : null,
+    notes: profile.rows[0] ? profile.rows[0].notes : null,
+    allergies: allergies.rows,
+    dietary_restrictions: diets.rows,
+    medications: medications.rows,
+  };
+}
+
+// Devolve a mensagem de erro do primeiro campo inválido, ou null
+function validateMedical({ allergies, dietary_restrictions, medications }) {
+  if (
+    !Array.isArray(allergies) ||
+    !Array.isArray(dietary_restrictions) ||
+    !Array.isArray(medications)
+  ) {
+    return "allergies, dietary_restrictions and medications must be arrays";
+  }
+
+  for (const allergy of allergies) {
+    if (!allergy.allergen || !SEVERITIES.includes(allergy.severity)) {
+      return `Each allergy needs an allergen and a severity (${SEVERITIES.join(", ")})`;
+    }
+  }
+
+  for (const diet of dietary_restrictions) {
+    if (typeof diet !== "string" || !diet) {
+      return "Each dietary restriction must be a non-empty string";
+    }
+  }
+
+  for (const med of medications) {
+    if (!med.name || !med.dosage || !isValidDate(med.start_date)) {
+      return "Each medication needs a name, a dosage and a start_date (YYYY-MM-DD)";
+    }
+    if (med.end_date && !isValidDate(med.end_date)) {
+      return "Medication end_date must be in the format YYYY-MM-DD";
+    }
+    if (
+      !Array.isArray(med.schedule_times) ||
+      med.schedule_times.length === 0 ||
+      !med.schedule_times.every(isValidTime)
+    ) {
+      return "Each medication needs schedule_times as a list of HH:MM times";
+    }
+  }
+
+  return null;
+}
+
+function setupMedical(app) {
+  /**
+   * @swagger
+   * /get_child_medical/{id}:
+   *   get:
+   *     summary: Get the medical profile of a child
+   *     tags:
+   *       - Medical
+   *     description: Returns the doctor contact, allergies, dietary restrictions and medications of a child.
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *           example: 1
+   *     responses:
+   *       200:
+   *         description: Medical profile of the child
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 data:
+   *                   type: object
+   *                   properties:
+   *                     doctor_name:
+   *                       type: string
+   *                       example: "Dr. Ana Costa"
+   *                     doctor_phone:
+   *                       type: string
+   *                       example: "555-222-3333"
+   *                     notes:
+   *                       type: string
+   *                       example: "Carries an EpiPen in the backpack"
+   *                     allergies:
+   *                       type: array
+   *                       items:
+   *                         type: object
+   *                         properties:
+   *                           id:
+   *                             type: integer
+   *                             example: 1
+   *                           allergen:
+   *                             type: string
+   *                             example: "Peanuts"
+   *                           severity:
+   *                             type: string
+   *                             example: severe
+   *                           reaction:
+   *                             type: string
+   *                             example: "Anaphylaxis"
+   *                     dietary_restrictions:
+   *                       type: array
+   *                       items:
+   *                         type: object
+   *                         properties:
+   *                           id:
+   *                             type: integer
+   *                             example: 1
+   *                           description:
+   *                             type: string
+   *                             example: "Vegetarian"
+   *                     medications:
+   *                       type: array
+   *                       items:
+   *                         type: object
+   *                         properties:
+   *                           id:
+   *                             type: integer
+   *                             example: 1
+   *                           name:
+   *                             type: string
+   *                             example: "Amoxicillin"
+   *                           dosage:
+   *                             type: string
+   *                             example: "5 ml"
+   *                           schedule_times:
+   *                             type: array
+   *                             items:
+   *                               type: string
+   *                             example: ["09:00", "15:00"]
+   *                           start_date:
+   *                             type: string
+   *                             format: date
+   *                             example: "2025-03-10"
+   *                           end_date:
+   *                             type: string
+   *                             format: date
+   *                             example: "2025-03-17"
+   *                           instructions:
+   *                             type: string
+   *                             example: "Give after lunch"
+   *       404:
+   *         description: Child not found
+   *       500:
+   *         description: Internal server error
+   */
+  app.get("/get_child_medical/:id", authorize(...ROLES), async (req, res) => {
+    const { id } = req.params;
+    const params = [id];
+    const scope = childScope(req.user, "id", params);
+
+    try {
+      const child = await pool.query(
+        `SELECT id FROM child WHERE id = $1 AND ${scope}`,
+        params
+      );
+
+      if (child.rows.length === 0) {
+        return res
+          .status(404)
+          .json({ status: "not_found", message: "Child not found" });
+      }
+
+      res.json({ data: await getMedicalProfile(id) });
+    } catch (err) {
+      res.status(500).json({ status: "error", error: err.message });
+    }
+  });
+
+  /**
+   * @swagger
+   * /update_child_medical/{id}:
+   *   put:
+   *     summary: Replace the medical profile of a child
+   *     tags:
+   *       - Medical
+   *     description: Replaces the whole medical profile of a child (doctor contact, allergies, dietary restrictions and medications) in a single transaction. Send empty arrays to clear a list.
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *           example: 1
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             properties:
+   *               doctor_name:
+   *                 type: string
+   *                 example: "Dr. Ana Costa"
+   *               doctor_phone:
+   *                 type: string
+   *                 example: "555-222-3333"
+   *               notes:
+   *                 type: string
+   *                 example: "Carries an EpiPen in the backpack"
+   *               allergies:
+   *                 type: array
+   *                 items:
+   *                   type: object
+   *                   properties:
+   *                     allergen:
+   *                       type: string
+   *                       example: "Peanuts"
+   *                     severity:
+   *                       type: string
+   *                       enum: [mild, moderate, severe]
+   *                       example: severe
+   *                     reaction:
+   *                       type: string
+   *                       example: "Anaphylaxis"
+   *               dietary_restrictions:
+   *                 type: array
+   *                 items:
+   *                   type: string
+   *                 example: ["Vegetarian"]
+   *               medications:
+   *                 type: array
+   *                 items:
+   *                   type: object
+   *                   properties:
+   *                     name:
+   *                       type: string
+   *                       example: "Amoxicillin"
+   *                     dosage:
+   *                       type: string
+   *                       example: "5 ml"
+   *                     schedule_times:
+   *                       type: array
+   *                       items:
+   *                         type: string
+   *                       example: ["09:00", "15:00"]
+   *                     start_date:
+   *                       type: string
+   *                       format: date
+   *                       example: "2025-03-10"
+   *                     end_date:
+   *                       type: string
+   *                       format: date
+   *                       example: "2025-03-17"
+   *                     instructions:
+   *                       type: string
+   *                       example: "Give after lunch"
+   *     responses:
+   *       200:
+   *         description: Medical profile updated successfully
+   *       400:
+   *         description: Missing or invalid parameters
+   *       404:
+   *         description: Child not found
+   *       500:
+   *         description: Internal server error
+   */
+  app.put(
+    "/update_child_medical/:id",
+    authorize(...MANAGER_ROLES),
+    async (req, res) => {
+      const { id } = req.params;
+      const {
+        doctor_name,
+        doctor_phone,
+        notes,
+        allergies,
+        dietary_restrictions,
+        medications,
+      } = req.body;
+
+      const error = validateMedical(req.body);
+      if (error) {
+        return res.status(400).json({ status: "error", message: error });
+      }
+
+      const params = [id];
+      const scope = childScope(req.user, "id", params);
+      const client = await pool.connect();
+
+      try {
+        const child = await client.query(
+          `SELECT id FROM child WHERE id = $1 AND ${scope}`,
+          params
+        );
+
+        if (child.rows.length === 0) {
+          return res
+            .status(404)
+            .json({ status: "not_found", message: "Child not found" });
+        }
+
+        await client.query("BEGIN");
+
+        await client.query(
+          `INSERT INTO child_medical (child_id, doctor_name, doctor_phone, notes)
+           VALUES ($1, $2, $3, $4)
+           ON CONFLICT (child_id) DO UPDATE
+           SET doctor_name = $2, doctor_phone = $3, notes = $4`,
+          [id, doctor_name || null, doctor_phone || null, notes || null]
+        );
+
+        await client.query("DELETE FROM child_allergy WHERE child_id = $1", [
+          id,
+        ]);
+        for (const allergy of allergies) {
+          await client.query(
+            `INSERT INTO child_allergy (child_id, allergen, severity, reaction)
+             VALUES ($1, $2, $3, $4)`,
+            [id, allergy.allergen, allergy.severity, allergy.reaction || null]
+          );
+        }
+
+        await client.query(
+          "DELETE FROM child_dietary_restriction WHERE child_id = $1",
+          [id]
+        );
+        for (const description of dietary_restrictions) {
+          await client.query(
+            `INSERT INTO child_dietary_restriction (child_id, description)
+             VALUES ($1, $2)`,
+            [id, description]
+          );
+        }
+
+        await client.query("DELETE FROM child_medication WHERE child_id = $1", [
+          id,
+        ]);
+        for (const med of medications) {
+          await client.query(
+            `INSERT INTO child_medication
+               (child_id, name, dosage, schedule_times, start_date, end_date, instructions)
+             VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+            [
+              id,
+              med.name,
+              med.dosage,
+              med.schedule_times,
+              med.start_date,
+              med.end_date || null,
+              med.instructions || null,
+            ]
+          );
+        }
+
+        await client.query("COMMIT");
+
+        res.json({
+          status: "success",
+          message: "Medical profile updated successfully",
+          updated_data: await getMedicalProfile(id),
+        });
+      } catch (err) {
+        await client.query("ROLLBACK");
+        res.status(500).json({ status: "error", error: err.message });
+      } finally {
+        client.release();
+      }
+    }
+  );
+
+  /**
+   * @swagger
+   * /get_classroom_alerts/{id}:
+   *   get:
+   *     summary: Medical alerts of a classroom
+   *     tags:
+   *       - Medical
+   *     description: Lists every child of the classroom with a severe allergy or a medication due today, so that any member of staff (e.g. a substitute) can see them at a glance.
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *           example: 1
+   *     responses:
+   *       200:
+   *         description: Children with medical alerts
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 alerts_count:
+   *                   type: integer
+   *                   example: 1
+   *                 data:
+   *                   type: array
+   *                   items:
+   *                     type: object
+   *                     properties:
+   *                       child_id:
+   *                         type: integer
+   *                         example: 1
+   *                       name:
+   *                         type: string
+   *                         example: "Emily Johnson"
+   *                       severe_allergies:
+   *                         type: array
+   *                         items:
+   *                           type: object
+   *                           properties:
+   *                             allergen:
+   *                               type: string
+   *                               example: "Peanuts"
+   *                             reaction:
+   *                               type: string
+   *                               example: "Anaphylaxis"
+   *                       medications_due:
+   *                         type: array
+   *                         items:
+   *                           type: object
+   *                           properties:
+   *                             name:
+   *                               type: string
+   *                               example: "Amoxicillin"
+   *                             dosage:
+   *                               type: string
+   *                               example: "5 ml"
+   *                             schedule_times:
+   *                               type: array
+   *                               items:
+   *                                 type: string
+   *                               example: ["09:00", "15:00"]
+   *                             instructions:
+   *                               type: string
+   *                               example: "Give after lunch"
+   *       404:
+   *         description: Classroom not found
+   *       500:
+   *         description: Internal server error
+   */
+  app.get(
+    "/get_classroom_alerts/:id",
+    authorize(...STAFF_ROLES),
+    async (req, res) => {
+      const { id } = req.params;
+      const params = [id];
+      const scope = daycareScope(req.user, "daycare_id", params);
+
+      try {
+        const classroom = await pool.query(
+          `SELECT id FROM classroom WHERE id = $1 AND ${scope}`,
+          params
+        );
+
+        if (classroom.rows.length === 0) {
+          return res
+            .status(404)
+            .json({ status: "not_found", message: "Classroom not found" });
+        }
+
+        const allergies = await pool.query(
+          `SELECT c.id AS child_id, c.name, a.allergen, a.reaction
+           FROM child c
+           JOIN child_allergy a ON a.child_id = c.id
+           WHERE c.classroom_id = $1 AND a.severity = 'severe'
+           ORDER BY a.id ASC`,
+          [id]
+        );
+        const medications = await pool.query(
+          `SELECT c.id AS child_id, c.name, m.name AS medication, m.dosage,
+                  m.schedule_times, m.instructions
+           FROM child c
+           JOIN child_medication m ON m.child_id = c.id
+           WHERE c.classroom_id = $1
+             AND m.start_date <= CURRENT_DATE
+             AND (m.end_date IS NULL OR m.end_date >= CURRENT_DATE)
+           ORDER BY m.id ASC`,
+          [id]
+        );
+
+        // agrupa as alergias e medicações por criança
+        const alerts = new Map();
+        const alertFor = (row) => {
+          if (!alerts.has(row.child_id)) {
+            alerts.set(row.child_id, {
+              child_id: row.child_id,
+              name: row.name,
+              severe_allergies: [],
+              medications_due: [],
+            });
+          }
+          return alerts.get(row.child_id);
+        };
+
+        for (const row of allergies.rows) {
+          alertFor(row).severe_allergies.push({
+            allergen: row.allergen,
+            reaction: row.reaction,
+          });
+        }
+        for (const row of medications.rows) {
+          alertFor(row).medications_due.push({
+            name: row.medication,
+            dosage: row.dosage,
+            schedule_times: row.schedule_times,
+            instructions: row.instructions,
+          });
+        }
+
+        const data = [...alerts.values()].sort((a, b) =>
+          a.name.localeCompare(b.name)
+        );
+
+        res.json({ alerts_count: data.length, data });
+      } catch (err) {
+        res.status(500).json({ status: "error", error: err.message });
+      }
+    }
+  );
+}
+
+module.exports = { setupMedical, getMedicalProfile };
@@ -0,0 +1,755 @@
+const pool = require("./db");
+const { authorize, ROLES, STAFF_ROLES } = require("./auth");
+const { daycareScope, childScope } = require("./tenant");
+const { parseListQuery, pageInfo } = require("./pagination");
+
+const MAX_ATTACHMENTS = 10;
+
+// filtros e ordenação aceites por /get_message_threads
+const THREAD_LIST = {
+  filters: {
+    kind: { column: "kind", type: "text" },
+    child_id: { column: "child_id", type: "id" },
+    classroom_id: { column: "classroom_id", type: "id" },
+  },
+  sort: ["id", "created_at", "last_message_at"],
+};
+
+// Fios que o utilizador pode ver: o staff vê os do seu daycare; um pai vê as
+// conversas sobre os seus filhos (enquanto estiver ligado a eles) e os avisos
+// que recebeu. Ter recebido uma mensagem de uma conversa não chega para a ver.
+function threadScope(user, table, params) {
+  if (user.role !== "parent") {
+    return daycareScope(user, `${table}.daycare_id`, params);
+  }
+
+  const children = childScope(user, `${table}.child_id`, params);
+  params.push(user.id);
+  return `((${table}.kind = 'conversation' AND ${children})
+    OR (${table}.kind = 'announcement' AND ${table}.id IN (
+      SELECT m.thread_id FROM message m
+      JOIN message_recipient r ON r.message_id = m.id
+      WHERE r.user_id = $${params.length})))`;
+}
+
+async function findThread(user, id) {
+  const params = [id];
+  const result = await pool.query(
+    `SELECT * FROM message_thread t
+     WHERE t.id = $1 AND ${threadScope(user, "t", params)}`,
+    params
+  );
+  return result.rows[0];
+}
+
+// Valida o texto e os anexos de uma mensagem; devolve { error } ou { fields }
+function messageFields(body) {
+  const { attachments = [] } = body;
+
+  if (typeof body.body !== "string" || !body.body.trim()) {
+    return { error: "body is required" };
+  }
+  if (!Array.isArray(attachments) || attachments.length > MAX_ATTACHMENTS) {
+    return {
+      error: `attachments must be an array of up to ${MAX_ATTACHMENTS} items`,
+    };
+  }
+  for (const attachment of attachments) {
+    const { file_name, url, content_type, size_bytes } = attachment || {};
+    if (
+      typeof file_name !== "string" ||
+      !file_name.trim() ||
+      file_name.length > 255 ||
+      typeof url !== "string" ||
+      !/^https?:\/\//.test(url) ||
+      url.length > 500
+    ) {
+      return {
+        error: "Each attachment needs a file_name and an http(s) url",
+      };
+    }
+    if (
+      (content_type != null &&
+        (typeof content_type !== "string" || content_type.length > 100)) ||
+      (size_bytes != null && !(Number.isInteger(size_bytes) && size_bytes >= 0))
+    ) {
+      return {
+        error:
+          "content_type must be a MIME type and size_bytes a non-negative integer",
+      };
+    }
+  }
+
+  return { fields: { body: body.body.trim(), attachments } };
+}
+
+// Contas que recebem uma mensagem do fio (sem o remetente): numa conversa, os
+// responsáveis da criança e o staff do daycare; num aviso, os responsáveis das
+// crianças inscritas na sala
+async function recipientIds(db, thread, senderId) {
+  const result =
+    thread.kind === "conversation"
+      ? await db.query(
+          `SELECT u.id FROM app_user u
+           JOIN enrollment e ON e.parent_id = u.parent_id
+           WHERE u.role = 'parent' AND e.child_id = $1
+           UNION
+           SELECT id FROM app_user
+           WHERE role IN ('admin', 'director', 'teacher') AND daycare_id = $2`,
+          [thread.child_id, thread.daycare_id]
+        )
+      : await db.query(
+          `SELECT DISTINCT u.id FROM app_user u
+           JOIN enrollment e ON e.parent_id = u.parent_id
+           JOIN child c ON c.id = e.child_id
+           JOIN child_enrollment ce ON ce.child_id = c.id AND ce.status = 'active'
+           WHERE u.role = 'parent' AND c.classroom_id = $1`,
+          [thread.classroom_id]
+        );
+
+  return result.rows.map((row) => row.id).filter((id) => id !== senderId);
+}
+
+// Grava a mensagem, os anexos e um recibo por destinatário (dentro da
+// transação de quem chama)
+async function sendMessage(db, thread, user, fields) {
+  const message = await db.query(
+    `INSERT INTO message (thread_id, sender_id, body)
+     VALUES ($1, $2, $3)
+     RETURNING *`,
+    [thread.id, user.id, fields.body]
+  );
+  const saved = message.rows[0];
+
+  saved.attachments = [];
+  for (const attachment of fields.attachments) {
+    const result = await db.query(
+      `INSERT INTO message_attachment (message_id, file_name, content_type, size_bytes, url)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING *`,
+      [
+        saved.id,
+        attachment.file_name.trim(),
+        attachment.content_type || null,
+        attachment.size_bytes ?? null,
+        attachment.url,
+      ]
+    );
+    saved.attachments.push(result.rows[0]);
+  }
+
+  const recipients = await recipientIds(db, thread, user.id);
+  for (const userId of recipients) {
+    await db.query(
+      "INSERT INTO message_recipient (message_id, user_id) VALUES ($1, $2)",
+      [saved.id, userId]
+    );
+  }
+  saved.recipients_count = recipients.length;
+
+  return saved;
+}
+
+// Cria um fio com a primeira mensagem; responde como os outros /create_*
+async function createThread(req, res, thread) {
+  const { error, fields } = messageFields(req.body);
+  if (error) {
+    return res.status(400).json({ status: "error", message: error });
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    const result = await client.query(
+      `INSERT INTO message_thread (daycare_id, kind, child_id, classroom_id, subject, created_by)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING *`,
+      [
+        thread.daycare_id,
+        thread.kind,
+        thread.child_id,
+        thread.classroom_id,
+        thread.subject,
+        req.user.id,
+      ]
+    );
+    const created = result.rows[0];
+    created.messages = [await sendMessage(client, created, req.user, fields)];
+    await client.query("COMMIT");
+
+    res.status(201).json({
+      status: "success",
+      message: `${thread.kind === "announcement" ? "Announcement" : "Message thread"} created successfully`,
+      created_data: created,
+    });
+  } catch (err) {
+    await client.query("ROLLBACK");
+    res.status(500).json({ status: "error", error: err.message });
+  } finally {
+    client.release();
+  }
+}
+
+function subjectError(subject) {
+  if (typeof subject !== "string" || !subject.trim() || subject.length > 200) {
+    return "subject is required (up to 200 characters)";
+  }
+  return null;
+}
+
+function setupMessaging(app) {
+  /**
+   * @swagger
+   * /get_message_threads:
+   *   get:
+   *     summary: Get message threads
+   *     tags:
+   *       - Messaging
+   *     description: Conversations and announcements visible to the user, with the time of the last message and how many of its messages the user hasn't read. Parents see the conversations about their children and the announcements they received.
+   *     parameters:
+   *       - $ref: '#/components/parameters/limit'
+   *       - $ref: '#/components/parameters/offset'
+   *       - in: query
+   *         name: sort
+   *         required: false
+   *         description: "Sort field, prefixed with - for descending order. One of: id, created_at, last_message_at"
+   *         schema:
+   *           type: string
+   *           example: "-last_message_at"
+   *       - in: query
+   *         name: kind
+   *         required: false
+   *         schema:
+   *           type: string
+   *           enum: [conversation, announcement]
+   *       - in: query
+   *         name: child_id
+   *         required: false
+   *         schema:
+   *           type: integer
+   *       - in: query
+   *         name: classroom_id
+   *         required: false
+   *         schema:
+   *           type: integer
+   *     responses:
+   *       200:
+   *         description: A page of message threads
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 threads_count:
+   *                   type: integer
+   *                   example: 1
+   *                 pagination:
+   *                   $ref: '#/components/schemas/Pagination'
+   *                 data:
+   *                   type: array
+   *                   items:
+   *                     type: object
+   *                   example: [{ id: 2, daycare_id: 1, kind: "conversation", child_id: 2, classroom_id: null, subject: "Spare clothes for Liam", created_by: 1, created_at: "2026-10-19T14:02:00.000Z", last_message_at: "2026-10-19T16:40:00.000Z", unread_count: 1 }]
+   *       400:
+   *         description: Invalid pagination, sort or filter parameters
+   *       500:
+   *         description: Internal server error
+   */
+  app.get("/get_message_threads", authorize(...ROLES), async (req, res) => {
+    const params = [];
+    const scope = threadScope(req.user, "t", params);
+    params.push(req.user.id);
+    const threads = `
+      SELECT t.*, s.last_message_at, COALESCE(s.unread_count, 0) AS unread_count
+      FROM message_thread t
+      LEFT JOIN (
+        SELECT m.thread_id, MAX(m.sent_at) AS last_message_at,
+               COUNT(r.message_id)::int AS unread_count
+        FROM message m
+        LEFT JOIN message_recipient r ON r.message_id = m.id
+          AND r.user_id = $${params.length} AND r.read_at IS NULL
+        GROUP BY m.thread_id
+      ) s ON s.thread_id = t.id
+      WHERE ${scope}`;
+    const list = parseListQuery(req.query, THREAD_LIST, params);
+
+    if (list.error) {
+      return res.status(400).json({ status: "error", message: list.error });
+    }
+
+    const where = list.conditions.length ? list.conditions.join(" AND ") : "TRUE";
+
+    try {
+      const count = await pool.query(
+        `SELECT COUNT(*) AS total FROM (${threads}) t WHERE ${where}`,
+        params
+      );
+      const data = await pool.query(
+        `SELECT * FROM (${threads}) t WHERE ${where}
+         ORDER BY ${list.orderBy} LIMIT ${list.limit} OFFSET ${list.offset}`,
+        params
+      );
+      const total = parseInt(count.rows[0].total, 10);
+
+      res.json({
+        threads_count: total,
+        data: data.rows,
+        pagination: pageInfo(req, list, total),
+      });
+    } catch (err) {
+      res.status(500).json({ status: "error", error: err.message });
+    }
+  });
+
+  /**
+   * @swagger
+   * /get_message_thread/{id}:
+   *   get:
+   *     summary: Get a message thread with its messages
+   *     tags:
+   *       - Messaging
+   *     description: |
+   *       Messages in the order they were sent, with their attachments and the user's own read_at.
+   *       Read receipts (one per recipient) are shown to staff and to the sender of each message.
+   *       Opening the thread doesn't mark it as read; use /mark_thread_read.
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *           example: 2
+   *     responses:
+   *       200:
+   *         description: Thread found
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 data:
+   *                   type: object
+   *                   example: { id: 2, kind: "conversation", child_id: 2, subject: "Spare clothes for Liam", messages: [{ id: 2, sender_id: 1, sender_email: "admin@playsafe.com", body: "Liam used his spare clothes today, could you bring a new set tomorrow?", sent_at: "2026-10-19T14:02:00.000Z", read_at: null, attachments: [], receipts: [{ user_id: 4, email: "brian@example.com", read_at: "2026-10-19T16:38:00.000Z" }] }] }
+   *       404:
+   *         description: Thread not found
+   *       500:
+   *         description: Internal server error
+   */
+  app.get(
+    "/get_message_thread/:id",
+    authorize(...ROLES),
+    async (req, res) => {
+      const { id } = req.params;
+
+      try {
+        const thread = await findThread(req.user, id);
+        if (!thread) {
+          return res
+            .status(404)
+            .json({ status: "not_found", message: "Thread not found" });
+        }
+
+        const messages = await pool.query(
+          `SELECT m.*, u.email AS sender_email, u.role AS sender_role
+           FROM message m
+           LEFT JOIN app_user u ON u.id = m.sender_id
+           WHERE m.thread_id = $1
+           ORDER BY m.sent_at ASC, m.id ASC`,
+          [id]
+        );
+        const messageIds = messages.rows.map((message) => message.id);
+        const attachments = await pool.query(
+          `SELECT * FROM message_attachment WHERE message_id = ANY($1::int[])
+           ORDER BY id ASC`,
+          [messageIds]
+        );
+        const receipts = await pool.query(
+          `SELECT r.message_id, r.user_id, u.email, r.read_at
+           FROM message_recipient r
+           JOIN app_user u ON u.id = r.user_id
+           WHERE r.message_id = ANY($1::int[])
+           ORDER BY u.email ASC`,
+          [messageIds]
+        );
+
+        const isStaff = STAFF_ROLES.includes(req.user.role);
+        thread.messages = messages.rows.map((message) => {
+          const messageReceipts = receipts.rows.filter(
+            (row) => row.message_id === message.id
+          );
+          const own = messageReceipts.find((row) => row.user_id === req.user.id);
+          return {
+            ...message,
+            read_at: own ? own.read_at : null,
+            attachments: attachments.rows.filter(
+              (row) => row.message_id === message.id
+            ),
+            recipients_count: messageReceipts.length,
+            receipts:
+              isStaff || message.sender_id === req.user.id
+                ? messageReceipts.map(({ user_id, email, read_at }) => ({
+                    user_id,
+                    email,
+                    read_at,
+                  }))
+                : undefined,
+          };
+        });
+
+        res.json({ data: thread });
+      } catch (err) {
+        res.status(500).json({ status: "error", error: err.message });
+      }
+    }
+  );
+
+  /**
+   * @swagger
+   * /create_message_thread:
+   *   post:
+   *     summary: Start a conversation about a child
+   *     tags:
+   *       - Messaging
+   *     description: Opens a thread between the daycare's staff and the guardians linked to the child, with its first message. Parents can only start conversations about their own children.
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             properties:
+   *               child_id:
+   *                 type: integer
+   *                 example: 2
+   *               subject:
+   *                 type: string
+   *                 example: "Spare clothes for Liam"
+   *               body:
+   *                 type: string
+   *                 example: "Liam used his spare clothes today, could you bring a new set tomorrow?"
+   *               attachments:
+   *                 $ref: '#/components/schemas/MessageAttachments'
+   *     responses:
+   *       201:
+   *         description: Message thread created successfully
+   *       400:
+   *         description: Missing or invalid parameters, or child does not exist
+   *       500:
+   *         description: Internal server error
+   */
+  app.post(
+    "/create_message_thread",
+    authorize(...ROLES),
+    async (req, res) => {
+      const { child_id, subject } = req.body;
+
+      if (!child_id || subjectError(subject)) {
+        return res.status(400).json({
+          status: "error",
+          message: subjectError(subject) || "child_id is required",
+        });
+      }
+
+      try {
+        const params = [child_id];
+        const child = await pool.query(
+          `SELECT id, daycare_id FROM child
+           WHERE id = $1 AND daycare_id IS NOT NULL
+             AND ${childScope(req.user, "id", params)}`,
+          params
+        );
+        if (child.rows.length === 0) {
+          return res
+            .status(400)
+            .json({ status: "error", message: "Child does not exist" });
+        }
+
+        await createThread(req, res, {
+          daycare_id: child.rows[0].daycare_id,
+          kind: "conversation",
+          child_id,
+          classroom_id: null,
+          subject: subject.trim(),
+        });
+      } catch (err) {
+        res.status(500).json({ status: "error", error: err.message });
+      }
+    }
+  );
+
+  /**
+   * @swagger
+   * /create_announcement:
+   *   post:
+   *     summary: Send an announcement to a classroom
+   *     tags:
+   *       - Messaging
+   *     description: Sends a message to every guardian (with a user account) of the children actively enrolled in the classroom. Guardians can read announcements but not reply to them.
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             properties:
+   *               classroom_id:
+   *                 type: integer
+   *                 example: 1
+   *               subject:
+   *                 type: string
+   *                 example: "Pumpkin carving on Friday"
+   *               body:
+   *                 type: string
+   *                 example: "On Friday we will carve pumpkins in the garden. Please send a smock and warm clothes."
+   *               attachments:
+   *                 $ref: '#/components/schemas/MessageAttachments'
+   *     responses:
+   *       201:
+   *         description: Announcement created successfully
+   *       400:
+   *         description: Missing or invalid parameters, or classroom does not exist
+   *       500:
+   *         description: Internal server error
+   */
+  app.post(
+    "/create_announcement",
+    authorize(...STAFF_ROLES),
+    async (req, res) => {
+      const { classroom_id, subject } = req.body;
+
+      if (!classroom_id || subjectError(subject)) {
+        return res.status(400).json({
+          status: "error",
+          message: subjectError(subject) || "classroom_id is required",
+        });
+      }
+
+      try {
+        const params = [classroom_id];
+        const classroom = await pool.query(
+          `SELECT id, daycare_id FROM classroom
+           WHERE id = $1 AND daycare_id IS NOT NULL
+             AND ${daycareScope(req.user, "daycare_id", params)}`,
+          params
+        );
+        if (classroom.rows.length === 0) {
+          return res
+            .status(400)
+            .json({ status: "error", message: "Classroom does not exist" });
+        }
+
+        await createThread(req, res, {
+          daycare_id: classroom.rows[0].daycare_id,
+          kind: "announcement",
+          child_id: null,
+          classroom_id,
+          subject: subject.trim(),
+        });
+      } catch (err) {
+        res.status(500).json({ status: "error", error: err.message });
+      }
+    }
+  );
+
+  /**
+   * @swagger
+   * /create_message/{thread_id}:
+   *   post:
+   *     summary: Reply in a message thread
+   *     tags:
+   *       - Messaging
+   *     description: The message goes to everyone in the thread except the sender (see /create_message_thread and /create_announcement). Guardians can't reply to announcements.
+   *     parameters:
+   *       - in: path
+   *         name: thread_id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *           example: 2
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             properties:
+   *               body:
+   *                 type: string
+   *                 example: "Sure, I'll bring them in the morning."
+   *               attachments:
+   *                 $ref: '#/components/schemas/MessageAttachments'
+   *     responses:
+   *       201:
+   *         description: Message sent successfully
+   *       400:
+   *         description: Missing or invalid parameters
+   *       403:
+   *         description: Guardians can't reply to announcements
+   *       404:
+   *         description: Thread not found
+   *       500:
+   *         description: Internal server error
+   */
+  app.post(
+    "/create_message/:thread_id",
+    authorize(...ROLES),
+    async (req, res) => {
+      const { thread_id } = req.params;
+      const { error, fields } = messageFields(req.body);
+
+      if (error) {
+        return res.status(400).json({ status: "error", message: error });
+      }
+
+      const client = await pool.connect();
+      try {
+        const thread = await findThread(req.user, thread_id);
+        if (!thread) {
+          return res
+            .status(404)
+            .json({ status: "not_found", message: "Thread not found" });
+        }
+        if (thread.kind === "announcement" && req.user.role === "parent") {
+          return res.status(403).json({
+            status: "forbidden",
+            message: "Guardians can't reply to announcements",
+          });
+        }
+
+        await client.query("BEGIN");
+        const message = await sendMessage(client, thread, req.user, fields);
+        await client.query("COMMIT");
+
+        res.status(201).json({
+          status: "success",
+          message: "Message sent successfully",
+          created_data: message,
+        });
+      } catch (err) {
+        await client.query("ROLLBACK");
+        res.status(500).json({ status: "error", error: err.message });
+      } finally {
+        client.release();
+      }
+    }
+  );
+
+  /**
+   * @swagger
+   * /mark_thread_read/{id}:
+   *   put:
+   *     summary: Mark a thread as read
+   *     tags:
+   *       - Messaging
+   *     description: Sets the read receipt of every message of the thread the user hasn't read yet.
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *           example: 2
+   *     responses:
+   *       200:
+   *         description: Thread marked as read
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 status:
+   *                   type: string
+   *                   example: success
+   *                 message:
+   *                   type: string
+   *                   example: Thread marked as read
+   *                 marked_count:
+   *                   type: integer
+   *                   example: 1
+   *       404:
+   *         description: Thread not found
+   *       500:
+   *         description: Internal server error
+   */
+  app.put("/mark_thread_read/:id", authorize(...ROLES), async (req, res) => {
+    const { id } = req.params;
+
+    try {
+      if (!(await findThread(req.user, id))) {
+        return res
+          .status(404)
+          .json({ status: "not_found", message: "Thread not found" });
+      }
+
+      const result = await pool.query(
+        `UPDATE message_recipient SET read_at = NOW()
+         WHERE user_id = $1 AND read_at IS NULL
+           AND message_id IN (SELECT id FROM message WHERE thread_id = $2)`,
+        [req.user.id, id]
+      );
+
+      res.json({
+        status: "success",
+        message: "Thread marked as read",
+        marked_count: result.rowCount,
+      });
+    } catch (err) {
+      res.status(500).json({ status: "error", error: err.message });
+    }
+  });
+
+  /**
+   * @swagger
+   * /get_unread_counts:
+   *   get:
+   *     summary: Unread message counts of the current user
+   *     tags:
+   *       - Messaging
+   *     description: Total of unread messages and the threads that have any, most recent first.
+   *     responses:
+   *       200:
+   *         description: Unread counts
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 unread_count:
+   *                   type: integer
+   *                   example: 3
+   *                 data:
+   *                   type: array
+   *                   items:
+   *                     type: object
+   *                   example: [{ thread_id: 2, kind: "conversation", subject: "Spare clothes for Liam", unread_count: 2, last_unread_at: "2026-10-19T16:40:00.000Z" }]
+   *       500:
+   *         description: Internal server error
+   */
+  app.get("/get_unread_counts", authorize(...ROLES), async (req, res) => {
+    const params = [req.user.id];
+    const scope = threadScope(req.user, "t", params);
+
+    try {
+      const result = await pool.query(
+        `SELECT t.id AS thread_id, t.kind, t.subject,
+                COUNT(*)::int AS unread_count, MAX(m.sent_at) AS last_unread_at
+         FROM message_recipient r
+         JOIN message m ON m.id = r.message_id
+         JOIN message_thread t ON t.id = m.thread_id
+         WHERE r.user_id = $1 AND r.read_at IS NULL AND ${scope}
+         GROUP BY t.id, t.kind, t.subject
+         ORDER BY last_unread_at DESC`,
+        params
+      );
+
+      res.json({
+        unread_count: result.rows.reduce((sum, row) => sum + row.unread_count, 0),
+        data: result.rows,
+      });
+    } catch (err) {
+      res.status(500).json({ status: "error", error: err.message });
+    }
+  });
+}
+
+module.exports = { setupMessaging };
@@ -0,0 +1,600 @@
+const pool = require("./db");
+const { authorize, ROLES, STAFF_ROLES, MANAGER_ROLES } = require("./auth");
+const { daycareScope, parentScope } = require("./tenant");
+const { parseListQuery, pageInfo } = require("./pagination");
+const { createAdapters } = require("./delivery");
+
+const EVENT_TYPES = ["incident_reported", "invoice_issued", "child_checked_out"];
+const CHANNELS = ["email", "sms"];
+
+// tentativas de envio antes de a notificação ficar failed
+const MAX_ATTEMPTS = 6;
+const RETRY_BASE_SECONDS = 30;
+const BATCH_SIZE = 20;
+// tempo que uma notificação fica reservada para um worker enquanto é enviada;
+// cobre com folga o envio mais longo (ver os timeouts dos adaptadores)
+const LEASE_SECONDS = 120;
+const POLL_MS = Number(process.env.NOTIFY_POLL_MS || 5000);
+
+// filtros e ordenação aceites por /get_notifications
+const NOTIFICATION_LIST = {
+  filters: {
+    status: { column: "status", type: "text" },
+    event_type: { column: "event_type", type: "text" },
+    channel: { column: "channel", type: "text" },
+    parent_id: { column: "parent_id", type: "id" },
+  },
+  sort: ["id", "created_at", "next_attempt_at"],
+};
+
+// espera antes da tentativa seguinte: 30 s, 1 min, 2 min, 4 min, 8 min
+function retryDelaySeconds(attempts) {
+  return RETRY_BASE_SECONDS * 2 ** (attempts - 1);
+}
+
+// Pais a notificar e canais de cada um. Nos eventos de uma criança são os
+// responsáveis ligados a ela (menos os que têm restrição de custódia), com as
+// preferências de contacto dessa ligação; numa fatura é o pai faturado, com um
+// canal ativo se estiver ativo em alguma das suas ligações. Uma linha de
+// notification_preference para o tipo de evento substitui estas preferências.
+async function recipientsFor(db, eventType, { child_id, parent_id }) {
+  const links = child_id
+    ? await db.query(
+        `SELECT p.id, p.email, p.phone, e.notify_email, e.notify_sms
+         FROM enrollment e
+         JOIN parent p ON p.id = e.parent_id
+         WHERE e.child_id = $1
+           AND e.parent_id NOT IN (
+             SELECT parent_id FROM custody_restriction
+             WHERE child_id = $1 AND parent_id IS NOT NULL)`,
+        [child_id]
+      )
+    : await db.query(
+        `SELECT p.id, p.email, p.phone, e.notify_email, e.notify_sms
+         FROM parent p
+         LEFT JOIN enrollment e ON e.parent_id = p.id
+         WHERE p.id = $1`,
+        [parent_id]
+      );
+
+  const parents = new Map();
+  for (const row of links.rows) {
+    const parent = parents.get(row.id) || {
+      id: row.id,
+      email: row.email,
+      phone: row.phone,
+      channels: { email: false, sms: false },
+    };
+    parent.channels.email = parent.channels.email || row.notify_email === true;
+    parent.channels.sms = parent.channels.sms || row.notify_sms === true;
+    parents.set(row.id, parent);
+  }
+
+  const preferences = await db.query(
+    `SELECT * FROM notification_preference
+     WHERE event_type = $1 AND parent_id = ANY($2::int[])`,
+    [eventType, [...parents.keys()]]
+  );
+  for (const preference of preferences.rows) {
+    parents.get(preference.parent_id).channels = {
+      email: preference.email,
+      sms: preference.sms,
+    };
+  }
+
+  return [...parents.values()];
+}
+
+// Grava na outbox uma notificação por pai e canal ativo (email para
+// parent.email, sms para parent.phone). Deve receber o cliente da transação
+// que grava o evento, para a notificação só existir se o evento existir.
+// Devolve quantas notificações ficaram por enviar.
+async function enqueueNotification(db, event) {
+  const { event_type, event_id, daycare_id, subject, body } = event;
+  const recipients = await recipientsFor(db, event_type, event);
+
+  let queued = 0;
+  for (const parent of recipients) {
+    const addresses = { email: parent.email, sms: parent.phone };
+    for (const channel of CHANNELS) {
+      if (!parent.channels[channel] || !addresses[channel]) continue;
+
+      await db.query(
+        `INSERT INTO notification_outbox
+           (daycare_id, parent_id, event_type, event_id, channel, recipient, subject, body)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+        [
+          daycare_id,
+          parent.id,
+          event_type,
+          event_id,
+          channel,
+          addresses[channel],
+          subject,
+          body,
+        ]
+      );
+      queued += 1;
+    }
+  }
+  return queued;
+}
+
+// Reserva a notificação pendente mais antiga, adiando next_attempt_at por
+// LEASE_SECONDS numa instrução curta (SKIP LOCKED): outro worker só a volta a
+// apanhar se este não gravar o resultado dentro desse prazo (por exemplo se
+// a instância morrer a meio do envio)
+async function claimNotification() {
+  const result = await pool.query(
+    `UPDATE notification_outbox SET next_attempt_at = $1
+     WHERE id IN (
+       SELECT id FROM notification_outbox
+       WHERE status = 'pending' AND next_attempt_at <= NOW()
+       ORDER BY next_attempt_at ASC, id ASC
+       LIMIT 1
+       FOR UPDATE SKIP LOCKED)
+     RETURNING *`,
+    [new Date(Date.now() + LEASE_SECONDS * 1000)]
+  );
+  return result.rows[0];
+}
+
+// Envia até BATCH_SIZE notificações pendentes e devolve quantas tentou. Cada
+// uma é reservada antes do envio e o resultado gravado depois, sem nenhuma
+// transação nem bloqueio aberto enquanto o fornecedor responde, por isso
+// várias instâncias da API podem correr o worker em simultâneo.
+async function deliverPending(adapters) {
+  let attempted = 0;
+  while (attempted < BATCH_SIZE) {
+    const notification = await claimNotification();
+    if (!notification) break;
+    attempted += 1;
+
+    let error = null;
+    try {
+      await adapters[notification.channel].send({
+        to: notification.recipient,
+        subject: notification.subject,
+        body: notification.body,
+      });
+    } catch (err) {
+      error = err;
+    }
+
+    if (!error) {
+      await pool.query(
+        `UPDATE notification_outbox
+         SET status = 'sent', attempts = attempts + 1, sent_at = NOW(), last_error = NULL
+         WHERE id = $1`,
+        [notification.id]
+      );
+      continue;
+    }
+
+    const attempts = notification.attempts + 1;
+    await pool.query(
+      `UPDATE notification_outbox
+       SET status = $2, attempts = $3, last_error = $4, next_attempt_at = $5
+       WHERE id = $1`,
+      [
+        notification.id,
+        attempts >= MAX_ATTEMPTS ? "failed" : "pending",
+        attempts,
+        error.message,
+        new Date(Date.now() + retryDelaySeconds(attempts) * 1000),
+      ]
+    );
+  }
+  return attempted;
+}
+
+// Worker que corre dentro da API. NOTIFY_WORKER=off desliga-o (por exemplo
+// nas instâncias que não devem enviar nada).
+function startNotificationWorker(adapters = createAdapters()) {
+  if (process.env.NOTIFY_WORKER === "off") return null;
+
+  let running = false;
+  const timer = setInterval(async () => {
+    if (running) return;
+    running = true;
+    try {
+      // esvazia a fila em lotes antes de esperar pelo intervalo seguinte
+      while ((await deliverPending(adapters)) === BATCH_SIZE);
+    } catch (err) {
+      console.error(`Notification worker: ${err.message}`);
+    } finally {
+      running = false;
+    }
+  }, POLL_MS);
+  timer.unref();
+
+  return timer;
+}
+
+async function findParent(user, parentId) {
+  const params = [parentId];
+  const result = await pool.query(
+    `SELECT id, email, phone FROM parent
+     WHERE id = $1 AND ${parentScope(user, "id", params)}`,
+    params
+  );
+  return result.rows[0];
+}
+
+// Canais por tipo de evento; custom = false quando vêm das ligações
+async function getPreferences(parentId) {
+  const links = await pool.query(
+    `SELECT COALESCE(BOOL_OR(notify_email), FALSE) AS email,
+            COALESCE(BOOL_OR(notify_sms), FALSE) AS sms
+     FROM enrollment WHERE parent_id = $1`,
+    [parentId]
+  );
+  const own = await pool.query(
+    "SELECT * FROM notification_preference WHERE parent_id = $1",
+    [parentId]
+  );
+
+  return EVENT_TYPES.map((event_type) => {
+    const preference = own.rows.find((row) => row.event_type === event_type);
+    return preference
+      ? { event_type, email: preference.email, sms: preference.sms, custom: true }
+      : { event_type, ...links.rows[0], custom: false };
+  });
+}
+
+function setupNotifications(app) {
+  /**
+   * @swagger
+   * /get_notifications:
+   *   get:
+   *     summary: Get the notification outbox
+   *     tags:
+   *       - Notification
+   *     description: |
+   *       Notifications sent, or waiting to be sent, to guardians when an incident is reported, an invoice is issued or a child is checked out.
+   *       A notification is pending until the worker delivers it (sent); after 6 failed attempts, retried with increasing waits, it becomes failed.
+   *     parameters:
+   *       - $ref: '#/components/parameters/limit'
+   *       - $ref: '#/components/parameters/offset'
+   *       - in: query
+   *         name: sort
+   *         required: false
+   *         description: "Sort field, prefixed with - for descending order. One of: id, created_at, next_attempt_at"
+   *         schema:
+   *           type: string
+   *           example: "-created_at"
+   *       - in: query
+   *         name: status
+   *         required: false
+   *         schema:
+   *           type: string
+   *           enum: [pending, sent, failed]
+   *       - in: query
+   *         name: event_type
+   *         required: false
+   *         schema:
+   *           type: string
+   *           enum: [incident_reported, invoice_issued, child_checked_out]
+   *       - in: query
+   *         name: channel
+   *         required: false
+   *         schema:
+   *           type: string
+   *           enum: [email, sms]
+   *       - in: query
+   *         name: parent_id
+   *         required: false
+   *         schema:
+   *           type: integer
+   *     responses:
+   *       200:
+   *         description: A page of notifications
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 notifications_count:
+   *                   type: integer
+   *                   example: 1
+   *                 pagination:
+   *                   $ref: '#/components/schemas/Pagination'
+   *                 data:
+   *                   type: array
+   *                   items:
+   *                     type: object
+   *                   example: [{ id: 1, daycare_id: 1, parent_id: 2, event_type: "child_checked_out", event_id: 14, channel: "sms", recipient: "555-234-5678", subject: "Liam Smith was picked up", body: "Liam Smith was picked up by Brian Smith at 17:32.", status: "sent", attempts: 1, next_attempt_at: "2026-10-19T16:32:00.000Z", last_error: null, created_at: "2026-10-19T16:32:00.000Z", sent_at: "2026-10-19T16:32:04.000Z" }]
+   *       400:
+   *         description: Invalid pagination, sort or filter parameters
+   *       500:
+   *         description: Internal server error
+   */
+  app.get("/get_notifications", authorize(...STAFF_ROLES), async (req, res) => {
+    const params = [];
+    const scope = daycareScope(req.user, "daycare_id", params);
+    const list = parseListQuery(req.query, NOTIFICATION_LIST, params);
+
+    if (list.error) {
+      return res.status(400).json({ status: "error", message: list.error });
+    }
+
+    const where = [scope, ...list.conditions].join(" AND ");
+
+    try {
+      const count = await pool.query(
+        `SELECT COUNT(*) AS total FROM notification_outbox WHERE ${where}`,
+        params
+      );
+      const data = await pool.query(
+        `SELECT * FROM notification_outbox WHERE ${where}
+         ORDER BY ${list.orderBy} LIMIT ${list.limit} OFFSET ${list.offset}`,
+        params
+      );
+      const total = parseInt(count.rows[0].total, 10);
+
+      res.json({
+        notifications_count: total,
+        data: data.rows,
+        pagination: pageInfo(req, list, total),
+      });
+    } catch (err) {
+      res.status(500).json({ status: "error", error: err.message });
+    }
+  });
+
+  /**
+   * @swagger
+   * /retry_notification/{id}:
+   *   put:
+   *     summary: Retry a failed notification
+   *     tags:
+   *       - Notification
+   *     description: Puts a failed notification back in the queue with its attempts reset, e.g. after fixing the parent's email or the gateway settings.
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *           example: 1
+   *     responses:
+   *       200:
+   *         description: Notification queued again
+   *       404:
+   *         description: Notification not found
+   *       409:
+   *         description: Only failed notifications can be retried
+   *       500:
+   *         description: Internal server error
+   */
+  app.put(
+    "/retry_notification/:id",
+    authorize(...MANAGER_ROLES),
+    async (req, res) => {
+      const params = [req.params.id];
+
+      try {
+        const current = await pool.query(
+          `SELECT status FROM notification_outbox
+           WHERE id = $1 AND ${daycareScope(req.user, "daycare_id", params)}`,
+          params
+        );
+        if (current.rows.length === 0) {
+          return res
+            .status(404)
+            .json({ status: "not_found", message: "Notification not found" });
+        }
+
+        const result = await pool.query(
+          `UPDATE notification_outbox
+           SET status = 'pending', attempts = 0, next_attempt_at = NOW()
+           WHERE id = $1 AND status = 'failed'
+           RETURNING *`,
+          [req.params.id]
+        );
+        if (result.rows.length === 0) {
+          return res.status(409).json({
+            status: "error",
+            message: "Only failed notifications can be retried",
+          });
+        }
+
+        res.json({
+          status: "success",
+          message: "Notification queued again",
+          updated_data: result.rows[0],
+        });
+      } catch (err) {
+        res.status(500).json({ status: "error", error: err.message });
+      }
+    }
+  );
+
+  /**
+   * @swagger
+   * /get_notification_preferences/{parent_id}:
+   *   get:
+   *     summary: Notification channels of a parent
+   *     tags:
+   *       - Notification
+   *     description: For each kind of notification, whether the parent gets it by email (at parent.email) and by SMS (at parent.phone). Without a preference of their own (custom is false) the contact preferences of the parent's links to their children apply.
+   *     parameters:
+   *       - in: path
+   *         name: parent_id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *           example: 2
+   *     responses:
+   *       200:
+   *         description: Notification preferences
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 parent_id:
+   *                   type: integer
+   *                   example: 2
+   *                 email:
+   *                   type: string
+   *                   example: "brian.smith@email.com"
+   *                 phone:
+   *                   type: string
+   *                   example: "555-234-5678"
+   *                 data:
+   *                   type: array
+   *                   items:
+   *                     type: object
+   *                   example: [{ event_type: "child_checked_out", email: false, sms: true, custom: true }, { event_type: "invoice_issued", email: true, sms: false, custom: false }]
+   *       404:
+   *         description: Parent not found
+   *       500:
+   *         description: Internal server error
+   */
+  app.get(
+    "/get_notification_preferences/:parent_id",
+    authorize(...ROLES),
+    async (req, res) => {
+      const { parent_id } = req.params;
+
+      try {
+        const parent = await findParent(req.user, parent_id);
+        if (!parent) {
+          return res
+            .status(404)
+            .json({ status: "not_found", message: "Parent not found" });
+        }
+
+        res.json({
+          parent_id: parent.id,
+          email: parent.email,
+          phone: parent.phone,
+          data: await getPreferences(parent.id),
+        });
+      } catch (err) {
+        res.status(500).json({ status: "error", error: err.message });
+      }
+    }
+  );
+
+  /**
+   * @swagger
+   * /update_notification_preferences/{parent_id}:
+   *   put:
+   *     summary: Choose the notification channels of a parent
+   *     tags:
+   *       - Notification
+   *     description: Sets email and sms for the kinds of notification listed; the others are kept. Send email and sms as null to go back to the contact preferences of the parent's links. Parents can only change their own.
+   *     parameters:
+   *       - in: path
+   *         name: parent_id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *           example: 2
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             properties:
+   *               preferences:
+   *                 type: array
+   *                 items:
+   *                   type: object
+   *                   properties:
+   *                     event_type:
+   *                       type: string
+   *                       enum: [incident_reported, invoice_issued, child_checked_out]
+   *                     email:
+   *                       type: boolean
+   *                       nullable: true
+   *                     sms:
+   *                       type: boolean
+   *                       nullable: true
+   *                 example: [{ event_type: "child_checked_out", email: false, sms: true }]
+   *     responses:
+   *       200:
+   *         description: Notification preferences updated successfully
+   *       400:
+   *         description: Missing or invalid parameters
+   *       404:
+   *         description: Parent not found
+   *       500:
+   *         description: Internal server error
+   */
+  app.put(
+    "/update_notification_preferences/:parent_id",
+    authorize("parent", ...MANAGER_ROLES),
+    async (req, res) => {
+      const { parent_id } = req.params;
+      const { preferences } = req.body;
+
+      const valid =
+        Array.isArray(preferences) &&
+        preferences.length > 0 &&
+        preferences.every(
+          (preference) =>
+            preference &&
+            EVENT_TYPES.includes(preference.event_type) &&
+            ((typeof preference.email === "boolean" &&
+              typeof preference.sms === "boolean") ||
+              (preference.email === null && preference.sms === null))
+        );
+      if (!valid) {
+        return res.status(400).json({
+          status: "error",
+          message: `preferences must list event_type (${EVENT_TYPES.join(", ")}) with email and sms as booleans, or both null`,
+        });
+      }
+
+      const client = await pool.connect();
+      try {
+        if (!(await findParent(req.user, parent_id))) {
+          return res
+            .status(404)
+            .json({ status: "not_found", message: "Parent not found" });
+        }
+
+        await client.query("BEGIN");
+        for (const { event_type, email, sms } of preferences) {
+          if (email === null) {
+            await client.query(
+              "DELETE FROM notification_preference WHERE parent_id = $1 AND event_type = $2",
+              [parent_id, event_type]
+            );
+            continue;
+          }
+          await client.query(
+            `INSERT INTO notification_preference (parent_id, event_type, email, sms)
+             VALUES ($1, $2, $3, $4)
+             ON CONFLICT (parent_id, event_type) DO UPDATE SET email = $3, sms = $4`,
+            [parent_id, event_type, email, sms]
+          );
+        }
+        await client.query("COMMIT");
+
+        res.json({
+          status: "success",
+          message: "Notification preferences updated successfully",
+          updated_data: await getPreferences(parent_id),
+        });
+      } catch (err) {
+        await client.query("ROLLBACK");
+        res.status(500).json({ status: "error", error: err.message });
+      } finally {
+        client.release();
+      }
+    }
+  );
+}
+
+module.exports = {
+  setupNotifications,
+  startNotificationWorker,
+  deliverPending,
+  enqueueNotification,
+  retryDelaySeconds,
+};
@@ -0,0 +1,97 @@
+const { isValidDate } = require("./validation");
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+// maior valor de uma coluna INT do Postgres; acima disto a query dá erro
+const MAX_INT = 2147483647;
+
+// escapa os curingas do LIKE para o texto ser procurado tal como vem
+function likePattern(value) {
+  return `%${value.replace(/[\\%_]/g, "\\$&")}%`;
+}
+
+function filterCondition(filter, placeholder) {
+  switch (filter.op) {
+    case "contains":
+      return `${filter.column} ILIKE ${placeholder}`;
+    case "iequals":
+      return `LOWER(${filter.column}) = LOWER(${placeholder})`;
+    default:
+      return `${filter.column} ${filter.op || "="} ${placeholder}`;
+  }
+}
+
+// Lê limit, offset, sort e os filtros da query string de uma listagem.
+//
+// spec.filters: { nome_do_parametro: { column, op, type } }, com op "=",
+// ">=", "<=", "contains" ou "iequals" e type "id", "date" ou "text".
+// spec.sort: colunas pelas quais se pode ordenar (sort=name ou sort=-name).
+//
+// Os valores dos filtros são acrescentados a params. Devolve { error } ou
+// { conditions, orderBy, limit, offset }.
+function parseListQuery(query, spec, params) {
+  const limit = query.limit === undefined ? DEFAULT_LIMIT : Number(query.limit);
+  const offset = query.offset === undefined ? 0 : Number(query.offset);
+
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    return { error: `limit must be an integer between 1 and ${MAX_LIMIT}` };
+  }
+  if (!Number.isInteger(offset) || offset < 0 || offset > MAX_INT) {
+    return { error: `offset must be an integer between 0 and ${MAX_INT}` };
+  }
+
+  const conditions = [];
+  for (const [name, filter] of Object.entries(spec.filters || {})) {
+    const value = query[name];
+    if (value === undefined || value === "") continue;
+
+    if (typeof value !== "string") {
+      return { error: `${name} must be a single value` };
+    }
+    if (
+      filter.type === "id" &&
+      !(/^\d+$/.test(value) && Number(value) >= 1 && Number(value) <= MAX_INT)
+    ) {
+      return { error: `${name} must be an integer between 1 and ${MAX_INT}` };
+    }
+    if (filter.type === "date" && !isValidDate(value)) {
+      return { error: `${name} must be a date in the format YYYY-MM-DD` };
+    }
+
+    params.push(filter.op === "contains" ? likePattern(value) : value);
+    conditions.push(filterCondition(filter, `$${params.length}`));
+  }
+
+  const sort = typeof query.sort === "string" && query.sort ? query.sort : "id";
+  const field = sort.startsWith("-") ? sort.slice(1) : sort;
+  const direction = sort.startsWith("-") ? "DESC" : "ASC";
+
+  if (!spec.sort.includes(field)) {
+    return { error: `sort must be one of: ${spec.sort.join(", ")}` };
+  }
+
+  // desempata pelo id para a ordem ser estável entre páginas
+  const orderBy =
+    field === "id" ? `id ${direction}` : `${field} ${direction}, id ASC`;
+
+  return { conditions, orderBy, limit, offset };
+}
+
+// Bloco pagination da resposta; next é o link da página seguinte (ou null)
+function pageInfo(req, list, total) {
+  let next = null;
+
+  if (list.offset + list.limit < total) {
+    const query = new URLSearchParams();
+    for (const [key, value] of Object.entries(req.query)) {
+      if (typeof value === "string") query.set(key, value);
+    }
+    query.set("limit", list.limit);
+    query.set("offset", list.offset + list.limit);
+    next = `${req.path}?${query.toString()}`;
+  }
+
+  return { total, limit: list.limit, offset: list.offset, next };
+}
+
+module.exports = { parseListQuery, pageInfo, likePattern };
@@ -0,0 +1,683 @@
+const pool = require("./db");
+const { authorize, ROLES, STAFF_ROLES, MANAGER_ROLES } = require("./auth");
+const { childScope } = require("./tenant");
+
+const NOT_ON_LIST = "Person is not on the authorized pickup list of this child";
+
+// Decide se a pessoa indicada pode levar a criança. A pessoa pode vir como
+// parent_id (pai ligado pelo enrollment), authorized_pickup_id ou só pelo nome.
+// Devolve { allowed, reason, name, parent_id, authorized_pickup_id }.
+async function verifyPickup(childId, pickup) {
+  const { parent_id, authorized_pickup_id, pick_up_by } = pickup;
+  const person = {
+    name: pick_up_by || null,
+    parent_id: null,
+    authorized_pickup_id: null,
+  };
+
+  if (parent_id) {
+    const parent = await pool.query(
+      `SELECT p.id, p.name FROM parent p
+       JOIN enrollment e ON e.parent_id = p.id
+       WHERE e.child_id = $1 AND p.id = $2`,
+      [childId, parent_id]
+    );
+    if (parent.rows.length === 0) {
+      return {
+        ...person,
+        allowed: false,
+        reason: "Parent is not linked to this child",
+      };
+    }
+    person.parent_id = parent.rows[0].id;
+    person.name = parent.rows[0].name;
+  } else if (authorized_pickup_id) {
+    const authorized = await pool.query(
+      "SELECT id, name FROM authorized_pickup WHERE id = $1 AND child_id = $2",
+      [authorized_pickup_id, childId]
+    );
+    if (authorized.rows.length === 0) {
+      return { ...person, allowed: false, reason: NOT_ON_LIST };
+    }
+    person.authorized_pickup_id = authorized.rows[0].id;
+    person.name = authorized.rows[0].name;
+  } else if (pick_up_by) {
+    // só veio o nome: procura-o entre os pais e as pessoas autorizadas
+    const parent = await pool.query(
+      `SELECT p.id FROM parent p
+       JOIN enrollment e ON e.parent_id = p.id
+       WHERE e.child_id = $1 AND LOWER(p.name) = LOWER($2)`,
+      [childId, pick_up_by]
+    );
+    const authorized = await pool.query(
+      `SELECT id FROM authorized_pickup
+       WHERE child_id = $1 AND LOWER(name) = LOWER($2)`,
+      [childId, pick_up_by]
+    );
+    if (parent.rows.length > 0) {
+      person.parent_id = parent.rows[0].id;
+    } else if (authorized.rows.length > 0) {
+      person.authorized_pickup_id = authorized.rows[0].id;
+    }
+  }
+
+  const restriction = await pool.query(
+    `SELECT reason FROM custody_restriction
+     WHERE child_id = $1 AND (parent_id = $2 OR LOWER(name) = LOWER($3))
+     ORDER BY id ASC`,
+    [childId, person.parent_id, person.name]
+  );
+  if (restriction.rows.length > 0) {
+    return {
+      ...person,
+      allowed: false,
+      reason: `Custody restriction: ${restriction.rows[0].reason}`,
+    };
+  }
+
+  if (!person.parent_id && !person.authorized_pickup_id) {
+    return { ...person, allowed: false, reason: NOT_ON_LIST };
+  }
+
+  return { ...person, allowed: true, reason: null };
+}
+
+// Confirma que a criança existe e é visível para o utilizador
+async function findChild(user, childId) {
+  const params = [childId];
+  const result = await pool.query(
+    `SELECT id FROM child
+     WHERE id = $1 AND ${childScope(user, "id", params)}`,
+    params
+  );
+  return result.rows[0];
+}
+
+function setupPickup(app) {
+  /**
+   * @swagger
+   * /get_child_pickups/{id}:
+   *   get:
+   *     summary: Pickup list of a child
+   *     tags:
+   *       - Pickup
+   *     description: Returns everyone allowed to pick up the child (the parents linked through enrollment plus the extra authorized people) and the custody restrictions. Parents get a reduced view with only names and relations, without phone numbers, ID references or custody restrictions.
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *           example: 1
+   *     responses:
+   *       200:
+   *         description: Pickup list of the child
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 parents:
+   *                   type: array
+   *                   items:
+   *                     type: object
+   *                     properties:
+   *                       id:
+   *                         type: integer
+   *                         example: 1
+   *                       name:
+   *                         type: string
+   *                         example: "Alice Johnson"
+   *                       phone:
+   *                         type: string
+   *                         example: "555-123-4567"
+   *                 authorized_pickups:
+   *                   type: array
+   *                   items:
+   *                     type: object
+   *                     properties:
+   *                       id:
+   *                         type: integer
+   *                         example: 1
+   *                       child_id:
+   *                         type: integer
+   *                         example: 1
+   *                       name:
+   *                         type: string
+   *                         example: "Margaret Johnson"
+   *                       relation:
+   *                         type: string
+   *                         example: "grandmother"
+   *                       phone:
+   *                         type: string
+   *                         example: "555-987-6543"
+   *                       id_reference:
+   *                         type: string
+   *                         example: "CC 12345678"
+   *                 custody_restrictions:
+   *                   type: array
+   *                   items:
+   *                     type: object
+   *                     properties:
+   *                       id:
+   *                         type: integer
+   *                         example: 1
+   *                       child_id:
+   *                         type: integer
+   *                         example: 1
+   *                       parent_id:
+   *                         type: integer
+   *                         example: null
+   *                       name:
+   *                         type: string
+   *                         example: "John Doe"
+   *                       reason:
+   *                         type: string
+   *                         example: "Court order 2024/123"
+   *       404:
+   *         description: Child not found
+   *       500:
+   *         description: Internal server error
+   */
+  app.get("/get_child_pickups/:id", authorize(...ROLES), async (req, res) => {
+    const { id } = req.params;
+    try {
+      if (!(await findChild(req.user, id))) {
+        return res
+          .status(404)
+          .json({ status: "not_found", message: "Child not found" });
+      }
+
+      // um pai só vê quem pode ir buscar a criança: os contactos, os
+      // documentos e as restrições de custódia (com o motivo) ficam para o staff
+      if (req.user.role === "parent") {
+        const parents = await pool.query(
+          `SELECT p.id, p.name FROM parent p
+           JOIN enrollment e ON e.parent_id = p.id
+           WHERE e.child_id = $1
+           ORDER BY p.id ASC`,
+          [id]
+        );
+        const authorized = await pool.query(
+          `SELECT id, child_id, name, relation FROM authorized_pickup
+           WHERE child_id = $1 ORDER BY id ASC`,
+          [id]
+        );
+        return res.json({
+          parents: parents.rows,
+          authorized_pickups: authorized.rows,
+        });
+      }
+
+      const parents = await pool.query(
+        `SELECT p.id, p.name, p.phone FROM parent p
+         JOIN enrollment e ON e.parent_id = p.id
+         WHERE e.child_id = $1
+         ORDER BY p.id ASC`,
+        [id]
+      );
+      const authorized = await pool.query(
+        "SELECT * FROM authorized_pickup WHERE child_id = $1 ORDER BY id ASC",
+        [id]
+      );
+      const restrictions = await pool.query(
+        "SELECT * FROM custody_restriction WHERE child_id = $1 ORDER BY id ASC",
+        [id]
+      );
+
+      res.json({
+        parents: parents.rows,
+        authorized_pickups: authorized.rows,
+        custody_restrictions: restrictions.rows,
+      });
+    } catch (err) {
+      res.status(500).json({ status: "error", error: err.message });
+    }
+  });
+
+  /**
+   * @swagger
+   * /create_authorized_pickup:
+   *   post:
+   *     summary: Add an authorized pickup person
+   *     tags:
+   *       - Pickup
+   *     description: Adds someone other than the parents (e.g. a grandparent) to the list of people allowed to pick up a child.
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             properties:
+   *               child_id:
+   *                 type: integer
+   *                 example: 1
+   *               name:
+   *                 type: string
+   *                 example: "Margaret Johnson"
+   *               relation:
+   *                 type: string
+   *                 example: "grandmother"
+   *               phone:
+   *                 type: string
+   *                 example: "555-987-6543"
+   *               id_reference:
+   *                 type: string
+   *                 description: Reference of the ID document to check at pickup
+   *                 example: "CC 12345678"
+   *     responses:
+   *       201:
+   *         description: Authorized pickup created successfully
+   *       400:
+   *         description: Missing or invalid parameters, or child does not exist
+   *       500:
+   *         description: Internal server error
+   */
+  app.post(
+    "/create_authorized_pickup",
+    authorize(...MANAGER_ROLES),
+    async (req, res) => {
+      const { child_id, name, relation, phone, id_reference } = req.body;
+
+      if (!child_id || !name || !relation || !phone || !id_reference) {
+        return res
+          .status(400)
+          .json({ status: "error", message: "All fields are required" });
+      }
+
+      try {
+        if (!(await findChild(req.user, child_id))) {
+          return res
+            .status(400)
+            .json({ status: "error", message: "Child does not exist" });
+        }
+
+        const result = await pool.query(
+          `INSERT INTO authorized_pickup (child_id, name, relation, phone, id_reference)
+           VALUES ($1, $2, $3, $4, $5)
+           RETURNING *`,
+          [child_id, name, relation, phone, id_reference]
+        );
+
+        res.status(201).json({
+          status: "success",
+          message: "Authorized pickup created successfully",
+          created_data: result.rows[0],
+        });
+      } catch (err) {
+        res.status(500).json({ status: "error", error: err.message });
+      }
+    }
+  );
+
+  /**
+   * @swagger
+   * /update_authorized_pickup/{id}:
+   *   put:
+   *     summary: Update an authorized pickup person
+   *     tags:
+   *       - Pickup
+   *     description: Updates the contact and ID details of an authorized pickup person.
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *           example: 1
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             properties:
+   *               name:
+   *                 type: string
+   *                 example: "Margaret Johnson"
+   *               relation:
+   *                 type: string
+   *                 example: "grandmother"
+   *               phone:
+   *                 type: string
+   *                 example: "555-987-0000"
+   *               id_reference:
+   *                 type: string
+   *                 example: "CC 12345678"
+   *     responses:
+   *       200:
+   *         description: Authorized pickup updated successfully
+   *       400:
+   *         description: Missing or invalid parameters
+   *       404:
+   *         description: Authorized pickup not found
+   *       500:
+   *         description: Internal server error
+   */
+  app.put(
+    "/update_authorized_pickup/:id",
+    authorize(...MANAGER_ROLES),
+    async (req, res) => {
+      const { id } = req.params;
+      const { name, relation, phone, id_reference } = req.body;
+
+      if (!name || !relation || !phone || !id_reference) {
+        return res
+          .status(400)
+          .json({ status: "error", message: "All fields are required" });
+      }
+
+      const params = [name, relation, phone, id_reference, id];
+      const scope = childScope(req.user, "child_id", params);
+
+      try {
+        const result = await pool.query(
+          `UPDATE authorized_pickup
+           SET name = $1, relation = $2, phone = $3, id_reference = $4
+           WHERE id = $5 AND ${scope}
+           RETURNING *`,
+          params
+        );
+
+        if (result.rowCount === 0) {
+          return res.status(404).json({
+            status: "not_found",
+            message: "Authorized pickup not found",
+          });
+        }
+
+        res.json({
+          status: "success",
+          message: "Authorized pickup updated successfully",
+          updated_data: result.rows[0],
+        });
+      } catch (err) {
+        res.status(500).json({ status: "error", error: err.message });
+      }
+    }
+  );
+
+  /**
+   * @swagger
+   * /delete_authorized_pickup/{id}:
+   *   delete:
+   *     summary: Remove an authorized pickup person
+   *     tags:
+   *       - Pickup
+   *     description: Removes a person from the authorized pickup list of a child.
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *           example: 1
+   *     responses:
+   *       200:
+   *         description: Authorized pickup deleted successfully
+   *       404:
+   *         description: Authorized pickup not found
+   *       500:
+   *         description: Internal server error
+   */
+  app.delete(
+    "/delete_authorized_pickup/:id",
+    authorize(...MANAGER_ROLES),
+    async (req, res) => {
+      const { id } = req.params;
+      const params = [id];
+      const scope = childScope(req.user, "child_id", params);
+
+      try {
+        const result = await pool.query(
+          `DELETE FROM authorized_pickup WHERE id = $1 AND ${scope}`,
+          params
+        );
+
+        if (result.rowCount === 0) {
+          return res.status(404).json({
+            status: "not_found",
+            message: "Authorized pickup not found",
+          });
+        }
+
+        res.json({
+          status: "success",
+          message: "Authorized pickup deleted successfully",
+        });
+      } catch (err) {
+        res.status(500).json({ status: "error", error: err.message });
+      }
+    }
+  );
+
+  /**
+   * @swagger
+   * /create_custody_restriction:
+   *   post:
+   *     summary: Add a custody restriction
+   *     tags:
+   *       - Pickup
+   *     description: Forbids someone from picking up a child. Use parent_id for a parent linked through enrollment, or name for anyone else.
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             properties:
+   *               child_id:
+   *                 type: integer
+   *                 example: 1
+   *               parent_id:
+   *                 type: integer
+   *                 example: null
+   *               name:
+   *                 type: string
+   *                 example: "John Doe"
+   *               reason:
+   *                 type: string
+   *                 example: "Court order 2024/123"
+   *     responses:
+   *       201:
+   *         description: Custody restriction created successfully
+   *       400:
+   *         description: Missing or invalid parameters, or child/parent does not exist
+   *       500:
+   *         description: Internal server error
+   */
+  app.post(
+    "/create_custody_restriction",
+    authorize(...MANAGER_ROLES),
+    async (req, res) => {
+      const { child_id, parent_id, name, reason } = req.body;
+
+      if (!child_id || !reason || (!parent_id && !name)) {
+        return res.status(400).json({
+          status: "error",
+          message: "child_id, reason and either parent_id or name are required",
+        });
+      }
+
+      try {
+        if (!(await findChild(req.user, child_id))) {
+          return res
+            .status(400)
+            .json({ status: "error", message: "Child does not exist" });
+        }
+
+        if (parent_id) {
+          const link = await pool.query(
+            "SELECT id FROM enrollment WHERE child_id = $1 AND parent_id = $2",
+            [child_id, parent_id]
+          );
+          if (link.rows.length === 0) {
+            return res.status(400).json({
+              status: "error",
+              message: "Parent is not linked to this child",
+            });
+          }
+        }
+
+        const result = await pool.query(
+          `INSERT INTO custody_restriction (child_id, parent_id, name, reason)
+           VALUES ($1, $2, $3, $4)
+           RETURNING *`,
+          [child_id, parent_id || null, name || null, reason]
+        );
+
+        res.status(201).json({
+          status: "success",
+          message: "Custody restriction created successfully",
+          created_data: result.rows[0],
+        });
+      } catch (err) {
+        res.status(500).json({ status: "error", error: err.message });
+      }
+    }
+  );
+
+  /**
+   * @swagger
+   * /delete_custody_restriction/{id}:
+   *   delete:
+   *     summary: Remove a custody restriction
+   *     tags:
+   *       - Pickup
+   *     description: Lifts a custody restriction.
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *           example: 1
+   *     responses:
+   *       200:
+   *         description: Custody restriction deleted successfully
+   *       404:
+   *         description: Custody restriction not found
+   *       500:
+   *         description: Internal server error
+   */
+  app.delete(
+    "/delete_custody_restriction/:id",
+    authorize(...MANAGER_ROLES),
+    async (req, res) => {
+      const { id } = req.params;
+      const params = [id];
+      const scope = childScope(req.user, "child_id", params);
+
+      try {
+        const result = await pool.query(
+          `DELETE FROM custody_restriction WHERE id = $1 AND ${scope}`,
+          params
+        );
+
+        if (result.rowCount === 0) {
+          return res.status(404).json({
+            status: "not_found",
+            message: "Custody restriction not found",
+          });
+        }
+
+        res.json({
+          status: "success",
+          message: "Custody restriction deleted successfully",
+        });
+      } catch (err) {
+        res.status(500).json({ status: "error", error: err.message });
+      }
+    }
+  );
+
+  /**
+   * @swagger
+   * /get_child_pickup_audit/{id}:
+   *   get:
+   *     summary: Pickup audit log of a child
+   *     tags:
+   *       - Pickup
+   *     description: Lists every check-out attempt for the child, accepted or refused, most recent first.
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *           example: 1
+   *     responses:
+   *       200:
+   *         description: Pickup audit records
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 audit_count:
+   *                   type: integer
+   *                   example: 1
+   *                 data:
+   *                   type: array
+   *                   items:
+   *                     type: object
+   *                     properties:
+   *                       id:
+   *                         type: integer
+   *                         example: 1
+   *                       child_id:
+   *                         type: integer
+   *                         example: 1
+   *                       attendance_id:
+   *                         type: integer
+   *                         example: null
+   *                       attempted_at:
+   *                         type: string
+   *                         format: date-time
+   *                         example: "2025-03-10T17:30:00.000Z"
+   *                       staff_user_id:
+   *                         type: integer
+   *                         example: 2
+   *                       pick_up_by:
+   *                         type: string
+   *                         example: "John Doe"
+   *                       allowed:
+   *                         type: boolean
+   *                         example: false
+   *                       reason:
+   *                         type: string
+   *                         example: "Custody restriction: Court order 2024/123"
+   *       404:
+   *         description: Child not found
+   *       500:
+   *         description: Internal server error
+   */
+  app.get(
+    "/get_child_pickup_audit/:id",
+    authorize(...STAFF_ROLES),
+    async (req, res) => {
+      const { id } = req.params;
+      try {
+        if (!(await findChild(req.user, id))) {
+          return res
+            .status(404)
+            .json({ status: "not_found", message: "Child not found" });
+        }
+
+        const result = await pool.query(
+          `SELECT * FROM pickup_audit
+           WHERE child_id = $1
+           ORDER BY attempted_at DESC`,
+          [id]
+        );
+
+        res.json({ audit_count: result.rows.length, data: result.rows });
+      } catch (err) {
+        res.status(500).json({ status: "error", error: err.message });
+      }
+    }
+  );
+}
+
+module.exports = { setupPickup, verifyPickup };
@@ -0,0 +1,445 @@
+const pool = require("./db");
+const {
+  authenticate,
+  verifyToken,
+  tokenExpiresAt,
+  authorize,
+  signPresenceToken,
+  verifyPresenceToken,
+  STAFF_ROLES,
+} = require("./auth");
+const { daycareScope } = require("./tenant");
+
+// Stream em tempo real das presenças de um daycare (Server-Sent Events).
+//
+// Cada evento é gravado em presence_event na transação da alteração e
+// anunciado com pg_notify, que o Postgres só entrega depois do COMMIT. Cada
+// réplica da API mantém uma ligação em LISTEN e reencaminha os eventos para os
+// streams abertos nela, por isso funciona com várias réplicas atrás do HPA.
+// Ao reconectar, o browser envia Last-Event-ID e o que falhou é reposto a
+// partir da tabela.
+
+const CHANNEL = "presence_event";
+
+// eventos repostos no máximo; com mais do que isto envia-se um snapshot
+const REPLAY_LIMIT = 500;
+const RETENTION_HOURS = Number(process.env.PRESENCE_RETENTION_HOURS || 24);
+const HEARTBEAT_MS = 25000;
+const RECONNECT_MS = 5000;
+// intervalo sugerido ao browser para voltar a ligar
+const CLIENT_RETRY_MS = 3000;
+
+// streams abertos nesta réplica, por daycare
+const streams = new Map();
+
+// Crianças presentes no daycare (com check-in e sem check-out), por sala
+async function daycarePresence(daycareId) {
+  const result = await pool.query(
+    `SELECT a.id AS attendance_id, c.id AS child_id, c.name,
+            c.classroom_id, cl.name AS classroom_name,
+            a.check_in_at, a.drop_off_by
+     FROM attendance a
+     JOIN child c ON c.id = a.child_id
+     LEFT JOIN classroom cl ON cl.id = c.classroom_id
+     WHERE c.daycare_id = $1 AND a.check_out_at IS NULL
+     ORDER BY cl.name ASC, c.name ASC`,
+    [daycareId]
+  );
+  return result.rows;
+}
+
+// Grava um evento de presença e avisa as réplicas. Deve receber o cliente da
+// transação que faz a alteração, para o evento só sair se ela ficar gravada.
+//
+// Os streams usam o id como cursor, por isso os eventos de um daycare têm de
+// ficar gravados pela ordem do id: um id menor gravado depois de um maior
+// nunca seria reposto. O lock do daycare (libertado no COMMIT/ROLLBACK) põe
+// as transações que publicam em fila.
+async function publishPresence(db, daycareId, eventType, data) {
+  await db.query("SELECT pg_advisory_xact_lock(hashtext($1), $2)", [
+    CHANNEL,
+    daycareId,
+  ]);
+  const result = await db.query(
+    `INSERT INTO presence_event (daycare_id, event_type, data)
+     VALUES ($1, $2, $3)
+     RETURNING *`,
+    [daycareId, eventType, JSON.stringify(data)]
+  );
+  await db.query("SELECT pg_notify($1, $2)", [
+    CHANNEL,
+    JSON.stringify(result.rows[0]),
+  ]);
+}
+
+function writeEvent(stream, event) {
+  stream.res.write(
+    `id: ${event.id}\nevent: ${event.event_type}\n` +
+      `data: ${JSON.stringify({ ...event.data, created_at: event.created_at })}\n\n`
+  );
+  stream.lastId = Math.max(stream.lastId, event.id);
+}
+
+function dispatch(event) {
+  for (const stream of streams.get(event.daycare_id) || []) {
+    // enquanto o stream repõe eventos, os novos esperam pela sua vez
+    if (stream.pending) stream.pending.push(event);
+    else writeEvent(stream, event);
+  }
+}
+
+// Envia os eventos do daycare depois de afterId; devolve false quando já não
+// estão todos guardados (foram apagados ou são demasiados)
+async function replay(stream, afterId) {
+  const known = await pool.query(
+    "SELECT id FROM presence_event WHERE id = $1 AND daycare_id = $2",
+    [afterId, stream.daycareId]
+  );
+  if (known.rows.length === 0) return false;
+
+  const result = await pool.query(
+    `SELECT * FROM presence_event
+     WHERE daycare_id = $1 AND id > $2
+     ORDER BY id ASC
+     LIMIT ${REPLAY_LIMIT + 1}`,
+    [stream.daycareId, afterId]
+  );
+  if (result.rows.length > REPLAY_LIMIT) return false;
+
+  stream.lastId = afterId;
+  for (const event of result.rows) writeEvent(stream, event);
+  return true;
+}
+
+// Estado atual do daycare, para um stream novo ou que perdeu eventos demais
+async function sendSnapshot(stream) {
+  const last = await pool.query(
+    "SELECT COALESCE(MAX(id), 0) AS id FROM presence_event WHERE daycare_id = $1",
+    [stream.daycareId]
+  );
+  const present = await daycarePresence(stream.daycareId);
+
+  stream.lastId = Number(last.rows[0].id);
+  stream.res.write(
+    `id: ${stream.lastId}\nevent: snapshot\n` +
+      `data: ${JSON.stringify({ present_count: present.length, present })}\n\n`
+  );
+}
+
+// Põe o stream em dia a partir de afterId (ou com um snapshot) e depois envia
+// os eventos que chegaram entretanto
+async function catchUp(stream, afterId) {
+  stream.pending = stream.pending || [];
+  try {
+    if (afterId === null || !(await replay(stream, afterId))) {
+      await sendSnapshot(stream);
+    }
+  } finally {
+    const pending = stream.pending;
+    stream.pending = null;
+    for (const event of pending) {
+      if (event.id > stream.lastId) writeEvent(stream, event);
+    }
+  }
+}
+
+function dropListener(client, err) {
+  if (client && !client.dropped) {
+    client.dropped = true;
+    client.removeAllListeners("notification");
+    client.release(err);
+  }
+}
+
+async function connectListener() {
+  let client;
+  try {
+    client = await pool.connect();
+    client.on("notification", (message) => {
+      try {
+        dispatch(JSON.parse(message.payload));
+      } catch (err) {
+        console.error(`Presence listener: ${err.message}`);
+      }
+    });
+    client.on("error", (err) => {
+      console.error(`Presence listener: ${err.message}`);
+      dropListener(client, err);
+      setTimeout(connectListener, RECONNECT_MS).unref();
+    });
+    await client.query(`LISTEN ${CHANNEL}`);
+
+    // os eventos de quando não havia ligação vêm da tabela
+    for (const daycareStreams of streams.values()) {
+      for (const stream of daycareStreams) {
+        if (stream.pending) continue;
+        catchUp(stream, stream.lastId).catch((err) =>
+          console.error(`Presence stream: ${err.message}`)
+        );
+      }
+    }
+  } catch (err) {
+    console.error(`Presence listener: ${err.message}`);
+    dropListener(client, err);
+    setTimeout(connectListener, RECONNECT_MS).unref();
+  }
+}
+
+// Liga o LISTEN desta réplica e os temporizadores do stream: heartbeat (para
+// proxies e load balancers não fecharem ligações paradas) e limpeza dos
+// eventos antigos
+function startPresenceListener() {
+  connectListener();
+
+  setInterval(() => {
+    for (const daycareStreams of streams.values()) {
+      for (const stream of daycareStreams) stream.res.write(": ping\n\n");
+    }
+  }, HEARTBEAT_MS).unref();
+
+  setInterval(() => {
+    pool
+      .query("DELETE FROM presence_event WHERE created_at < $1", [
+        new Date(Date.now() - RETENTION_HOURS * 3600 * 1000),
+      ])
+      .catch((err) => console.error(`Presence cleanup: ${err.message}`));
+  }, 3600 * 1000).unref();
+}
+
+// O EventSource do browser não envia headers, por isso o stream aceita em
+// ?access_token= um token curto de /get_presence_stream_token, nunca o token de
+// sessão. Guarda em req.tokenExpiresAt quando o token expira, para fechar o
+// stream nesse momento.
+function streamAuthenticate(req, res, next) {
+  const header = req.headers.authorization || "";
+  const [scheme, bearer] = header.split(" ");
+  const fromHeader = scheme === "Bearer" && Boolean(bearer);
+
+  if (!fromHeader && !req.query.access_token) {
+    return res
+      .status(401)
+      .json({ status: "unauthorized", message: "Missing bearer token" });
+  }
+
+  try {
+    const token = fromHeader ? bearer : String(req.query.access_token);
+    req.user = fromHeader
+      ? verifyToken(token)
+      : verifyPresenceToken(token, req.params.daycare_id);
+    req.tokenExpiresAt = tokenExpiresAt(token);
+    next();
+  } catch (err) {
+    res
+      .status(401)
+      .json({ status: "unauthorized", message: "Invalid or expired token" });
+  }
+}
+
+function setupPresenceStream(app) {
+  /**
+   * @swagger
+   * /presence_stream/{daycare_id}:
+   *   get:
+   *     summary: Live presence stream of a daycare
+   *     tags:
+   *       - Attendance
+   *     description: |
+   *       Server-Sent Events stream for a live dashboard of who is in which classroom. Use the bearer token as usual or, from a browser EventSource (which cannot send headers), a stream token from /get_presence_stream_token in the access_token query parameter. The session token is not accepted in the query string.
+   *
+   *       The first event is a snapshot with the children currently on site. After that the stream sends:
+   *         - checked_in: { attendance_id, child_id, name, classroom_id, check_in_at, drop_off_by }
+   *         - checked_out: { attendance_id, child_id, name, classroom_id, check_out_at, pick_up_by }
+   *         - classroom_changed: { child_id, name, from_classroom_id, to_classroom_id }
+   *         - incident_reported: { incident_id, child_id, name, classroom_id, category, occurred_at, location }
+   *
+   *       Every event has an id. When the connection drops the browser reconnects with Last-Event-ID (or last_event_id in the query string) and gets the events it missed; if they are no longer kept (PRESENCE_RETENTION_HOURS, 24 by default) or are too many, it gets a new snapshot instead. A comment line is sent every 25 seconds to keep the connection open.
+   *
+   *       When the token expires the stream sends a token_expired event and closes. The client then gets a new stream token and connects again with last_event_id set to the last id it received.
+   *     parameters:
+   *       - in: path
+   *         name: daycare_id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *           example: 1
+   *       - in: query
+   *         name: access_token
+   *         required: false
+   *         description: A stream token from /get_presence_stream_token, for clients that cannot send the Authorization header
+   *         schema:
+   *           type: string
+   *       - in: query
+   *         name: last_event_id
+   *         required: false
+   *         description: Same as the Last-Event-ID header
+   *         schema:
+   *           type: integer
+   *           example: 42
+   *     responses:
+   *       200:
+   *         description: Event stream
+   *         content:
+   *           text/event-stream:
+   *             schema:
+   *               type: string
+   *               example: "id: 42\nevent: checked_in\ndata: {\"attendance_id\":7,\"child_id\":1,\"name\":\"Emily Johnson\",\"classroom_id\":1,\"check_in_at\":\"2026-10-19T08:05:00.000Z\",\"drop_off_by\":\"Alice Johnson\",\"created_at\":\"2026-10-19T08:05:00.000Z\"}\n\n"
+   *       401:
+   *         description: Missing or invalid token
+   *       403:
+   *         description: Forbidden
+   *       404:
+   *         description: Daycare not found
+   *       500:
+   *         description: Internal server error
+   */
+  app.get(
+    "/presence_stream/:daycare_id",
+    streamAuthenticate,
+    authorize(...STAFF_ROLES),
+    async (req, res) => {
+      const params = [req.params.daycare_id];
+      let daycare;
+      try {
+        daycare = await pool.query(
+          `SELECT id FROM daycare
+           WHERE id = $1 AND ${daycareScope(req.user, "id", params)}`,
+          params
+        );
+      } catch (err) {
+        return res.status(500).json({ status: "error", error: err.message });
+      }
+
+      if (daycare.rows.length === 0) {
+        return res
+          .status(404)
+          .json({ status: "not_found", message: "Daycare not found" });
+      }
+
+      const daycareId = daycare.rows[0].id;
+      const lastEventId = Number(
+        req.headers["last-event-id"] || req.query.last_event_id
+      );
+
+      res.writeHead(200, {
+        "content-type": "text/event-stream; charset=utf-8",
+        "cache-control": "no-cache, no-transform",
+        connection: "keep-alive",
+        // nginx e outros proxies não devem guardar o stream em buffer
+        "x-accel-buffering": "no",
+      });
+      res.write(`retry: ${CLIENT_RETRY_MS}\n\n`);
+
+      const stream = { res, daycareId, lastId: 0, pending: [] };
+      if (!streams.has(daycareId)) streams.set(daycareId, new Set());
+      streams.get(daycareId).add(stream);
+
+      // com o token expirado o stream fecha; o cliente pede um token novo e
+      // volta a ligar com last_event_id
+      const expiry = setTimeout(() => {
+        res.write("event: token_expired\ndata: {}\n\n");
+        res.end();
+      }, Math.max(0, req.tokenExpiresAt - Date.now()));
+
+      req.on("close", () => {
+        clearTimeout(expiry);
+        const daycareStreams = streams.get(daycareId);
+        daycareStreams.delete(stream);
+        if (daycareStreams.size === 0) streams.delete(daycareId);
+      });
+
+      try {
+        await catchUp(
+          stream,
+          Number.isInteger(lastEventId) && lastEventId > 0 ? lastEventId : null
+        );
+      } catch (err) {
+        // o browser volta a ligar sozinho
+        console.error(`Presence stream: ${err.message}`);
+        res.end();
+      }
+    }
+  );
+
+  /**
+   * @swagger
+   * /get_presence_stream_token/{daycare_id}:
+   *   get:
+   *     summary: Token to open the presence stream from a browser
+   *     tags:
+   *       - Attendance
+   *     description: Short-lived token (15 minutes by default, PRESENCE_TOKEN_EXPIRES_IN) that only opens /presence_stream of this daycare, for browser EventSource clients that have to send it in the URL. The stream closes when the token expires.
+   *     parameters:
+   *       - in: path
+   *         name: daycare_id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *           example: 1
+   *     responses:
+   *       200:
+   *         description: Stream token
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 data:
+   *                   type: object
+   *                   properties:
+   *                     token:
+   *                       type: string
+   *                       example: "eyJhbGciOi..."
+   *                     expires_at:
+   *                       type: string
+   *                       format: date-time
+   *                       example: "2026-10-19T08:20:00.000Z"
+   *                     url:
+   *                       type: string
+   *                       example: "https://playsafe.example/presence_stream/1?access_token=eyJhbGciOi..."
+   *       403:
+   *         description: Forbidden
+   *       404:
+   *         description: Daycare not found
+   *       500:
+   *         description: Internal server error
+   */
+  app.get(
+    "/get_presence_stream_token/:daycare_id",
+    authenticate,
+    authorize(...STAFF_ROLES),
+    async (req, res) => {
+      const params = [req.params.daycare_id];
+      try {
+        const daycare = await pool.query(
+          `SELECT id FROM daycare
+           WHERE id = $1 AND ${daycareScope(req.user, "id", params)}`,
+          params
+        );
+        if (daycare.rows.length === 0) {
+          return res
+            .status(404)
+            .json({ status: "not_found", message: "Daycare not found" });
+        }
+
+        const daycareId = daycare.rows[0].id;
+        const token = signPresenceToken(req.user, daycareId);
+        res.json({
+          data: {
+            token,
+            expires_at: new Date(tokenExpiresAt(token)).toISOString(),
+            url: `${req.protocol}://${req.get("host")}/presence_stream/${daycareId}?access_token=${token}`,
+          },
+        });
+      } catch (err) {
+        res.status(500).json({ status: "error", error: err.message });
+      }
+    }
+  );
+}
+
+module.exports = {
+  setupPresenceStream,
+  startPresenceListener,
+  publishPresence,
+  daycarePresence,
+};
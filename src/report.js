@@ -0,0 +1,692 @@
+const PDFDocument = require("pdfkit");
+const pool = require("./db");
+const { authorize, ROLES, STAFF_ROLES, MANAGER_ROLES } = require("./auth");
+const { daycareScope, childScope } = require("./tenant");
+const { summarize } = require("./dailylog");
+const { isValidDate, formatDate, formatTime } = require("./validation");
+
+const FORMATS = ["html", "pdf"];
+
+// "morning_snack" → "Morning snack"
+function label(value) {
+  const text = String(value).replace(/_/g, " ");
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+function duration(minutes) {
+  const hours = Math.floor(minutes / 60);
+  return hours ? `${hours}h${String(minutes % 60).padStart(2, "0")}` : `${minutes} min`;
+}
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+// Tudo o que entra no relatório de uma criança num dia. Os incidentes só
+// entram depois de revistos, tal como os pais os veem em /get_incident_reports.
+async function loadReportData(childId, date) {
+  const child = await pool.query(
+    `SELECT c.id, c.name, d.name AS daycare_name
+     FROM child c
+     LEFT JOIN daycare d ON d.id = c.daycare_id
+     WHERE c.id = $1`,
+    [childId]
+  );
+  // a sala desse dia: a do check-in ou, sem presenças, a da inscrição em
+  // vigor nessa data (a criança pode ter mudado de sala entretanto)
+  const classroom = await pool.query(
+    `SELECT cl.name FROM attendance a
+     JOIN classroom cl ON cl.id = a.classroom_id
+     WHERE a.child_id = $1 AND a.check_in_at::date = $2
+     ORDER BY a.check_in_at ASC
+     LIMIT 1`,
+    [childId, date]
+  );
+  const enrolled =
+    classroom.rows.length > 0
+      ? classroom
+      : await pool.query(
+          `SELECT cl.name FROM child_enrollment ce
+           JOIN classroom cl ON cl.id = ce.classroom_id
+           WHERE ce.child_id = $1 AND ce.status IN ('active', 'withdrawn', 'graduated')
+             AND ce.start_date <= $2 AND (ce.end_date IS NULL OR ce.end_date >= $2)
+           ORDER BY ce.start_date DESC
+           LIMIT 1`,
+          [childId, date]
+        );
+  const attendance = await pool.query(
+    `SELECT check_in_at, drop_off_by, check_out_at, pick_up_by
+     FROM attendance
+     WHERE child_id = $1 AND check_in_at::date = $2
+     ORDER BY check_in_at ASC`,
+    [childId, date]
+  );
+  const entries = await pool.query(
+    `SELECT * FROM daily_log_entry
+     WHERE child_id = $1 AND log_date = $2
+     ORDER BY entry_time ASC, id ASC`,
+    [childId, date]
+  );
+  const incidents = await pool.query(
+    `SELECT occurred_at, category, location, description, injury_type,
+            first_aid_given, review_notes
+     FROM incident_report
+     WHERE child_id = $1 AND occurred_at::date = $2 AND status <> 'submitted'
+     ORDER BY occurred_at ASC`,
+    [childId, date]
+  );
+  const note = await pool.query(
+    "SELECT note FROM daily_note WHERE child_id = $1 AND note_date = $2",
+    [childId, date]
+  );
+
+  return {
+    child: {
+      ...child.rows[0],
+      classroom_name: enrolled.rows[0] ? enrolled.rows[0].name : null,
+    },
+    date,
+    attendance: attendance.rows,
+    log: summarize(entries.rows),
+    incidents: incidents.rows,
+    note: note.rows[0] ? note.rows[0].note : null,
+  };
+}
+
+// Modelo do relatório diário: título e secções com linhas [rótulo, texto].
+// Os dois formatos (HTML e PDF) são desenhados a partir deste modelo.
+function dailyReportTemplate({ child, date, attendance, log, incidents, note }) {
+  const day = new Date(`${date}T00:00:00`).toLocaleDateString("en-GB", {
+    weekday: "long",
+    day: "numeric",
+    month: "long",
+    year: "numeric",
+  });
+  const place = [child.daycare_name, child.classroom_name].filter(Boolean);
+
+  const eliminations = (counts) =>
+    Object.entries(counts)
+      .filter(([, count]) => count > 0)
+      .map(([kind, count]) => `${count} ${kind}`)
+      .join(", ");
+
+  return {
+    title: `Daily report: ${child.name}`,
+    subtitle: [day, ...place].join(" · "),
+    sections: [
+      {
+        heading: "Attendance",
+        empty: "No attendance recorded for this day.",
+        rows: attendance.flatMap((visit) => [
+          ["Arrived", `${formatTime(visit.check_in_at)}, dropped off by ${visit.drop_off_by}`],
+          visit.check_out_at
+            ? ["Left", `${formatTime(visit.check_out_at)}, picked up by ${visit.pick_up_by}`]
+            : ["Left", "Still at the daycare"],
+        ]),
+      },
+      {
+        heading: "Meals",
+        empty: "No meals recorded.",
+        rows: log.meals.map((meal) => [
+          meal.time,
+          `${label(meal.meal)}: ate ${meal.amount_eaten}${meal.notes ? ` (${meal.notes})` : ""}`,
+        ]),
+      },
+      {
+        heading: "Naps",
+        empty: "No naps recorded.",
+        rows: [
+          ...log.naps.map((nap) => [
+            nap.end ? `${nap.start}-${nap.end}` : nap.start,
+            nap.minutes ? duration(nap.minutes) : "Still asleep when recorded",
+          ]),
+          ...(log.naps.length ? [["Total", duration(log.total_nap_minutes)]] : []),
+        ],
+      },
+      {
+        heading: "Diapers and toilet",
+        empty: "Nothing recorded.",
+        rows: [
+          ["Diapers", eliminations(log.diapers)],
+          ["Toilet", eliminations(log.toilet)],
+        ].filter(([, text]) => text),
+      },
+      {
+        heading: "Mood",
+        empty: "No mood recorded.",
+        rows: log.moods.map((mood) => [
+          mood.time,
+          `${label(mood.mood)}${mood.notes ? `: ${mood.notes}` : ""}`,
+        ]),
+      },
+      {
+        heading: "Activities",
+        empty: "No activities recorded.",
+        rows: log.activities.map((activity) => [activity.time, activity.notes]),
+      },
+      {
+        heading: "Incidents",
+        empty: "No incidents.",
+        rows: incidents.map((incident) => [
+          `${formatTime(incident.occurred_at)} ${label(incident.category)}`,
+          [
+            `${incident.description} (${incident.location})`,
+            incident.injury_type && `Injury: ${incident.injury_type}`,
+            incident.first_aid_given && `First aid: ${incident.first_aid_given}`,
+            incident.review_notes && `Review: ${incident.review_notes}`,
+          ]
+            .filter(Boolean)
+            .join(". "),
+        ]),
+      },
+      {
+        heading: "Teacher's note",
+        empty: "No note today.",
+        rows: note ? [["", note]] : [],
+      },
+    ],
+  };
+}
+
+function renderHtml(report) {
+  const sections = report.sections
+    .map((section) => {
+      const body = section.rows.length
+        ? `<table>${section.rows
+            .map(
+              ([name, text]) =>
+                `<tr><th>${escapeHtml(name)}</th><td>${escapeHtml(text)}</td></tr>`
+            )
+            .join("")}</table>`
+        : `<p class="empty">${escapeHtml(section.empty)}</p>`;
+      return `<section><h2>${escapeHtml(section.heading)}</h2>${body}</section>`;
+    })
+    .join("\n");
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(report.title)}</title>
+<style>
+  body { font-family: Helvetica, Arial, sans-serif; margin: 2em; color: #222; }
+  h1 { margin-bottom: 0; }
+  .subtitle { color: #666; margin-top: 0.3em; }
+  h2 { font-size: 1.1em; border-bottom: 1px solid #ddd; padding-bottom: 0.2em; }
+  table { border-collapse: collapse; }
+  th { text-align: left; vertical-align: top; padding: 0.2em 1.5em 0.2em 0; white-space: nowrap; }
+  td { padding: 0.2em 0; }
+  .empty { color: #888; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(report.title)}</h1>
+<p class="subtitle">${escapeHtml(report.subtitle)}</p>
+${sections}
+</body>
+</html>
+`;
+}
+
+function renderPdf(report) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: "A4", margin: 50 });
+    const chunks = [];
+    doc.on("data", (chunk) => chunks.push(chunk));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+
+    doc.font("Helvetica-Bold").fontSize(18).text(report.title);
+    doc.font("Helvetica").fontSize(11).fillColor("#666").text(report.subtitle);
+
+    for (const section of report.sections) {
+      doc.moveDown();
+      doc.font("Helvetica-Bold").fontSize(13).fillColor("#222").text(section.heading);
+      doc.moveDown(0.3);
+
+      if (section.rows.length === 0) {
+        doc.font("Helvetica").fontSize(10).fillColor("#888").text(section.empty);
+        continue;
+      }
+      for (const [name, text] of section.rows) {
+        doc.fontSize(10).fillColor("#222");
+        if (name) doc.font("Helvetica-Bold").text(`${name}  `, { continued: true });
+        doc.font("Helvetica").text(text);
+      }
+    }
+
+    doc.end();
+  });
+}
+
+async function buildDailyReport(childId, date) {
+  const report = dailyReportTemplate(await loadReportData(childId, date));
+  return { html: renderHtml(report), pdf: await renderPdf(report) };
+}
+
+// Gera de novo o relatório de um dia e guarda-o no lugar do anterior
+async function storeDailyReport(childId, date) {
+  const { html, pdf } = await buildDailyReport(childId, date);
+  const result = await pool.query(
+    `INSERT INTO daily_report (child_id, report_date, html, pdf)
+     VALUES ($1, $2, $3, $4)
+     ON CONFLICT (child_id, report_date) DO UPDATE
+     SET html = $3, pdf = $4, generated_at = NOW()
+     RETURNING child_id, report_date, generated_at`,
+    [childId, date, html, pdf]
+  );
+  return result.rows[0];
+}
+
+function setupDailyReports(app) {
+  /**
+   * @swagger
+   * /update_daily_note/{id}:
+   *   put:
+   *     summary: Write the teacher's note for a child's day
+   *     tags:
+   *       - Daily report
+   *     description: Sets the note shown at the end of the child's daily report. Writing it again replaces the previous note of that day.
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         description: The child ID
+   *         schema:
+   *           type: integer
+   *           example: 1
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             properties:
+   *               date:
+   *                 type: string
+   *                 format: date
+   *                 description: Day of the note (default today)
+   *                 example: "2026-03-12"
+   *               note:
+   *                 type: string
+   *                 example: "Emily helped tidy up the toys and shared her crayons."
+   *     responses:
+   *       200:
+   *         description: Note saved successfully
+   *       400:
+   *         description: Missing or invalid parameters
+   *       404:
+   *         description: Child not found
+   *       500:
+   *         description: Internal server error
+   */
+  app.put(
+    "/update_daily_note/:id",
+    authorize(...STAFF_ROLES),
+    async (req, res) => {
+      const { id } = req.params;
+      const { note } = req.body;
+      const date = req.body.date || formatDate(new Date());
+
+      if (!note || typeof note !== "string") {
+        return res
+          .status(400)
+          .json({ status: "error", message: "note is required" });
+      }
+      if (!isValidDate(date)) {
+        return res.status(400).json({
+          status: "error",
+          message: "date must be a date in the format YYYY-MM-DD",
+        });
+      }
+
+      try {
+        const params = [id];
+        const child = await pool.query(
+          `SELECT id FROM child
+           WHERE id = $1 AND ${childScope(req.user, "id", params)}`,
+          params
+        );
+        if (child.rows.length === 0) {
+          return res
+            .status(404)
+            .json({ status: "not_found", message: "Child not found" });
+        }
+
+        const result = await pool.query(
+          `INSERT INTO daily_note (child_id, note_date, note, written_by)
+           VALUES ($1, $2, $3, $4)
+           ON CONFLICT (child_id, note_date) DO UPDATE
+           SET note = $3, written_by = $4, updated_at = NOW()
+           RETURNING *`,
+          [id, date, note, req.user.id]
+        );
+
+        res.json({
+          status: "success",
+          message: "Note saved successfully",
+          updated_data: result.rows[0],
+        });
+      } catch (err) {
+        res.status(500).json({ status: "error", error: err.message });
+      }
+    }
+  );
+
+  /**
+   * @swagger
+   * /get_daily_report/{id}:
+   *   get:
+   *     summary: Download the daily report of a child
+   *     tags:
+   *       - Daily report
+   *     description: Returns the end-of-day report of a child (attendance times, meals, naps, diapers, moods, activities, reviewed incidents and the teacher's note) as an HTML page or a PDF file. When the report was generated at closing time with /generate_daily_reports (or later with /regenerate_daily_report) that version is returned, otherwise it is built from the current data without being stored. Guardians can download the reports of the children they are linked to.
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         description: The child ID
+   *         schema:
+   *           type: integer
+   *           example: 1
+   *       - in: query
+   *         name: date
+   *         required: false
+   *         description: Day of the report (YYYY-MM-DD, default today)
+   *         schema:
+   *           type: string
+   *           format: date
+   *           example: "2026-03-12"
+   *       - in: query
+   *         name: format
+   *         required: false
+   *         description: html (default) or pdf
+   *         schema:
+   *           type: string
+   *           enum: [html, pdf]
+   *     responses:
+   *       200:
+   *         description: The report
+   *         content:
+   *           text/html:
+   *             schema:
+   *               type: string
+   *           application/pdf:
+   *             schema:
+   *               type: string
+   *               format: binary
+   *       400:
+   *         description: Invalid date or format
+   *       404:
+   *         description: Child not found
+   *       500:
+   *         description: Internal server error
+   */
+  app.get(
+    "/get_daily_report/:id",
+    authorize(...ROLES),
+    async (req, res) => {
+      const { id } = req.params;
+      const date = req.query.date || formatDate(new Date());
+      const format = req.query.format || "html";
+
+      if (!isValidDate(date)) {
+        return res.status(400).json({
+          status: "error",
+          message: "date must be a date in the format YYYY-MM-DD",
+        });
+      }
+      if (!FORMATS.includes(format)) {
+        return res.status(400).json({
+          status: "error",
+          message: `format must be one of: ${FORMATS.join(", ")}`,
+        });
+      }
+
+      try {
+        const params = [id];
+        const child = await pool.query(
+          `SELECT id FROM child
+           WHERE id = $1 AND ${childScope(req.user, "id", params)}`,
+          params
+        );
+        if (child.rows.length === 0) {
+          return res
+            .status(404)
+            .json({ status: "not_found", message: "Child not found" });
+        }
+
+        const stored = await pool.query(
+          "SELECT html, pdf FROM daily_report WHERE child_id = $1 AND report_date = $2",
+          [id, date]
+        );
+        const report = stored.rows[0] || (await buildDailyReport(id, date));
+
+        if (format === "pdf") {
+          res.set(
+            "Content-Disposition",
+            `attachment; filename="daily-report-${id}-${date}.pdf"`
+          );
+          return res.type("application/pdf").send(report.pdf);
+        }
+        res.type("html").send(report.html);
+      } catch (err) {
+        res.status(500).json({ status: "error", error: err.message });
+      }
+    }
+  );
+
+  /**
+   * @swagger
+   * /regenerate_daily_report/{id}:
+   *   post:
+   *     summary: Regenerate the daily report of a child
+   *     tags:
+   *       - Daily report
+   *     description: Builds the report of one child for one day again from the current data and stores it in place of the previous one, e.g. after a note or an incident review added once the closing time reports were generated. Parents keep getting the stored version until a staff member does this.
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         description: The child ID
+   *         schema:
+   *           type: integer
+   *           example: 1
+   *     requestBody:
+   *       required: false
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             properties:
+   *               date:
+   *                 type: string
+   *                 format: date
+   *                 description: Day of the report (default today)
+   *                 example: "2026-03-12"
+   *     responses:
+   *       200:
+   *         description: Report regenerated successfully
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 status:
+   *                   type: string
+   *                   example: success
+   *                 message:
+   *                   type: string
+   *                   example: Daily report regenerated successfully
+   *                 updated_data:
+   *                   type: object
+   *                   example: { child_id: 1, report_date: "2026-03-12", generated_at: "2026-03-12T18:40:00.000Z" }
+   *       400:
+   *         description: Invalid date
+   *       404:
+   *         description: Child not found
+   *       500:
+   *         description: Internal server error
+   */
+  app.post(
+    "/regenerate_daily_report/:id",
+    authorize(...STAFF_ROLES),
+    async (req, res) => {
+      const { id } = req.params;
+      const date = (req.body && req.body.date) || formatDate(new Date());
+
+      if (!isValidDate(date)) {
+        return res.status(400).json({
+          status: "error",
+          message: "date must be a date in the format YYYY-MM-DD",
+        });
+      }
+
+      try {
+        const params = [id];
+        const child = await pool.query(
+          `SELECT id FROM child
+           WHERE id = $1 AND ${childScope(req.user, "id", params)}`,
+          params
+        );
+        if (child.rows.length === 0) {
+          return res
+            .status(404)
+            .json({ status: "not_found", message: "Child not found" });
+        }
+
+        res.json({
+          status: "success",
+          message: "Daily report regenerated successfully",
+          updated_data: await storeDailyReport(id, date),
+        });
+      } catch (err) {
+        res.status(500).json({ status: "error", error: err.message });
+      }
+    }
+  );
+
+  /**
+   * @swagger
+   * /generate_daily_reports/{id}:
+   *   post:
+   *     summary: Generate the daily reports of a daycare
+   *     tags:
+   *       - Daily report
+   *     description: Meant to be called at closing time. Builds the HTML and PDF report of every child who attended the daycare that day and keeps them for download with /get_daily_report. Running it again for the same day replaces the reports.
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         description: The daycare ID
+   *         schema:
+   *           type: integer
+   *           example: 1
+   *     requestBody:
+   *       required: false
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             properties:
+   *               date:
+   *                 type: string
+   *                 format: date
+   *                 description: Day of the reports (default today)
+   *                 example: "2026-03-12"
+   *     responses:
+   *       201:
+   *         description: Reports generated successfully
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 status:
+   *                   type: string
+   *                   example: success
+   *                 message:
+   *                   type: string
+   *                   example: 12 daily reports generated
+   *                 reports_count:
+   *                   type: integer
+   *                   example: 12
+   *                 data:
+   *                   type: array
+   *                   items:
+   *                     type: object
+   *                     properties:
+   *                       child_id:
+   *                         type: integer
+   *                         example: 1
+   *                       name:
+   *                         type: string
+   *                         example: "Emily Johnson"
+   *       400:
+   *         description: Invalid date
+   *       404:
+   *         description: Daycare not found
+   *       500:
+   *         description: Internal server error
+   */
+  app.post(
+    "/generate_daily_reports/:id",
+    authorize(...MANAGER_ROLES),
+    async (req, res) => {
+      const { id } = req.params;
+      const date = (req.body && req.body.date) || formatDate(new Date());
+
+      if (!isValidDate(date)) {
+        return res.status(400).json({
+          status: "error",
+          message: "date must be a date in the format YYYY-MM-DD",
+        });
+      }
+
+      try {
+        const params = [id];
+        const daycare = await pool.query(
+          `SELECT id FROM daycare
+           WHERE id = $1 AND ${daycareScope(req.user, "id", params)}`,
+          params
+        );
+        if (daycare.rows.length === 0) {
+          return res
+            .status(404)
+            .json({ status: "not_found", message: "Daycare not found" });
+        }
+
+        const children = await pool.query(
+          `SELECT DISTINCT c.id, c.name
+           FROM child c
+           JOIN attendance a ON a.child_id = c.id
+           WHERE c.daycare_id = $1 AND a.check_in_at::date = $2
+           ORDER BY c.name ASC`,
+          [id, date]
+        );
+
+        // um relatório de cada vez para não carregar a base de dados no fecho
+        const data = [];
+        for (const child of children.rows) {
+          await storeDailyReport(child.id, date);
+          data.push({ child_id: child.id, name: child.name });
+        }
+
+        res.status(201).json({
+          status: "success",
+          message: `${data.length} daily reports generated`,
+          reports_count: data.length,
+          data,
+        });
+      } catch (err) {
+        res.status(500).json({ status: "error", error: err.message });
+      }
+    }
+  );
+}
+
+module.exports = { setupDailyReports };
@@ -0,0 +1,310 @@
+const pool = require("./db");
+const { authorize, ROLES } = require("./auth");
+const { daycareScope, childScope, linkableParentScope } = require("./tenant");
+const { likePattern } = require("./pagination");
+
+const TYPES = ["child", "parent", "daycare"];
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+// minúsculas e sem acentos, igual ao unaccent() do lado da base de dados
+function normalize(value) {
+  return value
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .trim();
+}
+
+// Pontuação do quão bem uma coluna corresponde ao termo (0 = não corresponde):
+// igual > começa por > uma palavra começa por > contém. É calculada na query
+// para ordenar antes do LIMIT, senão a correspondência exata podia ficar de
+// fora quando há mais resultados do que o limite. O termo já vem normalizado.
+function rankSql(value, term, params) {
+  const escaped = term.replace(/[\\%_]/g, "\\$&");
+  params.push(term, `${escaped}%`, `% ${escaped}%`, `%${escaped}%`);
+  const [exact, prefix, wordPrefix, contains] = [3, 2, 1, 0].map(
+    (back) => `$${params.length - back}`
+  );
+  return `(CASE WHEN ${value} = ${exact} THEN 100
+                WHEN ${value} LIKE ${prefix} THEN 80
+                WHEN ${value} LIKE ${wordPrefix} THEN 60
+                WHEN ${value} LIKE ${contains} THEN 40
+                ELSE 0 END)`;
+}
+
+// minúsculas e sem acentos, como o normalize() de um termo
+function normalizedSql(column) {
+  return `lower(unaccent(${column}))`;
+}
+
+async function searchChildren(user, pattern, term, limit) {
+  const params = [pattern];
+  const rank = rankSql(normalizedSql("c.name"), term, params);
+  const result = await pool.query(
+    `SELECT c.id, c.name, c.date_of_birth, c.classroom_id,
+            d.id AS daycare_id, d.name AS daycare_name, ${rank} AS rank
+     FROM child c
+     LEFT JOIN daycare d ON d.id = c.daycare_id
+     WHERE unaccent(c.name) ILIKE unaccent($1)
+       AND ${childScope(user, "c.id", params)}
+     ORDER BY rank DESC, c.name ASC, c.id ASC
+     LIMIT ${limit}`,
+    params
+  );
+  return result.rows;
+}
+
+async function searchParents(user, pattern, term, digits, limit) {
+  const params = [pattern];
+  let match = `unaccent(name) ILIKE unaccent($1) OR email ILIKE $1`;
+  const ranks = {
+    name: rankSql(normalizedSql("name"), term, params),
+    email: rankSql(normalizedSql("email"), term, params),
+  };
+  // só procura por telefone com pelo menos 3 dígitos, comparando só os dígitos
+  if (digits.length >= 3) {
+    const phone = "regexp_replace(phone, '[^0-9]', '', 'g')";
+    ranks.phone = rankSql(phone, digits, params);
+    match += ` OR ${phone} LIKE $${params.length}`;
+  }
+
+  const fields = Object.entries(ranks)
+    .map(([field, rank]) => `${rank} AS ${field}_rank`)
+    .join(", ");
+  const best = Object.keys(ranks)
+    .map((field) => `${field}_rank`)
+    .join(", ");
+  const result = await pool.query(
+    `SELECT * FROM (
+       SELECT id, name, email, phone, ${fields} FROM parent
+       WHERE (${match}) AND ${linkableParentScope(user, "id", params)}
+     ) p
+     ORDER BY GREATEST(${best}) DESC, name ASC, id ASC
+     LIMIT ${limit}`,
+    params
+  );
+  if (result.rows.length === 0) return [];
+
+  // daycare do pai = o das crianças a que está ligado (dentro do alcance)
+  const daycareParams = [result.rows.map((parent) => parent.id)];
+  const daycares = await pool.query(
+    `SELECT e.parent_id, d.id, d.name
+     FROM enrollment e
+     JOIN child c ON c.id = e.child_id
+     JOIN daycare d ON d.id = c.daycare_id
+     WHERE e.parent_id = ANY($1::int[]) AND ${daycareScope(user, "d.id", daycareParams)}
+     ORDER BY d.id ASC`,
+    daycareParams
+  );
+
+  return result.rows.map((parent) => {
+    const daycare = daycares.rows.find((row) => row.parent_id === parent.id);
+    // campo que deu a melhor pontuação (o primeiro em caso de empate)
+    const field = Object.keys(ranks).reduce((a, b) =>
+      parent[`${b}_rank`] > parent[`${a}_rank`] ? b : a
+    );
+    return {
+      id: parent.id,
+      name: parent.name,
+      email: parent.email,
+      phone: parent.phone,
+      matched_field: field,
+      rank: parent[`${field}_rank`],
+      daycare_id: daycare ? daycare.id : null,
+      daycare_name: daycare ? daycare.name : null,
+    };
+  });
+}
+
+async function searchDaycares(user, pattern, term, limit) {
+  const params = [pattern];
+  const rank = rankSql(normalizedSql("name"), term, params);
+  const result = await pool.query(
+    `SELECT id, name, ${rank} AS rank FROM daycare
+     WHERE unaccent(name) ILIKE unaccent($1)
+       AND ${daycareScope(user, "id", params)}
+     ORDER BY rank DESC, name ASC, id ASC
+     LIMIT ${limit}`,
+    params
+  );
+  return result.rows;
+}
+
+function setupSearch(app) {
+  /**
+   * @swagger
+   * /search:
+   *   get:
+   *     summary: Search children, parents and daycares
+   *     tags:
+   *       - Search
+   *     description: Finds children by name, parents by name, email or phone number, and daycares by name. Matching is case- and accent-insensitive and phone numbers are compared by their digits only. Results are ranked (exact match, then prefix, then word prefix, then anywhere in the text) and only include records the caller can see through the get_* routes.
+   *     parameters:
+   *       - in: query
+   *         name: q
+   *         required: true
+   *         description: Text to look for (at least 2 characters)
+   *         schema:
+   *           type: string
+   *           example: "joao"
+   *       - in: query
+   *         name: types
+   *         required: false
+   *         description: Comma separated list of child, parent and daycare (all by default)
+   *         schema:
+   *           type: string
+   *           example: "child,parent"
+   *       - in: query
+   *         name: limit
+   *         required: false
+   *         description: Maximum number of results (1 to 100, default 20)
+   *         schema:
+   *           type: integer
+   *           example: 20
+   *     responses:
+   *       200:
+   *         description: Ranked search results
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 results_count:
+   *                   type: integer
+   *                   example: 2
+   *                 data:
+   *                   type: array
+   *                   items:
+   *                     type: object
+   *                     properties:
+   *                       type:
+   *                         type: string
+   *                         enum: [child, parent, daycare]
+   *                         example: child
+   *                       id:
+   *                         type: integer
+   *                         example: 6
+   *                       name:
+   *                         type: string
+   *                         example: "João Gonçalves"
+   *                       matched_field:
+   *                         type: string
+   *                         example: name
+   *                       rank:
+   *                         type: integer
+   *                         example: 80
+   *                       daycare_id:
+   *                         type: integer
+   *                         example: 1
+   *                       daycare_name:
+   *                         type: string
+   *                         example: "Happy Kids Daycare"
+   *                       details:
+   *                         type: object
+   *                         example: { date_of_birth: "2021-04-02", classroom_id: 1 }
+   *       400:
+   *         description: Missing or invalid parameters
+   *       500:
+   *         description: Internal server error
+   */
+  app.get("/search", authorize(...ROLES), async (req, res) => {
+    const { q, types } = req.query;
+    const limit =
+      req.query.limit === undefined ? DEFAULT_LIMIT : Number(req.query.limit);
+
+    if (typeof q !== "string" || q.trim().length < 2) {
+      return res.status(400).json({
+        status: "error",
+        message: "q must have at least 2 characters",
+      });
+    }
+
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+      return res.status(400).json({
+        status: "error",
+        message: `limit must be an integer between 1 and ${MAX_LIMIT}`,
+      });
+    }
+
+    const wanted = types === undefined ? TYPES : String(types).split(",");
+    if (wanted.length === 0 || wanted.some((type) => !TYPES.includes(type))) {
+      return res.status(400).json({
+        status: "error",
+        message: `types must be a comma separated list of: ${TYPES.join(", ")}`,
+      });
+    }
+
+    const term = normalize(q);
+    const pattern = likePattern(q.trim());
+    const digits = q.replace(/\D/g, "");
+
+    try {
+      const results = [];
+
+      if (wanted.includes("child")) {
+        for (const child of await searchChildren(req.user, pattern, term, limit)) {
+          results.push({
+            type: "child",
+            id: child.id,
+            name: child.name,
+            matched_field: "name",
+            rank: child.rank,
+            daycare_id: child.daycare_id,
+            daycare_name: child.daycare_name,
+            details: {
+              date_of_birth: child.date_of_birth,
+              classroom_id: child.classroom_id,
+            },
+          });
+        }
+      }
+
+      if (wanted.includes("parent")) {
+        const parents = await searchParents(
+          req.user,
+          pattern,
+          term,
+          digits,
+          limit
+        );
+        for (const parent of parents) {
+          results.push({
+            type: "parent",
+            id: parent.id,
+            name: parent.name,
+            matched_field: parent.matched_field,
+            rank: parent.rank,
+            daycare_id: parent.daycare_id,
+            daycare_name: parent.daycare_name,
+            details: { email: parent.email, phone: parent.phone },
+          });
+        }
+      }
+
+      if (wanted.includes("daycare")) {
+        for (const daycare of await searchDaycares(req.user, pattern, term, limit)) {
+          results.push({
+            type: "daycare",
+            id: daycare.id,
+            name: daycare.name,
+            matched_field: "name",
+            rank: daycare.rank,
+            daycare_id: daycare.id,
+            daycare_name: daycare.name,
+            details: {},
+          });
+        }
+      }
+
+      results.sort((a, b) => b.rank - a.rank || a.name.localeCompare(b.name));
+      const data = results.slice(0, limit);
+
+      res.json({ results_count: data.length, data });
+    } catch (err) {
+      res.status(500).json({ status: "error", error: err.message });
+    }
+  });
+}
+
+module.exports = { setupSearch };
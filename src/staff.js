@@ -0,0 +1,1577 @@
+const pool = require("./db");
+const { authorize, STAFF_ROLES, MANAGER_ROLES } = require("./auth");
+const { daycareScope, staffScope } = require("./tenant");
+const { isValidDate, isValidTime, formatDate } = require("./validation");
+const { parseListQuery, pageInfo } = require("./pagination");
+
+// filtros e ordenação aceites por /get_staff_members
+const STAFF_LIST = {
+  filters: {
+    daycare_id: { column: "daycare_id", type: "id" },
+    role: { column: "role", op: "iequals", type: "text" },
+    name: { column: "name", op: "contains", type: "text" },
+  },
+  sort: ["id", "name", "role"],
+};
+
+async function findStaff(user, id) {
+  const params = [id];
+  const result = await pool.query(
+    `SELECT * FROM staff
+     WHERE id = $1 AND ${daycareScope(user, "daycare_id", params)}`,
+    params
+  );
+  return result.rows[0];
+}
+
+// A conta ligada à ficha tem de ser staff do mesmo daycare.
+// Devolve a mensagem de erro, ou null se estiver tudo bem.
+async function checkUserLink(userId, daycareId) {
+  const result = await pool.query(
+    "SELECT role, daycare_id FROM app_user WHERE id = $1",
+    [userId]
+  );
+  const account = result.rows[0];
+
+  if (
+    !account ||
+    account.role === "parent" ||
+    account.daycare_id !== Number(daycareId)
+  ) {
+    return "User does not exist or is not staff of this daycare";
+  }
+  return null;
+}
+
+function validateShift({ shift_date, start_time, end_time }) {
+  if (!shift_date || !start_time || !end_time) {
+    return "shift_date, start_time and end_time are required";
+  }
+  if (!isValidDate(shift_date)) {
+    return "shift_date must be a date in the format YYYY-MM-DD";
+  }
+  if (!isValidTime(start_time) || !isValidTime(end_time)) {
+    return "start_time and end_time must be times in the format HH:MM";
+  }
+  if (start_time >= end_time) {
+    return "end_time must be after start_time";
+  }
+  return null;
+}
+
+// A sala do turno (opcional) tem de ser do daycare do funcionário
+async function classroomInDaycare(classroomId, daycareId) {
+  const result = await pool.query(
+    "SELECT id FROM classroom WHERE id = $1 AND daycare_id = $2",
+    [classroomId, daycareId]
+  );
+  return result.rows.length > 0;
+}
+
+// Um funcionário não pode ter dois turnos sobrepostos no mesmo dia
+async function hasOverlappingShift(staffId, shift, excludeId) {
+  const result = await pool.query(
+    `SELECT id FROM staff_shift
+     WHERE staff_id = $1 AND shift_date = $2
+       AND start_time < $4 AND end_time > $3
+       AND id <> $5`,
+    [staffId, shift.shift_date, shift.start_time, shift.end_time, excludeId || 0]
+  );
+  return result.rows.length > 0;
+}
+
+function setupStaff(app) {
+  /**
+   * @swagger
+   * /get_staff_members:
+   *   get:
+   *     summary: Get all staff members
+   *     tags:
+   *       - Staff
+   *     description: Returns the staff members of the caller's daycare.
+   *     parameters:
+   *       - $ref: '#/components/parameters/limit'
+   *       - $ref: '#/components/parameters/offset'
+   *       - in: query
+   *         name: sort
+   *         required: false
+   *         description: "Sort field, prefixed with - for descending order. One of: id, name, role"
+   *         schema:
+   *           type: string
+   *           example: "name"
+   *       - in: query
+   *         name: daycare_id
+   *         required: false
+   *         description: Only staff of this daycare
+   *         schema:
+   *           type: integer
+   *           example: 1
+   *       - in: query
+   *         name: role
+   *         required: false
+   *         description: Exact role (case-insensitive)
+   *         schema:
+   *           type: string
+   *           example: "Lead teacher"
+   *       - in: query
+   *         name: name
+   *         required: false
+   *         description: Part of the staff member name (case-insensitive)
+   *         schema:
+   *           type: string
+   *           example: "Carter"
+   *     responses:
+   *       200:
+   *         description: List of staff members
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 staff_count:
+   *                   type: integer
+   *                   example: 2
+   *                 pagination:
+   *                   $ref: '#/components/schemas/Pagination'
+   *                 data:
+   *                   type: array
+   *                   items:
+   *                     type: object
+   *                     properties:
+   *                       id:
+   *                         type: integer
+   *                         example: 1
+   *                       name:
+   *                         type: string
+   *                         example: "Helen Carter"
+   *                       role:
+   *                         type: string
+   *                         example: "Director"
+   *                       phone:
+   *                         type: string
+   *                         example: "555-111-2222"
+   *                       email:
+   *                         type: string
+   *                         example: "helen.carter@happykids.com"
+   *                       daycare_id:
+   *                         type: integer
+   *                         example: 1
+   *                       user_id:
+   *                         type: integer
+   *                         example: null
+   *       400:
+   *         description: Invalid pagination, sort or filter parameters
+   *       500:
+   *         description: Service error
+   */
+  app.get("/get_staff_members", authorize(...STAFF_ROLES), async (req, res) => {
+    const params = [];
+    const scope = daycareScope(req.user, "daycare_id", params);
+    const list = parseListQuery(req.query, STAFF_LIST, params);
+
+    if (list.error) {
+      return res.status(400).json({ status: "error", message: list.error });
+    }
+
+    const where = [scope, ...list.conditions].join(" AND ");
+
+    try {
+      const count = await pool.query(
+        `SELECT COUNT(*) AS total FROM staff WHERE ${where}`,
+        params
+      );
+      const data = await pool.query(
+        `SELECT * FROM staff WHERE ${where}
+         ORDER BY ${list.orderBy} LIMIT ${list.limit} OFFSET ${list.offset}`,
+        params
+      );
+      const total = parseInt(count.rows[0].total, 10);
+
+      res.json({
+        staff_count: total,
+        data: data.rows,
+        pagination: pageInfo(req, list, total),
+      });
+    } catch (err) {
+      res.status(500).json({ status: "error", error: err.message });
+    }
+  });
+
+  /**
+   * @swagger
+   * /get_staff_member/{id}:
+   *   get:
+   *     summary: Get staff member by ID
+   *     tags:
+   *       - Staff
+   *     description: Retrieve a staff member with their certifications and the classrooms they are assigned to.
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *           example: 1
+   *     responses:
+   *       200:
+   *         description: Staff member found
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 data:
+   *                   type: array
+   *                   items:
+   *                     type: object
+   *                     properties:
+   *                       id:
+   *                         type: integer
+   *                         example: 2
+   *                       name:
+   *                         type: string
+   *                         example: "Mark Davis"
+   *                       role:
+   *                         type: string
+   *                         example: "Lead teacher"
+   *                       certifications:
+   *                         type: array
+   *                         items:
+   *                           type: object
+   *                           properties:
+   *                             id:
+   *                               type: integer
+   *                               example: 2
+   *                             name:
+   *                               type: string
+   *                               example: "Pediatric First Aid"
+   *                             issued_on:
+   *                               type: string
+   *                               format: date
+   *                               example: "2023-11-05"
+   *                             expires_on:
+   *                               type: string
+   *                               format: date
+   *                               example: "2026-11-05"
+   *                       classrooms:
+   *                         type: array
+   *                         items:
+   *                           type: object
+   *                           properties:
+   *                             assignment_id:
+   *                               type: integer
+   *                               example: 1
+   *                             classroom_id:
+   *                               type: integer
+   *                               example: 1
+   *                             name:
+   *                               type: string
+   *                               example: "Blue Butterflies"
+   *       404:
+   *         description: Staff member not found
+   *       500:
+   *         description: Internal server error
+   */
+  app.get(
+    "/get_staff_member/:id",
+    authorize(...STAFF_ROLES),
+    async (req, res) => {
+      const { id } = req.params;
+      try {
+        const staff = await findStaff(req.user, id);
+        if (!staff) {
+          return res
+            .status(404)
+            .json({ status: "not_found", message: "Staff member not found" });
+        }
+
+        const certifications = await pool.query(
+          `SELECT id, name, issued_on, expires_on FROM staff_certification
+           WHERE staff_id = $1 ORDER BY expires_on ASC`,
+          [id]
+        );
+        const classrooms = await pool.query(
+          `SELECT sa.id AS assignment_id, cl.id AS classroom_id, cl.name
+           FROM staff_assignment sa
+           JOIN classroom cl ON cl.id = sa.classroom_id
+           WHERE sa.staff_id = $1
+           ORDER BY cl.id ASC`,
+          [id]
+        );
+
+        staff.certifications = certifications.rows;
+        staff.classrooms = classrooms.rows;
+        res.json({ data: [staff] });
+      } catch (err) {
+        res.status(500).json({ status: "error", error: err.message });
+      }
+    }
+  );
+
+  /**
+   * @swagger
+   * /create_staff_member:
+   *   post:
+   *     summary: Create a staff member
+   *     tags:
+   *       - Staff
+   *     description: Inserts a new staff member in a daycare. user_id optionally links the record to the login account of the staff member.
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             properties:
+   *               name:
+   *                 type: string
+   *                 example: "Laura Green"
+   *               role:
+   *                 type: string
+   *                 example: "Assistant teacher"
+   *               phone:
+   *                 type: string
+   *                 example: "555-777-8888"
+   *               email:
+   *                 type: string
+   *                 example: "laura.green@happykids.com"
+   *               daycare_id:
+   *                 type: integer
+   *                 example: 1
+   *               user_id:
+   *                 type: integer
+   *                 example: 2
+   *     responses:
+   *       201:
+   *         description: Staff member created successfully
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 status:
+   *                   type: string
+   *                   example: success
+   *                 message:
+   *                   type: string
+   *                   example: Staff member created successfully
+   *                 created_data:
+   *                   type: object
+   *                   properties:
+   *                     id:
+   *                       type: integer
+   *                       example: 5
+   *                     name:
+   *                       type: string
+   *                       example: "Laura Green"
+   *                     role:
+   *                       type: string
+   *                       example: "Assistant teacher"
+   *                     phone:
+   *                       type: string
+   *                       example: "555-777-8888"
+   *                     email:
+   *                       type: string
+   *                       example: "laura.green@happykids.com"
+   *                     daycare_id:
+   *                       type: integer
+   *                       example: 1
+   *                     user_id:
+   *                       type: integer
+   *                       example: 2
+   *       400:
+   *         description: Missing or invalid parameters, or daycare/user does not exist
+   *       409:
+   *         description: User already linked to another staff member
+   *       500:
+   *         description: Internal server error
+   */
+  app.post(
+    "/create_staff_member",
+    authorize(...MANAGER_ROLES),
+    async (req, res) => {
+      const { name, role, phone, email, daycare_id, user_id } = req.body;
+
+      if (!name || !role || !phone || !email || !daycare_id) {
+        return res
+          .status(400)
+          .json({ status: "error", message: "All fields are required" });
+      }
+
+      try {
+        const params = [daycare_id];
+        const daycare = await pool.query(
+          `SELECT id FROM daycare
+           WHERE id = $1 AND ${daycareScope(req.user, "id", params)}`,
+          params
+        );
+
+        if (daycare.rows.length === 0) {
+          return res
+            .status(400)
+            .json({ status: "error", message: "Daycare does not exist" });
+        }
+
+        if (user_id) {
+          const linkError = await checkUserLink(user_id, daycare_id);
+          if (linkError) {
+            return res
+              .status(400)
+              .json({ status: "error", message: linkError });
+          }
+        }
+
+        const result = await pool.query(
+          `INSERT INTO staff (name, role, phone, email, daycare_id, user_id)
+           VALUES ($1, $2, $3, $4, $5, $6)
+           RETURNING *`,
+          [name, role, phone, email, daycare_id, user_id || null]
+        );
+
+        res.status(201).json({
+          status: "success",
+          message: "Staff member created successfully",
+          created_data: result.rows[0],
+        });
+      } catch (err) {
+        if (err.code === "23505") {
+          return res.status(409).json({
+            status: "error",
+            message: "User is already linked to another staff member",
+          });
+        }
+        res.status(500).json({ status: "error", error: err.message });
+      }
+    }
+  );
+
+  /**
+   * @swagger
+   * /delete_staff_member/{id}:
+   *   delete:
+   *     summary: Delete staff member by ID
+   *     tags:
+   *       - Staff
+   *     description: Permanently removes a staff member, with their certifications, classroom assignments and shifts.
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *           example: 1
+   *     responses:
+   *       200:
+   *         description: Staff member successfully deleted
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 status:
+   *                   type: string
+   *                   example: success
+   *                 message:
+   *                   type: string
+   *                   example: Staff member deleted successfully
+   *       404:
+   *         description: Staff member not found
+   *       500:
+   *         description: Internal server error
+   */
+  app.delete(
+    "/delete_staff_member/:id",
+    authorize(...MANAGER_ROLES),
+    async (req, res) => {
+      const { id } = req.params;
+      const params = [id];
+      const scope = daycareScope(req.user, "daycare_id", params);
+
+      try {
+        const result = await pool.query(
+          `DELETE FROM staff WHERE id = $1 AND ${scope}`,
+          params
+        );
+
+        if (result.rowCount === 0) {
+          return res
+            .status(404)
+            .json({ status: "not_found", message: "Staff member not found" });
+        }
+
+        res.json({
+          status: "success",
+          message: "Staff member deleted successfully",
+        });
+      } catch (err) {
+        res.status(500).json({ status: "error", error: err.message });
+      }
+    }
+  );
+
+  /**
+   * @swagger
+   * /update_staff_member/{id}:
+   *   put:
+   *     summary: Update staff member by ID
+   *     tags:
+   *       - Staff
+   *     description: Updates a staff member by its unique ID. Staff members cannot be moved to another daycare. Send user_id null to unlink the login account, or omit it to keep the current one.
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *           example: 1
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             properties:
+   *               name:
+   *                 type: string
+   *                 example: "Helen Carter"
+   *               role:
+   *                 type: string
+   *                 example: "Director"
+   *               phone:
+   *                 type: string
+   *                 example: "555-111-2222"
+   *               email:
+   *                 type: string
+   *                 example: "helen.carter@happykids.com"
+   *               user_id:
+   *                 type: integer
+   *                 example: 2
+   *     responses:
+   *       200:
+   *         description: Staff member updated successfully
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 status:
+   *                   type: string
+   *                   example: success
+   *                 message:
+   *                   type: string
+   *                   example: Staff member updated successfully
+   *                 updated_data:
+   *                   type: object
+   *                   properties:
+   *                     id:
+   *                       type: integer
+   *                       example: 1
+   *                     name:
+   *                       type: string
+   *                       example: "Helen Carter"
+   *                     role:
+   *                       type: string
+   *                       example: "Director"
+   *       400:
+   *         description: Missing or invalid parameters, or user does not exist
+   *       404:
+   *         description: Staff member not found
+   *       409:
+   *         description: User already linked to another staff member
+   *       500:
+   *         description: Internal server error
+   */
+  app.put(
+    "/update_staff_member/:id",
+    authorize(...MANAGER_ROLES),
+    async (req, res) => {
+      const { id } = req.params;
+      const { name, role, phone, email, user_id } = req.body;
+
+      if (!name || !role || !phone || !email) {
+        return res
+          .status(400)
+          .json({ status: "error", message: "All fields are required" });
+      }
+
+      try {
+        const staff = await findStaff(req.user, id);
+        if (!staff) {
+          return res
+            .status(404)
+            .json({ status: "not_found", message: "Staff member not found" });
+        }
+
+        const linkedUser = user_id === undefined ? staff.user_id : user_id;
+        if (linkedUser && linkedUser !== staff.user_id) {
+          const linkError = await checkUserLink(linkedUser, staff.daycare_id);
+          if (linkError) {
+            return res
+              .status(400)
+              .json({ status: "error", message: linkError });
+          }
+        }
+
+        const result = await pool.query(
+          `UPDATE staff
+           SET name = $1, role = $2, phone = $3, email = $4, user_id = $5
+           WHERE id = $6
+           RETURNING *`,
+          [name, role, phone, email, linkedUser || null, id]
+        );
+
+        res.json({
+          status: "success",
+          message: "Staff member updated successfully",
+          updated_data: result.rows[0],
+        });
+      } catch (err) {
+        if (err.code === "23505") {
+          return res.status(409).json({
+            status: "error",
+            message: "User is already linked to another staff member",
+          });
+        }
+        res.status(500).json({ status: "error", error: err.message });
+      }
+    }
+  );
+
+  /**
+   * @swagger
+   * /create_staff_certification:
+   *   post:
+   *     summary: Add a certification to a staff member
+   *     tags:
+   *       - Staff
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             properties:
+   *               staff_id:
+   *                 type: integer
+   *                 example: 1
+   *               name:
+   *                 type: string
+   *                 example: "CPR"
+   *               issued_on:
+   *                 type: string
+   *                 format: date
+   *                 example: "2025-02-01"
+   *               expires_on:
+   *                 type: string
+   *                 format: date
+   *                 example: "2027-02-01"
+   *     responses:
+   *       201:
+   *         description: Certification created successfully
+   *       400:
+   *         description: Missing or invalid parameters, or staff member does not exist
+   *       500:
+   *         description: Internal server error
+   */
+  app.post(
+    "/create_staff_certification",
+    authorize(...MANAGER_ROLES),
+    async (req, res) => {
+      const { staff_id, name, issued_on, expires_on } = req.body;
+
+      if (!staff_id || !name || !expires_on) {
+        return res.status(400).json({
+          status: "error",
+          message: "staff_id, name and expires_on are required",
+        });
+      }
+
+      if (!isValidDate(expires_on) || (issued_on && !isValidDate(issued_on))) {
+        return res.status(400).json({
+          status: "error",
+          message: "issued_on and expires_on must be dates in the format YYYY-MM-DD",
+        });
+      }
+
+      try {
+        if (!(await findStaff(req.user, staff_id))) {
+          return res
+            .status(400)
+            .json({ status: "error", message: "Staff member does not exist" });
+        }
+
+        const result = await pool.query(
+          `INSERT INTO staff_certification (staff_id, name, issued_on, expires_on)
+           VALUES ($1, $2, $3, $4)
+           RETURNING *`,
+          [staff_id, name, issued_on || null, expires_on]
+        );
+
+        res.status(201).json({
+          status: "success",
+          message: "Certification created successfully",
+          created_data: result.rows[0],
+        });
+      } catch (err) {
+        res.status(500).json({ status: "error", error: err.message });
+      }
+    }
+  );
+
+  /**
+   * @swagger
+   * /update_staff_certification/{id}:
+   *   put:
+   *     summary: Update a certification
+   *     tags:
+   *       - Staff
+   *     description: Updates a certification, typically with the new dates after a renewal.
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *           example: 1
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             properties:
+   *               name:
+   *                 type: string
+   *                 example: "Pediatric First Aid"
+   *               issued_on:
+   *                 type: string
+   *                 format: date
+   *                 example: "2026-11-01"
+   *               expires_on:
+   *                 type: string
+   *                 format: date
+   *                 example: "2029-11-01"
+   *     responses:
+   *       200:
+   *         description: Certification updated successfully
+   *       400:
+   *         description: Missing or invalid parameters
+   *       404:
+   *         description: Certification not found
+   *       500:
+   *         description: Internal server error
+   */
+  app.put(
+    "/update_staff_certification/:id",
+    authorize(...MANAGER_ROLES),
+    async (req, res) => {
+      const { id } = req.params;
+      const { name, issued_on, expires_on } = req.body;
+
+      if (!name || !expires_on) {
+        return res.status(400).json({
+          status: "error",
+          message: "Both name and expires_on are required",
+        });
+      }
+
+      if (!isValidDate(expires_on) || (issued_on && !isValidDate(issued_on))) {
+        return res.status(400).json({
+          status: "error",
+          message: "issued_on and expires_on must be dates in the format YYYY-MM-DD",
+        });
+      }
+
+      const params = [name, issued_on || null, expires_on, id];
+      const scope = staffScope(req.user, "staff_id", params);
+
+      try {
+        const result = await pool.query(
+          `UPDATE staff_certification
+           SET name = $1, issued_on = $2, expires_on = $3
+           WHERE id = $4 AND ${scope}
+           RETURNING *`,
+          params
+        );
+
+        if (result.rowCount === 0) {
+          return res
+            .status(404)
+            .json({ status: "not_found", message: "Certification not found" });
+        }
+
+        res.json({
+          status: "success",
+          message: "Certification updated successfully",
+          updated_data: result.rows[0],
+        });
+      } catch (err) {
+        res.status(500).json({ status: "error", error: err.message });
+      }
+    }
+  );
+
+  /**
+   * @swagger
+   * /delete_staff_certification/{id}:
+   *   delete:
+   *     summary: Delete a certification
+   *     tags:
+   *       - Staff
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *           example: 1
+   *     responses:
+   *       200:
+   *         description: Certification deleted successfully
+   *       404:
+   *         description: Certification not found
+   *       500:
+   *         description: Internal server error
+   */
+  app.delete(
+    "/delete_staff_certification/:id",
+    authorize(...MANAGER_ROLES),
+    async (req, res) => {
+      const { id } = req.params;
+      const params = [id];
+      const scope = staffScope(req.user, "staff_id", params);
+
+      try {
+        const result = await pool.query(
+          `DELETE FROM staff_certification WHERE id = $1 AND ${scope}`,
+          params
+        );
+
+        if (result.rowCount === 0) {
+          return res
+            .status(404)
+            .json({ status: "not_found", message: "Certification not found" });
+        }
+
+        res.json({
+          status: "success",
+          message: "Certification deleted successfully",
+        });
+      } catch (err) {
+        res.status(500).json({ status: "error", error: err.message });
+      }
+    }
+  );
+
+  /**
+   * @swagger
+   * /get_expiring_certifications/{daycare_id}:
+   *   get:
+   *     summary: Certifications expiring soon
+   *     tags:
+   *       - Staff
+   *     description: Lists the staff certifications of a daycare that expire between today and the next N days (30 by default), soonest first.
+   *     parameters:
+   *       - in: path
+   *         name: daycare_id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *           example: 1
+   *       - in: query
+   *         name: days
+   *         required: false
+   *         schema:
+   *           type: integer
+   *           example: 30
+   *     responses:
+   *       200:
+   *         description: Expiring certifications
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 certifications_count:
+   *                   type: integer
+   *                   example: 1
+   *                 data:
+   *                   type: array
+   *                   items:
+   *                     type: object
+   *                     properties:
+   *                       id:
+   *                         type: integer
+   *                         example: 2
+   *                       staff_id:
+   *                         type: integer
+   *                         example: 2
+   *                       staff_name:
+   *                         type: string
+   *                         example: "Mark Davis"
+   *                       name:
+   *                         type: string
+   *                         example: "Pediatric First Aid"
+   *                       expires_on:
+   *                         type: string
+   *                         format: date
+   *                         example: "2026-11-05"
+   *       400:
+   *         description: Invalid number of days
+   *       404:
+   *         description: Daycare not found
+   *       500:
+   *         description: Internal server error
+   */
+  app.get(
+    "/get_expiring_certifications/:daycare_id",
+    authorize(...STAFF_ROLES),
+    async (req, res) => {
+      const { daycare_id } = req.params;
+      const days = req.query.days === undefined ? 30 : Number(req.query.days);
+
+      if (!Number.isInteger(days) || days < 0) {
+        return res.status(400).json({
+          status: "error",
+          message: "days must be a non-negative integer",
+        });
+      }
+
+      try {
+        const params = [daycare_id];
+        const daycare = await pool.query(
+          `SELECT id FROM daycare
+           WHERE id = $1 AND ${daycareScope(req.user, "id", params)}`,
+          params
+        );
+
+        if (daycare.rows.length === 0) {
+          return res
+            .status(404)
+            .json({ status: "not_found", message: "Daycare not found" });
+        }
+
+        const today = new Date();
+        const until = new Date(today);
+        until.setDate(until.getDate() + days);
+
+        const result = await pool.query(
+          `SELECT sc.id, sc.staff_id, s.name AS staff_name, sc.name,
+                  sc.issued_on, sc.expires_on
+           FROM staff_certification sc
+           JOIN staff s ON s.id = sc.staff_id
+           WHERE s.daycare_id = $1
+             AND sc.expires_on >= $2 AND sc.expires_on <= $3
+           ORDER BY sc.expires_on ASC, sc.id ASC`,
+          [daycare_id, formatDate(today), formatDate(until)]
+        );
+
+        res.json({
+          certifications_count: result.rows.length,
+          data: result.rows,
+        });
+      } catch (err) {
+        res.status(500).json({ status: "error", error: err.message });
+      }
+    }
+  );
+
+  /**
+   * @swagger
+   * /create_staff_assignment:
+   *   post:
+   *     summary: Assign a staff member to a classroom
+   *     tags:
+   *       - Staff
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             properties:
+   *               staff_id:
+   *                 type: integer
+   *                 example: 1
+   *               classroom_id:
+   *                 type: integer
+   *                 example: 2
+   *     responses:
+   *       201:
+   *         description: Staff member assigned successfully
+   *       400:
+   *         description: Missing parameters, or staff member/classroom does not exist
+   *       409:
+   *         description: Staff member already assigned to the classroom
+   *       500:
+   *         description: Internal server error
+   */
+  app.post(
+    "/create_staff_assignment",
+    authorize(...MANAGER_ROLES),
+    async (req, res) => {
+      const { staff_id, classroom_id } = req.body;
+
+      if (!staff_id || !classroom_id) {
+        return res.status(400).json({
+          status: "error",
+          message: "Both staff_id and classroom_id are required",
+        });
+      }
+
+      try {
+        const staff = await findStaff(req.user, staff_id);
+        if (!staff) {
+          return res
+            .status(400)
+            .json({ status: "error", message: "Staff member does not exist" });
+        }
+
+        if (!(await classroomInDaycare(classroom_id, staff.daycare_id))) {
+          return res
+            .status(400)
+            .json({ status: "error", message: "Classroom does not exist" });
+        }
+
+        const result = await pool.query(
+          `INSERT INTO staff_assignment (staff_id, classroom_id)
+           VALUES ($1, $2)
+           RETURNING *`,
+          [staff_id, classroom_id]
+        );
+
+        res.status(201).json({
+          status: "success",
+          message: "Staff member assigned successfully",
+          created_data: result.rows[0],
+        });
+      } catch (err) {
+        if (err.code === "23505") {
+          return res.status(409).json({
+            status: "error",
+            message: "Staff member is already assigned to this classroom",
+          });
+        }
+        res.status(500).json({ status: "error", error: err.message });
+      }
+    }
+  );
+
+  /**
+   * @swagger
+   * /delete_staff_assignment/{id}:
+   *   delete:
+   *     summary: Remove a staff member from a classroom
+   *     tags:
+   *       - Staff
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *           example: 1
+   *     responses:
+   *       200:
+   *         description: Assignment deleted successfully
+   *       404:
+   *         description: Assignment not found
+   *       500:
+   *         description: Internal server error
+   */
+  app.delete(
+    "/delete_staff_assignment/:id",
+    authorize(...MANAGER_ROLES),
+    async (req, res) => {
+      const { id } = req.params;
+      const params = [id];
+      const scope = staffScope(req.user, "staff_id", params);
+
+      try {
+        const result = await pool.query(
+          `DELETE FROM staff_assignment WHERE id = $1 AND ${scope}`,
+          params
+        );
+
+        if (result.rowCount === 0) {
+          return res
+            .status(404)
+            .json({ status: "not_found", message: "Assignment not found" });
+        }
+
+        res.json({
+          status: "success",
+          message: "Assignment deleted successfully",
+        });
+      } catch (err) {
+        res.status(500).json({ status: "error", error: err.message });
+      }
+    }
+  );
+
+  /**
+   * @swagger
+   * /get_classroom_staff/{id}:
+   *   get:
+   *     summary: Staff assigned to a classroom
+   *     tags:
+   *       - Staff
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *           example: 1
+   *     responses:
+   *       200:
+   *         description: Staff members assigned to the classroom
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 staff_count:
+   *                   type: integer
+   *                   example: 1
+   *                 data:
+   *                   type: array
+   *                   items:
+   *                     type: object
+   *                     properties:
+   *                       assignment_id:
+   *                         type: integer
+   *                         example: 1
+   *                       id:
+   *                         type: integer
+   *                         example: 2
+   *                       name:
+   *                         type: string
+   *                         example: "Mark Davis"
+   *                       role:
+   *                         type: string
+   *                         example: "Lead teacher"
+   *       404:
+   *         description: Classroom not found
+   *       500:
+   *         description: Internal server error
+   */
+  app.get(
+    "/get_classroom_staff/:id",
+    authorize(...STAFF_ROLES),
+    async (req, res) => {
+      const { id } = req.params;
+      try {
+        const params = [id];
+        const classroom = await pool.query(
+          `SELECT id FROM classroom
+           WHERE id = $1 AND ${daycareScope(req.user, "daycare_id", params)}`,
+          params
+        );
+
+        if (classroom.rows.length === 0) {
+          return res
+            .status(404)
+            .json({ status: "not_found", message: "Classroom not found" });
+        }
+
+        const result = await pool.query(
+          `SELECT sa.id AS assignment_id, s.*
+           FROM staff_assignment sa
+           JOIN staff s ON s.id = sa.staff_id
+           WHERE sa.classroom_id = $1
+           ORDER BY s.name ASC`,
+          [id]
+        );
+
+        res.json({ staff_count: result.rows.length, data: result.rows });
+      } catch (err) {
+        res.status(500).json({ status: "error", error: err.message });
+      }
+    }
+  );
+
+  /**
+   * @swagger
+   * /get_staff_shifts:
+   *   get:
+   *     summary: Get scheduled shifts
+   *     tags:
+   *       - Staff
+   *     description: Lists the shifts of the caller's daycare, optionally filtered by staff member, classroom and date range.
+   *     parameters:
+   *       - in: query
+   *         name: staff_id
+   *         required: false
+   *         schema:
+   *           type: integer
+   *           example: 2
+   *       - in: query
+   *         name: classroom_id
+   *         required: false
+   *         schema:
+   *           type: integer
+   *           example: 1
+   *       - in: query
+   *         name: from
+   *         required: false
+   *         schema:
+   *           type: string
+   *           format: date
+   *           example: "2026-10-19"
+   *       - in: query
+   *         name: to
+   *         required: false
+   *         schema:
+   *           type: string
+   *           format: date
+   *           example: "2026-10-25"
+   *     responses:
+   *       200:
+   *         description: List of shifts
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 shifts_count:
+   *                   type: integer
+   *                   example: 1
+   *                 data:
+   *                   type: array
+   *                   items:
+   *                     type: object
+   *                     properties:
+   *                       id:
+   *                         type: integer
+   *                         example: 1
+   *                       staff_id:
+   *                         type: integer
+   *                         example: 2
+   *                       staff_name:
+   *                         type: string
+   *                         example: "Mark Davis"
+   *                       classroom_id:
+   *                         type: integer
+   *                         example: 1
+   *                       shift_date:
+   *                         type: string
+   *                         format: date
+   *                         example: "2026-10-20"
+   *                       start_time:
+   *                         type: string
+   *                         example: "08:00:00"
+   *                       end_time:
+   *                         type: string
+   *                         example: "16:00:00"
+   *       400:
+   *         description: Invalid date range
+   *       500:
+   *         description: Internal server error
+   */
+  app.get("/get_staff_shifts", authorize(...STAFF_ROLES), async (req, res) => {
+    const { staff_id, classroom_id, from, to } = req.query;
+
+    if ((from && !isValidDate(from)) || (to && !isValidDate(to))) {
+      return res.status(400).json({
+        status: "error",
+        message: "from and to must be dates in the format YYYY-MM-DD",
+      });
+    }
+
+    const params = [];
+    let where = staffScope(req.user, "sh.staff_id", params);
+    if (staff_id) {
+      params.push(staff_id);
+      where += ` AND sh.staff_id = $${params.length}`;
+    }
+    if (classroom_id) {
+      params.push(classroom_id);
+      where += ` AND sh.classroom_id = $${params.length}`;
+    }
+    if (from) {
+      params.push(from);
+      where += ` AND sh.shift_date >= $${params.length}`;
+    }
+    if (to) {
+      params.push(to);
+      where += ` AND sh.shift_date <= $${params.length}`;
+    }
+
+    try {
+      const result = await pool.query(
+        `SELECT sh.*, s.name AS staff_name
+         FROM staff_shift sh
+         JOIN staff s ON s.id = sh.staff_id
+         WHERE ${where}
+         ORDER BY sh.shift_date ASC, sh.start_time ASC`,
+        params
+      );
+
+      res.json({ shifts_count: result.rows.length, data: result.rows });
+    } catch (err) {
+      res.status(500).json({ status: "error", error: err.message });
+    }
+  });
+
+  /**
+   * @swagger
+   * /create_staff_shift:
+   *   post:
+   *     summary: Schedule a shift
+   *     tags:
+   *       - Staff
+   *     description: Schedules a shift for a staff member on a given day, optionally in a classroom. Shifts of the same staff member cannot overlap.
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             properties:
+   *               staff_id:
+   *                 type: integer
+   *                 example: 2
+   *               classroom_id:
+   *                 type: integer
+   *                 example: 1
+   *               shift_date:
+   *                 type: string
+   *                 format: date
+   *                 example: "2026-10-20"
+   *               start_time:
+   *                 type: string
+   *                 example: "08:00"
+   *               end_time:
+   *                 type: string
+   *                 example: "16:00"
+   *     responses:
+   *       201:
+   *         description: Shift created successfully
+   *       400:
+   *         description: Missing or invalid parameters, or staff member/classroom does not exist
+   *       409:
+   *         description: Overlaps another shift of the staff member
+   *       500:
+   *         description: Internal server error
+   */
+  app.post(
+    "/create_staff_shift",
+    authorize(...MANAGER_ROLES),
+    async (req, res) => {
+      const { staff_id, classroom_id, shift_date, start_time, end_time } =
+        req.body;
+
+      if (!staff_id) {
+        return res
+          .status(400)
+          .json({ status: "error", message: "staff_id is required" });
+      }
+
+      const shiftError = validateShift(req.body);
+      if (shiftError) {
+        return res.status(400).json({ status: "error", message: shiftError });
+      }
+
+      try {
+        const staff = await findStaff(req.user, staff_id);
+        if (!staff) {
+          return res
+            .status(400)
+            .json({ status: "error", message: "Staff member does not exist" });
+        }
+
+        if (
+          classroom_id &&
+          !(await classroomInDaycare(classroom_id, staff.daycare_id))
+        ) {
+          return res
+            .status(400)
+            .json({ status: "error", message: "Classroom does not exist" });
+        }
+
+        if (await hasOverlappingShift(staff_id, req.body, null)) {
+          return res.status(409).json({
+            status: "error",
+            message: "Shift overlaps another shift of this staff member",
+          });
+        }
+
+        const result = await pool.query(
+          `INSERT INTO staff_shift
+             (staff_id, classroom_id, shift_date, start_time, end_time)
+           VALUES ($1, $2, $3, $4, $5)
+           RETURNING *`,
+          [staff_id, classroom_id || null, shift_date, start_time, end_time]
+        );
+
+        res.status(201).json({
+          status: "success",
+          message: "Shift created successfully",
+          created_data: result.rows[0],
+        });
+      } catch (err) {
+        res.status(500).json({ status: "error", error: err.message });
+      }
+    }
+  );
+
+  /**
+   * @swagger
+   * /update_staff_shift/{id}:
+   *   put:
+   *     summary: Update a shift
+   *     tags:
+   *       - Staff
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *           example: 1
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             properties:
+   *               classroom_id:
+   *                 type: integer
+   *                 example: 2
+   *               shift_date:
+   *                 type: string
+   *                 format: date
+   *                 example: "2026-10-20"
+   *               start_time:
+   *                 type: string
+   *                 example: "09:00"
+   *               end_time:
+   *                 type: string
+   *                 example: "17:00"
+   *     responses:
+   *       200:
+   *         description: Shift updated successfully
+   *       400:
+   *         description: Missing or invalid parameters, or classroom does not exist
+   *       404:
+   *         description: Shift not found
+   *       409:
+   *         description: Overlaps another shift of the staff member
+   *       500:
+   *         description: Internal server error
+   */
+  app.put(
+    "/update_staff_shift/:id",
+    authorize(...MANAGER_ROLES),
+    async (req, res) => {
+      const { id } = req.params;
+      const { classroom_id, shift_date, start_time, end_time } = req.body;
+
+      const shiftError = validateShift(req.body);
+      if (shiftError) {
+        return res.status(400).json({ status: "error", message: shiftError });
+      }
+
+      try {
+        const params = [id];
+        const shift = await pool.query(
+          `SELECT sh.staff_id, s.daycare_id
+           FROM staff_shift sh
+           JOIN staff s ON s.id = sh.staff_id
+           WHERE sh.id = $1 AND ${staffScope(req.user, "sh.staff_id", params)}`,
+          params
+        );
+
+        if (shift.rows.length === 0) {
+          return res
+            .status(404)
+            .json({ status: "not_found", message: "Shift not found" });
+        }
+
+        const { staff_id, daycare_id } = shift.rows[0];
+
+        if (classroom_id && !(await classroomInDaycare(classroom_id, daycare_id))) {
+          return res
+            .status(400)
+            .json({ status: "error", message: "Classroom does not exist" });
+        }
+
+        if (await hasOverlappingShift(staff_id, req.body, id)) {
+          return res.status(409).json({
+            status: "error",
+            message: "Shift overlaps another shift of this staff member",
+          });
+        }
+
+        const result = await pool.query(
+          `UPDATE staff_shift
+           SET classroom_id = $1, shift_date = $2, start_time = $3, end_time = $4
+           WHERE id = $5
+           RETURNING *`,
+          [classroom_id || null, shift_date, start_time, end_time, id]
+        );
+
+        res.json({
+          status: "success",
+          message: "Shift updated successfully",
+          updated_data: result.rows[0],
+        });
+      } catch (err) {
+        res.status(500).json({ status: "error", error: err.message });
+      }
+    }
+  );
+
+  /**
+   * @swagger
+   * /delete_staff_shift/{id}:
+   *   delete:
+   *     summary: Delete a shift
+   *     tags:
+   *       - Staff
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *           example: 1
+   *     responses:
+   *       200:
+   *         description: Shift deleted successfully
+   *       404:
+   *         description: Shift not found
+   *       500:
+   *         description: Internal server error
+   */
+  app.delete(
+    "/delete_staff_shift/:id",
+    authorize(...MANAGER_ROLES),
+    async (req, res) => {
+      const { id } = req.params;
+      const params = [id];
+      const scope = staffScope(req.user, "staff_id", params);
+
+      try {
+        const result = await pool.query(
+          `DELETE FROM staff_shift WHERE id = $1 AND ${scope}`,
+          params
+        );
+
+        if (result.rowCount === 0) {
+          return res
+            .status(404)
+            .json({ status: "not_found", message: "Shift not found" });
+        }
+
+        res.json({ status: "success", message: "Shift deleted successfully" });
+      } catch (err) {
+        res.status(500).json({ status: "error", error: err.message });
+      }
+    }
+  );
+}
+
+module.exports = { setupStaff };
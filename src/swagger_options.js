@@ -12,6 +12,10 @@ const swaggerOptions = {
       description: "API documentation using Swagger",
     },
     tags: [
+      {
+        name: "Auth",
+        description: "Login and user accounts",
+      },
       {
         name: "Daycare",
         description: "All endpoints related to daycare",
@@ -22,7 +26,7 @@ const swaggerOptions = {
       },
       {
         name: "Enrollment",
-        description: "All endpoints related to enrollments",
+        description: "Links between parents and their children",
       },
       {
         name: "Child",
@@ -32,7 +36,213 @@ const swaggerOptions = {
         name: "Parent",
         description: "All endpoints related to parents",
       },
+      {
+        name: "Attendance",
+        description: "Daily check-in and check-out of children",
+      },
+      {
+        name: "Pickup",
+        description: "Authorized pickup persons and custody restrictions",
+      },
+      {
+        name: "Medical",
+        description: "Allergies, dietary restrictions, medications and alerts",
+      },
+      {
+        name: "Capacity",
+        description: "Staff-to-child ratio rules and compliance report",
+      },
+      {
+        name: "Staff",
+        description: "Staff members, certifications, classroom assignments and shifts",
+      },
+      {
+        name: "Search",
+        description: "Search across children, parents and daycares",
+      },
+      {
+        name: "Admission",
+        description: "Classroom enrollments of children, their status and waitlists",
+      },
+      {
+        name: "Emergency",
+        description: "Emergency contacts of children and emergency sheets per classroom",
+      },
+      {
+        name: "Incident",
+        description: "Incident and accident reports, their review and acknowledgement by guardians",
+      },
+      {
+        name: "Daily log",
+        description: "Meals, naps, diapers, moods and activities of each child during the day",
+      },
+      {
+        name: "Daily report",
+        description: "End-of-day reports for parents in HTML and PDF",
+      },
+      {
+        name: "Billing",
+        description: "Tuition plans, monthly invoices and payments (amounts in cents)",
+      },
+      {
+        name: "Calendar",
+        description: "Opening hours, holidays, closures and events, with an iCalendar feed",
+      },
+      {
+        name: "Absence",
+        description: "Absences reported by guardians, no-shows and sickness tracking",
+      },
+      {
+        name: "Immunization",
+        description: "Vaccination records, schedules by age, exemptions and compliance",
+      },
+      {
+        name: "Messaging",
+        description: "Conversations between staff and guardians, classroom announcements and read receipts",
+      },
+      {
+        name: "Notification",
+        description: "Email and SMS notifications to guardians, their delivery and channel preferences",
+      },
+      {
+        name: "Webhook",
+        description: "Signed event deliveries to external systems, their log and redelivery",
+      },
     ],
+    components: {
+      securitySchemes: {
+        bearerAuth: {
+          type: "http",
+          scheme: "bearer",
+          bearerFormat: "JWT",
+        },
+      },
+      // paginação comum às listagens
+      parameters: {
+        limit: {
+          in: "query",
+          name: "limit",
+          required: false,
+          description: "Page size (1 to 200, default 50)",
+          schema: { type: "integer", example: 50 },
+        },
+        offset: {
+          in: "query",
+          name: "offset",
+          required: false,
+          description: "Number of records to skip (default 0)",
+          schema: { type: "integer", example: 0 },
+        },
+      },
+      schemas: {
+        Pagination: {
+          type: "object",
+          properties: {
+            total: { type: "integer", example: 120 },
+            limit: { type: "integer", example: 50 },
+            offset: { type: "integer", example: 0 },
+            next: {
+              type: "string",
+              nullable: true,
+              description: "Link to the next page, null on the last page",
+              example: "/get_children?limit=50&offset=50",
+            },
+          },
+        },
+        // campos editáveis de um relatório de incidente
+        IncidentReportInput: {
+          type: "object",
+          required: ["child_id", "staff_id", "category", "occurred_at", "location", "description"],
+          properties: {
+            child_id: {
+              type: "integer",
+              description: "Ignored when updating a report",
+              example: 1,
+            },
+            classroom_id: { type: "integer", example: 1 },
+            staff_id: {
+              type: "integer",
+              description: "Staff member who writes the report",
+              example: 2,
+            },
+            category: {
+              type: "string",
+              enum: ["injury", "illness", "behaviour", "other"],
+              example: "injury",
+            },
+            occurred_at: {
+              type: "string",
+              format: "date-time",
+              example: "2026-03-12T10:40:00Z",
+            },
+            location: { type: "string", example: "Playground" },
+            description: {
+              type: "string",
+              example: "Tripped on the slide steps and hit the knee",
+            },
+            injury_type: { type: "string", example: "Scraped knee" },
+            first_aid_given: {
+              type: "string",
+              example: "Cleaned the wound and applied a plaster",
+            },
+            witnesses: { type: "string", example: "Mark Davis" },
+          },
+        },
+        IncidentReport: {
+          allOf: [
+            { $ref: "#/components/schemas/IncidentReportInput" },
+            {
+              type: "object",
+              properties: {
+                id: { type: "integer", example: 1 },
+                daycare_id: { type: "integer", example: 1 },
+                status: {
+                  type: "string",
+                  enum: ["submitted", "reviewed", "acknowledged"],
+                  example: "reviewed",
+                },
+                created_at: { type: "string", format: "date-time" },
+                reviewed_by: {
+                  type: "integer",
+                  nullable: true,
+                  description: "User who reviewed the report",
+                  example: 3,
+                },
+                reviewed_at: { type: "string", format: "date-time", nullable: true },
+                review_notes: { type: "string", nullable: true },
+                acknowledged_by: {
+                  type: "integer",
+                  nullable: true,
+                  description: "Parent who acknowledged the report",
+                  example: null,
+                },
+                acknowledged_at: { type: "string", format: "date-time", nullable: true },
+              },
+            },
+          ],
+        },
+        // metadados dos anexos de uma mensagem (o ficheiro fica no url)
+        MessageAttachments: {
+          type: "array",
+          maxItems: 10,
+          items: {
+            type: "object",
+            required: ["file_name", "url"],
+            properties: {
+              file_name: { type: "string", example: "pumpkin-day.pdf" },
+              content_type: { type: "string", example: "application/pdf" },
+              size_bytes: { type: "integer", example: 182044 },
+              url: {
+                type: "string",
+                example: "https://files.playsafe.com/daycare-1/pumpkin-day.pdf",
+              },
+            },
+          },
+        },
+      },
+    },
+    // todas as rotas pedem token, exceto as que declaram security: []
+    security: [{ bearerAuth: [] }],
     servers: [
       {
         url: `http://localhost:${PORT}`, // server base URL
@@ -0,0 +1,99 @@
+// Filtros SQL para limitar as queries ao daycare do utilizador.
+//
+// Cada função recebe o utilizador (req.user), a coluna a filtrar e o array de
+// parâmetros da query. Devolve a condição para o WHERE e acrescenta o valor
+// que precisar a params, por isso deve ser chamada depois de os parâmetros
+// anteriores já estarem no array.
+
+function isSuperAdmin(user) {
+  return user.role === "super_admin";
+}
+
+// column contém um daycare_id
+function daycareScope(user, column, params) {
+  if (isSuperAdmin(user)) return "TRUE";
+
+  if (user.role === "parent") {
+    params.push(user.parent_id);
+    return `${column} IN (
+      SELECT c.daycare_id FROM child c
+      JOIN enrollment e ON e.child_id = c.id
+      WHERE e.parent_id = $${params.length})`;
+  }
+
+  params.push(user.daycare_id);
+  return `${column} = $${params.length}`;
+}
+
+// column contém um child_id
+function childScope(user, column, params) {
+  if (isSuperAdmin(user)) return "TRUE";
+
+  if (user.role === "parent") {
+    params.push(user.parent_id);
+    return `${column} IN (
+      SELECT child_id FROM enrollment WHERE parent_id = $${params.length})`;
+  }
+
+  params.push(user.daycare_id);
+  return `${column} IN (
+    SELECT id FROM child WHERE daycare_id = $${params.length})`;
+}
+
+// column contém um parent_id; o staff só vê pais ligados a crianças do seu daycare
+function parentScope(user, column, params) {
+  if (isSuperAdmin(user)) return "TRUE";
+
+  if (user.role === "parent") {
+    params.push(user.parent_id);
+    return `${column} = $${params.length}`;
+  }
+
+  params.push(user.daycare_id);
+  return `${column} IN (
+    SELECT e.parent_id FROM enrollment e
+    JOIN child c ON c.id = e.child_id
+    WHERE c.daycare_id = $${params.length})`;
+}
+
+// Pais que o staff pode gerir: os visíveis e os que o seu daycare criou com
+// /create_parent e ainda não têm nenhuma criança ligada
+function linkableParentScope(user, column, params) {
+  const scope = parentScope(user, column, params);
+  if (isSuperAdmin(user) || user.role === "parent") return scope;
+
+  params.push(user.daycare_id);
+  return `(${scope} OR ${column} IN (
+    SELECT id FROM parent
+    WHERE daycare_id = $${params.length}
+      AND id NOT IN (SELECT parent_id FROM enrollment WHERE parent_id IS NOT NULL)))`;
+}
+
+// table é o nome/alias da tabela enrollment; um pai só vê as suas ligações
+function enrollmentScope(user, table, params) {
+  if (user.role === "parent") {
+    params.push(user.parent_id);
+    return `${table}.parent_id = $${params.length}`;
+  }
+
+  return childScope(user, `${table}.child_id`, params);
+}
+
+// column contém um staff_id (ficha de funcionário)
+function staffScope(user, column, params) {
+  if (isSuperAdmin(user)) return "TRUE";
+
+  params.push(user.daycare_id);
+  return `${column} IN (
+    SELECT id FROM staff WHERE daycare_id = $${params.length})`;
+}
+
+module.exports = {
+  isSuperAdmin,
+  daycareScope,
+  childScope,
+  parentScope,
+  linkableParentScope,
+  enrollmentScope,
+  staffScope,
+};
@@ -0,0 +1,53 @@
+// aceita apenas datas no formato YYYY-MM-DD
+function isValidDate(value) {
+  // Date.parse aceita dias que não existem (2026-02-30), o Postgres não
+  return (
+    typeof value === "string" &&
+    /^\d{4}-\d{2}-\d{2}$/.test(value) &&
+    !isNaN(Date.parse(value)) &&
+    new Date(`${value}T00:00:00Z`).toISOString().slice(0, 10) === value
+  );
+}
+
+// aceita horas no formato HH:MM (24h)
+function isValidTime(value) {
+  return typeof value === "string" && /^([01]\d|2[0-3]):[0-5]\d$/.test(value);
+}
+
+// aceita data e hora ISO 8601 (YYYY-MM-DDTHH:MM, com segundos e fuso opcionais)
+function isValidDateTime(value) {
+  return (
+    typeof value === "string" &&
+    /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})?$/.test(value) &&
+    !isNaN(Date.parse(value))
+  );
+}
+
+// aceita ids (inteiros positivos que cabem num INT do Postgres), em número
+// ou em texto como chegam nos parâmetros da URL
+function isValidId(value) {
+  return /^\d+$/.test(String(value)) && Number(value) >= 1 && Number(value) <= 2147483647;
+}
+
+// data local no formato YYYY-MM-DD
+function formatDate(date) {
+  const month = String(date.getMonth() + 1).padStart(2, "0");
+  const day = String(date.getDate()).padStart(2, "0");
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+// hora local no formato HH:MM
+function formatTime(date) {
+  const hours = String(date.getHours()).padStart(2, "0");
+  const minutes = String(date.getMinutes()).padStart(2, "0");
+  return `${hours}:${minutes}`;
+}
+
+module.exports = {
+  isValidDate,
+  isValidTime,
+  isValidDateTime,
+  isValidId,
+  formatDate,
+  formatTime,
+};
@@ -0,0 +1,762 @@
+const crypto = require("crypto");
+const dns = require("dns");
+const net = require("net");
+const pool = require("./db");
+const { authorize } = require("./auth");
+const { parseListQuery, pageInfo } = require("./pagination");
+
+const EVENT_TYPES = [
+  "daycare.created",
+  "daycare.updated",
+  "daycare.deleted",
+  "child.created",
+  "child.updated",
+  "child.deleted",
+  "enrollment.created",
+  "enrollment.updated",
+  "enrollment.deleted",
+  "attendance.checked_in",
+  "attendance.checked_out",
+];
+
+// tentativas antes de a entrega ficar failed (a última ~2 h depois da primeira)
+const MAX_ATTEMPTS = 8;
+const RETRY_BASE_SECONDS = 60;
+const REQUEST_TIMEOUT_MS = 10000;
+// tempo que uma entrega fica reservada para um worker enquanto é enviada;
+// tem de ser maior do que REQUEST_TIMEOUT_MS
+const LEASE_SECONDS = 60;
+const BATCH_SIZE = 20;
+const POLL_MS = Number(process.env.WEBHOOK_POLL_MS || 5000);
+
+// filtros e ordenação aceites por /get_webhook_deliveries
+const DELIVERY_LIST = {
+  filters: {
+    status: { column: "status", type: "text" },
+    event_type: { column: "event_type", type: "text" },
+  },
+  sort: ["id", "created_at", "next_attempt_at"],
+};
+
+// Endereços a que os webhooks não podem chegar: loopback, redes privadas,
+// link-local (com o serviço de metadados da cloud em 169.254.169.254), CGNAT,
+// multicast e reservados. Um URL que resolva para um deles punha o worker a
+// fazer pedidos a serviços internos do cluster (SSRF).
+const BLOCKED_ADDRESSES = new net.BlockList();
+for (const [network, prefix] of [
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["224.0.0.0", 4],
+  ["240.0.0.0", 4],
+]) {
+  BLOCKED_ADDRESSES.addSubnet(network, prefix, "ipv4");
+}
+for (const [network, prefix] of [
+  ["::", 127], // não especificado e loopback
+  ["64:ff9b::", 96], // NAT64, leva a endereços IPv4
+  ["fc00::", 7],
+  ["fe80::", 10],
+  ["ff00::", 8],
+]) {
+  BLOCKED_ADDRESSES.addSubnet(network, prefix, "ipv6");
+}
+
+// espera antes da tentativa seguinte: 1, 2, 4, 8, 16, 32 e 64 min
+function retryDelaySeconds(attempts) {
+  return RETRY_BASE_SECONDS * 2 ** (attempts - 1);
+}
+
+// Assinatura enviada em X-PlaySafe-Signature: "t=<unix>,v1=<hex>", com v1 o
+// HMAC-SHA256 de "<t>.<body>" com o secret da subscrição. O recetor refaz o
+// HMAC sobre o corpo tal como o recebeu e rejeita timestamps antigos.
+function signPayload(secret, timestamp, body) {
+  const digest = crypto
+    .createHmac("sha256", secret)
+    .update(`${timestamp}.${body}`)
+    .digest("hex");
+  return `t=${timestamp},v1=${digest}`;
+}
+
+function generateSecret() {
+  return `whsec_${crypto.randomBytes(24).toString("hex")}`;
+}
+
+// Grava uma entrega por subscrição ativa interessada no evento. Deve receber
+// o cliente da transação que faz a alteração, para o evento só sair se a
+// alteração ficar gravada.
+async function emitEvent(db, type, data) {
+  const subscriptions = await db.query(
+    "SELECT id FROM webhook_subscription WHERE active AND $1 = ANY(event_types)",
+    [type]
+  );
+  if (subscriptions.rows.length === 0) return;
+
+  const payload = {
+    id: crypto.randomUUID(),
+    type,
+    created_at: new Date().toISOString(),
+    data,
+  };
+  for (const subscription of subscriptions.rows) {
+    await db.query(
+      `INSERT INTO webhook_delivery (subscription_id, event_id, event_type, payload)
+       VALUES ($1, $2, $3, $4)`,
+      [subscription.id, payload.id, type, JSON.stringify(payload)]
+    );
+  }
+}
+
+// Resolve o host do URL e devolve o erro se algum dos endereços for interno
+// (null se for público). Verifica-se ao gravar a subscrição e outra vez antes
+// de cada envio, porque o DNS pode mudar depois.
+async function publicUrlError(url) {
+  const host = new URL(url).hostname.replace(/^\[|\]$/g, "");
+  let addresses;
+  try {
+    addresses = await dns.promises.lookup(host, { all: true });
+  } catch (err) {
+    return `url host ${host} could not be resolved`;
+  }
+  const internal = addresses.some(({ address, family }) =>
+    BLOCKED_ADDRESSES.check(address, family === 6 ? "ipv6" : "ipv4")
+  );
+  return internal ? "url must point to a public address" : null;
+}
+
+async function postDelivery(delivery, { url, secret }) {
+  const unsafe = await publicUrlError(url);
+  if (unsafe) throw new Error(unsafe);
+
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+
+  const response = await fetch(url, {
+    method: "POST",
+    headers: {
+      "content-type": "application/json",
+      "user-agent": "PlaySafe-Webhooks/1.0",
+      "x-playsafe-event": delivery.event_type,
+      "x-playsafe-delivery": String(delivery.id),
+      "x-playsafe-signature": signPayload(secret, timestamp, body),
+    },
+    body,
+    redirect: "manual",
+    signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+  });
+  // o corpo da resposta não interessa, mas tem de ser lido para libertar a ligação
+  await response.arrayBuffer();
+  return response.status;
+}
+
+// Reserva a entrega pendente mais antiga (de uma subscrição ativa), adiando
+// next_attempt_at por LEASE_SECONDS numa instrução curta (SKIP LOCKED). Só se
+// reserva uma de cada vez para o prazo cobrir sempre o envio, que nunca passa
+// de REQUEST_TIMEOUT_MS.
+async function claimDelivery() {
+  const result = await pool.query(
+    `UPDATE webhook_delivery SET next_attempt_at = $1
+     WHERE id IN (
+       SELECT id FROM webhook_delivery
+       WHERE status = 'pending' AND next_attempt_at <= NOW()
+         AND subscription_id IN (SELECT id FROM webhook_subscription WHERE active)
+       ORDER BY next_attempt_at ASC, id ASC
+       LIMIT 1
+       FOR UPDATE SKIP LOCKED)
+     RETURNING *`,
+    [new Date(Date.now() + LEASE_SECONDS * 1000)]
+  );
+  return result.rows[0];
+}
+
+// Envia até BATCH_SIZE entregas pendentes e devolve quantas tentou. Cada
+// entrega é reservada antes do envio e o resultado gravado depois, sem
+// transação aberta durante o pedido, por isso várias instâncias da API podem
+// correr o worker sem a mesma entrega sair duas vezes ao mesmo tempo.
+async function deliverPendingWebhooks() {
+  let attempted = 0;
+  while (attempted < BATCH_SIZE) {
+    const delivery = await claimDelivery();
+    if (!delivery) break;
+    attempted += 1;
+
+    // a subscrição pode ter sido apagada entretanto (a entrega vai com ela)
+    const subscription = await pool.query(
+      "SELECT url, secret FROM webhook_subscription WHERE id = $1",
+      [delivery.subscription_id]
+    );
+    if (subscription.rows.length === 0) continue;
+
+    const attempts = delivery.attempts + 1;
+    let responseStatus = null;
+    try {
+      responseStatus = await postDelivery(delivery, subscription.rows[0]);
+      if (responseStatus < 200 || responseStatus >= 300) {
+        throw new Error(`Endpoint answered with status ${responseStatus}`);
+      }
+    } catch (err) {
+      await pool.query(
+        `UPDATE webhook_delivery
+         SET status = $2, attempts = $3, response_status = $4, last_error = $5,
+             next_attempt_at = $6
+         WHERE id = $1`,
+        [
+          delivery.id,
+          attempts >= MAX_ATTEMPTS ? "failed" : "pending",
+          attempts,
+          responseStatus,
+          err.message,
+          new Date(Date.now() + retryDelaySeconds(attempts) * 1000),
+        ]
+      );
+      continue;
+    }
+
+    await pool.query(
+      `UPDATE webhook_delivery
+       SET status = 'delivered', attempts = $2, response_status = $3,
+           last_error = NULL, delivered_at = NOW()
+       WHERE id = $1`,
+      [delivery.id, attempts, responseStatus]
+    );
+  }
+  return attempted;
+}
+
+// Worker que corre dentro da API; WEBHOOK_WORKER=off desliga-o
+function startWebhookWorker() {
+  if (process.env.WEBHOOK_WORKER === "off") return null;
+
+  let running = false;
+  const timer = setInterval(async () => {
+    if (running) return;
+    running = true;
+    try {
+      while ((await deliverPendingWebhooks()) === BATCH_SIZE);
+    } catch (err) {
+      console.error(`Webhook worker: ${err.message}`);
+    } finally {
+      running = false;
+    }
+  }, POLL_MS);
+  timer.unref();
+
+  return timer;
+}
+
+// Valida os campos de uma subscrição (os omitidos mantêm o valor de
+// current); devolve { error } ou { fields }
+function subscriptionFields(body, current = {}) {
+  const fields = {};
+  for (const field of ["url", "event_types", "description", "active"]) {
+    fields[field] = body[field] === undefined ? current[field] : body[field];
+  }
+  if (fields.active === undefined) fields.active = true;
+
+  let url;
+  try {
+    url = new URL(fields.url);
+  } catch {
+    url = null;
+  }
+  if (!url || !["http:", "https:"].includes(url.protocol) || fields.url.length > 500) {
+    return { error: "url must be an http(s) URL of up to 500 characters" };
+  }
+  if (
+    !Array.isArray(fields.event_types) ||
+    fields.event_types.length === 0 ||
+    !fields.event_types.every((type) => EVENT_TYPES.includes(type))
+  ) {
+    return {
+      error: `event_types must be a list of: ${EVENT_TYPES.join(", ")}`,
+    };
+  }
+  if (typeof fields.active !== "boolean") {
+    return { error: "active must be a boolean" };
+  }
+
+  fields.event_types = [...new Set(fields.event_types)];
+  fields.description = fields.description || null;
+  return { fields };
+}
+
+// o secret só é mostrado quando a subscrição é criada
+function withoutSecret({ secret, ...subscription }) {
+  return subscription;
+}
+
+function setupWebhooks(app) {
+  /**
+   * @swagger
+   * /get_webhook_subscriptions:
+   *   get:
+   *     summary: Get webhook subscriptions
+   *     tags:
+   *       - Webhook
+   *     description: Endpoints of external systems that receive the events they subscribed to. The secret is never returned after creation.
+   *     responses:
+   *       200:
+   *         description: Webhook subscriptions
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 subscriptions_count:
+   *                   type: integer
+   *                   example: 1
+   *                 data:
+   *                   type: array
+   *                   items:
+   *                     type: object
+   *                   example: [{ id: 1, url: "https://accounting.example.com/playsafe", event_types: ["child.created", "enrollment.updated"], description: "Accounting sync", active: true, created_by: 1, created_at: "2026-10-19T09:00:00.000Z" }]
+   *       500:
+   *         description: Internal server error
+   */
+  app.get(
+    "/get_webhook_subscriptions",
+    authorize("super_admin"),
+    async (req, res) => {
+      try {
+        const result = await pool.query(
+          "SELECT * FROM webhook_subscription ORDER BY id ASC"
+        );
+        res.json({
+          subscriptions_count: result.rows.length,
+          data: result.rows.map(withoutSecret),
+        });
+      } catch (err) {
+        res.status(500).json({ status: "error", error: err.message });
+      }
+    }
+  );
+
+  /**
+   * @swagger
+   * /create_webhook_subscription:
+   *   post:
+   *     summary: Subscribe an endpoint to events
+   *     tags:
+   *       - Webhook
+   *     description: |
+   *       Each event is sent as a POST with a JSON body { id, type, created_at, data }, where data is the record as it was saved (or as it was before being deleted).
+   *       The request carries X-PlaySafe-Event, X-PlaySafe-Delivery and X-PlaySafe-Signature: "t=<unix time>,v1=<HMAC-SHA256 of '<t>.<body>' with the secret, in hex>".
+   *       Any 2xx answer counts as delivered; otherwise the delivery is retried with exponential backoff (1 minute doubling up to 8 attempts).
+   *       The secret is generated when not given and is only returned in this response.
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             properties:
+   *               url:
+   *                 type: string
+   *                 description: Must resolve to a public address; loopback, private and link-local hosts are rejected
+   *                 example: "https://accounting.example.com/playsafe"
+   *               event_types:
+   *                 type: array
+   *                 items:
+   *                   type: string
+   *                   enum: [daycare.created, daycare.updated, daycare.deleted, child.created, child.updated, child.deleted, enrollment.created, enrollment.updated, enrollment.deleted, attendance.checked_in, attendance.checked_out]
+   *                 example: ["child.created", "enrollment.updated"]
+   *               description:
+   *                 type: string
+   *                 example: "Accounting sync"
+   *               secret:
+   *                 type: string
+   *                 description: At least 16 characters; generated when omitted
+   *               active:
+   *                 type: boolean
+   *                 example: true
+   *     responses:
+   *       201:
+   *         description: Webhook subscription created successfully
+   *       400:
+   *         description: Missing or invalid parameters
+   *       500:
+   *         description: Internal server error
+   */
+  app.post(
+    "/create_webhook_subscription",
+    authorize("super_admin"),
+    async (req, res) => {
+      const { error, fields } = subscriptionFields(req.body);
+      if (error) {
+        return res.status(400).json({ status: "error", message: error });
+      }
+
+      const { secret = generateSecret() } = req.body;
+      if (typeof secret !== "string" || secret.length < 16 || secret.length > 100) {
+        return res.status(400).json({
+          status: "error",
+          message: "secret must have between 16 and 100 characters",
+        });
+      }
+
+      try {
+        const unsafe = await publicUrlError(fields.url);
+        if (unsafe) {
+          return res.status(400).json({ status: "error", message: unsafe });
+        }
+
+        const result = await pool.query(
+          `INSERT INTO webhook_subscription (url, secret, event_types, description, active, created_by)
+           VALUES ($1, $2, $3, $4, $5, $6)
+           RETURNING *`,
+          [
+            fields.url,
+            secret,
+            fields.event_types,
+            fields.description,
+            fields.active,
+            req.user.id,
+          ]
+        );
+
+        res.status(201).json({
+          status: "success",
+          message: "Webhook subscription created successfully",
+          created_data: result.rows[0],
+        });
+      } catch (err) {
+        res.status(500).json({ status: "error", error: err.message });
+      }
+    }
+  );
+
+  /**
+   * @swagger
+   * /update_webhook_subscription/{id}:
+   *   put:
+   *     summary: Update a webhook subscription
+   *     tags:
+   *       - Webhook
+   *     description: Omitted fields keep their current value. Deliveries of an inactive subscription wait until it is active again.
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *           example: 1
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             properties:
+   *               url:
+   *                 type: string
+   *                 description: Must resolve to a public address
+   *               event_types:
+   *                 type: array
+   *                 items:
+   *                   type: string
+   *               description:
+   *                 type: string
+   *               active:
+   *                 type: boolean
+   *                 example: false
+   *     responses:
+   *       200:
+   *         description: Webhook subscription updated successfully
+   *       400:
+   *         description: Invalid parameters
+   *       404:
+   *         description: Webhook subscription not found
+   *       500:
+   *         description: Internal server error
+   */
+  app.put(
+    "/update_webhook_subscription/:id",
+    authorize("super_admin"),
+    async (req, res) => {
+      const { id } = req.params;
+
+      try {
+        const current = await pool.query(
+          "SELECT * FROM webhook_subscription WHERE id = $1",
+          [id]
+        );
+        if (current.rows.length === 0) {
+          return res.status(404).json({
+            status: "not_found",
+            message: "Webhook subscription not found",
+          });
+        }
+
+        const { error, fields } = subscriptionFields(req.body, current.rows[0]);
+        if (error) {
+          return res.status(400).json({ status: "error", message: error });
+        }
+        const unsafe = req.body.url !== undefined && (await publicUrlError(fields.url));
+        if (unsafe) {
+          return res.status(400).json({ status: "error", message: unsafe });
+        }
+
+        const result = await pool.query(
+          `UPDATE webhook_subscription
+           SET url = $1, event_types = $2, description = $3, active = $4
+           WHERE id = $5
+           RETURNING *`,
+          [fields.url, fields.event_types, fields.description, fields.active, id]
+        );
+
+        res.json({
+          status: "success",
+          message: "Webhook subscription updated successfully",
+          updated_data: withoutSecret(result.rows[0]),
+        });
+      } catch (err) {
+        res.status(500).json({ status: "error", error: err.message });
+      }
+    }
+  );
+
+  /**
+   * @swagger
+   * /delete_webhook_subscription/{id}:
+   *   delete:
+   *     summary: Delete a webhook subscription
+   *     tags:
+   *       - Webhook
+   *     description: Also deletes its delivery log.
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *           example: 1
+   *     responses:
+   *       200:
+   *         description: Webhook subscription deleted successfully
+   *       404:
+   *         description: Webhook subscription not found
+   *       500:
+   *         description: Internal server error
+   */
+  app.delete(
+    "/delete_webhook_subscription/:id",
+    authorize("super_admin"),
+    async (req, res) => {
+      try {
+        const result = await pool.query(
+          "DELETE FROM webhook_subscription WHERE id = $1",
+          [req.params.id]
+        );
+
+        if (result.rowCount === 0) {
+          return res.status(404).json({
+            status: "not_found",
+            message: "Webhook subscription not found",
+          });
+        }
+
+        res.json({
+          status: "success",
+          message: "Webhook subscription deleted successfully",
+        });
+      } catch (err) {
+        res.status(500).json({ status: "error", error: err.message });
+      }
+    }
+  );
+
+  /**
+   * @swagger
+   * /get_webhook_deliveries/{subscription_id}:
+   *   get:
+   *     summary: Delivery log of a webhook subscription
+   *     tags:
+   *       - Webhook
+   *     description: Every event sent (or waiting to be sent) to the subscription, with the attempts made, the last HTTP status and error. Redeliveries point to the original delivery in redelivery_of.
+   *     parameters:
+   *       - in: path
+   *         name: subscription_id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *           example: 1
+   *       - $ref: '#/components/parameters/limit'
+   *       - $ref: '#/components/parameters/offset'
+   *       - in: query
+   *         name: sort
+   *         required: false
+   *         description: "Sort field, prefixed with - for descending order. One of: id, created_at, next_attempt_at"
+   *         schema:
+   *           type: string
+   *           example: "-id"
+   *       - in: query
+   *         name: status
+   *         required: false
+   *         schema:
+   *           type: string
+   *           enum: [pending, delivered, failed]
+   *       - in: query
+   *         name: event_type
+   *         required: false
+   *         schema:
+   *           type: string
+   *           example: "child.created"
+   *     responses:
+   *       200:
+   *         description: A page of deliveries
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 deliveries_count:
+   *                   type: integer
+   *                   example: 1
+   *                 pagination:
+   *                   $ref: '#/components/schemas/Pagination'
+   *                 data:
+   *                   type: array
+   *                   items:
+   *                     type: object
+   *                   example: [{ id: 7, subscription_id: 1, event_id: "0b7c5f0e-3f1e-4c47-9f55-6f1f1d7c2a10", event_type: "child.created", payload: { id: "0b7c5f0e-3f1e-4c47-9f55-6f1f1d7c2a10", type: "child.created", created_at: "2026-10-19T09:12:00.000Z", data: { id: 6, name: "Mia Turner" } }, status: "delivered", attempts: 2, response_status: 200, last_error: null, redelivery_of: null, created_at: "2026-10-19T09:12:00.000Z", delivered_at: "2026-10-19T09:13:05.000Z" }]
+   *       400:
+   *         description: Invalid pagination, sort or filter parameters
+   *       404:
+   *         description: Webhook subscription not found
+   *       500:
+   *         description: Internal server error
+   */
+  app.get(
+    "/get_webhook_deliveries/:subscription_id",
+    authorize("super_admin"),
+    async (req, res) => {
+      const params = [req.params.subscription_id];
+      const list = parseListQuery(req.query, DELIVERY_LIST, params);
+
+      if (list.error) {
+        return res.status(400).json({ status: "error", message: list.error });
+      }
+
+      const where = ["subscription_id = $1", ...list.conditions].join(" AND ");
+
+      try {
+        const subscription = await pool.query(
+          "SELECT id FROM webhook_subscription WHERE id = $1",
+          [req.params.subscription_id]
+        );
+        if (subscription.rows.length === 0) {
+          return res.status(404).json({
+            status: "not_found",
+            message: "Webhook subscription not found",
+          });
+        }
+
+        const count = await pool.query(
+          `SELECT COUNT(*) AS total FROM webhook_delivery WHERE ${where}`,
+          params
+        );
+        const data = await pool.query(
+          `SELECT * FROM webhook_delivery WHERE ${where}
+           ORDER BY ${list.orderBy} LIMIT ${list.limit} OFFSET ${list.offset}`,
+          params
+        );
+        const total = parseInt(count.rows[0].total, 10);
+
+        res.json({
+          deliveries_count: total,
+          data: data.rows,
+          pagination: pageInfo(req, list, total),
+        });
+      } catch (err) {
+        res.status(500).json({ status: "error", error: err.message });
+      }
+    }
+  );
+
+  /**
+   * @swagger
+   * /redeliver_webhook/{id}:
+   *   post:
+   *     summary: Send a delivery again
+   *     tags:
+   *       - Webhook
+   *     description: Queues a new delivery of the same event (same event id and payload) to the same subscription, e.g. after the receiver fixed a bug. The original stays in the log.
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         description: The delivery ID
+   *         schema:
+   *           type: integer
+   *           example: 7
+   *     responses:
+   *       201:
+   *         description: Redelivery queued
+   *       404:
+   *         description: Delivery not found
+   *       409:
+   *         description: The delivery is still pending
+   *       500:
+   *         description: Internal server error
+   */
+  app.post(
+    "/redeliver_webhook/:id",
+    authorize("super_admin"),
+    async (req, res) => {
+      const { id } = req.params;
+
+      try {
+        const original = await pool.query(
+          "SELECT * FROM webhook_delivery WHERE id = $1",
+          [id]
+        );
+        if (original.rows.length === 0) {
+          return res
+            .status(404)
+            .json({ status: "not_found", message: "Delivery not found" });
+        }
+
+        const { subscription_id, event_id, event_type, payload, status } =
+          original.rows[0];
+        if (status === "pending") {
+          return res.status(409).json({
+            status: "error",
+            message: "Delivery is still pending",
+          });
+        }
+
+        const result = await pool.query(
+          `INSERT INTO webhook_delivery
+             (subscription_id, event_id, event_type, payload, redelivery_of)
+           VALUES ($1, $2, $3, $4, $5)
+           RETURNING *`,
+          [subscription_id, event_id, event_type, JSON.stringify(payload), id]
+        );
+
+        res.status(201).json({
+          status: "success",
+          message: "Redelivery queued",
+          created_data: result.rows[0],
+        });
+      } catch (err) {
+        res.status(500).json({ status: "error", error: err.message });
+      }
+    }
+  );
+}
+
+module.exports = {
+  setupWebhooks,
+  startWebhookWorker,
+  deliverPendingWebhooks,
+  emitEvent,
+  signPayload,
+  retryDelaySeconds,
+  subscriptionFields,
+};
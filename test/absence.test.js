@@ -0,0 +1,68 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { noticeFields } = require("../src/absence");
+const { formatDate } = require("../src/validation");
+
+function day(offset) {
+  const date = new Date();
+  date.setDate(date.getDate() + offset);
+  return formatDate(date);
+}
+
+test("noticeFields defaults end_date and drops symptoms unless sick", () => {
+  const { fields } = noticeFields({
+    reason: "vacation",
+    start_date: day(1),
+    symptoms: "none",
+    notes: "Grandparents' visit",
+  });
+
+  assert.equal(fields.end_date, day(1));
+  assert.equal(fields.symptoms, null);
+  assert.equal(fields.notes, "Grandparents' visit");
+  assert.equal(
+    noticeFields({ reason: "sick", start_date: day(0), symptoms: "Fever" }).fields.symptoms,
+    "Fever"
+  );
+});
+
+test("noticeFields rejects invalid notices", () => {
+  const notice = { reason: "sick", start_date: day(1), end_date: day(3) };
+  const error = (body) => noticeFields({ ...notice, ...body }).error;
+
+  assert.equal(error({ reason: "holiday" }), "reason must be one of: sick, vacation, other");
+  assert.match(error({ start_date: "2026-02-30" }), /YYYY-MM-DD/);
+  assert.equal(error({ end_date: day(0) }), "end_date can't be before start_date");
+  assert.equal(error({}), undefined);
+});
+
+test("noticeFields only accepts notices starting today or later", () => {
+  const message = "Absences can only be reported for today or later";
+
+  assert.equal(
+    noticeFields({ reason: "sick", start_date: day(-1), end_date: day(2) }).error,
+    message
+  );
+  assert.equal(noticeFields({ reason: "sick", start_date: day(0) }).error, undefined);
+});
+
+test("noticeFields lets an ongoing notice be extended but not moved into the past", () => {
+  const current = {
+    reason: "sick",
+    start_date: new Date(`${day(-2)}T00:00:00`),
+    end_date: new Date(`${day(0)}T00:00:00`),
+  };
+  const message = "Absences can only be reported for today or later";
+
+  const extended = noticeFields({ end_date: day(2) }, current);
+  assert.equal(extended.error, undefined);
+  assert.equal(extended.fields.start_date, day(-2));
+  assert.equal(extended.fields.end_date, day(2));
+
+  assert.equal(noticeFields({ start_date: day(-3) }, current).error, message);
+  assert.equal(
+    noticeFields({ end_date: day(-1) }, { ...current, end_date: new Date(`${day(-1)}T00:00:00`) })
+      .error,
+    message
+  );
+});
@@ -0,0 +1,112 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { RULE_TYPES, ruleFields } = require("../src/adjustment");
+
+const LATE_PICKUP = {
+  closing_time: "18:00",
+  grace_minutes: 10,
+  fee_cents_per_minute: 50,
+};
+
+// datas em hora local, tal como formatTime/formatDate as leem
+function visit(day, checkIn, checkOut) {
+  const at = (time) => new Date(`${day}T${time}:00`);
+  return { check_in_at: at(checkIn), check_out_at: checkOut ? at(checkOut) : null };
+}
+
+test("late_pickup charges only the minutes past closing time and grace", () => {
+  const child = {
+    name: "Emily Johnson",
+    visits: [
+      visit("2026-10-05", "08:00", "18:25"),
+      visit("2026-10-06", "08:00", "18:10"),
+      visit("2026-10-07", "08:00", "17:30"),
+      visit("2026-10-08", "08:00", null),
+    ],
+  };
+
+  const adjustments = RULE_TYPES.late_pickup.evaluate(LATE_PICKUP, child);
+
+  assert.equal(adjustments.length, 1);
+  assert.equal(adjustments[0].amount_cents, 15 * 50);
+  assert.equal(adjustments[0].description, "Late pickup fee: Emily Johnson (2026-10-05)");
+  assert.match(adjustments[0].explanation, /25 minutes after the 18:00 closing time/);
+  assert.match(adjustments[0].explanation, /15 minutes are charged/);
+});
+
+test("late_pickup without grace charges every minute", () => {
+  const child = { name: "Liam Smith", visits: [visit("2026-10-05", "08:00", "18:01")] };
+
+  const [adjustment] = RULE_TYPES.late_pickup.evaluate(
+    { ...LATE_PICKUP, grace_minutes: 0 },
+    child
+  );
+
+  assert.equal(adjustment.amount_cents, 50);
+});
+
+test("absence_credit credits streaks of missed school days", () => {
+  const period = {
+    schoolDays: ["2026-10-01", "2026-10-02", "2026-10-05", "2026-10-06", "2026-10-07"],
+    countedDays: ["2026-10-01", "2026-10-02", "2026-10-05", "2026-10-06"],
+  };
+  const child = {
+    name: "Sophia Smith",
+    monthly_rate_cents: 50000,
+    start_date: "2026-10-01",
+    visits: [visit("2026-10-01", "08:00", "17:00")],
+  };
+
+  const adjustments = RULE_TYPES.absence_credit.evaluate(
+    { min_absence_days: 3, credit_percent: 50 },
+    child,
+    period
+  );
+
+  // 3 dias seguidos (o fim de semana não conta), o dia 7 ainda não é contado
+  assert.equal(adjustments.length, 1);
+  assert.equal(adjustments[0].amount_cents, -Math.round((50000 * 3 * 50) / (5 * 100)));
+  assert.match(adjustments[0].explanation, /from 2026-10-02 to 2026-10-06/);
+});
+
+test("absence_credit ignores short streaks and days before the start date", () => {
+  const period = {
+    schoolDays: ["2026-10-01", "2026-10-02", "2026-10-05"],
+    countedDays: ["2026-10-01", "2026-10-02", "2026-10-05"],
+  };
+  const child = {
+    name: "Noah Brown",
+    monthly_rate_cents: 40000,
+    start_date: "2026-10-05",
+    visits: [],
+  };
+
+  const rule = { min_absence_days: 2, credit_percent: 100 };
+  assert.deepEqual(RULE_TYPES.absence_credit.evaluate(rule, child, period), []);
+  assert.deepEqual(
+    RULE_TYPES.absence_credit.evaluate(rule, child, { schoolDays: [], countedDays: [] }),
+    []
+  );
+});
+
+test("ruleFields validates per type and clears the fields the type does not use", () => {
+  assert.deepEqual(ruleFields("late_pickup", { ...LATE_PICKUP, credit_percent: 20 }), {
+    fields: {
+      closing_time: "18:00",
+      grace_minutes: 10,
+      fee_cents_per_minute: 50,
+      min_absence_days: null,
+      credit_percent: null,
+    },
+  });
+  assert.equal(
+    ruleFields("absence_credit", { min_absence_days: 3 }, {}).error,
+    "absence_credit needs a positive min_absence_days and a credit_percent between 1 and 100"
+  );
+  // numa atualização os campos em falta vêm da regra atual
+  assert.equal(
+    ruleFields("late_pickup", { grace_minutes: 5 }, { ...LATE_PICKUP, closing_time: "18:00:00" })
+      .fields.grace_minutes,
+    5
+  );
+});
@@ -0,0 +1,185 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startApi } = require("./helpers/api");
+
+let api;
+let director;
+let classroomId;
+
+// criança nova no daycare 1, com ou sem contacto de emergência
+async function createChild(name, { contact = true } = {}) {
+  const child = await api.pool.query(
+    `INSERT INTO child (name, date_of_birth, daycare_id)
+     VALUES ($1, '2024-01-01', 1) RETURNING id`,
+    [name]
+  );
+  const id = child.rows[0].id;
+  if (contact) {
+    await api.pool.query(
+      `INSERT INTO emergency_contact (child_id, name, phone, priority)
+       VALUES ($1, 'Grandma', '555-000-0000', 1)`,
+      [id]
+    );
+  }
+  return id;
+}
+
+async function enroll(childId, classroom = classroomId) {
+  const { status, body } = await api.post("/create_child_enrollment", director, {
+    child_id: childId,
+    classroom_id: classroom,
+  });
+  assert.equal(status, 201);
+  return body.created_data.id;
+}
+
+before(async () => {
+  api = await startApi();
+  director = await api.tokenFor("director", { daycare_id: 1 });
+  const { body } = await api.post("/create_classroom", director, {
+    name: "Tiny room",
+    daycare_id: 1,
+    capacity: 1,
+  });
+  classroomId = body.created_data.id;
+});
+
+after(() => api.close());
+
+test("activation needs a reachable emergency contact", async () => {
+  const enrollmentId = await enroll(await createChild("No Contact", { contact: false }));
+  const { status, body } = await api.put(
+    `/update_child_enrollment_status/${enrollmentId}`,
+    director,
+    { status: "active" }
+  );
+  assert.equal(status, 409);
+  assert.match(body.message, /emergency contact/);
+
+  await api.put(`/update_child_enrollment_status/${enrollmentId}`, director, {
+    status: "withdrawn",
+  });
+});
+
+test("activation stops at the classroom capacity", async () => {
+  const first = await createChild("First Child");
+  const firstEnrollment = await enroll(first);
+  const secondEnrollment = await enroll(await createChild("Second Child"));
+
+  const placed = await api.put(
+    `/update_child_enrollment_status/${firstEnrollment}`,
+    director,
+    { status: "active", date: "2026-10-01" }
+  );
+  assert.equal(placed.status, 200);
+  assert.equal(placed.body.updated_data.status, "active");
+  const child = await api.pool.query("SELECT classroom_id FROM child WHERE id = $1", [first]);
+  assert.equal(child.rows[0].classroom_id, classroomId);
+
+  const full = await api.put(
+    `/update_child_enrollment_status/${secondEnrollment}`,
+    director,
+    { status: "active" }
+  );
+  assert.equal(full.status, 409);
+  assert.match(full.body.message, /is full/);
+});
+
+test("placing and withdrawing a child reaches the webhooks and the presence stream", async () => {
+  await api.pool.query(
+    `INSERT INTO webhook_subscription (url, secret, event_types)
+     VALUES ('https://crm.example.com/hooks', 'whsec_0123456789abcdef', '{child.updated}')`
+  );
+  const room = await api.post("/create_classroom", director, {
+    name: "Webhook room",
+    daycare_id: 1,
+    capacity: 5,
+  });
+  const childId = await createChild("Hooked Child");
+  const enrollmentId = await enroll(childId, room.body.created_data.id);
+
+  for (const status of ["active", "withdrawn"]) {
+    const { status: code } = await api.put(
+      `/update_child_enrollment_status/${enrollmentId}`,
+      director,
+      { status }
+    );
+    assert.equal(code, 200);
+  }
+
+  const deliveries = await api.pool.query(
+    "SELECT payload FROM webhook_delivery WHERE event_type = 'child.updated' ORDER BY id"
+  );
+  const children = deliveries.rows
+    .map(({ payload }) => payload.data)
+    .filter((data) => data.id === childId);
+  assert.deepEqual(
+    children.map((child) => child.classroom_id),
+    [room.body.created_data.id, null]
+  );
+
+  const presence = await api.pool.query(
+    `SELECT daycare_id, data FROM presence_event
+     WHERE event_type = 'classroom_changed' ORDER BY id`
+  );
+  assert.deepEqual(
+    presence.rows.filter(({ data }) => data.child_id === childId),
+    [
+      {
+        daycare_id: 1,
+        data: {
+          child_id: childId,
+          name: "Hooked Child",
+          from_classroom_id: null,
+          to_classroom_id: room.body.created_data.id,
+        },
+      },
+      {
+        daycare_id: 1,
+        data: {
+          child_id: childId,
+          name: "Hooked Child",
+          from_classroom_id: room.body.created_data.id,
+          to_classroom_id: null,
+        },
+      },
+    ]
+  );
+});
+
+test("update_child can't move a child into a full classroom", async () => {
+  // Emily (1) tem a inscrição ativa na sala 1
+  const { status, body } = await api.put("/update_child/1", director, {
+    name: "Emily Johnson",
+    date_of_birth: "2024-01-01",
+    daycare_id: 1,
+    classroom_id: classroomId,
+  });
+  assert.equal(status, 409);
+  assert.match(body.message, /is full/);
+
+  const child = await api.pool.query("SELECT classroom_id FROM child WHERE id = 1");
+  assert.equal(child.rows[0].classroom_id, 1);
+});
+
+test("invalid transitions are rejected", async () => {
+  const enrollmentId = await enroll(await createChild("Graduate"));
+  const { status, body } = await api.put(
+    `/update_child_enrollment_status/${enrollmentId}`,
+    director,
+    { status: "graduated" }
+  );
+  assert.equal(status, 400);
+  assert.equal(body.message, "Cannot change an enrollment from applied to graduated");
+});
+
+test("create_child no longer places the child in a classroom", async () => {
+  const { status, body } = await api.post("/create_child", director, {
+    name: "Mia Johnson",
+    date_of_birth: "2024-01-01",
+    daycare_id: 1,
+    classroom_id: classroomId,
+  });
+  assert.equal(status, 400);
+  assert.match(body.message, /create_child_enrollment/);
+});
@@ -0,0 +1,110 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startApi } = require("./helpers/api");
+const {
+  signPresenceToken,
+  verifyPresenceToken,
+  verifyToken,
+  tokenExpiresAt,
+  ensureSuperAdmin,
+} = require("../src/auth");
+
+let api;
+
+before(async () => {
+  api = await startApi();
+});
+
+after(() => api.close());
+
+const teacher = { id: 2, role: "teacher", daycare_id: 1, parent_id: null };
+
+test("presence tokens only open the stream of their daycare", () => {
+  const token = signPresenceToken(teacher, 1);
+
+  assert.deepEqual(verifyPresenceToken(token, "1"), teacher);
+  assert.throws(() => verifyPresenceToken(token, 2), /another daycare/);
+});
+
+test("presence tokens are not session tokens", () => {
+  const token = signPresenceToken(teacher, 1);
+
+  assert.throws(() => verifyToken(token), /invalid signature/);
+});
+
+test("presence tokens expire after 15 minutes by default", () => {
+  const before = Date.now();
+  const expiresAt = tokenExpiresAt(signPresenceToken(teacher, 1));
+
+  // exp é guardado em segundos
+  assert.ok(expiresAt >= Math.floor(before / 1000) * 1000 + 15 * 60 * 1000);
+  assert.ok(expiresAt <= Date.now() + 15 * 60 * 1000);
+});
+
+test("there is no super admin until one is configured", async () => {
+  const admins = () =>
+    api.pool.query("SELECT email FROM app_user WHERE role = 'super_admin'");
+  assert.deepEqual((await admins()).rows, []);
+
+  process.env.ADMIN_EMAIL = "owner@test.local";
+  process.env.ADMIN_PASSWORD = "a long first password";
+  try {
+    await ensureSuperAdmin();
+    await ensureSuperAdmin();
+  } finally {
+    delete process.env.ADMIN_EMAIL;
+    delete process.env.ADMIN_PASSWORD;
+  }
+  assert.deepEqual((await admins()).rows, [{ email: "owner@test.local" }]);
+
+  const login = await api.post("/login", undefined, {
+    email: "owner@test.local",
+    password: "a long first password",
+  });
+  assert.equal(login.status, 200);
+  assert.equal(login.body.user.role, "super_admin");
+  assert.equal(verifyToken(login.body.token).role, "super_admin");
+
+  const wrong = await api.post("/login", undefined, {
+    email: "owner@test.local",
+    password: "change-me-now",
+  });
+  assert.equal(wrong.status, 401);
+});
+
+test("routes need a valid bearer token", async () => {
+  const missing = await api.get("/get_children");
+  assert.equal(missing.status, 401);
+  assert.equal(missing.body.message, "Missing bearer token");
+
+  const forged = await api.get("/get_children", "not.a.token");
+  assert.equal(forged.status, 401);
+  assert.equal(forged.body.message, "Invalid or expired token");
+
+  // um token de presenças só abre o stream
+  const presence = signPresenceToken(teacher, 1);
+  assert.equal((await api.get("/get_children", presence)).status, 401);
+});
+
+test("each role only reaches the routes it is allowed to", async () => {
+  const parent = await api.tokenFor("parent", { parent_id: 1 });
+  const teacherToken = await api.tokenFor("teacher", { daycare_id: 1 });
+
+  assert.equal((await api.del("/delete_daycare/1", parent)).status, 403);
+  assert.equal((await api.del("/delete_daycare/1", teacherToken)).status, 403);
+  assert.equal((await api.del("/delete_child/1", teacherToken)).status, 403);
+  assert.equal((await api.get("/get_parents", parent)).status, 403);
+  assert.equal((await api.get("/get_children", teacherToken)).status, 200);
+});
+
+test("a parent only reads the children linked by enrollment", async () => {
+  // Alice (1) é mãe da Emily (1); o Liam (2) é filho do Brian
+  const alice = await api.tokenFor("parent", { parent_id: 1 });
+
+  const own = await api.get("/get_child/1", alice);
+  assert.equal(own.status, 200);
+  assert.equal((await api.get("/get_child/2", alice)).status, 404);
+
+  const children = await api.get("/get_children", alice);
+  assert.deepEqual(children.body.data.map((child) => child.id), [1]);
+});
@@ -0,0 +1,109 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startApi } = require("./helpers/api");
+
+let api;
+let director;
+let teacher;
+let invoices;
+
+// fatura do Brian (2), que paga o Liam e a Sophia
+const brianInvoice = () => invoices.find((invoice) => invoice.parent_id === 2);
+const aliceInvoice = () => invoices.find((invoice) => invoice.parent_id === 1);
+
+function pay(invoiceId, amount_cents, token = director) {
+  return api.post("/create_payment", token, {
+    invoice_id: invoiceId,
+    amount_cents,
+    method: "cash",
+  });
+}
+
+before(async () => {
+  api = await startApi();
+  director = await api.tokenFor("director", { daycare_id: 1 });
+  teacher = await api.tokenFor("teacher", { daycare_id: 1 });
+
+  const { status, body } = await api.post("/generate_invoices/1", director, {
+    period: "2026-03",
+  });
+  assert.equal(status, 201);
+  invoices = body.created_data;
+});
+
+after(() => api.close());
+
+test("generating the same month again skips the invoiced parents", async () => {
+  const { status, body } = await api.post("/generate_invoices/1", director, {
+    period: "2026-03",
+  });
+  assert.equal(status, 201);
+  assert.equal(body.created_data.length, 0);
+  assert.deepEqual(body.skipped_parents.sort(), invoices.map((i) => i.parent_id).sort());
+});
+
+test("only managers record payments", async () => {
+  const { status } = await pay(brianInvoice().id, 100, teacher);
+  assert.equal(status, 403);
+});
+
+test("a payment can't exceed what is still to pay", async () => {
+  const invoice = brianInvoice();
+  const { status } = await pay(invoice.id, invoice.total_cents + 1);
+  assert.equal(status, 409);
+});
+
+test("lines can't take a partly paid invoice below what was paid", async () => {
+  const invoice = brianInvoice();
+  const paid = await pay(invoice.id, invoice.total_cents - 1000);
+  assert.equal(paid.status, 201);
+  assert.equal(paid.body.invoice.status, "open");
+
+  const credit = await api.post(`/create_invoice_line/${invoice.id}`, director, {
+    description: "Goodwill credit",
+    amount_cents: -2000,
+  });
+  assert.equal(credit.status, 409);
+
+  const lines = await api.pool.query(
+    "SELECT id FROM invoice_line WHERE invoice_id = $1 ORDER BY id",
+    [invoice.id]
+  );
+  const removed = await api.del(`/delete_invoice_line/${lines.rows[0].id}`, director);
+  assert.equal(removed.status, 409);
+  assert.match(removed.body.message, /already been paid/);
+});
+
+test("an invoice with payments can't be voided", async () => {
+  const { status } = await api.put(`/void_invoice/${brianInvoice().id}`, director);
+  assert.equal(status, 409);
+});
+
+test("a fully paid invoice is closed to changes", async () => {
+  const invoice = brianInvoice();
+  const paid = await pay(invoice.id, 1000);
+  assert.equal(paid.status, 201);
+  assert.equal(paid.body.invoice.status, "paid");
+
+  const line = await api.post(`/create_invoice_line/${invoice.id}`, director, {
+    description: "Field trip",
+    amount_cents: 1500,
+  });
+  assert.equal(line.status, 409);
+  assert.equal((await pay(invoice.id, 1)).status, 409);
+});
+
+test("a void invoice takes no lines or payments", async () => {
+  const invoice = aliceInvoice();
+  const voided = await api.put(`/void_invoice/${invoice.id}`, director);
+  assert.equal(voided.status, 200);
+  assert.equal(voided.body.updated_data.status, "void");
+
+  assert.equal((await api.put(`/void_invoice/${invoice.id}`, director)).status, 409);
+  assert.equal((await pay(invoice.id, 100)).status, 409);
+  const line = await api.post(`/create_invoice_line/${invoice.id}`, director, {
+    description: "Field trip",
+    amount_cents: 1500,
+  });
+  assert.equal(line.status, 409);
+});
@@ -0,0 +1,136 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startApi } = require("./helpers/api");
+const { eventFields, icsFold, renderIcs } = require("../src/calendar");
+
+let api;
+
+before(async () => {
+  api = await startApi();
+});
+
+after(() => api.close());
+
+test("eventFields defaults end_date and keeps omitted fields on update", () => {
+  const { fields } = eventFields({
+    event_type: "holiday",
+    title: "Christmas",
+    start_date: "2026-12-25",
+  });
+  assert.equal(fields.end_date, "2026-12-25");
+  assert.equal(fields.start_time, null);
+
+  const current = {
+    event_type: "event",
+    title: "Parents' evening",
+    start_date: new Date("2026-11-05T00:00:00"),
+    end_date: new Date("2026-11-05T00:00:00"),
+    start_time: "18:00:00",
+    end_time: "19:30:00",
+  };
+  const updated = eventFields({ title: "Parents' meeting" }, current).fields;
+  assert.equal(updated.title, "Parents' meeting");
+  assert.equal(updated.start_date, "2026-11-05");
+  assert.equal(updated.start_time, "18:00");
+  assert.equal(updated.end_time, "19:30");
+});
+
+test("eventFields rejects invalid events", () => {
+  const event = { event_type: "event", title: "Trip", start_date: "2026-11-05" };
+  const error = (body) => eventFields({ ...event, ...body }).error;
+
+  assert.match(error({ event_type: "party" }), /event_type/);
+  assert.match(error({ title: "" }), /title are required/);
+  assert.match(error({ start_date: "2026-02-30" }), /YYYY-MM-DD/);
+  assert.equal(error({ end_date: "2026-11-04" }), "end_date can't be before start_date");
+  assert.equal(
+    error({ event_type: "closure", start_time: "09:00" }),
+    "Holidays and closures last the whole day"
+  );
+  assert.equal(
+    error({ end_date: "2026-11-06", start_time: "09:00" }),
+    "Only single-day events can have a start and end time"
+  );
+  assert.match(error({ start_time: "10:00", end_time: "09:00" }), /later HH:MM/);
+  assert.equal(error({ start_time: "10:00", end_time: "11:00" }), undefined);
+});
+
+test("icsFold splits lines longer than 75 octets", () => {
+  assert.equal(icsFold("SUMMARY:short"), "SUMMARY:short");
+
+  const line = `DESCRIPTION:${"a".repeat(200)}`;
+  const parts = icsFold(line).split("\r\n");
+  assert.equal(parts[0].length, 75);
+  assert.ok(parts.slice(1).every((part) => part.startsWith(" ") && part.length <= 75));
+  assert.equal(parts.map((part, i) => (i ? part.slice(1) : part)).join(""), line);
+});
+
+test("icsFold never splits a multi-byte character", () => {
+  const line = `SUMMARY:${"é".repeat(60)}`;
+  const parts = icsFold(line).split("\r\n");
+  for (const part of parts) {
+    assert.ok(Buffer.byteLength(part) <= 75);
+    assert.ok(!part.includes("�"));
+  }
+  assert.equal(parts.map((part, i) => (i ? part.slice(1) : part)).join(""), line);
+});
+
+test("renderIcs writes all-day and timed events", () => {
+  const created_at = new Date("2026-10-01T09:30:00Z");
+  const ics = renderIcs({ name: "Sunshine Daycare" }, [
+    {
+      id: 1,
+      event_type: "closure",
+      title: "Staff training",
+      start_date: new Date("2026-12-24T00:00:00"),
+      end_date: new Date("2026-12-31T00:00:00"),
+      created_at,
+    },
+    {
+      id: 2,
+      event_type: "event",
+      title: "Parents' evening",
+      classroom_name: "Toddlers",
+      description: "Bring snacks, please; thanks",
+      start_date: new Date("2026-11-05T00:00:00"),
+      end_date: new Date("2026-11-05T00:00:00"),
+      start_time: "18:00:00",
+      end_time: "19:30:00",
+      created_at,
+    },
+  ]);
+  const lines = ics.split("\r\n");
+
+  assert.ok(ics.endsWith("END:VCALENDAR\r\n"));
+  assert.ok(lines.includes("X-WR-CALNAME:Sunshine Daycare"));
+  assert.ok(lines.includes("UID:calendar-event-1@playsafe"));
+  assert.ok(lines.includes("DTSTAMP:20261001T093000Z"));
+  // DTEND de um evento de dia inteiro é o dia a seguir ao último
+  assert.ok(lines.includes("DTSTART;VALUE=DATE:20261224"));
+  assert.ok(lines.includes("DTEND;VALUE=DATE:20270101"));
+  assert.ok(lines.includes("SUMMARY:Staff training - closed"));
+  assert.ok(lines.includes("TRANSP:TRANSPARENT"));
+
+  assert.ok(lines.includes("DTSTART:20261105T180000"));
+  assert.ok(lines.includes("DTEND:20261105T193000"));
+  assert.ok(lines.includes("SUMMARY:Parents' evening (Toddlers)"));
+  assert.ok(lines.includes("DESCRIPTION:Bring snacks\\, please\\; thanks"));
+  assert.ok(lines.includes("TRANSP:OPAQUE"));
+});
+
+test("the public feed answers 404 to an invalid daycare id", async () => {
+  for (const id of ["abc", "1.5", "99999999999"]) {
+    const { status, body } = await api.get(`/get_calendar_feed/${id}?token=x`);
+    assert.equal(status, 404);
+    assert.deepEqual(body, { status: "not_found", message: "Daycare not found" });
+  }
+});
+
+test("update_opening_hours rejects null entries", async () => {
+  const director = await api.tokenFor("director", { daycare_id: 1 });
+  const { status, body } = await api.put("/update_opening_hours/1", director, {
+    hours: [{ weekday: 1, opens_at: "07:30", closes_at: "18:00" }, null],
+  });
+  assert.equal(status, 400);
+  assert.match(body.message, /distinct weekday/);
+});
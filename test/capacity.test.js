@@ -0,0 +1,83 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  ageInMonths,
+  ruleForAge,
+  validateRatioRules,
+  validateClassroomLimits,
+} = require("../src/capacity");
+
+const RULES = [
+  { min_age_months: 0, max_age_months: 12, children_per_staff: 3 },
+  { min_age_months: 12, max_age_months: 36, children_per_staff: 5 },
+  { min_age_months: 36, max_age_months: null, children_per_staff: 10 },
+];
+
+test("ageInMonths counts only complete months", () => {
+  const on = new Date("2026-10-19T12:00:00");
+  assert.equal(ageInMonths("2025-10-19", on), 12);
+  assert.equal(ageInMonths("2025-10-20", on), 11);
+  assert.equal(ageInMonths("2026-10-19", on), 0);
+  assert.equal(ageInMonths(new Date("2024-01-31T00:00:00"), on), 32);
+});
+
+test("ruleForAge picks the band with max exclusive", () => {
+  assert.equal(ruleForAge(RULES, 0).children_per_staff, 3);
+  assert.equal(ruleForAge(RULES, 11).children_per_staff, 3);
+  assert.equal(ruleForAge(RULES, 12).children_per_staff, 5);
+  assert.equal(ruleForAge(RULES, 120).children_per_staff, 10);
+});
+
+test("ruleForAge falls back to the strictest rule outside every band", () => {
+  const rules = RULES.slice(1, 2).concat({
+    min_age_months: 48,
+    max_age_months: 60,
+    children_per_staff: 8,
+  });
+  assert.equal(ruleForAge(rules, 6).children_per_staff, 5);
+  assert.equal(ruleForAge(rules, 40).children_per_staff, 5);
+});
+
+test("ruleForAge returns null without rules", () => {
+  assert.equal(ruleForAge([], 12), null);
+});
+
+test("validateRatioRules accepts adjacent bands in any order", () => {
+  assert.equal(validateRatioRules([]), null);
+  assert.equal(validateRatioRules([RULES[2], RULES[0], RULES[1]]), null);
+});
+
+test("validateRatioRules rejects empty and overlapping bands", () => {
+  const band = (min, max) => ({
+    min_age_months: min,
+    max_age_months: max,
+    children_per_staff: 4,
+  });
+  assert.match(validateRatioRules([band(12, 12)]), /greater max_age_months/);
+  assert.match(validateRatioRules([band(0, 12), band(6, 24)]), /overlap/);
+  // um escalão sem máximo cobre todas as idades acima do mínimo
+  assert.match(validateRatioRules([band(24, null), band(36, 48)]), /overlap/);
+  assert.match(
+    validateRatioRules([band(0, 12), { ...band(12, 24), children_per_staff: 0 }]),
+    /positive/
+  );
+});
+
+test("validateClassroomLimits accepts missing limits", () => {
+  assert.equal(validateClassroomLimits({}), null);
+  assert.equal(
+    validateClassroomLimits({ capacity: 10, min_age_months: 0, max_age_months: 12 }),
+    null
+  );
+});
+
+test("validateClassroomLimits rejects invalid limits", () => {
+  assert.match(validateClassroomLimits({ capacity: 0 }), /capacity/);
+  assert.match(validateClassroomLimits({ capacity: 2.5 }), /capacity/);
+  assert.match(validateClassroomLimits({ min_age_months: -1 }), /min_age_months/);
+  assert.match(validateClassroomLimits({ max_age_months: "12" }), /max_age_months/);
+  assert.match(
+    validateClassroomLimits({ min_age_months: 24, max_age_months: 24 }),
+    /lower than/
+  );
+});
@@ -0,0 +1,66 @@
+const { test, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createAdapters } = require("../src/delivery");
+
+const ENV = [
+  "NODE_ENV",
+  "NOTIFY_EMAIL_ADAPTER",
+  "NOTIFY_SMS_ADAPTER",
+  "NOTIFY_LOG_FILE",
+  "SMS_GATEWAY_URL",
+];
+const saved = Object.fromEntries(ENV.map((name) => [name, process.env[name]]));
+
+afterEach(() => {
+  for (const name of ENV) {
+    if (saved[name] === undefined) delete process.env[name];
+    else process.env[name] = saved[name];
+  }
+});
+
+test("createAdapters uses the local adapters by default in development", async () => {
+  for (const name of ENV) delete process.env[name];
+  process.env.NODE_ENV = "development";
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "playsafe-"));
+  const file = path.join(dir, "notify.log");
+  process.env.NOTIFY_LOG_FILE = file;
+
+  const adapters = createAdapters();
+  assert.equal(adapters.email.name, "local");
+  assert.equal(adapters.sms.name, "local");
+
+  await adapters.sms.send({ to: "+351910000000", body: "Emily was picked up" });
+  const line = JSON.parse(fs.readFileSync(file, "utf8").trim());
+  assert.equal(line.channel, "sms");
+  assert.equal(line.to, "+351910000000");
+  assert.equal(line.body, "Emily was picked up");
+  fs.rmSync(dir, { recursive: true });
+});
+
+test("createAdapters rejects unknown adapters and incomplete configuration", () => {
+  process.env.NOTIFY_EMAIL_ADAPTER = "pigeon";
+  assert.throws(createAdapters, /Unknown email adapter "pigeon" \(use one of: smtp, local\)/);
+
+  delete process.env.NOTIFY_EMAIL_ADAPTER;
+  delete process.env.SMS_GATEWAY_URL;
+  process.env.NOTIFY_SMS_ADAPTER = "http";
+  assert.throws(createAdapters, /SMS_GATEWAY_URL is required/);
+});
+
+test("createAdapters refuses to fall back to the local adapters in production", () => {
+  for (const name of ENV) delete process.env[name];
+  process.env.NODE_ENV = "production";
+  assert.throws(createAdapters, /NOTIFY_EMAIL_ADAPTER is not set/);
+
+  process.env.NOTIFY_EMAIL_ADAPTER = "smtp";
+  assert.throws(createAdapters, /NOTIFY_SMS_ADAPTER is not set/);
+
+  process.env.NOTIFY_SMS_ADAPTER = "http";
+  process.env.SMS_GATEWAY_URL = "http://sms.test/messages";
+  const adapters = createAdapters();
+  assert.equal(adapters.email.name, "smtp");
+  assert.equal(adapters.sms.name, "http");
+});
@@ -0,0 +1,188 @@
+// Arranca a API sobre uma base de dados em memória (pg-mem) criada a partir
+// de db-init/create_tables_data.sql, para testar as rotas sem PostgreSQL.
+// Cada ficheiro de teste corre num processo próprio, com a sua base de dados.
+// Tem de ser importado antes de qualquer módulo de src/, que ficaria com o
+// pool verdadeiro de src/db.js.
+const fs = require("node:fs");
+const path = require("node:path");
+const EventEmitter = require("node:events");
+const jwt = require("jsonwebtoken");
+const { newDb, DataType } = require("pg-mem");
+
+const ROOT = path.resolve(__dirname, "../..");
+const JWT_SECRET = "test_jwt_secret";
+
+// O pg-mem não suporta tudo o que o schema usa; estas trocas não mudam o
+// comportamento que os testes verificam
+function loadSchema() {
+  return (
+    fs
+      .readFileSync(path.join(ROOT, "db-init/create_tables_data.sql"), "utf8")
+      // perde linhas em índices únicos parciais depois de um UPDATE
+      .replace(/CREATE UNIQUE INDEX[^;]*WHERE[^;]*;/g, "")
+      .replace(/CREATE EXTENSION[^;]*;/g, "")
+      .replace(
+        "(c.date_of_birth + s.due_age_months * INTERVAL '1 month')::date",
+        "c.date_of_birth"
+      )
+      // falha os CHECK ... IN em colunas a NULL
+      .replace(/ (VARCHAR\(\d+\)) CHECK \(\w+ IN \([^)]*\)\)/g, " $1")
+  );
+}
+
+function createDb() {
+  const db = newDb();
+  db.public.registerFunction({
+    name: "unaccent",
+    args: [DataType.text],
+    returns: DataType.text,
+    implementation: (value) =>
+      value == null ? value : value.normalize("NFD").replace(/[\u0300-\u036f]/g, ""),
+  });
+  db.public.registerFunction({
+    name: "regexp_replace",
+    args: [DataType.text, DataType.text, DataType.text, DataType.text],
+    returns: DataType.text,
+    implementation: (value, pattern, replacement, flags) =>
+      value == null ? value : value.replace(new RegExp(pattern, flags), replacement),
+  });
+  // com um pedido de cada vez os locks não têm nada a fazer
+  db.public.registerFunction({
+    name: "hashtext",
+    args: [DataType.text],
+    returns: DataType.integer,
+    implementation: () => 0,
+  });
+  db.public.registerFunction({
+    name: "pg_advisory_xact_lock",
+    args: [DataType.integer, DataType.integer],
+    returns: DataType.text,
+    implementation: () => "",
+  });
+  db.public.none(loadSchema());
+  return db;
+}
+
+// Pool do pg-mem com o que falta para a API: clientes com eventos (LISTEN),
+// SKIP LOCKED ignorado, pg_notify entregue só no COMMIT e ROLLBACK, que o
+// pg-mem ignora, feito a partir de uma cópia da base de dados tirada no BEGIN
+// (chega porque os testes fazem um pedido de cada vez)
+function createPool(db) {
+  const { Pool } = db.adapters.createPg();
+  const listeners = new Set();
+  const notify = (notification) =>
+    setImmediate(() => {
+      for (const client of listeners) client.emit("notification", notification);
+    });
+
+  const query = Pool.prototype.query;
+  Pool.prototype.query = function (sql, ...rest) {
+    if (typeof sql === "string") {
+      sql = sql
+        .replace(/ SKIP LOCKED/g, "")
+        .replace("date_of_birth::text AS date_of_birth", "date_of_birth");
+      if (sql.startsWith("LISTEN ")) {
+        listeners.add(this);
+        return Promise.resolve({ rows: [] });
+      }
+      if (sql.startsWith("SELECT pg_notify")) {
+        const [channel, payload] = rest[0];
+        if (this.pending) this.pending.push({ channel, payload });
+        else notify({ channel, payload });
+        return Promise.resolve({ rows: [] });
+      }
+      if (sql === "BEGIN") {
+        this.pending = [];
+        this.backup = db.backup();
+      }
+      if (sql === "COMMIT") (this.pending || []).forEach(notify);
+      if (sql === "ROLLBACK" && this.backup) this.backup.restore();
+      if (sql === "COMMIT" || sql === "ROLLBACK") {
+        this.pending = null;
+        this.backup = null;
+      }
+    }
+    return query.call(this, sql, ...rest);
+  };
+  Pool.prototype.connect = function () {
+    const client = new Pool();
+    const events = new EventEmitter();
+    for (const method of ["on", "emit", "removeAllListeners"]) {
+      client[method] = events[method].bind(events);
+    }
+    client.release = () => {};
+    return Promise.resolve(client);
+  };
+  return new Pool();
+}
+
+process.env.JWT_SECRET = JWT_SECRET;
+process.env.NOTIFY_WORKER = "off";
+process.env.WEBHOOK_WORKER = "off";
+
+const pool = createPool(createDb());
+const dbPath = path.join(ROOT, "src/db.js");
+require.cache[dbPath] = {
+  id: dbPath,
+  filename: dbPath,
+  loaded: true,
+  exports: pool,
+};
+
+async function startApi() {
+  const app = require(path.join(ROOT, "src/app.js"));
+  const server = await new Promise((resolve) => {
+    const listening = app.listen(0, () => resolve(listening));
+  });
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  async function call(method, url, token, body) {
+    const response = await fetch(base + url, {
+      method,
+      headers: {
+        "content-type": "application/json",
+        ...(token ? { authorization: `Bearer ${token}` } : {}),
+      },
+      body: body === undefined ? undefined : JSON.stringify(body),
+    });
+    const text = await response.text();
+    let json;
+    try {
+      json = JSON.parse(text);
+    } catch (err) {
+      json = text;
+    }
+    return { status: response.status, body: json };
+  }
+
+  // Cria uma conta e devolve um token dela (sem passar pelo /login)
+  let users = 0;
+  async function tokenFor(role, { daycare_id = null, parent_id = null } = {}) {
+    users += 1;
+    const result = await pool.query(
+      `INSERT INTO app_user (email, password_hash, role, daycare_id, parent_id)
+       VALUES ($1, 'x', $2, $3, $4) RETURNING id`,
+      [`${role}${users}@test.local`, role, daycare_id, parent_id]
+    );
+    return jwt.sign(
+      { sub: result.rows[0].id, role, daycare_id, parent_id },
+      JWT_SECRET
+    );
+  }
+
+  return {
+    pool,
+    call,
+    tokenFor,
+    get: (url, token) => call("GET", url, token),
+    post: (url, token, body) => call("POST", url, token, body),
+    put: (url, token, body) => call("PUT", url, token, body),
+    del: (url, token) => call("DELETE", url, token),
+    close: () => {
+      server.closeAllConnections();
+      return new Promise((resolve) => server.close(resolve));
+    },
+  };
+}
+
+module.exports = { startApi };
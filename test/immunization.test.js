@@ -0,0 +1,104 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { immunizationStatus, recordFields } = require("../src/immunization");
+const { formatDate } = require("../src/validation");
+
+function monthsAgo(months) {
+  const date = new Date();
+  date.setMonth(date.getMonth() - months);
+  return date;
+}
+
+// criança com 10 meses
+const child = { date_of_birth: monthsAgo(10) };
+
+const SCHEDULE = [
+  { vaccine: "HepB", dose_number: 1, due_age_months: 0 },
+  { vaccine: "DTaP", dose_number: 1, due_age_months: 2 },
+  { vaccine: "Polio", dose_number: 1, due_age_months: 2 },
+  { vaccine: "Polio", dose_number: 2, due_age_months: 4 },
+  { vaccine: "Varicella", dose_number: 1, due_age_months: 2 },
+  { vaccine: "Rotavirus", dose_number: 1, due_age_months: 9 },
+  { vaccine: "MMR", dose_number: 1, due_age_months: 12 },
+];
+
+function statusOf(result, vaccine, doseNumber = 1) {
+  return result.doses.find(
+    (dose) => dose.vaccine === vaccine && dose.dose_number === doseNumber
+  ).status;
+}
+
+test("immunizationStatus classifies every dose of the schedule", () => {
+  const records = [
+    { id: 1, vaccine: "dtap", dose_number: 1, administered_on: monthsAgo(8) },
+    { id: 2, vaccine: "Polio", dose_number: 2, administered_on: monthsAgo(6) },
+  ];
+  const exemptions = [{ id: 7, vaccine: "VARICELLA", valid_until: null }];
+
+  const result = immunizationStatus(child, SCHEDULE, records, exemptions, 60);
+
+  assert.equal(statusOf(result, "DTaP"), "completed");
+  assert.equal(statusOf(result, "Polio", 2), "completed");
+  assert.equal(statusOf(result, "Polio", 1), "missing");
+  assert.equal(statusOf(result, "Varicella"), "exempt");
+  assert.equal(statusOf(result, "HepB"), "overdue");
+  assert.equal(statusOf(result, "Rotavirus"), "due");
+  assert.equal(statusOf(result, "MMR"), "upcoming");
+  assert.equal(result.compliant, false);
+
+  const dtap = result.doses.find((dose) => dose.vaccine === "DTaP");
+  assert.equal(dtap.immunization_record_id, 1);
+  assert.equal(dtap.administered_on, formatDate(monthsAgo(8)));
+  const varicella = result.doses.find((dose) => dose.vaccine === "Varicella");
+  assert.equal(varicella.exemption_id, 7);
+  const hepb = result.doses.find((dose) => dose.vaccine === "HepB");
+  assert.equal(hepb.due_date, formatDate(child.date_of_birth));
+  assert.ok(hepb.days_overdue > 0);
+});
+
+test("immunizationStatus ignores expired exemptions and applies exemptions for all vaccines", () => {
+  const schedule = [{ vaccine: "HepB", dose_number: 1, due_age_months: 0 }];
+  const expired = [{ id: 1, vaccine: null, valid_until: monthsAgo(1) }];
+  const all = [{ id: 2, vaccine: null, valid_until: null }];
+
+  assert.equal(
+    statusOf(immunizationStatus(child, schedule, [], expired, 30), "HepB"),
+    "overdue"
+  );
+  const exempt = immunizationStatus(child, schedule, [], all, 30);
+  assert.equal(statusOf(exempt, "HepB"), "exempt");
+  assert.equal(exempt.compliant, true);
+});
+
+test("immunizationStatus keeps the due date on the last day of shorter months", () => {
+  const schedule = [{ vaccine: "DTaP", dose_number: 1, due_age_months: 1 }];
+  const result = immunizationStatus(
+    { date_of_birth: new Date("2024-01-31T00:00:00") },
+    schedule,
+    [],
+    [],
+    30
+  );
+
+  assert.equal(result.doses[0].due_date, "2024-02-29");
+  assert.equal(result.doses[0].grace_ends, "2024-03-30");
+});
+
+test("recordFields validates the dose and its date", () => {
+  const baby = { date_of_birth: new Date("2025-12-01T00:00:00") };
+  const record = { vaccine: " DTaP ", dose_number: 1, administered_on: "2026-02-01" };
+  const error = (body) => recordFields({ ...record, ...body }, baby).error;
+
+  assert.equal(recordFields(record, baby).fields.vaccine, "DTaP");
+  assert.equal(error({ vaccine: "" }), "vaccine is required (up to 50 characters)");
+  assert.equal(error({ dose_number: 0 }), "dose_number must be a positive integer");
+  assert.match(error({ administered_on: "2026-02-30" }), /YYYY-MM-DD/);
+  assert.equal(
+    error({ administered_on: "2025-11-30" }),
+    "administered_on must be between the child's birth and today"
+  );
+  assert.equal(
+    error({ administered_on: formatDate(new Date(Date.now() + 2 * 86400000)) }),
+    "administered_on must be between the child's birth and today"
+  );
+});
@@ -0,0 +1,66 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startApi } = require("./helpers/api");
+
+let api;
+let alice;
+let brian;
+let teacher;
+let threadId;
+
+// Alice (1) é mãe da Emily (1); o Brian (2) é pai do Liam (2) e da Sophia (5)
+before(async () => {
+  api = await startApi();
+  alice = await api.tokenFor("parent", { parent_id: 1 });
+  brian = await api.tokenFor("parent", { parent_id: 2 });
+  teacher = await api.tokenFor("teacher", { daycare_id: 1 });
+
+  const { status, body } = await api.post("/create_message_thread", alice, {
+    child_id: 1,
+    subject: "Allergy update",
+    body: "Emily can't eat peanuts anymore.",
+  });
+  assert.equal(status, 201);
+  threadId = body.created_data.id;
+});
+
+after(() => api.close());
+
+test("a parent can only open a thread about their own children", async () => {
+  const { status, body } = await api.post("/create_message_thread", alice, {
+    child_id: 2,
+    subject: "About Liam",
+    body: "Hello",
+  });
+  assert.equal(status, 400);
+  assert.equal(body.message, "Child does not exist");
+});
+
+test("threads are hidden from other parents and other daycares", async () => {
+  const otherTeacher = await api.tokenFor("teacher", { daycare_id: 2 });
+
+  for (const token of [brian, otherTeacher]) {
+    assert.equal((await api.get(`/get_message_thread/${threadId}`, token)).status, 404);
+    const list = await api.get("/get_message_threads", token);
+    assert.ok(list.body.data.every((thread) => thread.id !== threadId));
+    const reply = await api.post(`/create_message/${threadId}`, token, { body: "Hi" });
+    assert.equal(reply.status, 404);
+  }
+});
+
+test("staff of the daycare receive the message and its read receipt", async () => {
+  const unread = await api.get("/get_unread_counts", teacher);
+  assert.deepEqual(
+    unread.body.data.map(({ thread_id, unread_count }) => ({ thread_id, unread_count })),
+    [{ thread_id: threadId, unread_count: 1 }]
+  );
+
+  const read = await api.put(`/mark_thread_read/${threadId}`, teacher);
+  assert.equal(read.body.marked_count, 1);
+  assert.equal((await api.get("/get_unread_counts", teacher)).body.unread_count, 0);
+
+  // quem enviou vê o recibo de leitura
+  const thread = await api.get(`/get_message_thread/${threadId}`, alice);
+  const [receipt] = thread.body.data.messages[0].receipts;
+  assert.ok(receipt.read_at);
+});
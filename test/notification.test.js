@@ -0,0 +1,10 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { retryDelaySeconds } = require("../src/notification");
+
+test("retryDelaySeconds doubles the wait after each failed attempt", () => {
+  assert.deepEqual(
+    [1, 2, 3, 4, 5].map(retryDelaySeconds),
+    [30, 60, 120, 240, 480]
+  );
+});
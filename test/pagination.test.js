@@ -0,0 +1,67 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { parseListQuery, pageInfo, likePattern } = require("../src/pagination");
+
+const SPEC = {
+  filters: {
+    daycare_id: { column: "daycare_id", type: "id" },
+    name: { column: "name", op: "contains", type: "text" },
+    from: { column: "created_at", op: ">=", type: "date" },
+  },
+  sort: ["id", "name"],
+};
+
+test("parseListQuery uses the defaults", () => {
+  const params = [];
+  const list = parseListQuery({}, SPEC, params);
+  assert.deepEqual(list, {
+    conditions: [],
+    orderBy: "id ASC",
+    limit: 50,
+    offset: 0,
+  });
+  assert.deepEqual(params, []);
+});
+
+test("parseListQuery appends filters after the existing params", () => {
+  const params = [7];
+  const list = parseListQuery(
+    { daycare_id: "2", name: "50%_off", from: "2026-10-01", sort: "-name" },
+    SPEC,
+    params
+  );
+  assert.deepEqual(list.conditions, [
+    "daycare_id = $2",
+    "name ILIKE $3",
+    "created_at >= $4",
+  ]);
+  assert.deepEqual(params, [7, "2", "%50\\%\\_off%", "2026-10-01"]);
+  assert.equal(list.orderBy, "name DESC, id ASC");
+});
+
+test("parseListQuery rejects ids outside the INT range", () => {
+  for (const value of ["0", "-1", "1.5", "abc", "2147483648", "99999999999"]) {
+    assert.match(parseListQuery({ daycare_id: value }, SPEC, []).error, /daycare_id/);
+  }
+  assert.equal(parseListQuery({ daycare_id: "2147483647" }, SPEC, []).error, undefined);
+});
+
+test("parseListQuery rejects bad paging, dates and sort fields", () => {
+  assert.match(parseListQuery({ limit: "0" }, SPEC, []).error, /limit/);
+  assert.match(parseListQuery({ limit: "201" }, SPEC, []).error, /limit/);
+  assert.match(parseListQuery({ offset: "-1" }, SPEC, []).error, /offset/);
+  assert.match(parseListQuery({ offset: "1e30" }, SPEC, []).error, /offset/);
+  assert.match(parseListQuery({ from: "2026-02-30" }, SPEC, []).error, /from/);
+  assert.match(parseListQuery({ name: ["a", "b"] }, SPEC, []).error, /single value/);
+  assert.match(parseListQuery({ sort: "-password" }, SPEC, []).error, /sort/);
+});
+
+test("pageInfo links the next page only when there is one", () => {
+  const req = { path: "/get_children", query: { name: "li", limit: "2" } };
+  assert.equal(pageInfo(req, { limit: 2, offset: 0 }, 5).next, "/get_children?name=li&limit=2&offset=2");
+  assert.equal(pageInfo(req, { limit: 2, offset: 4 }, 5).next, null);
+});
+
+test("likePattern escapes the LIKE wildcards", () => {
+  assert.equal(likePattern("a\\b"), "%a\\\\b%");
+});
@@ -0,0 +1,101 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startApi } = require("./helpers/api");
+
+let api;
+let director;
+let margaretId;
+
+// Emily (1) é filha da Alice (1); o Brian (2) é pai de outras crianças
+before(async () => {
+  api = await startApi();
+  director = await api.tokenFor("director", { daycare_id: 1 });
+  const { body } = await api.post("/create_authorized_pickup", director, {
+    child_id: 1,
+    name: "Margaret Johnson",
+    relation: "grandmother",
+    phone: "555-987-6543",
+    id_reference: "CC 12345678",
+  });
+  margaretId = body.created_data.id;
+});
+
+after(() => api.close());
+
+test("a parent sees who can pick the child up, without contacts or restrictions", async () => {
+  await api.post("/create_custody_restriction", director, {
+    child_id: 1,
+    name: "Robert Johnson",
+    reason: "Court order",
+  });
+  const alice = await api.tokenFor("parent", { parent_id: 1 });
+
+  const { status, body } = await api.get("/get_child_pickups/1", alice);
+  assert.equal(status, 200);
+  assert.deepEqual(body, {
+    parents: [{ id: 1, name: "Alice Johnson" }],
+    authorized_pickups: [
+      { id: margaretId, child_id: 1, name: "Margaret Johnson", relation: "grandmother" },
+    ],
+  });
+
+  const staff = await api.get("/get_child_pickups/1", director);
+  assert.equal(staff.body.authorized_pickups[0].id_reference, "CC 12345678");
+  assert.equal(staff.body.custody_restrictions[0].reason, "Court order");
+});
+
+test("a parent can't read the pickups of someone else's child", async () => {
+  const brian = await api.tokenFor("parent", { parent_id: 2 });
+  const { status, body } = await api.get("/get_child_pickups/1", brian);
+  assert.equal(status, 404);
+  assert.equal(body.message, "Child not found");
+});
+
+test("check-out refuses anyone not allowed and audits every attempt", async () => {
+  const teacher = await api.tokenFor("teacher", { daycare_id: 1 });
+  const checkIn = await api.post("/check_in", teacher, {
+    child_id: 1,
+    drop_off_by: "Alice Johnson",
+  });
+  assert.equal(checkIn.status, 201);
+
+  const stranger = await api.post("/check_out", teacher, {
+    child_id: 1,
+    pick_up_by: "Someone Else",
+  });
+  assert.equal(stranger.status, 403);
+  assert.equal(
+    stranger.body.message,
+    "Person is not on the authorized pickup list of this child"
+  );
+
+  await api.post("/create_custody_restriction", director, {
+    child_id: 1,
+    name: "Margaret Johnson",
+    reason: "Not while the custody case is open",
+  });
+  const restricted = await api.post("/check_out", teacher, {
+    child_id: 1,
+    authorized_pickup_id: margaretId,
+  });
+  assert.equal(restricted.status, 403);
+  assert.equal(
+    restricted.body.message,
+    "Custody restriction: Not while the custody case is open"
+  );
+
+  const mother = await api.post("/check_out", teacher, { child_id: 1, parent_id: 1 });
+  assert.equal(mother.status, 200);
+
+  const audit = await api.get("/get_child_pickup_audit/1", director);
+  assert.deepEqual(
+    audit.body.data
+      .sort((a, b) => a.id - b.id)
+      .map(({ pick_up_by, allowed }) => ({ pick_up_by, allowed })),
+    [
+      { pick_up_by: "Someone Else", allowed: false },
+      { pick_up_by: "Margaret Johnson", allowed: false },
+      { pick_up_by: "Alice Johnson", allowed: true },
+    ]
+  );
+});
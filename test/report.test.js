@@ -0,0 +1,54 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startApi } = require("./helpers/api");
+
+let api;
+let teacher;
+let parent;
+
+before(async () => {
+  api = await startApi();
+  teacher = await api.tokenFor("teacher", { daycare_id: 1 });
+  // Alice (1) é a mãe da Emily (1)
+  parent = await api.tokenFor("parent", { parent_id: 1 });
+});
+
+after(() => api.close());
+
+test("reading a report never stores it", async () => {
+  const { status, body } = await api.get("/get_daily_report/1?date=2026-03-12", parent);
+  assert.equal(status, 200);
+  assert.match(body, /Daily report: Emily Johnson/);
+
+  const stored = await api.pool.query("SELECT id FROM daily_report WHERE child_id = 1");
+  assert.equal(stored.rows.length, 0);
+});
+
+test("parents get the stored report until staff regenerate it", async () => {
+  const url = "/get_daily_report/1?date=2026-03-12";
+  const day = { date: "2026-03-12" };
+  assert.equal((await api.post("/regenerate_daily_report/1", teacher, day)).status, 200);
+
+  await api.put("/update_daily_note/1", teacher, { ...day, note: "Painted a rainbow." });
+  assert.doesNotMatch((await api.get(url, parent)).body, /Painted a rainbow/);
+  assert.equal((await api.post("/regenerate_daily_report/1", parent, day)).status, 403);
+
+  const regenerated = await api.post("/regenerate_daily_report/1", teacher, day);
+  assert.equal(regenerated.body.updated_data.child_id, 1);
+  assert.match((await api.get(url, parent)).body, /Painted a rainbow/);
+});
+
+test("the report shows the classroom of the day, not the current one", async () => {
+  // Liam (2) estava na sala 2 quando fez o check-in e mudou depois para a 1
+  await api.pool.query(
+    `INSERT INTO attendance
+       (child_id, check_in_at, drop_off_by, check_out_at, pick_up_by, classroom_id)
+     VALUES (2, '2026-03-12 08:00:00+00', 'Brian Smith',
+             '2026-03-12 16:00:00+00', 'Brian Smith', 2)`
+  );
+  await api.pool.query("UPDATE child SET classroom_id = 1 WHERE id = 2");
+
+  const { body } = await api.get("/get_daily_report/2?date=2026-03-12", teacher);
+  assert.match(body, /Red Rockets/);
+  assert.doesNotMatch(body, /Blue Butterflies/);
+});
@@ -0,0 +1,54 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startApi } = require("./helpers/api");
+
+let api;
+let admin;
+
+before(async () => {
+  api = await startApi();
+  admin = await api.tokenFor("admin", { daycare_id: 1 });
+
+  // muitas crianças que só contêm o termo, criadas antes das que começam por
+  // ele e da que é igual a ele
+  for (let i = 1; i <= 12; i++) {
+    await api.pool.query(
+      `INSERT INTO child (name, date_of_birth, daycare_id)
+       VALUES ($1, '2023-01-01', 1)`,
+      [`Mariana ${String(i).padStart(2, "0")}`]
+    );
+  }
+  await api.pool.query(
+    `INSERT INTO child (name, date_of_birth, daycare_id)
+     VALUES ('Zé Ana', '2023-01-01', 1), ('Anabela', '2023-01-01', 1),
+            ('Ána', '2023-01-01', 1), ('Ana', '2023-01-01', 2)`
+  );
+});
+
+after(() => api.close());
+
+test("search ranks before applying the limit", async () => {
+  const { status, body } = await api.get("/search?q=ana&types=child&limit=3", admin);
+  assert.equal(status, 200);
+  assert.deepEqual(
+    body.data.map((row) => [row.name, row.rank]),
+    [
+      ["Ána", 100],
+      ["Anabela", 80],
+      ["Zé Ana", 60],
+    ]
+  );
+});
+
+test("search only returns children of the caller's daycare", async () => {
+  const { body } = await api.get("/search?q=ana&types=child&limit=100", admin);
+  assert.equal(body.results_count, 15);
+  assert.ok(body.data.every((row) => row.daycare_id === 1));
+});
+
+test("search ranks parents by their best matching field", async () => {
+  const { body } = await api.get("/search?q=brian&types=parent", admin);
+  assert.equal(body.data[0].name, "Brian Smith");
+  assert.equal(body.data[0].matched_field, "name");
+  assert.equal(body.data[0].rank, 80);
+});
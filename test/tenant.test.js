@@ -0,0 +1,60 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startApi } = require("./helpers/api");
+
+let api;
+let director;
+
+// daycare 1: Emily (1), Liam (2) e Sophia (5), pais Alice (1) e Brian (2);
+// daycare 2: Olivia (3) e Noah (4), pais Catherine (3) e David (4)
+before(async () => {
+  api = await startApi();
+  director = await api.tokenFor("director", { daycare_id: 1 });
+});
+
+after(() => api.close());
+
+const ids = (response) =>
+  response.body.data.map((row) => row.id).sort((a, b) => a - b);
+
+test("lists only return rows of the caller's daycare", async () => {
+  assert.deepEqual(ids(await api.get("/get_children", director)), [1, 2, 5]);
+  assert.deepEqual(ids(await api.get("/get_parents", director)), [1, 2]);
+  assert.deepEqual(ids(await api.get("/get_classrooms", director)), [1, 2]);
+  assert.deepEqual(ids(await api.get("/get_daycares", director)), [1]);
+});
+
+test("rows of another daycare answer 404", async () => {
+  for (const url of [
+    "/get_child/3",
+    "/get_parent/3",
+    "/get_classroom/3",
+    "/get_daycare/2",
+    "/get_enrollment/3",
+  ]) {
+    const { status, body } = await api.get(url, director);
+    assert.equal(status, 404, url);
+    assert.equal(body.status, "not_found");
+  }
+});
+
+test("writes can't reach another daycare", async () => {
+  const update = await api.put("/update_child/3", director, {
+    name: "Olivia Lee",
+    date_of_birth: "2021-02-25",
+    daycare_id: 2,
+  });
+  assert.equal(update.status, 404);
+  assert.equal((await api.del("/delete_parent/4", director)).status, 404);
+
+  const child = await api.pool.query("SELECT name, daycare_id FROM child WHERE id = 3");
+  assert.deepEqual(child.rows[0], { name: "Olivia Lee", daycare_id: 2 });
+  const parent = await api.pool.query("SELECT id FROM parent WHERE id = 4");
+  assert.equal(parent.rows.length, 1);
+});
+
+test("a super admin acts across daycares", async () => {
+  const superAdmin = await api.tokenFor("super_admin");
+  assert.deepEqual(ids(await api.get("/get_children", superAdmin)), [1, 2, 3, 4, 5]);
+  assert.equal((await api.get("/get_child/3", superAdmin)).status, 200);
+});
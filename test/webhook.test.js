@@ -0,0 +1,153 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const { startApi } = require("./helpers/api");
+const {
+  signPayload,
+  retryDelaySeconds,
+  subscriptionFields,
+  deliverPendingWebhooks,
+} = require("../src/webhook");
+
+let api;
+let superAdmin;
+
+before(async () => {
+  api = await startApi();
+  superAdmin = await api.tokenFor("super_admin");
+});
+
+after(() => api.close());
+
+test("signPayload signs the timestamp and the body with the secret", () => {
+  const body = JSON.stringify({ type: "child.updated", data: { id: 1 } });
+  const signature = signPayload("whsec_test", 1792400000, body);
+
+  // o que um recetor faz para validar
+  const [t, v1] = signature.split(",").map((part) => part.split("=")[1]);
+  const expected = crypto
+    .createHmac("sha256", "whsec_test")
+    .update(`${t}.${body}`)
+    .digest("hex");
+  assert.equal(t, "1792400000");
+  assert.equal(v1, expected);
+  assert.match(signature, /^t=1792400000,v1=[0-9a-f]{64}$/);
+});
+
+test("signPayload changes with the secret, the timestamp and the body", () => {
+  const base = signPayload("whsec_a", 1, "{}");
+  assert.notEqual(signPayload("whsec_b", 1, "{}"), base);
+  assert.notEqual(signPayload("whsec_a", 2, "{}").split(",")[1], base.split(",")[1]);
+  assert.notEqual(signPayload("whsec_a", 1, "{ }"), base);
+});
+
+test("retryDelaySeconds doubles the wait after each failed attempt", () => {
+  assert.deepEqual(
+    [1, 2, 3, 4, 5, 6, 7].map(retryDelaySeconds),
+    [60, 120, 240, 480, 960, 1920, 3840]
+  );
+});
+
+test("subscriptionFields validates the url and event types", () => {
+  const subscription = {
+    url: "https://example.com/hooks",
+    event_types: ["child.created", "child.created", "child.updated"],
+  };
+  const { fields } = subscriptionFields(subscription);
+  assert.deepEqual(fields.event_types, ["child.created", "child.updated"]);
+  assert.equal(fields.active, true);
+  assert.equal(fields.description, null);
+
+  const error = (body) => subscriptionFields({ ...subscription, ...body }).error;
+  assert.match(error({ url: "ftp://example.com" }), /http\(s\) URL/);
+  assert.match(error({ url: "not a url" }), /http\(s\) URL/);
+  assert.match(error({ event_types: [] }), /event_types must be a list/);
+  assert.match(error({ event_types: ["child.born"] }), /event_types must be a list/);
+  assert.equal(error({ active: "yes" }), "active must be a boolean");
+
+  // numa atualização os campos omitidos mantêm o valor atual
+  const current = { ...fields, active: false, description: "CRM" };
+  const updated = subscriptionFields({ url: "http://example.com/v2" }, current).fields;
+  assert.equal(updated.url, "http://example.com/v2");
+  assert.equal(updated.active, false);
+  assert.equal(updated.description, "CRM");
+});
+
+test("subscriptions can't point at internal addresses", async () => {
+  for (const url of [
+    "http://localhost:8080/hooks",
+    "http://127.0.0.1/hooks",
+    "http://10.0.0.5/hooks",
+    "http://192.168.1.20/hooks",
+    "http://169.254.169.254/latest/meta-data",
+    "http://[::1]/hooks",
+    "http://[::ffff:10.0.0.5]/hooks",
+    "http://[fd00::1]/hooks",
+  ]) {
+    const { status, body } = await api.post("/create_webhook_subscription", superAdmin, {
+      url,
+      event_types: ["child.created"],
+    });
+    assert.equal(status, 400, url);
+    assert.equal(body.message, "url must point to a public address");
+  }
+});
+
+test("the secret is only returned when the subscription is created", async () => {
+  const created = await api.post("/create_webhook_subscription", superAdmin, {
+    url: "https://93.184.215.14/hooks",
+    event_types: ["child.created"],
+  });
+  assert.equal(created.status, 201);
+  assert.match(created.body.created_data.secret, /^whsec_/);
+
+  const list = await api.get("/get_webhook_subscriptions", superAdmin);
+  assert.equal(list.status, 200);
+  assert.ok(list.body.data.length > 0);
+  assert.ok(list.body.data.every((subscription) => !("secret" in subscription)));
+
+  const moved = await api.put(
+    `/update_webhook_subscription/${created.body.created_data.id}`,
+    superAdmin,
+    { url: "http://127.0.0.1:5432/" }
+  );
+  assert.equal(moved.status, 400);
+  assert.equal(moved.body.message, "url must point to a public address");
+});
+
+test("deliveries to an internal address are never sent", async () => {
+  // p. ex. gravada antes desta verificação, ou um host cujo DNS mudou
+  const subscription = await api.pool.query(
+    `INSERT INTO webhook_subscription (url, secret, event_types)
+     VALUES ('http://169.254.169.254/latest', 'whsec_0123456789abcdef', '{child.created}')
+     RETURNING id`
+  );
+  await api.pool.query(
+    `INSERT INTO webhook_delivery (subscription_id, event_id, event_type, payload)
+     VALUES ($1, $2, 'child.created', '{}')`,
+    [subscription.rows[0].id, crypto.randomUUID()]
+  );
+
+  const requests = [];
+  const { fetch } = global;
+  global.fetch = async (url) => {
+    requests.push(url);
+    return new Response(null, { status: 204 });
+  };
+  try {
+    assert.equal(await deliverPendingWebhooks(), 1);
+  } finally {
+    global.fetch = fetch;
+  }
+
+  assert.deepEqual(requests, []);
+  const delivery = await api.pool.query(
+    "SELECT status, attempts, last_error FROM webhook_delivery WHERE subscription_id = $1",
+    [subscription.rows[0].id]
+  );
+  assert.deepEqual(delivery.rows[0], {
+    status: "pending",
+    attempts: 1,
+    last_error: "url must point to a public address",
+  });
+});